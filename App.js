@@ -6,7 +6,9 @@ import { View, StyleSheet, Text, TextInput } from 'react-native';
 import { AuthProvider, useAuth } from './src/context/AuthContext';
 import { EventsProvider } from './src/context/EventsContext';
 import { CollectionsProvider } from './src/context/CollectionsContext';
+import { PlaysProvider } from './src/context/PlaysContext';
 import { AvailabilityProvider } from './src/context/AvailabilityContext';
+import { NotificationsProvider, useNotifications } from './src/context/NotificationsContext';
 import LandingScreen from './src/screens/Landing';
 import AuthScreen from './src/screens/Auth';
 import VerifyEmailScreen from './src/screens/VerifyEmail';
@@ -14,6 +16,8 @@ import OnboardingScreen from './src/screens/Onboarding';
 import EventHubScreen from './src/screens/EventHub';
 import CollectionScreen from './src/screens/CollectionScreen';
 import ProfileScreen from './src/screens/ProfileScreen';
+import NotificationsScreen from './src/screens/NotificationsScreen';
+import DiscoverScreen from './src/screens/DiscoverScreen';
 import LoadingSpinner from './src/components/common/LoadingSpinner';
 import Navigation from './src/components/Navigation';
 // Fonts are now loaded on-demand, no need to load all at startup
@@ -51,11 +55,22 @@ function AppNavigator() {
   const isVerified = user?.emailVerified;
   const navigationRef = useNavigationContainerRef();
   const [currentRouteName, setCurrentRouteName] = React.useState();
+  const [navReady, setNavReady] = React.useState(false);
+  const { openedTarget, clearOpenedTarget } = useNotifications();
 
   const handleNavReady = () => {
+    setNavReady(true);
     setCurrentRouteName(navigationRef.getCurrentRoute()?.name);
   };
 
+  // Open the MeepleUp a tapped push is about, once the signed-in screens are there
+  React.useEffect(() => {
+    if (!openedTarget || !navReady || !isAuthenticated || !isVerified) return;
+    const { eventId, tab, postId } = openedTarget;
+    navigationRef.navigate('EventHub', { eventId, tab, postId });
+    clearOpenedTarget();
+  }, [openedTarget, navReady, isAuthenticated, isVerified, navigationRef, clearOpenedTarget]);
+
   const handleStateChange = () => {
     setCurrentRouteName(navigationRef.getCurrentRoute()?.name);
   };
@@ -90,6 +105,8 @@ function AppNavigator() {
             <Stack.Screen name="EventHub" component={EventHubScreen} />
             <Stack.Screen name="Collection" component={CollectionScreen} />
             <Stack.Screen name="Profile" component={ProfileScreen} />
+            <Stack.Screen name="Notifications" component={NotificationsScreen} />
+            <Stack.Screen name="Discover" component={DiscoverScreen} />
           </>
         )}
       </Stack.Navigator>
@@ -122,9 +139,13 @@ function AppContent() {
   return (
     <AvailabilityProvider>
       <EventsProvider>
-        <CollectionsProvider>
-          <AppNavigator />
-        </CollectionsProvider>
+        <NotificationsProvider>
+          <CollectionsProvider>
+            <PlaysProvider>
+              <AppNavigator />
+            </PlaysProvider>
+          </CollectionsProvider>
+        </NotificationsProvider>
       </EventsProvider>
     </AvailabilityProvider>
   );
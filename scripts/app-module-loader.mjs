@@ -0,0 +1,43 @@
+/**
+ * Module hooks so Node scripts can import the app's source
+ * The app imports sibling modules without an extension ("./constants"), which Metro allows and Node's
+ * ES module loader doesn't. This retries those imports with ".js" and "/index.js".
+ * App modules that also call require() (bundled JSON, optional native modules) get one made for them.
+ *
+ * Usage (CommonJS script): require('module').register('./app-module-loader.mjs', require('url').pathToFileURL(__filename));
+ */
+
+const EXTENSIONS = ['.js', '/index.js'];
+const RETRY_ERRORS = ['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'];
+const APP_SOURCE = new URL('../src/', import.meta.url).href;
+const REQUIRE_PREAMBLE = "import { createRequire as __createRequire } from 'module'; const require = __createRequire(import.meta.url);";
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (!RETRY_ERRORS.includes(error.code) || !specifier.startsWith('.')) {
+      throw error;
+    }
+    for (const extension of EXTENSIONS) {
+      try {
+        return await nextResolve(`${specifier}${extension}`, context);
+      } catch (retryError) {
+        // Try the next extension
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (!url.startsWith(APP_SOURCE) || result.format !== 'module' || result.source == null) {
+    return result;
+  }
+  const source = String(result.source);
+  if (!/\brequire\(/.test(source)) {
+    return result;
+  }
+  return { ...result, source: `${REQUIRE_PREAMBLE}\n${source}` };
+}
@@ -0,0 +1,159 @@
+/**
+ * Script to backfill geohashes on existing public MeepleUps
+ * Discovery and nearby notifications range-query gamingGroups by location.geohash, so public MeepleUps
+ * created before they were placed never show up. This places them the way the app does for new ones:
+ * the general location ("lat, lng" or a postal code in it), else the organizer's saved coordinates or
+ * postal code. It runs offline (no geocoder), so place names alone can't be placed; those are listed at
+ * the end and get placed when the organizer next saves the general location.
+ *
+ * Prerequisites:
+ * 1. firebase-service-account.json in the project root (see scripts/upload-games-to-firestore.js)
+ *
+ * Usage: node scripts/backfill-group-geohashes.js [--dry-run]
+ *
+ * --dry-run: report what would be placed without writing anything
+ */
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+// Lets the app's ES modules (src/) load under Node
+register('./app-module-loader.mjs', pathToFileURL(__filename));
+
+const serviceAccountPath = path.join(__dirname, '../firebase-service-account.json');
+
+if (!fs.existsSync(serviceAccountPath)) {
+  console.error('❌ Error: firebase-service-account.json not found!');
+  console.error('\nSee scripts/upload-games-to-firestore.js for how to download it.');
+  process.exit(1);
+}
+
+admin.initializeApp({
+  credential: admin.credential.cert(require(serviceAccountPath)),
+});
+
+const db = admin.firestore();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Groups read per page; also the most updates in one batch (Firestore allows 500)
+const BATCH_SIZE = 200;
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Organizer profiles, read once however many MeepleUps they run
+ */
+function createOrganizerLoader() {
+  const cache = new Map();
+
+  return (organizerId) => {
+    if (!organizerId) return Promise.resolve(null);
+    if (!cache.has(organizerId)) {
+      cache.set(organizerId, db.collection('users').doc(organizerId).get()
+        .then(doc => (doc.exists ? doc.data() : null)));
+    }
+    return cache.get(organizerId);
+  };
+}
+
+/**
+ * Same order as resolveEventCoordinates (src/services/eventDiscovery.js), minus the device geocoder
+ */
+function placeGroup(group, organizer, app) {
+  const location = group.location || {};
+  if (isCoordinate(location.latitude) && isCoordinate(location.longitude)) {
+    return { lat: location.latitude, lng: location.longitude };
+  }
+
+  const fromText = app.parseCoordinateText(location.name)
+    || app.findPostalCentroidInText(location.name, organizer?.country);
+  if (fromText) return fromText;
+
+  const saved = organizer?.coordinates;
+  if (saved && isCoordinate(saved.lat) && isCoordinate(saved.lng)) {
+    return { lat: saved.lat, lng: saved.lng };
+  }
+
+  const centroid = organizer?.zipcode ? app.lookupPostalCentroid(organizer.zipcode, organizer.country) : null;
+  return centroid ? { lat: centroid.lat, lng: centroid.lng } : null;
+}
+
+async function backfillGroupGeohashes() {
+  global.__DEV__ = false;
+  const { encodeGeohash, parseCoordinateText } = await import('../src/utils/geo.js');
+  const { findPostalCentroidInText, lookupPostalCentroid } = await import('../src/utils/postalCodes.js');
+  const app = { parseCoordinateText, findPostalCentroidInText, lookupPostalCentroid };
+
+  const loadOrganizer = createOrganizerLoader();
+  const totals = { checked: 0, placed: 0, alreadyPlaced: 0 };
+  const unplaced = [];
+  let lastDoc = null;
+
+  console.log(`🗺️  Backfilling geohashes on public MeepleUps${dryRun ? ' (dry run)' : ''}`);
+
+  for (;;) {
+    let query = db.collection('gamingGroups')
+      .where('privacy', '==', 'public')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    const batch = db.batch();
+    let updates = 0;
+
+    for (const doc of snapshot.docs) {
+      totals.checked++;
+      const group = doc.data();
+      if (group.location?.geohash) {
+        totals.alreadyPlaced++;
+        continue;
+      }
+
+      const coordinates = placeGroup(group, await loadOrganizer(group.organizerId), app);
+      if (!coordinates) {
+        unplaced.push(`${doc.id} (${group.name || 'untitled'}: "${group.location?.name || ''}")`);
+        continue;
+      }
+
+      // Field paths, so the rest of location (name, address, venueType) is kept
+      batch.update(doc.ref, {
+        'location.latitude': coordinates.lat,
+        'location.longitude': coordinates.lng,
+        'location.geohash': encodeGeohash(coordinates.lat, coordinates.lng),
+      });
+      updates++;
+    }
+
+    if (updates > 0 && !dryRun) {
+      await batch.commit();
+    }
+    totals.placed += updates;
+    console.log(`📍 ${totals.checked} checked, ${totals.placed} placed`);
+
+    if (snapshot.size < BATCH_SIZE) break;
+  }
+
+  console.log(`\n📊 ${totals.placed} ${dryRun ? 'would be placed' : 'placed'}, ${totals.alreadyPlaced} already placed, ${unplaced.length} couldn't be placed`);
+  if (unplaced.length > 0) {
+    console.log('\n⚠️  No coordinates, postal code or organizer location for:');
+    unplaced.forEach(entry => console.log(`   - ${entry}`));
+  }
+}
+
+backfillGroupGeohashes()
+  .then(() => {
+    console.log('\n✨ Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,135 @@
+/**
+ * Script to backfill geohashes on existing users
+ * Nearby MeepleUp notifications range-query users by geohash, so users saved before geohashes existed are
+ * never notified until they sign in again (AuthContext adds one then). This places them now, the way sign-in
+ * does: their saved coordinates, else their postal code. It runs offline (no geocoder), so postal codes outside
+ * the US and Canada can't be placed; those users are listed at the end and get placed when they next save
+ * their profile.
+ *
+ * Prerequisites:
+ * 1. firebase-service-account.json in the project root (see scripts/upload-games-to-firestore.js)
+ *
+ * Usage: node scripts/backfill-user-geohashes.js [--dry-run]
+ *
+ * --dry-run: report what would be placed without writing anything
+ */
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+// Lets the app's ES modules (src/) load under Node
+register('./app-module-loader.mjs', pathToFileURL(__filename));
+
+const serviceAccountPath = path.join(__dirname, '../firebase-service-account.json');
+
+if (!fs.existsSync(serviceAccountPath)) {
+  console.error('❌ Error: firebase-service-account.json not found!');
+  console.error('\nSee scripts/upload-games-to-firestore.js for how to download it.');
+  process.exit(1);
+}
+
+admin.initializeApp({
+  credential: admin.credential.cert(require(serviceAccountPath)),
+});
+
+const db = admin.firestore();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Users read per page; also the most updates in one batch (Firestore allows 500)
+const BATCH_SIZE = 200;
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Same order as backfillUserGeohash (src/context/AuthContext.jsx), minus the device geocoder
+ */
+function placeUser(user, app) {
+  const saved = user.coordinates;
+  if (saved && isCoordinate(saved.lat) && isCoordinate(saved.lng)) {
+    return { lat: saved.lat, lng: saved.lng };
+  }
+
+  const centroid = user.zipcode ? app.lookupPostalCentroid(user.zipcode, user.country) : null;
+  return centroid ? { lat: centroid.lat, lng: centroid.lng } : null;
+}
+
+async function backfillUserGeohashes() {
+  global.__DEV__ = false;
+  const { encodeGeohash } = await import('../src/utils/geo.js');
+  const { lookupPostalCentroid } = await import('../src/utils/postalCodes.js');
+  const app = { lookupPostalCentroid };
+
+  const totals = { checked: 0, placed: 0, alreadyPlaced: 0, noLocation: 0 };
+  const unplaced = [];
+  let lastDoc = null;
+
+  console.log(`🗺️  Backfilling geohashes on users${dryRun ? ' (dry run)' : ''}`);
+
+  // Firestore can't query for a missing field, so every user is read
+  for (;;) {
+    let query = db.collection('users')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    const batch = db.batch();
+    let updates = 0;
+
+    snapshot.docs.forEach((doc) => {
+      totals.checked++;
+      const user = doc.data();
+      if (user.geohash) {
+        totals.alreadyPlaced++;
+        return;
+      }
+      if (!user.coordinates && !user.zipcode) {
+        totals.noLocation++;
+        return;
+      }
+
+      const coordinates = placeUser(user, app);
+      if (!coordinates) {
+        unplaced.push(`${doc.id} (${user.zipcode || 'unreadable coordinates'}${user.country ? `, ${user.country}` : ''})`);
+        return;
+      }
+
+      batch.update(doc.ref, {
+        coordinates,
+        geohash: encodeGeohash(coordinates.lat, coordinates.lng),
+      });
+      updates++;
+    });
+
+    if (updates > 0 && !dryRun) {
+      await batch.commit();
+    }
+    totals.placed += updates;
+    console.log(`📍 ${totals.checked} checked, ${totals.placed} placed`);
+
+    if (snapshot.size < BATCH_SIZE) break;
+  }
+
+  console.log(`\n📊 ${totals.placed} ${dryRun ? 'would be placed' : 'placed'}, ${totals.alreadyPlaced} already placed, ${totals.noLocation} without a location, ${unplaced.length} couldn't be placed`);
+  if (unplaced.length > 0) {
+    console.log('\n⚠️  Couldn\'t be placed offline:');
+    unplaced.forEach(entry => console.log(`   - ${entry}`));
+  }
+}
+
+backfillUserGeohashes()
+  .then(() => {
+    console.log('\n✨ Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Backfill failed:', error);
+    process.exit(1);
+  });
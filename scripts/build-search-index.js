@@ -0,0 +1,153 @@
+/**
+ * Script to build the on-device game search data from the ranks CSV
+ * The app builds its trigram index from this file at runtime (see src/services/gameSearchIndex.js),
+ * so game search works offline and never waits on Firestore.
+ *
+ * Usage: node scripts/build-search-index.js
+ *
+ * Alternate names come from src/assets/data/alternate_names.json when it exists (written by
+ * `node scripts/upload-games-to-firestore.js --alternate-names`).
+ *
+ * Output: src/assets/data/gameSearchIndex.json
+ * {
+ *   fields: ['id', 'name', 'yearPublished', 'rank', 'bayesAverage', 'usersRated'],
+ *   games: [[224517, 'Brass: Birmingham', 2018, 1, 8.4, 54907], ...],
+ *   aliases: { '13': ['Die Siedler von Catan', ...] }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '../src/assets/data');
+const filteredPath = path.join(dataDir, 'boardgames_ranks_filtered.csv');
+const fullPath = path.join(dataDir, 'boardgames_ranks.csv');
+const alternateNamesPath = path.join(dataDir, 'alternate_names.json');
+const outputPath = path.join(dataDir, 'gameSearchIndex.json');
+
+const FIELDS = ['id', 'name', 'yearPublished', 'rank', 'bayesAverage', 'usersRated'];
+
+// Popular games have dozens of alternate names; keep the bundle small
+const MAX_ALIASES_PER_GAME = 12;
+
+// Same folding the app's search uses (normalizeTitle in src/utils/text.js), minus the leading-article rule
+const toSearchKey = (name) =>
+  String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '');
+
+// Parse a CSV line, including quoted fields with escaped ("") quotes
+function parseCSVLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+const toNumber = (value, decimals = 0) => {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return 0;
+  const factor = 10 ** decimals;
+  return Math.round(number * factor) / factor;
+};
+
+const csvPath = fs.existsSync(filteredPath) ? filteredPath : fullPath;
+
+if (!fs.existsSync(csvPath)) {
+  console.error(`❌ Error: CSV file not found at ${csvPath}`);
+  process.exit(1);
+}
+
+console.log(`📖 Reading ${path.basename(csvPath)}...`);
+const lines = fs.readFileSync(csvPath, 'utf-8').split('\n').filter(line => line.trim());
+
+if (lines.length < 2) {
+  console.error('❌ Error: CSV file appears to be empty or invalid');
+  process.exit(1);
+}
+
+const header = parseCSVLine(lines[0]).map(column => column.toLowerCase());
+const column = (name) => header.indexOf(name);
+const columns = {
+  id: column('id'),
+  name: column('name'),
+  yearPublished: column('yearpublished'),
+  rank: column('rank'),
+  bayesAverage: column('bayesaverage'),
+  usersRated: column('usersrated'),
+};
+
+const games = [];
+let skipped = 0;
+
+for (let i = 1; i < lines.length; i++) {
+  const values = parseCSVLine(lines[i]);
+  const id = values[columns.id];
+  const name = values[columns.name];
+
+  if (values.length !== header.length || !id || !name) {
+    skipped++;
+    continue;
+  }
+
+  games.push([
+    toNumber(id),
+    name,
+    toNumber(values[columns.yearPublished]),
+    toNumber(values[columns.rank]),
+    toNumber(values[columns.bayesAverage], 2),
+    toNumber(values[columns.usersRated]),
+  ]);
+}
+
+// Only names the app can search by: titles in non-Latin scripts fold to nothing, and ones that fold to the
+// primary name add nothing
+const aliases = {};
+let aliasCount = 0;
+if (fs.existsSync(alternateNamesPath)) {
+  const alternateNames = JSON.parse(fs.readFileSync(alternateNamesPath, 'utf-8'));
+  games.forEach(([id, name]) => {
+    const seen = new Set([toSearchKey(name)]);
+    const names = (alternateNames[id] || []).filter(alias => {
+      const key = toSearchKey(alias);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, MAX_ALIASES_PER_GAME);
+    if (names.length > 0) {
+      aliases[id] = names;
+      aliasCount += names.length;
+    }
+  });
+} else {
+  console.log('ℹ️  No alternate_names.json found; building without aliases');
+}
+
+const output = { fields: FIELDS, games, aliases };
+
+fs.writeFileSync(outputPath, JSON.stringify(output), 'utf-8');
+
+const fileSize = fs.statSync(outputPath).size;
+console.log(`✅ Search data written: ${outputPath}`);
+console.log(`📊 ${games.length} games${skipped ? ` (${skipped} malformed rows skipped)` : ''}, ${aliasCount} alternate names`);
+console.log(`📦 File size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
@@ -0,0 +1,178 @@
+/**
+ * Script to send email digests
+ * Emails each member who turned on a daily or weekly digest (Notification Settings) a summary of their
+ * MeepleUps: unread notifications, upcoming game nights with RSVP counts, new posts and game requests
+ * waiting on them. Run it once a day (e.g. from cron); weekly digests go out when a week has passed since
+ * the last one. Members with nothing new are skipped.
+ *
+ * Prerequisites:
+ * 1. firebase-service-account.json in the project root (see scripts/upload-games-to-firestore.js)
+ * 2. For real delivery: SMTP settings in the environment
+ *    (SMTP_USER and SMTP_PASS are required; SMTP_HOST, SMTP_PORT, MAIL_FROM; see EMAIL_CONFIG in
+ *    src/config/api.js)
+ *
+ * Usage: node scripts/send-email-digests.js [--capture [dir]] [--force] [--user <uid>]
+ *
+ * --capture: write the emails to a directory (default: digest-preview/) instead of sending them. Captured
+ *   runs don't count as sent, so they can be repeated.
+ * --force: build digests even when one isn't due yet
+ * --user: only this user
+ */
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+// Lets the app's ES modules (src/) load under Node
+register('./app-module-loader.mjs', pathToFileURL(__filename));
+
+const serviceAccountPath = path.join(__dirname, '../firebase-service-account.json');
+
+if (!fs.existsSync(serviceAccountPath)) {
+  console.error('❌ Error: firebase-service-account.json not found!');
+  console.error('\nSee scripts/upload-games-to-firestore.js for how to download it.');
+  process.exit(1);
+}
+
+admin.initializeApp({
+  credential: admin.credential.cert(require(serviceAccountPath)),
+});
+
+const db = admin.firestore();
+
+const getArgValue = (flag, fallback = null) => {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return null;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : fallback;
+};
+
+const captureDir = process.argv.includes('--capture')
+  ? path.resolve(getArgValue('--capture', path.join(__dirname, '../digest-preview')))
+  : null;
+const force = process.argv.includes('--force');
+const onlyUserId = getArgValue('--user');
+
+// Newest posts read per MeepleUp; a week of discussion fits comfortably
+const POSTS_PER_GROUP = 50;
+const UNREAD_NOTIFICATIONS_LIMIT = 50;
+
+const toPlain = (doc) => ({ id: doc.id, ...doc.data() });
+
+/**
+ * Load a MeepleUp's event fields and subcollections once, however many members get a digest
+ */
+function createGroupLoader() {
+  const cache = new Map();
+
+  return (groupDoc) => {
+    if (!cache.has(groupDoc.id)) {
+      const groupRef = groupDoc.ref;
+      const data = groupDoc.data();
+      cache.set(groupDoc.id, Promise.all([
+        groupRef.collection('members').get(),
+        groupRef.collection('posts').orderBy('createdAt', 'desc').limit(POSTS_PER_GROUP).get(),
+        groupRef.collection('gameInterests').where('status', '==', 'interested').get(),
+      ]).then(([members, posts, gameInterests]) => ({
+        event: {
+          id: groupDoc.id,
+          name: data.name,
+          series: data.series || null,
+          scheduledFor: data.scheduledFor || data.nextEventDate?.toDate?.()?.toISOString() || '',
+          capacity: data.capacity || null,
+        },
+        members: members.docs.map(doc => ({ userId: doc.id, ...doc.data() })),
+        posts: posts.docs.map(toPlain),
+        gameInterests: gameInterests.docs.map(toPlain),
+      })));
+    }
+    return cache.get(groupDoc.id);
+  };
+}
+
+async function sendEmailDigests() {
+  global.__DEV__ = false;
+  const { buildDigest, getDigestFrequency, isDigestDue, renderDigestEmail } = await import('../src/utils/emailDigest.js');
+  const { createCaptureMailTransport, getMailTransport, sendMail } = await import('../src/services/mail/index.js');
+  const { EMAIL_CONFIG } = await import('../src/config/api.js');
+
+  const transport = captureDir ? createCaptureMailTransport({ outputDir: captureDir }) : getMailTransport();
+  console.log(`📬 Sending digests with the ${transport.name} transport${captureDir ? ` (writing to ${captureDir})` : ''}`);
+
+  const usersSnapshot = onlyUserId
+    ? { docs: [await db.collection('users').doc(onlyUserId).get()].filter(doc => doc.exists) }
+    : await db.collection('users').where('notificationPreferences.emailDigest', 'in', ['daily', 'weekly']).get();
+
+  const loadGroup = createGroupLoader();
+  const now = new Date();
+  const totals = { sent: 0, notDue: 0, nothingNew: 0, failed: 0 };
+
+  for (const userDoc of usersSnapshot.docs) {
+    const userData = userDoc.data();
+    const frequency = getDigestFrequency(userData.notificationPreferences);
+
+    if (!userData.email || (!isDigestDue(frequency, userData.digestLastSentAt, now) && !force)) {
+      totals.notDue++;
+      continue;
+    }
+
+    try {
+      const [notificationsSnapshot, groupsSnapshot, tokensSnapshot] = await Promise.all([
+        userDoc.ref.collection('notifications').where('read', '==', false).limit(UNREAD_NOTIFICATIONS_LIMIT).get(),
+        db.collection('gamingGroups').where('memberIds', 'array-contains', userDoc.id).get(),
+        userDoc.ref.collection('pushTokens').get(),
+      ]);
+      const activeGroups = groupsSnapshot.docs.filter(doc => doc.data().isActive !== false && !doc.data().deletedAt);
+
+      // Dates are shown in the member's time zone: a registered device's, else their first MeepleUp's
+      const deviceTimeZone = tokensSnapshot.docs.map(doc => doc.data().timeZone).find(Boolean);
+      const groupTimeZone = activeGroups.map(doc => doc.data().series?.timezone).find(Boolean);
+
+      const digest = buildDigest({
+        user: {
+          id: userDoc.id,
+          name: userData.name || '',
+          email: userData.email,
+          timeZone: deviceTimeZone || groupTimeZone || null,
+        },
+        // --force on a member with digests off previews a daily one
+        frequency: frequency === 'off' ? 'daily' : frequency,
+        lastSentAt: userData.digestLastSentAt || null,
+        notifications: notificationsSnapshot.docs.map(toPlain),
+        groups: await Promise.all(activeGroups.map(loadGroup)),
+      }, { now });
+
+      if (!digest.hasActivity) {
+        totals.nothingNew++;
+        continue;
+      }
+
+      await sendMail(renderDigestEmail(digest, { appUrl: EMAIL_CONFIG.APP_URL }), { transport });
+      if (!captureDir) {
+        await userDoc.ref.update({ digestLastSentAt: admin.firestore.Timestamp.fromDate(now) });
+      }
+      totals.sent++;
+      console.log(`✅ ${userData.email}: ${digest.counts.posts} posts, ${digest.counts.gameInterests} game requests, ${digest.counts.notifications} notifications`);
+    } catch (error) {
+      totals.failed++;
+      console.error(`❌ Error sending digest to ${userData.email}:`, error.message);
+    }
+  }
+
+  console.log(`\n📊 ${totals.sent} sent, ${totals.nothingNew} with nothing new, ${totals.notDue} not due, ${totals.failed} failed`);
+  if (totals.failed > 0) {
+    throw new Error(`${totals.failed} digests failed`);
+  }
+}
+
+sendEmailDigests()
+  .then(() => {
+    console.log('\n✨ Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Digest run failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,154 @@
+/**
+ * Script to send push notifications
+ * The app only writes notifications (users/{uid}/notifications, pushStatus 'pending'); this worker pushes
+ * them to the recipients' devices with admin credentials, since no user can read another user's push tokens
+ * (users/{uid}/pushTokens). Each notification is marked sent, skipped (preference off, quiet hours, no
+ * device, too old) or failed, and tokens Expo reports as no longer registered are deleted. Notifications
+ * written while the sender was offline are picked up once they sync.
+ *
+ * Prerequisites:
+ * 1. firebase-service-account.json in the project root (see scripts/upload-games-to-firestore.js)
+ * 2. The collection group index on notifications.pushStatus (see FIREBASE_SCHEMA.md)
+ *
+ * Usage: node scripts/send-push-notifications.js [--watch]
+ *
+ * Without flags, sends everything pending and exits (run it every minute or so, e.g. from cron).
+ * --watch: keep running and send new notifications as they are written
+ *
+ * Set EXPO_PUBLIC_PUSH_TRANSPORT=fake to log pushes instead of sending them.
+ */
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+// Lets the app's ES modules (src/) load under Node
+register('./app-module-loader.mjs', pathToFileURL(__filename));
+
+const serviceAccountPath = path.join(__dirname, '../firebase-service-account.json');
+
+if (!fs.existsSync(serviceAccountPath)) {
+  console.error('❌ Error: firebase-service-account.json not found!');
+  console.error('\nSee scripts/upload-games-to-firestore.js for how to download it.');
+  process.exit(1);
+}
+
+admin.initializeApp({
+  credential: admin.credential.cert(require(serviceAccountPath)),
+});
+
+const db = admin.firestore();
+
+const watch = process.argv.includes('--watch');
+
+// Notifications read per pass; also the most status updates in one batch (Firestore allows 500)
+const BATCH_SIZE = 200;
+
+const pendingQuery = (PUSH_STATUS) =>
+  db.collectionGroup('notifications').where('pushStatus', '==', PUSH_STATUS.PENDING).limit(BATCH_SIZE);
+
+/**
+ * A recipient's preferences and devices, read once per pass however many notifications they get
+ */
+function createRecipientLoader() {
+  const cache = new Map();
+
+  return (userId) => {
+    if (!cache.has(userId)) {
+      const userRef = db.collection('users').doc(userId);
+      cache.set(userId, Promise.all([userRef.get(), userRef.collection('pushTokens').get()])
+        .then(([userDoc, tokensSnapshot]) => ({
+          notificationPreferences: userDoc.exists ? userDoc.data().notificationPreferences || null : null,
+          pushTokens: Object.fromEntries(tokensSnapshot.docs.map(doc => [doc.id, doc.data()])),
+        })));
+    }
+    return cache.get(userId);
+  };
+}
+
+async function sendPendingPushes(app, totals) {
+  const { fanOutNotifications } = app;
+  const loadRecipient = createRecipientLoader();
+
+  for (;;) {
+    const snapshot = await pendingQuery(app.PUSH_STATUS).get();
+    if (snapshot.empty) return;
+
+    const entries = await Promise.all(snapshot.docs.map(async (doc) => {
+      const userId = doc.ref.parent.parent.id;
+      return { userId, notification: { id: doc.id, ...doc.data() }, recipient: await loadRecipient(userId) };
+    }));
+    const result = await fanOutNotifications(entries);
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc, index) => {
+      batch.update(doc.ref, {
+        pushStatus: result.statuses[index],
+        pushedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    result.staleDevices.forEach((deviceIds, userId) => {
+      deviceIds.forEach((deviceId) => {
+        batch.delete(db.collection('users').doc(userId).collection('pushTokens').doc(deviceId));
+      });
+    });
+    await batch.commit();
+
+    totals.sent += result.sent;
+    totals.skipped += result.skipped;
+    totals.failed += result.failed;
+    console.log(`📨 ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+
+    if (snapshot.size < BATCH_SIZE) return;
+  }
+}
+
+async function sendPushNotifications() {
+  global.__DEV__ = false;
+  const { fanOutNotifications } = await import('../src/utils/pushFanout.js');
+  const { PUSH_STATUS } = await import('../src/utils/constants.js');
+  const { getPushTransport } = await import('../src/services/push/index.js');
+  const app = { fanOutNotifications, PUSH_STATUS };
+
+  console.log(`📱 Sending pushes with the ${getPushTransport().name} transport`);
+  const totals = { sent: 0, skipped: 0, failed: 0 };
+
+  if (!watch) {
+    await sendPendingPushes(app, totals);
+    console.log(`\n📊 ${totals.sent} sent, ${totals.skipped} skipped, ${totals.failed} failed`);
+    return;
+  }
+
+  // Passes run one at a time; a change during a pass queues one more
+  let running = Promise.resolve();
+  let queued = false;
+  const schedulePass = () => {
+    if (queued) return;
+    queued = true;
+    running = running.then(() => {
+      queued = false;
+      return sendPendingPushes(app, totals);
+    }).catch((error) => {
+      console.error('❌ Push pass failed:', error);
+    });
+  };
+
+  console.log('👀 Watching for new notifications (Ctrl+C to stop)');
+  await new Promise((resolve, reject) => {
+    pendingQuery(PUSH_STATUS).onSnapshot((snapshot) => {
+      if (!snapshot.empty) schedulePass();
+    }, reject);
+  });
+}
+
+sendPushNotifications()
+  .then(() => {
+    console.log('\n✨ Done!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Push run failed:', error);
+    process.exit(1);
+  });
@@ -9,7 +9,12 @@
  *    - Click "Generate New Private Key"
  *    - Save it as 'firebase-service-account.json' in the project root
  * 
- * Usage: node scripts/upload-games-to-firestore.js
+ * Usage: node scripts/upload-games-to-firestore.js [--alternate-names]
+ *
+ * --alternate-names: also fetch each game's alternate names (foreign editions, other titles) from the BGG
+ * XML API and store them on the game records as `alternateNames`. Needs a BGG API token in
+ * EXPO_PUBLIC_BGG_API_TOKEN. Fetched names are cached in src/assets/data/alternate_names.json, so
+ * re-runs only fetch games that are new, and scripts/build-search-index.js adds them to the app's search.
  */
 
 const admin = require('firebase-admin');
@@ -39,6 +44,15 @@ admin.initializeApp({
 const db = admin.firestore();
 const gamesRef = db.collection('games');
 
+const alternateNamesPath = path.join(__dirname, '../src/assets/data/alternate_names.json');
+const shouldFetchAlternateNames = process.argv.includes('--alternate-names');
+
+const BGG_THING_URL = 'https://boardgamegeek.com/xmlapi2/thing';
+const BGG_IDS_PER_REQUEST = 20; // BGG's limit for /thing
+const BGG_REQUEST_DELAY_MS = 2000; // Stay under BGG's rate limit
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Helper function to parse CSV line (handles quoted fields)
 function parseCSVLine(line) {
   const values = [];
@@ -60,6 +74,73 @@ function parseCSVLine(line) {
   return values;
 }
 
+// Load previously fetched alternate names ({ [gameId]: [names] })
+function loadAlternateNamesCache() {
+  if (!fs.existsSync(alternateNamesPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(alternateNamesPath, 'utf-8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${alternateNamesPath}, starting fresh:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Fetch alternate names for games not already in the cache
+ * Uses the app's parseBGGXML on each <item> of a batched /thing response, so the script and the
+ * app read BGG's name type="alternate" entries the same way.
+ */
+async function fetchAlternateNames(gameIds, cache) {
+  global.__DEV__ = false;
+  const { parseBGGXML } = await import('../src/services/bggApi.js');
+
+  const token = process.env.EXPO_PUBLIC_BGG_API_TOKEN || process.env.BGG_API_TOKEN;
+  if (!token) {
+    console.warn('⚠️  No BGG API token set (EXPO_PUBLIC_BGG_API_TOKEN); requests may be rejected');
+  }
+
+  const missingIds = gameIds.filter(gameId => !cache[gameId]);
+  console.log(`🌍 Fetching alternate names for ${missingIds.length} games (${gameIds.length - missingIds.length} cached)...`);
+
+  for (let i = 0; i < missingIds.length; i += BGG_IDS_PER_REQUEST) {
+    const ids = missingIds.slice(i, i + BGG_IDS_PER_REQUEST);
+    try {
+      const response = await fetch(`${BGG_THING_URL}?id=${ids.join(',')}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      if (response.status === 429) {
+        console.warn('⚠️  BGG rate limit hit, waiting before retrying...');
+        await sleep(BGG_REQUEST_DELAY_MS * 5);
+        i -= BGG_IDS_PER_REQUEST;
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`BGG returned ${response.status}`);
+      }
+
+      const xmlText = await response.text();
+      const items = xmlText.match(/<item\b[\s\S]*?<\/item>/g) || [];
+      items.forEach(itemXml => {
+        const game = parseBGGXML(itemXml);
+        if (game?.id) {
+          cache[String(game.id)] = game.alternateNames || [];
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch alternate names for ${ids.join(',')}:`, error.message);
+    }
+
+    // Save as we go so an interrupted run doesn't lose what it fetched
+    fs.writeFileSync(alternateNamesPath, JSON.stringify(cache), 'utf-8');
+    console.log(`🌍 Alternate names: ${Math.min(i + BGG_IDS_PER_REQUEST, missingIds.length)} / ${missingIds.length}`);
+    await sleep(BGG_REQUEST_DELAY_MS);
+  }
+
+  return cache;
+}
+
 async function uploadGames() {
   // Use filtered CSV if it exists, otherwise use the full CSV
   const filteredPath = path.join(__dirname, '../src/assets/data/boardgames_ranks_filtered.csv');
@@ -90,6 +171,14 @@ async function uploadGames() {
   console.log('📋 Headers:', header.join(', '));
   console.log(`📊 Total games to upload: ${lines.length - 1}\n`);
 
+  let alternateNamesById = loadAlternateNamesCache();
+  if (shouldFetchAlternateNames) {
+    const idIndex = header.findIndex(colName => colName.toLowerCase() === 'id');
+    const gameIds = lines.slice(1).map(line => parseCSVLine(line)[idIndex]).filter(Boolean);
+    alternateNamesById = await fetchAlternateNames(gameIds, alternateNamesById);
+    console.log('');
+  }
+
   let batch = db.batch();
   let batchCount = 0;
   let totalUploaded = 0;
@@ -174,6 +263,9 @@ async function uploadGames() {
       console.warn(`⚠️  Row ${i + 1}: No ID found. Skipping.`);
       continue;
     }
+
+    // Other titles the game is sold under; search matches these but shows the primary name
+    game.alternateNames = alternateNamesById[gameId] || [];
     
     const docRef = gamesRef.doc(gameId);
     batch.set(docRef, game);
@@ -211,6 +303,9 @@ async function uploadGames() {
   console.log('   - Collection: games');
   console.log('   - Fields: nameLower (Ascending), rank (Ascending)');
   console.log('2. Test searching for games in your app');
+  if (Object.keys(alternateNamesById).length > 0) {
+    console.log('3. Run node scripts/build-search-index.js so in-app search matches the alternate names');
+  }
 }
 
 uploadGames()
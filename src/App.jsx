@@ -3,13 +3,17 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { EventsProvider } from './context/EventsContext';
 import { CollectionsProvider } from './context/CollectionsContext';
+import { PlaysProvider } from './context/PlaysContext';
 import { AvailabilityProvider } from './context/AvailabilityContext';
+import { NotificationsProvider } from './context/NotificationsContext';
 import WebNavigation from './components/WebNavigation';
 import Onboarding from './screens/Onboarding';
 import EventsScreen from './screens/EventsScreen';
 import EventHub from './screens/EventHub';
 import CollectionScreen from './screens/CollectionScreen';
 import ProfileScreen from './screens/ProfileScreen';
+import NotificationsScreen from './screens/NotificationsScreen';
+import DiscoverScreen from './screens/DiscoverScreen';
 
 // Protected route wrapper
 const ProtectedRoute = ({ children }) => {
@@ -78,6 +82,22 @@ const AppContent = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/notifications"
+          element={
+            <ProtectedRoute>
+              <NotificationsScreen />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/discover"
+          element={
+            <ProtectedRoute>
+              <DiscoverScreen />
+            </ProtectedRoute>
+          }
+        />
         <Route path="*" element={<Navigate to="/events" replace />} />
       </Routes>
     </Router>
@@ -89,9 +109,13 @@ const App = () => {
     <AuthProvider>
       <AvailabilityProvider>
         <EventsProvider>
-          <CollectionsProvider>
-            <AppContent />
-          </CollectionsProvider>
+          <NotificationsProvider>
+            <CollectionsProvider>
+              <PlaysProvider>
+                <AppContent />
+              </PlaysProvider>
+            </CollectionsProvider>
+          </NotificationsProvider>
         </EventsProvider>
       </AvailabilityProvider>
     </AuthProvider>
@@ -7,6 +7,7 @@ import { bggLogoColor } from './BGGLogoAssets';
 import Input from './common/Input';
 import Button from './common/Button';
 import LoadingSpinner from './common/LoadingSpinner';
+import BGGPlaysSync from './BGGPlaysSync';
 
 const BGGImport = ({ onImportComplete }) => {
   const { user, updateUser } = useAuth();
@@ -312,6 +313,8 @@ const BGGImport = ({ onImportComplete }) => {
             )}
           </View>
         )}
+
+        <BGGPlaysSync bggUsername={bggUsername} />
       </View>
     </ScrollView>
   );
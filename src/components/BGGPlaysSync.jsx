@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { useAuth } from '../context/AuthContext';
+import { usePlays } from '../context/PlaysContext';
+import { fetchBGGPlays } from '../utils/api';
+import { parseBGGPlaysXML } from '../utils/bggPlays';
+import Button from './common/Button';
+
+const EXPORT_FILENAME = 'meepleup-plays.xml';
+
+// Let the user pick a saved plays XML file (web only; native imports go through the BGG API)
+const pickXmlFileOnWeb = () =>
+  new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.xml,text/xml,application/xml';
+    input.onchange = () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(new Error('Could not read the file.'));
+      reader.readAsText(file);
+    };
+    input.click();
+  });
+
+const saveXmlFile = async (xml) => {
+  if (Platform.OS === 'web') {
+    const blob = new Blob([xml], { type: 'application/xml;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = EXPORT_FILENAME;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  const fileUri = `${FileSystem.cacheDirectory}${EXPORT_FILENAME}`;
+  await FileSystem.writeAsStringAsync(fileUri, xml, { encoding: FileSystem.EncodingType.UTF8 });
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, { mimeType: 'application/xml', dialogTitle: 'Export Plays' });
+  }
+};
+
+/**
+ * Import play history from BoardGameGeek and export MeepleUp plays in BGG's XML format
+ * @param {Object} props
+ * @param {string} props.bggUsername - BGG username to import plays for
+ */
+const BGGPlaysSync = ({ bggUsername }) => {
+  const { user } = useAuth();
+  const { importBGGPlays, exportPlaysXML } = usePlays();
+  const userId = user?.uid || user?.id;
+  const [busy, setBusy] = useState(null); // 'fetch' | 'file' | 'export'
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const runImport = async (kind, loadPlays) => {
+    setBusy(kind);
+    setError('');
+    setMessage('');
+    try {
+      const bggPlays = await loadPlays();
+      if (!bggPlays) return;
+
+      const { imported, skipped } = await importBGGPlays(userId, bggPlays, { bggUsername });
+      setMessage(
+        `Imported ${imported} play${imported !== 1 ? 's' : ''}`
+        + (skipped ? ` (${skipped} without a date skipped).` : '.'),
+      );
+    } catch (err) {
+      setError(err.message || 'Failed to import plays.');
+      console.error('BGG plays import error:', err);
+    } finally {
+      setBusy(null);
+      setProgress(null);
+    }
+  };
+
+  const handleFetchPlays = () =>
+    runImport('fetch', () => fetchBGGPlays(bggUsername, { onProgress: setProgress }));
+
+  const handleImportFile = () =>
+    runImport('file', async () => {
+      const xmlText = await pickXmlFileOnWeb();
+      return xmlText === null ? null : parseBGGPlaysXML(xmlText).plays;
+    });
+
+  const handleExport = async () => {
+    setBusy('export');
+    setError('');
+    setMessage('');
+    try {
+      const { xml, count } = await exportPlaysXML(userId, {
+        username: bggUsername || '',
+        getName: (playerId) => (playerId === userId ? user?.name : null),
+        getUsername: (playerId) => (playerId === userId ? bggUsername : null),
+      });
+      if (!count) {
+        setMessage('No MeepleUp plays of BGG-listed games to export yet.');
+        return;
+      }
+      await saveXmlFile(xml);
+      setMessage(`Exported ${count} play${count !== 1 ? 's' : ''}.`);
+    } catch (err) {
+      setError(err.message || 'Failed to export plays.');
+      console.error('BGG plays export error:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Play History</Text>
+      <Text style={styles.subtitle}>
+        Bring your logged plays over from BoardGameGeek, or export plays logged here in BGG's format.
+      </Text>
+
+      <Button
+        label={busy === 'fetch'
+          ? (progress ? `Importing... ${progress.fetched} of ${progress.total}` : 'Importing...')
+          : 'Import Plays from BGG'}
+        onPress={handleFetchPlays}
+        disabled={!!busy || !bggUsername?.trim()}
+        style={styles.button}
+      />
+      {Platform.OS === 'web' && (
+        <Button
+          label={busy === 'file' ? 'Importing...' : 'Import Plays XML File'}
+          onPress={handleImportFile}
+          disabled={!!busy}
+          variant="outline"
+          style={styles.button}
+        />
+      )}
+      <Button
+        label={busy === 'export' ? 'Exporting...' : 'Export Plays as XML'}
+        onPress={handleExport}
+        disabled={!!busy}
+        variant="outline"
+        style={styles.button}
+      />
+
+      {message ? <Text style={styles.message}>{message}</Text> : null}
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    marginTop: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  button: {
+    width: '100%',
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 14,
+    color: '#155724',
+    marginTop: 8,
+  },
+  error: {
+    fontSize: 14,
+    color: '#721c24',
+    marginTop: 8,
+  },
+});
+
+export default BGGPlaysSync;
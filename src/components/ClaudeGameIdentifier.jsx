@@ -3,6 +3,7 @@ import {
   ActivityIndicator,
   Alert,
   Animated,
+  AppState,
   FlatList,
   Image,
   Modal,
@@ -19,6 +20,16 @@ import * as FileSystem from 'expo-file-system';
 import Button from './common/Button';
 import { identifyGamesFromImage } from '../services/claudeVision';
 import { searchGamesByName, getGameDetails } from '../utils/api';
+import {
+  completeIdentificationSession,
+  deleteIdentificationSession,
+  getPendingLookupIds,
+  getResumableCandidates,
+  getSessionSummary,
+  loadIdentificationSessions,
+  saveIdentificationSession,
+  toStoredSession,
+} from '../utils/identificationSessions';
 
 const defaultAudioState = {
   uri: null,
@@ -27,6 +38,15 @@ const defaultAudioState = {
   mediaType: 'audio/m4a',
 };
 
+// Batch rapid candidate updates (BGG results arriving one by one) into one storage write
+const SESSION_SAVE_DELAY_MS = 500;
+
+const formatSessionDate = (isoString) => {
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
 const PulsingControl = ({ type, onPress, disabled, size = 'normal' }) => {
   const pulse = useRef(new Animated.Value(1)).current;
   const loopRef = useRef(null);
@@ -355,6 +375,179 @@ const ClaudeGameIdentifier = ({
     };
   }, [clearPendingFetchTimers]);
 
+  // Saved sessions: the current photo's state is written to storage as it changes, so a crash or
+  // a backgrounded app resumes here (including BGG lookups that hadn't finished)
+  const [rejectedTitles, setRejectedTitles] = useState([]);
+  const [savedSessions, setSavedSessions] = useState([]);
+  const [sessionsLoaded, setSessionsLoaded] = useState(false);
+  const [isSessionHistoryVisible, setIsSessionHistoryVisible] = useState(false);
+  const sessionStartedAtRef = useRef(null);
+  const sessionSaveTimerRef = useRef(null);
+  const pendingSessionSaveRef = useRef(null);
+
+  const flushSessionSave = useCallback(async () => {
+    clearTimeout(sessionSaveTimerRef.current);
+    const session = pendingSessionSaveRef.current;
+    pendingSessionSaveRef.current = null;
+    if (!session) return;
+
+    const state = await saveIdentificationSession(session);
+    setSavedSessions(state.sessions);
+  }, []);
+
+  const restoreSession = useCallback(
+    (session) => {
+      clearPendingFetchTimers();
+      bggFetchQueueRef.current = [];
+      processedCandidatesRef.current.clear();
+      activeSessionRef.current = session.id;
+      sessionStartedAtRef.current = session.startedAt;
+
+      setPhoto(session.photoUri ? { uri: session.photoUri } : null);
+      setComments(session.comments || '');
+      setRejectedTitles(session.rejectedTitles || []);
+      setError(null);
+      setIsProcessing(false);
+      // Lookups still pending are picked up by the BGG effect above once the candidates are back
+      setGameCandidates(getResumableCandidates(session));
+      setCorrectionCandidate(session.correction?.candidate || null);
+      setCorrectionQuery(session.correction?.query || '');
+      setCorrectionSuggestions(session.correction?.suggestions || []);
+      setCorrectionError(null);
+      setIsCorrectionModalVisible(false);
+    },
+    [clearPendingFetchTimers]
+  );
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      const { activeSessionId, sessions } = await loadIdentificationSessions();
+      setSavedSessions(sessions);
+      const activeSession = sessions.find((session) => session.id === activeSessionId);
+      if (activeSession && !activeSessionRef.current) {
+        restoreSession(activeSession);
+      }
+      setSessionsLoaded(true);
+    };
+    loadSessions();
+  }, [restoreSession]);
+
+  useEffect(() => {
+    if (!sessionsLoaded || !activeSessionRef.current || gameCandidates.length === 0) {
+      return;
+    }
+
+    pendingSessionSaveRef.current = toStoredSession({
+      id: activeSessionRef.current,
+      startedAt: sessionStartedAtRef.current,
+      photo,
+      comments,
+      candidates: gameCandidates,
+      rejectedTitles,
+      correction: correctionCandidate
+        ? { candidate: correctionCandidate, query: correctionQuery, suggestions: correctionSuggestions }
+        : null,
+    });
+    clearTimeout(sessionSaveTimerRef.current);
+    sessionSaveTimerRef.current = setTimeout(flushSessionSave, SESSION_SAVE_DELAY_MS);
+  }, [
+    sessionsLoaded,
+    photo,
+    comments,
+    gameCandidates,
+    rejectedTitles,
+    correctionCandidate,
+    correctionQuery,
+    correctionSuggestions,
+    flushSessionSave,
+  ]);
+
+  // Write immediately when the app is backgrounded or the component goes away
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        flushSessionSave();
+      }
+    });
+
+    return () => {
+      subscription?.remove?.();
+      flushSessionSave();
+    };
+  }, [flushSessionSave]);
+
+  const completeActiveSession = useCallback(async () => {
+    const sessionId = activeSessionRef.current;
+    if (!sessionId) return;
+
+    await flushSessionSave();
+    const state = await completeIdentificationSession(sessionId);
+    setSavedSessions(state.sessions);
+  }, [flushSessionSave]);
+
+  const handleResumeSession = useCallback(() => {
+    // Reopen an unfinished correction once the results modal is up
+    if (correctionCandidate) {
+      setTimeout(() => {
+        setIsCorrectionModalVisible(true);
+      }, 600);
+    }
+    if (onCameraModalClose) {
+      onCameraModalClose();
+    }
+  }, [correctionCandidate, onCameraModalClose]);
+
+  const handleOpenSavedSession = useCallback(
+    (session) => {
+      if (session.id !== activeSessionRef.current) {
+        flushSessionSave();
+        restoreSession(session);
+      }
+      setIsSessionHistoryVisible(false);
+      if (session.correction?.candidate) {
+        setTimeout(() => {
+          setIsCorrectionModalVisible(true);
+        }, 600);
+      }
+      if (onCameraModalClose) {
+        onCameraModalClose();
+      }
+    },
+    [flushSessionSave, onCameraModalClose, restoreSession]
+  );
+
+  const handleDeleteSavedSession = useCallback(
+    (session) => {
+      Alert.alert(
+        'Delete scan?',
+        'This removes the saved results. Games already added to your collection stay there.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Delete',
+            style: 'destructive',
+            onPress: async () => {
+              if (session.id === activeSessionRef.current) {
+                clearTimeout(sessionSaveTimerRef.current);
+                pendingSessionSaveRef.current = null;
+                clearPendingFetchTimers();
+                activeSessionRef.current = null;
+                setGameCandidates([]);
+                setComments('');
+                setRejectedTitles([]);
+                setCorrectionCandidate(null);
+              }
+              const state = await deleteIdentificationSession(session.id);
+              setSavedSessions(state.sessions);
+            },
+          },
+        ],
+        { cancelable: true }
+      );
+    },
+    [clearPendingFetchTimers]
+  );
+
   const requestAudioPermission = async () => {
     if (audioPermissionStatus !== null) {
       return audioPermissionStatus;
@@ -450,7 +643,7 @@ const ClaudeGameIdentifier = ({
             console.log('[ClaudeGameIdentifier] Creating search promise for:', query);
           }
           
-          // First try Firestore search without BGG fallback
+          // First try the local search index without BGG fallback
           const backendSearchPromise = query ? searchGamesByName(query, false) : Promise.resolve([]);
           
           // Add a timeout wrapper to prevent hanging
@@ -1090,6 +1283,7 @@ const ClaudeGameIdentifier = ({
       setError(null);
       setComments('');
       setGameCandidates([]);
+      setRejectedTitles([]);
 
       try {
         const imageBase64 =
@@ -1180,7 +1374,8 @@ const ClaudeGameIdentifier = ({
               claudeConfidence: game.confidence || 'unknown',
               boxDescription: game.boxDescription || null, // Description for low confidence games
               claudeNotes: game.notes || '',
-              // Styling removed - we use BGG thumbnails instead of AI-generated styling
+              // Cards use BGG thumbnails; the spine styling is kept for the collection's shelf view
+              styling,
               status: 'pending',
               bggStatus: 'idle',
               bggData: null,
@@ -1249,8 +1444,11 @@ const ClaudeGameIdentifier = ({
         skipProcessing: true,
       });
 
+      // Save whatever the previous photo's session still had pending before starting a new one
+      flushSessionSave();
       const sessionKey = `session-${Date.now()}`;
       activeSessionRef.current = sessionKey;
+      sessionStartedAtRef.current = new Date().toISOString();
 
       setPhoto(capturedPhoto);
       
@@ -1286,6 +1484,7 @@ const ClaudeGameIdentifier = ({
   }, [clearPendingFetchTimers]);
 
   const resetCapture = () => {
+    completeActiveSession();
     clearPendingFetchTimers();
     activeSessionRef.current = null;
     setPhoto(null);
@@ -1434,7 +1633,7 @@ const ClaudeGameIdentifier = ({
         bggThumbnail: candidate.bggData?.thumbnail || null,
         bggImage: candidate.bggData?.image || null,
         yearPublished: candidate.bggData?.yearPublished || null,
-        // Styling removed - we use BGG thumbnails instead of AI-generated styling
+        styling: candidate.styling || null,
       };
 
       setGameCandidates((prev) => {
@@ -1543,6 +1742,8 @@ const ClaudeGameIdentifier = ({
       }
 
       setGameCandidates((prev) => prev.filter((item) => item.id !== candidateId));
+      setRejectedTitles((prev) =>
+        (prev.includes(candidate.claudeTitle) ? prev : [...prev, candidate.claudeTitle]));
 
       setCorrectionCandidate(candidate);
       setCorrectionQuery(candidate.bggData?.name || candidate.claudeTitle || '');
@@ -2442,6 +2643,10 @@ const ClaudeGameIdentifier = ({
     );
   }
 
+  const hasUnfinishedSession =
+    !!activeSessionRef.current && !isProcessing && gameCandidates.some((c) => c.status !== 'confirmed');
+  const pendingLookupCount = getPendingLookupIds(gameCandidates).length;
+
   // Camera Modal - Just camera and capture button
   const renderCameraModal = () => (
     <Modal
@@ -2485,6 +2690,27 @@ const ClaudeGameIdentifier = ({
                 onCameraReady={() => setCameraReady(true)}
               />
               <View style={styles.cameraModalFooter}>
+                {hasUnfinishedSession || savedSessions.length > 0 ? (
+                  <View style={styles.sessionBar}>
+                    {hasUnfinishedSession ? (
+                      <Pressable
+                        onPress={handleResumeSession}
+                        style={styles.sessionResumeButton}
+                        accessibilityRole="button"
+                      >
+                        <Text style={styles.sessionResumeText}>
+                          Resume last scan · {gameCandidates.length} {gameCandidates.length === 1 ? 'game' : 'games'}
+                          {pendingLookupCount > 0 ? `, ${pendingLookupCount} still looking up` : ''}
+                        </Text>
+                      </Pressable>
+                    ) : null}
+                    {savedSessions.length > 0 ? (
+                      <Pressable onPress={() => setIsSessionHistoryVisible(true)} accessibilityRole="button">
+                        <Text style={styles.sessionHistoryLink}>Past scans ({savedSessions.length})</Text>
+                      </Pressable>
+                    ) : null}
+                  </View>
+                ) : null}
                 <View style={styles.cameraControlsRow}>
                   <Pressable
                     onPress={() => setTorchEnabled(!torchEnabled)}
@@ -2670,6 +2896,67 @@ const ClaudeGameIdentifier = ({
     );
   };
 
+  const renderSessionHistoryModal = () => (
+    <Modal
+      animationType="slide"
+      transparent
+      visible={isSessionHistoryVisible}
+      onRequestClose={() => setIsSessionHistoryVisible(false)}
+    >
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Past Scans</Text>
+            <Pressable onPress={() => setIsSessionHistoryVisible(false)} accessibilityRole="button">
+              <Text style={styles.modalCloseLink}>Close</Text>
+            </Pressable>
+          </View>
+          <Text style={styles.modalDescription}>
+            Open a scan to review its games, confirm the ones you skipped or finish lookups that were interrupted.
+          </Text>
+          <ScrollView>
+            {savedSessions.map((session) => {
+              const summary = getSessionSummary(session);
+              const isCurrent = session.id === activeSessionRef.current;
+              return (
+                <View key={session.id} style={styles.sessionRow}>
+                  <View style={styles.sessionRowInfo}>
+                    <Text style={styles.sessionRowTitle}>
+                      {formatSessionDate(session.startedAt)}
+                      {isCurrent ? ' · current' : ''}
+                    </Text>
+                    <Text style={styles.sessionRowMeta}>
+                      {summary.gameCount} {summary.gameCount === 1 ? 'game' : 'games'} · {summary.confirmedCount} added
+                      {summary.pendingLookupCount > 0 ? ` · ${summary.pendingLookupCount} still looking up` : ''}
+                    </Text>
+                    {summary.titles.length > 0 ? (
+                      <Text style={styles.sessionRowTitles} numberOfLines={2}>
+                        {summary.titles.join(', ')}
+                      </Text>
+                    ) : null}
+                    {session.rejectedTitles?.length ? (
+                      <Text style={styles.sessionRowTitles} numberOfLines={1}>
+                        Rejected: {session.rejectedTitles.join(', ')}
+                      </Text>
+                    ) : null}
+                  </View>
+                  <View style={styles.sessionRowActions}>
+                    <Pressable onPress={() => handleOpenSavedSession(session)} accessibilityRole="button">
+                      <Text style={styles.modalCloseLink}>Open</Text>
+                    </Pressable>
+                    <Pressable onPress={() => handleDeleteSavedSession(session)} accessibilityRole="button">
+                      <Text style={styles.sessionDeleteLink}>Delete</Text>
+                    </Pressable>
+                  </View>
+                </View>
+              );
+            })}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+
   const renderResultsModal = () => (
     <Modal
       animationType="slide"
@@ -2734,6 +3021,8 @@ const ClaudeGameIdentifier = ({
               <Button
                 label="Add confirmed to Collection"
                 onPress={() => {
+                  completeActiveSession();
+                  activeSessionRef.current = null;
                   if (onDone) {
                     onDone();
                   }
@@ -2755,6 +3044,7 @@ const ClaudeGameIdentifier = ({
     return (
       <>
         {renderCameraModal()}
+        {renderSessionHistoryModal()}
         {renderResultsModal()}
         {renderMultipleResultsModal()}
         {/* Correction modal for editing games */}
@@ -3752,6 +4042,64 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: '#e0e0e0',
   },
+  // Saved session styles
+  sessionBar: {
+    width: '100%',
+    alignItems: 'center',
+    marginBottom: 16,
+    gap: 10,
+  },
+  sessionResumeButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    backgroundColor: 'rgba(74, 144, 226, 0.9)',
+  },
+  sessionResumeText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  sessionHistoryLink: {
+    color: '#fff',
+    fontSize: 14,
+    textDecorationLine: 'underline',
+  },
+  sessionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  sessionRowInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  sessionRowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#222',
+  },
+  sessionRowMeta: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 2,
+  },
+  sessionRowTitles: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  sessionRowActions: {
+    alignItems: 'flex-end',
+    gap: 8,
+  },
+  sessionDeleteLink: {
+    fontSize: 15,
+    color: '#d45d5d',
+    fontWeight: '600',
+  },
 });
 
 export default ClaudeGameIdentifier;
@@ -4,6 +4,7 @@ import { getGameById } from '../services/gameDatabase';
 import { getGameBadges, getStarRating } from '../utils/gameBadges';
 import CategoryBadge from './CategoryBadge';
 import { getGameDetails } from '../utils/api';
+import { describeShelfLocation, formatShelfLocation, getGameLocation } from '../utils/shelfLocations';
 
 /**
  * Game Card Component with BGG Thumbnails
@@ -11,9 +12,13 @@ import { getGameDetails } from '../utils/api';
  * @param {Object} props
  * @param {Object} props.game - The game object
  * @param {Function} props.onDelete - Delete handler
+ * @param {Function} props.onLogPlay - Optional handler to log a play of this game
+ * @param {Function} props.onExplain - Optional handler to explain this game through games the user knows
+ * @param {Function} props.onSetLocation - Optional handler to set which shelf this game is on
  * @param {Object} props.preloadedBggData - Optional preloaded BGG data to avoid redundant API calls
+ * @param {Object} props.style - Optional style for the card container (e.g. full width outside the grid)
  */
-const GameCard = ({ game, onDelete, preloadedBggData = null }) => {
+const GameCard = ({ game, onDelete, onLogPlay, onExplain, onSetLocation, preloadedBggData = null, style = null }) => {
   console.log('[GameCard] Rendering for game:', game.title || game.id, 'bggId:', game.bggId, 'preloadedData:', preloadedBggData ? 'yes' : 'no');
   
   const [bggData, setBggData] = useState(preloadedBggData);
@@ -115,6 +120,7 @@ const GameCard = ({ game, onDelete, preloadedBggData = null }) => {
   const thumbnail = useMemo(() => game.bggThumbnail || game.thumbnail || thumbnailUrl || null, [game.bggThumbnail, game.thumbnail, thumbnailUrl]);
   const title = useMemo(() => game.title || 'Unknown Game', [game.title]);
   const year = useMemo(() => game.yearPublished || bggData?.yearPublished || null, [game.yearPublished, bggData?.yearPublished]);
+  const location = getGameLocation(game);
   
   // Safely calculate rating - memoized
   const rating = useMemo(() => {
@@ -144,7 +150,7 @@ const GameCard = ({ game, onDelete, preloadedBggData = null }) => {
   try {
     console.log('[GameCard] About to render JSX for game:', game.title || game.id, 'bggData:', !!bggData, 'badges.length:', badges.length);
     return (
-      <View style={styles.card}>
+      <View style={[styles.card, style]}>
       {/* Expand/Collapse Button */}
       <Pressable
         style={styles.expandButton}
@@ -221,6 +227,13 @@ const GameCard = ({ game, onDelete, preloadedBggData = null }) => {
           </View>
         )}
 
+        {/* Shelf location */}
+        {location && (
+          <Text style={styles.locationText} numberOfLines={isExpanded ? 0 : 1}>
+            📍 {isExpanded ? describeShelfLocation(location) : formatShelfLocation(location)}
+          </Text>
+        )}
+
         {/* Expanded View - All Game Details */}
         {isExpanded && (
           <View style={styles.expandedContent}>
@@ -295,6 +308,51 @@ const GameCard = ({ game, onDelete, preloadedBggData = null }) => {
               </View>
             )}
 
+            {/* Plays */}
+            {(game.numplays > 0 || onLogPlay) && (
+              <View style={styles.expandedPlays}>
+                <Text style={styles.expandedMetaValue}>
+                  {game.numplays > 0
+                    ? `Played ${game.numplays} ${game.numplays === 1 ? 'time' : 'times'}`
+                    : 'Not played yet'}
+                </Text>
+                {onLogPlay && (
+                  <Pressable
+                    style={styles.logPlayButton}
+                    onPress={() => onLogPlay(game)}
+                    accessibilityRole="button"
+                    accessibilityLabel={`Log a play of ${title}`}
+                  >
+                    <Text style={styles.logPlayText}>Log Play</Text>
+                  </Pressable>
+                )}
+              </View>
+            )}
+
+            {/* Explain */}
+            {onExplain && (
+              <Pressable
+                style={styles.explainButton}
+                onPress={() => onExplain(game)}
+                accessibilityRole="button"
+                accessibilityLabel={`What is ${title} like?`}
+              >
+                <Text style={styles.explainText}>What's it like?</Text>
+              </Pressable>
+            )}
+
+            {/* Shelf */}
+            {onSetLocation && (
+              <Pressable
+                style={styles.explainButton}
+                onPress={() => onSetLocation(game)}
+                accessibilityRole="button"
+                accessibilityLabel={`Set the shelf for ${title}`}
+              >
+                <Text style={styles.explainText}>{location ? 'Move to another shelf' : 'Set shelf'}</Text>
+              </Pressable>
+            )}
+
             {/* Description */}
             {bggData?.description && (
               <View style={styles.expandedDescription}>
@@ -418,6 +476,11 @@ const styles = StyleSheet.create({
     color: '#666',
     fontWeight: '500',
   },
+  locationText: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 4,
+  },
   ratingContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -468,6 +531,37 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
+  expandedPlays: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  logPlayButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: '#4a90e2',
+  },
+  logPlayText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  explainButton: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#4a90e2',
+  },
+  explainText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4a90e2',
+  },
   expandedDescription: {
     marginTop: 8,
   },
@@ -485,18 +579,26 @@ export default React.memo(GameCard, (prevProps, nextProps) => {
   const gameChanged = 
     prevProps.game.id !== nextProps.game.id ||
     prevProps.game.title !== nextProps.game.title ||
-    prevProps.game.bggId !== nextProps.game.bggId;
+    prevProps.game.bggId !== nextProps.game.bggId ||
+    prevProps.game.numplays !== nextProps.game.numplays ||
+    prevProps.game.location !== nextProps.game.location;
   
   const bggDataChanged = prevProps.preloadedBggData !== nextProps.preloadedBggData;
   const deleteHandlerChanged = prevProps.onDelete !== nextProps.onDelete;
+  const logPlayHandlerChanged = prevProps.onLogPlay !== nextProps.onLogPlay;
+  const explainHandlerChanged = prevProps.onExplain !== nextProps.onExplain;
+  const setLocationHandlerChanged = prevProps.onSetLocation !== nextProps.onSetLocation;
   
-  const shouldUpdate = gameChanged || bggDataChanged || deleteHandlerChanged;
+  const shouldUpdate = gameChanged || bggDataChanged || deleteHandlerChanged || logPlayHandlerChanged || explainHandlerChanged || setLocationHandlerChanged;
   
   if (shouldUpdate) {
     console.log('[GameCard] Memo: Props changed, allowing re-render', {
       gameChanged,
       bggDataChanged,
-      deleteHandlerChanged
+      deleteHandlerChanged,
+      logPlayHandlerChanged,
+      explainHandlerChanged,
+      setLocationHandlerChanged
     });
   }
   
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useCollections } from '../context/CollectionsContext';
+import { useEvents } from '../context/EventsContext';
+import { usePlays } from '../context/PlaysContext';
+import { explainGame } from '../services/gameExplainer';
+import Button from './common/Button';
+import LoadingSpinner from './common/LoadingSpinner';
+
+/**
+ * Explains a game in terms of games the viewer and their groups own and have played
+ * @param {Object} props
+ * @param {Object} props.game - Game to explain
+ */
+const GameExplainer = ({ game }) => {
+  const { user } = useAuth();
+  const { getUserCollection, getEventCollection, loadCollections } = useCollections();
+  const { getUserEvents } = useEvents();
+  const { getUserPlays, getEventPlays } = usePlays();
+  const userId = user?.uid || user?.id;
+
+  const [plays, setPlays] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [explaining, setExplaining] = useState(false);
+
+  const groups = useMemo(() => (userId ? getUserEvents(userId) : []), [userId, getUserEvents]);
+  const groupIdsKey = groups.map((group) => group.id).join(',');
+
+  // Load members' collections and every play the viewer or their groups logged
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    const memberIds = [...new Set(groups.flatMap((group) => (group.members || []).map((member) => member.userId)))];
+
+    Promise.all([
+      loadCollections(memberIds),
+      getUserPlays(userId),
+      ...groups.map((group) => getEventPlays(group.id)),
+    ]).then(([, userPlays, ...groupPlays]) => {
+      if (cancelled) return;
+      const byId = new Map();
+      [userPlays, ...groupPlays].flat().forEach((play) => byId.set(play.id, play));
+      setPlays(Array.from(byId.values()));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+    // groupIdsKey stands in for groups so a new events array doesn't refetch
+  }, [userId, groupIdsKey, loadCollections, getUserPlays, getEventPlays]);
+
+  const getName = useCallback((memberId) => {
+    if (memberId === user?.uid || memberId === user?.id) return user?.name || null;
+    for (const group of groups) {
+      const member = (group.members || []).find((entry) => entry.userId === memberId);
+      if (member?.userName) return member.userName;
+    }
+    return null;
+  }, [groups, user]);
+
+  const handleExplain = useCallback(async () => {
+    setExplaining(true);
+    setError('');
+    try {
+      const groupLibrary = groups.map((group) => getEventCollection(group.members, { groupId: group.id })).flat();
+      const explanation = await explainGame({
+        game,
+        collection: getUserCollection(userId),
+        groupLibrary,
+        plays: plays || [],
+        userId,
+        getName,
+      });
+      setResult(explanation);
+    } catch (err) {
+      setError(err.message || 'Could not explain this game.');
+      console.error('Game explainer error:', err);
+    } finally {
+      setExplaining(false);
+    }
+    // Collections are read at call time; plays being set means they've loaded
+  }, [game, plays, groups, userId, getName]);
+
+  // Explain as soon as the viewer's data is in
+  useEffect(() => {
+    if (plays && !result && !explaining && !error) {
+      handleExplain();
+    }
+  }, [plays]);
+
+  if (!plays || explaining) {
+    return (
+      <View style={styles.container}>
+        <LoadingSpinner />
+        <Text style={styles.helpText}>Comparing {game.title || game.name} with games you know...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {error ? (
+        <>
+          <Text style={styles.error}>{error}</Text>
+          <Button label="Try Again" onPress={handleExplain} variant="outline" style={styles.button} />
+        </>
+      ) : result ? (
+        <>
+          <Text style={styles.explanation}>{result.explanation}</Text>
+          {result.comparisons.length > 0 && (
+            <>
+              <Text style={styles.listTitle}>Similar games you know</Text>
+              {result.comparisons.map((comparison) => (
+                <View key={comparison.title} style={styles.row}>
+                  <Text style={styles.rowTitle}>{comparison.title}</Text>
+                  {comparison.reason ? <Text style={styles.rowReason}>{comparison.reason}</Text> : null}
+                </View>
+              ))}
+            </>
+          )}
+        </>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 8,
+  },
+  explanation: {
+    fontSize: 15,
+    color: '#333',
+    lineHeight: 22,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  listTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 4,
+  },
+  row: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  rowReason: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  error: {
+    fontSize: 14,
+    color: '#721c24',
+    marginBottom: 8,
+  },
+  button: {
+    width: '100%',
+  },
+});
+
+export default GameExplainer;
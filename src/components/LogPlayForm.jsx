@@ -0,0 +1,290 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Button from './common/Button';
+import Input from './common/Input';
+import { getGameKey } from '../utils/eventCollection';
+import { getPlayDate } from '../utils/playLog';
+
+/**
+ * Form for logging a play
+ * @param {Object} props
+ * @param {Object} [props.game] - Game being logged; when omitted the player picks from games
+ * @param {Array<Object>} [props.games] - Games to choose from
+ * @param {Array<Object>} props.members - Members who can be added as players: [{ userId, name }]
+ * @param {Array<string>} [props.defaultPlayerIds] - Members selected to start with
+ * @param {string} [props.defaultDate] - "YYYY-MM-DD" (default: today)
+ * @param {Function} props.onSubmit - Called with { game, date, players, durationMinutes, notes }
+ * @param {boolean} [props.submitting]
+ */
+const LogPlayForm = ({
+  game = null,
+  games = [],
+  members,
+  defaultPlayerIds = [],
+  defaultDate,
+  onSubmit,
+  submitting = false,
+}) => {
+  const [selectedGameKey, setSelectedGameKey] = useState(game ? getGameKey(game) : null);
+  const [date, setDate] = useState(defaultDate || getPlayDate());
+  const [durationMinutes, setDurationMinutes] = useState('');
+  const [notes, setNotes] = useState('');
+  const [guestName, setGuestName] = useState('');
+  const [players, setPlayers] = useState(() =>
+    members
+      .filter((member) => defaultPlayerIds.includes(member.userId))
+      .map((member) => ({ userId: member.userId, name: member.name, score: '', winner: false })),
+  );
+
+  const selectedGame = game || games.find((entry) => getGameKey(entry) === selectedGameKey) || null;
+  const getPlayerKey = (player) => player.userId || `guest:${player.name}`;
+
+  const toggleMember = (member) => {
+    setPlayers((current) =>
+      current.some((player) => player.userId === member.userId)
+        ? current.filter((player) => player.userId !== member.userId)
+        : [...current, { userId: member.userId, name: member.name, score: '', winner: false }],
+    );
+  };
+
+  const addGuest = () => {
+    const name = guestName.trim();
+    if (!name) return;
+    setPlayers((current) => [...current, { userId: null, name, score: '', winner: false }]);
+    setGuestName('');
+  };
+
+  const updatePlayer = (key, updates) => {
+    setPlayers((current) =>
+      current.map((player) => (getPlayerKey(player) === key ? { ...player, ...updates } : player)),
+    );
+  };
+
+  const removePlayer = (key) => {
+    setPlayers((current) => current.filter((player) => getPlayerKey(player) !== key));
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      game: selectedGame,
+      date: date.trim(),
+      players,
+      durationMinutes,
+      notes,
+    });
+  };
+
+  return (
+    <View>
+      {game ? (
+        <Text style={styles.gameTitle}>{game.title || game.name}</Text>
+      ) : (
+        <>
+          <Text style={styles.label}>Game</Text>
+          <View style={styles.chipRow}>
+            {games.map((entry) => {
+              const key = getGameKey(entry);
+              const isSelected = key === selectedGameKey;
+              return (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.chip, isSelected && styles.chipSelected]}
+                  onPress={() => setSelectedGameKey(key)}
+                >
+                  <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                    {entry.title || entry.name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {!games.length && (
+            <Text style={styles.hint}>No games in the library yet.</Text>
+          )}
+        </>
+      )}
+
+      <View style={styles.row}>
+        <View style={styles.rowField}>
+          <Text style={styles.label}>Date</Text>
+          <Input value={date} onChangeText={setDate} placeholder="YYYY-MM-DD" autoCapitalize="none" />
+        </View>
+        <View style={styles.rowField}>
+          <Text style={styles.label}>Duration (minutes)</Text>
+          <Input
+            value={durationMinutes}
+            onChangeText={setDurationMinutes}
+            placeholder="e.g. 45"
+            keyboardType="numeric"
+          />
+        </View>
+      </View>
+
+      <Text style={styles.label}>Players</Text>
+      <View style={styles.chipRow}>
+        {members.map((member) => {
+          const isSelected = players.some((player) => player.userId === member.userId);
+          return (
+            <TouchableOpacity
+              key={member.userId}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => toggleMember(member)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{member.name}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <View style={styles.guestRow}>
+        <Input
+          value={guestName}
+          onChangeText={setGuestName}
+          placeholder="Add a guest by name"
+          style={styles.guestInput}
+          onSubmitEditing={addGuest}
+        />
+        <Button label="Add" onPress={addGuest} variant="outline" disabled={!guestName.trim()} />
+      </View>
+
+      {players.map((player) => {
+        const key = getPlayerKey(player);
+        return (
+          <View key={key} style={styles.playerRow}>
+            <Text style={styles.playerName} numberOfLines={1}>{player.name}</Text>
+            <Input
+              value={player.score}
+              onChangeText={(score) => updatePlayer(key, { score })}
+              placeholder="Score"
+              keyboardType="numeric"
+              style={styles.scoreInput}
+            />
+            <TouchableOpacity
+              style={[styles.winnerToggle, player.winner && styles.winnerToggleActive]}
+              onPress={() => updatePlayer(key, { winner: !player.winner })}
+            >
+              <Text style={[styles.winnerText, player.winner && styles.winnerTextActive]}>Winner</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => removePlayer(key)} style={styles.removeButton}>
+              <Text style={styles.removeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+
+      <Text style={styles.label}>Notes</Text>
+      <Input value={notes} onChangeText={setNotes} placeholder="Optional" multiline />
+
+      <Button
+        label={submitting ? 'Saving...' : 'Log Play'}
+        onPress={handleSubmit}
+        disabled={submitting || !selectedGame || !players.length}
+        style={styles.submitButton}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  gameTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+    marginTop: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowField: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#4a90e2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
+  guestRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  guestInput: {
+    flex: 1,
+  },
+  playerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 4,
+  },
+  playerName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  scoreInput: {
+    width: 80,
+  },
+  winnerToggle: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  winnerToggleActive: {
+    backgroundColor: '#f5a623',
+    borderColor: '#f5a623',
+  },
+  winnerText: {
+    fontSize: 12,
+    color: '#666',
+    fontWeight: '600',
+  },
+  winnerTextActive: {
+    color: '#fff',
+  },
+  removeButton: {
+    padding: 4,
+  },
+  removeText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  submitButton: {
+    marginTop: 16,
+  },
+});
+
+export default LogPlayForm;
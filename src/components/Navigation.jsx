@@ -1,11 +1,13 @@
 import React from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationsContext';
 import GearIcon from './GearIcon';
 
 // React Native Navigation Component
 const ReactNativeNavigation = ({ navigationRef, currentRouteName }) => {
   const { isAuthenticated, isEmailVerified } = useAuth();
+  const { unreadCount } = useNotifications();
 
   if (!isAuthenticated || !isEmailVerified) {
     return null;
@@ -25,7 +27,9 @@ const ReactNativeNavigation = ({ navigationRef, currentRouteName }) => {
 
   const navItems = [
     { name: 'MeepleUps', route: 'Onboarding' },
+    { name: 'Discover', route: 'Discover' },
     { name: 'Your Games', route: 'Collection' },
+    { name: 'Inbox', route: 'Notifications', showBadge: true },
     { name: 'Profile', route: 'Profile', showGear: true },
   ];
 
@@ -71,6 +75,21 @@ const ReactNativeNavigation = ({ navigationRef, currentRouteName }) => {
       flexDirection: 'row',
       alignItems: 'center',
     },
+    badge: {
+      minWidth: 18,
+      height: 18,
+      borderRadius: 9,
+      paddingHorizontal: 5,
+      marginLeft: 4,
+      backgroundColor: '#dc2626',
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    badgeText: {
+      color: '#fff',
+      fontSize: 11,
+      fontWeight: 'bold',
+    },
   });
 
   return (
@@ -95,6 +114,11 @@ const ReactNativeNavigation = ({ navigationRef, currentRouteName }) => {
                 >
                   {item.name}
                 </Text>
+                {item.showBadge && unreadCount > 0 && (
+                  <View style={styles.badge} accessibilityLabel={`${unreadCount} unread`}>
+                    <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+                  </View>
+                )}
                 {item.showGear && (
                   <>
                     <Text
@@ -1,8 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, Switch } from 'react-native';
+import { View, Text, StyleSheet, Switch, Pressable } from 'react-native';
 import { useAuth } from '../context/AuthContext';
 import Input from './common/Input';
 import Button from './common/Button';
+import { DEFAULT_QUIET_HOURS_END, DEFAULT_QUIET_HOURS_START, parseTimeOfDay } from '../utils/pushFanout';
+import { getDigestFrequency } from '../utils/emailDigest';
+import { DIGEST_FREQUENCY, MAX_NEARBY_MEEPLEUP_DISTANCE } from '../utils/constants';
+
+const DIGEST_OPTIONS = [
+  { value: DIGEST_FREQUENCY.OFF, label: 'Off' },
+  { value: DIGEST_FREQUENCY.DAILY, label: 'Daily' },
+  { value: DIGEST_FREQUENCY.WEEKLY, label: 'Weekly' },
+];
 
 const NotificationSettings = () => {
   const { user, updateNotificationPreferences } = useAuth();
@@ -14,10 +23,15 @@ const NotificationSettings = () => {
     gameMarking: true,
     gameMarkingEmail: false,
     nearbyMeepleupDistance: 25,
+    quietHoursEnabled: false,
+    quietHoursStart: DEFAULT_QUIET_HOURS_START,
+    quietHoursEnd: DEFAULT_QUIET_HOURS_END,
+    emailDigest: DIGEST_FREQUENCY.OFF,
   });
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState('');
   const [distanceError, setDistanceError] = useState('');
+  const [quietHoursError, setQuietHoursError] = useState('');
 
   useEffect(() => {
     if (user?.notificationPreferences) {
@@ -29,6 +43,10 @@ const NotificationSettings = () => {
         gameMarking: user.notificationPreferences.gameMarking !== false,
         gameMarkingEmail: user.notificationPreferences.gameMarkingEmail === true,
         nearbyMeepleupDistance: user.notificationPreferences.nearbyMeepleupDistance || 25,
+        quietHoursEnabled: user.notificationPreferences.quietHoursEnabled === true,
+        quietHoursStart: user.notificationPreferences.quietHoursStart || DEFAULT_QUIET_HOURS_START,
+        quietHoursEnd: user.notificationPreferences.quietHoursEnd || DEFAULT_QUIET_HOURS_END,
+        emailDigest: getDigestFrequency(user.notificationPreferences),
       });
     }
   }, [user]);
@@ -41,12 +59,29 @@ const NotificationSettings = () => {
     if (isNaN(numValue) || numValue <= 0) {
       return 'Distance must be a positive number';
     }
-    if (numValue > 500) {
-      return 'Distance cannot exceed 500 miles';
+    if (numValue > MAX_NEARBY_MEEPLEUP_DISTANCE) {
+      return `Distance cannot exceed ${MAX_NEARBY_MEEPLEUP_DISTANCE} miles`;
+    }
+    return '';
+  };
+
+  const validateQuietHours = (start, end) => {
+    if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+      return 'Enter times as HH:MM in 24-hour format (e.g. 22:00)';
+    }
+    if (parseTimeOfDay(start) === parseTimeOfDay(end)) {
+      return 'Start and end times must be different';
     }
     return '';
   };
 
+  const handleQuietHoursChange = (key, value) => {
+    const next = { ...preferences, [key]: value };
+    setPreferences(next);
+    setMessage('');
+    setQuietHoursError(validateQuietHours(next.quietHoursStart, next.quietHoursEnd));
+  };
+
   const handlePreferenceChange = (key, value) => {
     setPreferences((prev) => ({
       ...prev,
@@ -77,7 +112,7 @@ const NotificationSettings = () => {
     
     if (!error) {
       const numValue = parseFloat(value);
-      if (!isNaN(numValue) && numValue > 0 && numValue <= 500) {
+      if (!isNaN(numValue) && numValue > 0 && numValue <= MAX_NEARBY_MEEPLEUP_DISTANCE) {
         handlePreferenceChange('nearbyMeepleupDistance', numValue);
       }
     } else {
@@ -102,6 +137,15 @@ const NotificationSettings = () => {
       }
     }
 
+    if (preferences.quietHoursEnabled) {
+      const quietHoursValidationError = validateQuietHours(preferences.quietHoursStart, preferences.quietHoursEnd);
+      if (quietHoursValidationError) {
+        setQuietHoursError(quietHoursValidationError);
+        setMessage('');
+        return;
+      }
+    }
+
     setSaving(true);
     setMessage('');
     setDistanceError('');
@@ -119,6 +163,10 @@ const NotificationSettings = () => {
         gameMarking: preferences.gameMarking,
         gameMarkingEmail: preferences.gameMarkingEmail,
         nearbyMeepleupDistance: distance,
+        quietHoursEnabled: preferences.quietHoursEnabled,
+        quietHoursStart: preferences.quietHoursStart.trim(),
+        quietHoursEnd: preferences.quietHoursEnd.trim(),
+        emailDigest: preferences.emailDigest,
       });
       setMessage('Notification preferences saved successfully!');
     } catch (error) {
@@ -249,6 +297,76 @@ const NotificationSettings = () => {
         </View>
       )}
 
+      {/* Quiet Hours */}
+      <View style={styles.settingItem}>
+        <View style={styles.settingContent}>
+          <Text style={styles.settingLabel}>Quiet Hours</Text>
+          <Text style={styles.settingDescription}>
+            Don't send push notifications to your phone during these hours. They'll still be in your inbox.
+          </Text>
+        </View>
+        <Switch
+          value={preferences.quietHoursEnabled}
+          onValueChange={(value) => handlePreferenceChange('quietHoursEnabled', value)}
+          trackColor={{ false: '#ddd', true: '#d45d5d' }}
+          thumbColor="#fff"
+        />
+      </View>
+      {preferences.quietHoursEnabled && (
+        <View style={styles.distanceContainer}>
+          <View style={styles.distanceInputContainer}>
+            <Input
+              value={preferences.quietHoursStart}
+              onChangeText={(value) => handleQuietHoursChange('quietHoursStart', value)}
+              placeholder="22:00"
+              keyboardType="numbers-and-punctuation"
+              style={styles.distanceInput}
+            />
+            <Text style={styles.quietHoursSeparator}>to</Text>
+            <Input
+              value={preferences.quietHoursEnd}
+              onChangeText={(value) => handleQuietHoursChange('quietHoursEnd', value)}
+              placeholder="08:00"
+              keyboardType="numbers-and-punctuation"
+              style={styles.distanceInput}
+            />
+          </View>
+          {quietHoursError ? (
+            <Text style={[styles.helpText, styles.errorText]}>{quietHoursError}</Text>
+          ) : (
+            <Text style={styles.helpText}>
+              24-hour times in your phone's time zone; overnight ranges like 22:00 to 08:00 work
+            </Text>
+          )}
+        </View>
+      )}
+
+      {/* Email Digest */}
+      <View style={styles.digestItem}>
+        <Text style={styles.settingLabel}>Email Digest</Text>
+        <Text style={styles.settingDescription}>
+          A summary of unread notifications, upcoming game nights, new posts and game requests waiting on you
+        </Text>
+        <View style={styles.digestOptions} accessibilityRole="radiogroup">
+          {DIGEST_OPTIONS.map((option) => {
+            const selected = preferences.emailDigest === option.value;
+            return (
+              <Pressable
+                key={option.value}
+                onPress={() => handlePreferenceChange('emailDigest', option.value)}
+                style={[styles.digestOption, selected && styles.digestOptionSelected]}
+                accessibilityRole="radio"
+                accessibilityState={{ selected }}
+              >
+                <Text style={[styles.digestOptionText, selected && styles.digestOptionTextSelected]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      </View>
+
       {message ? (
         <View style={[styles.message, message.includes('successfully') ? styles.successMessage : styles.errorMessage]}>
           <Text style={[styles.messageText, message.includes('successfully') ? styles.successText : styles.errorText]}>
@@ -260,7 +378,7 @@ const NotificationSettings = () => {
       <Button
         label={saving ? 'Saving...' : 'Save Notification Settings'}
         onPress={handleSave}
-        disabled={saving || !!distanceError}
+        disabled={saving || !!distanceError || (preferences.quietHoursEnabled && !!quietHoursError)}
         style={styles.saveButton}
       />
     </View>
@@ -329,6 +447,11 @@ const styles = StyleSheet.create({
     marginRight: 8,
     marginBottom: 0,
   },
+  quietHoursSeparator: {
+    fontSize: 16,
+    color: '#666',
+    marginRight: 8,
+  },
   distanceUnit: {
     fontSize: 16,
     color: '#666',
@@ -363,6 +486,36 @@ const styles = StyleSheet.create({
   saveButton: {
     marginTop: 8,
   },
+  digestItem: {
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  digestOptions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  digestOption: {
+    flex: 1,
+    paddingVertical: 8,
+    marginRight: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+  },
+  digestOptionSelected: {
+    backgroundColor: '#d45d5d',
+    borderColor: '#d45d5d',
+  },
+  digestOptionText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  digestOptionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   emailSettingItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,582 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import Button from './common/Button';
+import { identifyGamesFromImage } from '../services/claudeVision';
+import { searchGamesByName, getGameDetails } from '../utils/api';
+import {
+  SCAN_MATCH_STATUS,
+  SCAN_PHOTO_STATUS,
+  addScanPhoto,
+  applyScanMatch,
+  createScanSession,
+  getScanReviewList,
+  getScanSummary,
+  mergeIdentifiedGames,
+  toScanCollectionRecord,
+  updateScanCandidate,
+  updateScanPhoto,
+} from '../utils/shelfScan';
+import { normalizeTitle } from '../utils/text';
+
+/**
+ * Look a scanned title up in the game database (falling back to BGG)
+ * Prefers an exact title match over the first search result.
+ */
+const findBggMatch = async (title) => {
+  const results = await searchGamesByName(title, true);
+  if (!Array.isArray(results) || !results.length) return null;
+
+  const normalized = normalizeTitle(title);
+  // A foreign edition's title matches through its alias, so compare against whichever name matched
+  const best = results.find((result) =>
+    normalizeTitle(result.name) === normalized
+    || normalizeTitle(result.matchedName) === normalized) || results[0];
+
+  let details = null;
+  try {
+    details = await getGameDetails(best.id);
+  } catch (error) {
+    console.warn('[ShelfScanner] Could not load details for', best.name, error);
+  }
+
+  return {
+    id: String(best.id),
+    name: details?.name || best.name,
+    yearPublished: details?.yearPublished || best.yearPublished || null,
+    thumbnail: details?.thumbnail || null,
+    image: details?.image || null,
+  };
+};
+
+/**
+ * Scan a whole shelf in one session
+ * Photos are identified one after another while the user keeps shooting; games seen in several
+ * photos are merged, and everything ends in one review list.
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the scanner is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onAddToCollection - Called with a game record for each game the user keeps
+ * @param {Array<Object>} [props.collection] - Games already owned, so they aren't added twice
+ */
+const ShelfScanner = ({ visible, onClose, onAddToCollection, collection = [] }) => {
+  const cameraRef = useRef(null);
+  const [permission, requestPermission] = useCameraPermissions();
+  const [cameraReady, setCameraReady] = useState(false);
+  const [torchEnabled, setTorchEnabled] = useState(false);
+  const [capturing, setCapturing] = useState(false);
+  const [stage, setStage] = useState('capture'); // 'capture' | 'review'
+  const [section, setSection] = useState('');
+  const [session, setSession] = useState(() => createScanSession());
+
+  // Photo data waiting for identification: [{ photoId, imageBase64, imageMediaType }]
+  const photoQueueRef = useRef([]);
+  const processingRef = useRef(false);
+  const matchingRef = useRef(false);
+  const sessionRef = useRef(session);
+
+  useEffect(() => {
+    sessionRef.current = session;
+  }, [session]);
+
+  const summary = getScanSummary(session);
+
+  const processPhotoQueue = useCallback(async () => {
+    if (processingRef.current) return;
+    processingRef.current = true;
+
+    try {
+      while (photoQueueRef.current.length) {
+        const { photoId, imageBase64, imageMediaType } = photoQueueRef.current.shift();
+        setSession((prev) => updateScanPhoto(prev, photoId, { status: SCAN_PHOTO_STATUS.PROCESSING }));
+
+        try {
+          const result = await identifyGamesFromImage({ imageBase64, imageMediaType });
+          setSession((prev) =>
+            updateScanPhoto(mergeIdentifiedGames(prev, photoId, result.games), photoId, {
+              status: SCAN_PHOTO_STATUS.DONE,
+              comments: result.comments || '',
+            }));
+        } catch (error) {
+          console.error('[ShelfScanner] Identification failed for photo', photoId, error);
+          setSession((prev) => updateScanPhoto(prev, photoId, {
+            status: SCAN_PHOTO_STATUS.ERROR,
+            error: error.message || 'Could not identify games in this photo.',
+          }));
+        }
+      }
+    } finally {
+      processingRef.current = false;
+    }
+  }, []);
+
+  // Look up BGG matches one at a time so Firestore and BGG aren't flooded
+  const matchCandidates = useCallback(async () => {
+    if (matchingRef.current) return;
+    matchingRef.current = true;
+
+    try {
+      let next = sessionRef.current.candidates.find((candidate) => candidate.matchStatus === SCAN_MATCH_STATUS.IDLE);
+      while (next) {
+        const candidateId = next.id;
+        const title = next.title;
+        setSession((prev) => updateScanCandidate(prev, candidateId, { matchStatus: SCAN_MATCH_STATUS.LOADING }));
+        sessionRef.current = updateScanCandidate(sessionRef.current, candidateId, { matchStatus: SCAN_MATCH_STATUS.LOADING });
+
+        let bggData = null;
+        try {
+          bggData = await findBggMatch(title);
+        } catch (error) {
+          console.warn('[ShelfScanner] BGG lookup failed for', title, error);
+        }
+
+        setSession((prev) => applyScanMatch(prev, candidateId, bggData));
+        sessionRef.current = applyScanMatch(sessionRef.current, candidateId, bggData);
+        next = sessionRef.current.candidates.find((candidate) => candidate.matchStatus === SCAN_MATCH_STATUS.IDLE);
+      }
+    } finally {
+      matchingRef.current = false;
+    }
+  }, []);
+
+  // Match games as they come in once the user is reviewing
+  useEffect(() => {
+    if (stage === 'review') {
+      matchCandidates();
+    }
+  }, [stage, session.candidates.length, matchCandidates]);
+
+  const handleCapture = async () => {
+    if (!cameraRef.current || !cameraReady || capturing) return;
+    setCapturing(true);
+
+    try {
+      const photo = await cameraRef.current.takePictureAsync({
+        quality: 0.7,
+        base64: true,
+        skipProcessing: true,
+      });
+      const photoId = `photo-${Date.now()}`;
+
+      setSession((prev) => addScanPhoto({ ...prev, currentSection: section.trim() }, { id: photoId, section: section.trim() }));
+      photoQueueRef.current.push({
+        photoId,
+        imageBase64: photo.base64,
+        imageMediaType: photo.mimeType || 'image/jpeg',
+      });
+      processPhotoQueue();
+    } catch (error) {
+      console.error('[ShelfScanner] Error capturing photo:', error);
+      Alert.alert('Could not take photo', 'Please try again.');
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const resetSession = () => {
+    photoQueueRef.current = [];
+    setSession(createScanSession());
+    setSection('');
+    setStage('capture');
+    setTorchEnabled(false);
+  };
+
+  const handleClose = () => {
+    if (!session.photos.length) {
+      resetSession();
+      onClose();
+      return;
+    }
+
+    Alert.alert(
+      'Discard this scan?',
+      `${summary.gameCount} game${summary.gameCount !== 1 ? 's' : ''} from ${summary.photoCount} photo${summary.photoCount !== 1 ? 's' : ''} haven't been added yet.`,
+      [
+        { text: 'Keep Scanning', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            resetSession();
+            onClose();
+          },
+        },
+      ],
+    );
+  };
+
+  const reviewList = getScanReviewList(session, { collection });
+  const selected = reviewList
+    .flatMap((group) => group.candidates)
+    .filter((candidate) => candidate.include && !candidate.alreadyOwned);
+  const lookingUp = session.candidates.some((candidate) =>
+    candidate.matchStatus === SCAN_MATCH_STATUS.IDLE || candidate.matchStatus === SCAN_MATCH_STATUS.LOADING);
+
+  const handleAddSelected = () => {
+    selected.forEach((candidate) => onAddToCollection(toScanCollectionRecord(candidate)));
+    Alert.alert(
+      'Games added',
+      `Added ${selected.length} game${selected.length !== 1 ? 's' : ''} to your collection.`,
+    );
+    resetSession();
+    onClose();
+  };
+
+  const renderCapture = () => (
+    <>
+      {!permission?.granted ? (
+        <View style={styles.centered}>
+          <Text style={styles.permissionTitle}>Camera access is required</Text>
+          <Text style={styles.permissionText}>
+            Enable camera permissions in your device settings to scan your shelves.
+          </Text>
+          <Button
+            label="Grant Permission"
+            onPress={() =>
+              requestPermission().catch((permError) => {
+                console.error('Camera permission request failed:', permError);
+              })
+            }
+          />
+        </View>
+      ) : (
+        <CameraView
+          ref={cameraRef}
+          style={styles.camera}
+          facing="back"
+          mode="picture"
+          animateShutter
+          enableTorch={torchEnabled}
+          onCameraReady={() => setCameraReady(true)}
+        />
+      )}
+
+      <View style={styles.footer}>
+        <TextInput
+          style={styles.sectionInput}
+          value={section}
+          onChangeText={setSection}
+          placeholder="Shelf and spot (e.g. Kallax 2, row 3)"
+          placeholderTextColor="#999"
+        />
+        <Text style={styles.progressText}>
+          {summary.photoCount} photo{summary.photoCount !== 1 ? 's' : ''}
+          {summary.pendingCount ? ` · identifying ${summary.pendingCount}` : ''}
+          {summary.failedCount ? ` · ${summary.failedCount} failed` : ''}
+          {` · ${summary.gameCount} game${summary.gameCount !== 1 ? 's' : ''} found`}
+        </Text>
+        <View style={styles.controlsRow}>
+          <Pressable
+            onPress={() => setTorchEnabled(!torchEnabled)}
+            style={[styles.torchButton, torchEnabled && styles.torchButtonActive]}
+            accessibilityRole="button"
+            accessibilityLabel={torchEnabled ? 'Turn off flashlight' : 'Turn on flashlight'}
+          >
+            <Text style={styles.torchIcon}>🔦</Text>
+          </Pressable>
+          <Button
+            label={capturing ? 'Capturing...' : 'Capture'}
+            onPress={handleCapture}
+            disabled={!cameraReady || capturing}
+            style={styles.captureButton}
+          />
+          <Button
+            label="Review"
+            onPress={() => setStage('review')}
+            disabled={!summary.photoCount}
+            variant="outline"
+            style={styles.reviewButton}
+          />
+        </View>
+      </View>
+    </>
+  );
+
+  const renderReview = () => (
+    <>
+      <ScrollView style={styles.reviewList} contentContainerStyle={styles.reviewContent}>
+        <Text style={styles.reviewTitle}>
+          {summary.gameCount} game{summary.gameCount !== 1 ? 's' : ''} from {summary.photoCount} photo{summary.photoCount !== 1 ? 's' : ''}
+        </Text>
+        {summary.pendingCount > 0 && (
+          <Text style={styles.helpText}>Still identifying {summary.pendingCount} photo{summary.pendingCount !== 1 ? 's' : ''}...</Text>
+        )}
+        {session.photos
+          .filter((photo) => photo.status === SCAN_PHOTO_STATUS.ERROR || (photo.status === SCAN_PHOTO_STATUS.DONE && !photo.gameCount))
+          .map((photo) => (
+            <Text key={photo.id} style={styles.warningText}>
+              {photo.error
+                ? `A photo${photo.section ? ` of ${photo.section}` : ''} couldn't be read: ${photo.error}`
+                : `A photo${photo.section ? ` of ${photo.section}` : ''} found no games. ${photo.comments || 'No complete box spines were visible.'}`}
+            </Text>
+          ))}
+
+        {reviewList.map((group) => (
+          <View key={group.section || 'none'} style={styles.sectionGroup}>
+            <Text style={styles.sectionHeading}>{group.section || 'No section'}</Text>
+            {group.candidates.map((candidate) => {
+              const checked = candidate.include && !candidate.alreadyOwned;
+              const details = [
+                candidate.bggData && normalizeTitle(candidate.bggData.name) !== candidate.normalizedTitle
+                  ? `Read as "${candidate.title}"`
+                  : null,
+                candidate.photoIds.length > 1 ? `in ${candidate.photoIds.length} photos` : null,
+                candidate.sections.length > 1 ? `also on ${candidate.sections.slice(1).join(', ')}` : null,
+                candidate.confidence === 'low' ? 'hard to read' : null,
+              ].filter(Boolean);
+
+              let status = null;
+              if (candidate.alreadyOwned) {
+                status = 'Already in your collection';
+              } else if (candidate.matchStatus === SCAN_MATCH_STATUS.NO_MATCH) {
+                status = 'No BoardGameGeek match';
+              }
+
+              return (
+                <Pressable
+                  key={candidate.id}
+                  style={styles.candidateRow}
+                  onPress={() => setSession((prev) => updateScanCandidate(prev, candidate.id, { include: !candidate.include }))}
+                  disabled={candidate.alreadyOwned}
+                  accessibilityRole="checkbox"
+                  accessibilityState={{ checked, disabled: candidate.alreadyOwned }}
+                >
+                  <Text style={[styles.checkbox, checked && styles.checkboxChecked]}>{checked ? '✓' : ''}</Text>
+                  <View style={styles.candidateInfo}>
+                    <Text style={[styles.candidateTitle, candidate.alreadyOwned && styles.candidateTitleMuted]}>
+                      {candidate.bggData?.name || candidate.title}
+                      {candidate.bggData?.yearPublished ? ` (${candidate.bggData.yearPublished})` : ''}
+                    </Text>
+                    {details.length > 0 && <Text style={styles.candidateMeta}>{details.join(' · ')}</Text>}
+                    {status && <Text style={styles.candidateMeta}>{status}</Text>}
+                  </View>
+                  {candidate.matchStatus === SCAN_MATCH_STATUS.LOADING && <ActivityIndicator size="small" color="#4a90e2" />}
+                </Pressable>
+              );
+            })}
+          </View>
+        ))}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {lookingUp && <Text style={styles.progressText}>Looking games up on BoardGameGeek...</Text>}
+        <View style={styles.controlsRow}>
+          <Button
+            label="Keep Scanning"
+            onPress={() => setStage('capture')}
+            variant="outline"
+            style={styles.reviewButton}
+          />
+          <Button
+            label={`Add ${selected.length} Game${selected.length !== 1 ? 's' : ''}`}
+            onPress={handleAddSelected}
+            disabled={!selected.length || summary.pendingCount > 0}
+            style={styles.captureButton}
+          />
+        </View>
+      </View>
+    </>
+  );
+
+  return (
+    <Modal animationType="slide" transparent={false} visible={visible} onRequestClose={handleClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{stage === 'capture' ? 'Scan a Shelf' : 'Review Scan'}</Text>
+          <Pressable onPress={handleClose} style={styles.closeButton} accessibilityLabel="Close shelf scanner">
+            <Text style={styles.closeText}>✕</Text>
+          </Pressable>
+        </View>
+        {stage === 'capture' ? renderCapture() : renderReview()}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: 48,
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  closeText: {
+    fontSize: 22,
+    color: '#666',
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  permissionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  permissionText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  camera: {
+    flex: 1,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    backgroundColor: '#fff',
+  },
+  sectionInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 8,
+  },
+  progressText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  controlsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  torchButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+  },
+  torchButtonActive: {
+    backgroundColor: '#fff3cd',
+    borderColor: '#f0ad4e',
+  },
+  torchIcon: {
+    fontSize: 20,
+  },
+  captureButton: {
+    flex: 1,
+  },
+  reviewButton: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  reviewList: {
+    flex: 1,
+  },
+  reviewContent: {
+    padding: 16,
+  },
+  reviewTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  warningText: {
+    fontSize: 13,
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+    borderRadius: 6,
+    padding: 8,
+    marginBottom: 8,
+  },
+  sectionGroup: {
+    marginTop: 12,
+  },
+  sectionHeading: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#4a90e2',
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  candidateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#4a90e2',
+    textAlign: 'center',
+    lineHeight: 18,
+    color: '#fff',
+    fontWeight: '700',
+    marginRight: 12,
+    overflow: 'hidden',
+  },
+  checkboxChecked: {
+    backgroundColor: '#4a90e2',
+  },
+  candidateInfo: {
+    flex: 1,
+  },
+  candidateTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  candidateTitleMuted: {
+    color: '#999',
+  },
+  candidateMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default ShelfScanner;
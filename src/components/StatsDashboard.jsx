@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useCollections } from '../context/CollectionsContext';
+import { useEvents } from '../context/EventsContext';
+import { usePlays } from '../context/PlaysContext';
+import { getGamesByIds } from '../services/gameDatabase';
+import {
+  countPlaysByGame,
+  getAttendanceStreak,
+  getCategoryBreakdown,
+  getPlayHIndex,
+  getUnplayedShare,
+  getWinRates,
+} from '../utils/playStats';
+import LoadingSpinner from './common/LoadingSpinner';
+
+const TOP_LIST_SIZE = 5;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Personal stats from the user's collection, plays and RSVPs
+ */
+const StatsDashboard = () => {
+  const { user } = useAuth();
+  const { getUserCollection } = useCollections();
+  const { events } = useEvents();
+  const { getUserPlays } = usePlays();
+  const userId = user?.uid || user?.id;
+
+  const [plays, setPlays] = useState(null);
+  const [gameDetails, setGameDetails] = useState({});
+
+  const collection = userId ? getUserCollection(userId) : [];
+  const bggIdsKey = collection.map((game) => game.bggId).filter(Boolean).join(',');
+
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    getUserPlays(userId).then((result) => {
+      if (!cancelled) {
+        setPlays(result);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, getUserPlays]);
+
+  // Category ranks live in the games collection, not on collection entries
+  useEffect(() => {
+    if (!bggIdsKey) return;
+
+    let cancelled = false;
+    getGamesByIds(bggIdsKey.split(',')).then((details) => {
+      if (!cancelled) {
+        setGameDetails(details);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bggIdsKey]);
+
+  const stats = useMemo(() => {
+    if (!plays) return null;
+    return {
+      totalPlays: countPlaysByGame(plays).reduce((sum, entry) => sum + entry.count, 0),
+      hIndex: getPlayHIndex(plays),
+      mostPlayed: countPlaysByGame(plays).slice(0, TOP_LIST_SIZE),
+      unplayed: getUnplayedShare(collection, plays),
+      categories: getCategoryBreakdown(collection, gameDetails),
+      winRates: getWinRates(plays, userId).slice(0, TOP_LIST_SIZE),
+      streak: getAttendanceStreak(events, userId),
+    };
+  }, [plays, collection, gameDetails, events, userId]);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Your Stats</Text>
+      <Text style={styles.sectionDescription}>
+        Built from your collection, the plays you've logged or imported, and your game night RSVPs.
+      </Text>
+
+      {!stats ? (
+        <LoadingSpinner />
+      ) : (
+        <>
+          <View style={styles.tiles}>
+            <View style={styles.tile}>
+              <Text style={styles.tileValue}>{stats.totalPlays}</Text>
+              <Text style={styles.tileLabel}>Plays</Text>
+            </View>
+            <View style={styles.tile}>
+              <Text style={styles.tileValue}>{stats.hIndex}</Text>
+              <Text style={styles.tileLabel}>H-index</Text>
+            </View>
+            <View style={styles.tile}>
+              <Text style={styles.tileValue}>
+                {stats.unplayed.total ? formatPercent(stats.unplayed.share) : '–'}
+              </Text>
+              <Text style={styles.tileLabel}>Never played</Text>
+            </View>
+            <View style={styles.tile}>
+              <Text style={styles.tileValue}>{stats.streak.current}</Text>
+              <Text style={styles.tileLabel}>Game night streak</Text>
+            </View>
+          </View>
+          <Text style={styles.helpText}>
+            H-index {stats.hIndex}: {stats.hIndex} games played at least {stats.hIndex} times each.
+            {stats.streak.total > 0
+              ? ` You've been to ${stats.streak.attended} of your last ${stats.streak.total} game nights (longest streak: ${stats.streak.longest}).`
+              : ''}
+          </Text>
+
+          <Text style={styles.listTitle}>Most Played</Text>
+          {stats.mostPlayed.length === 0 ? (
+            <Text style={styles.emptyText}>Log a play to start your stats.</Text>
+          ) : (
+            stats.mostPlayed.map((entry) => (
+              <View key={entry.gameKey} style={styles.row}>
+                <Text style={styles.rowLabel} numberOfLines={1}>{entry.gameName}</Text>
+                <Text style={styles.rowValue}>{entry.count}</Text>
+              </View>
+            ))
+          )}
+
+          {stats.winRates.length > 0 && (
+            <>
+              <Text style={styles.listTitle}>Win Rates</Text>
+              {stats.winRates.map((entry) => (
+                <View key={entry.gameKey} style={styles.row}>
+                  <Text style={styles.rowLabel} numberOfLines={1}>{entry.gameName}</Text>
+                  <Text style={styles.rowValue}>
+                    {formatPercent(entry.rate)} ({entry.wins}/{entry.plays})
+                  </Text>
+                </View>
+              ))}
+            </>
+          )}
+
+          {stats.categories.length > 0 && (
+            <>
+              <Text style={styles.listTitle}>Collection by Category</Text>
+              {stats.categories.map((entry) => (
+                <View key={entry.category} style={styles.row}>
+                  <View style={[styles.categoryDot, { backgroundColor: entry.color }]} />
+                  <Text style={styles.rowLabel}>{entry.name}</Text>
+                  <Text style={styles.rowValue}>{entry.count}</Text>
+                </View>
+              ))}
+            </>
+          )}
+
+          {stats.unplayed.unplayed.length > 0 && (
+            <Text style={styles.helpText}>
+              Still waiting for a first play: {stats.unplayed.unplayed
+                .slice(0, TOP_LIST_SIZE)
+                .map((game) => game.title || game.name)
+                .join(', ')}
+              {stats.unplayed.unplayed.length > TOP_LIST_SIZE
+                ? ` and ${stats.unplayed.unplayed.length - TOP_LIST_SIZE} more`
+                : ''}
+            </Text>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  sectionDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  tiles: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  tile: {
+    flexGrow: 1,
+    flexBasis: '40%',
+    margin: 4,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#f0f7ff',
+    alignItems: 'center',
+  },
+  tileValue: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#4a90e2',
+  },
+  tileLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#666',
+    lineHeight: 18,
+    marginTop: 8,
+  },
+  listTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  rowLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginRight: 8,
+  },
+  rowValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  categoryDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    paddingVertical: 8,
+  },
+});
+
+export default StatsDashboard;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Button from './common/Button';
+import { useCollections } from '../context/CollectionsContext';
+import { getGamesByIds } from '../services/gameDatabase';
+import { getGameKey } from '../utils/eventCollection';
+import {
+  buildGamePool,
+  formatTablePlan,
+  getTableWarnings,
+  movePlayer,
+  planTables,
+  setTableLocked,
+  swapPlayers,
+} from '../utils/tablePlanner';
+
+const TablePlanner = ({
+  groupId,
+  attendeeIds,
+  getMemberName,
+  occurrenceLabel,
+  onPublish,
+  publishing = false,
+}) => {
+  const { getEventCollection, getUserCollection } = useCollections();
+  const [gameDetails, setGameDetails] = useState({});
+  const [tables, setTables] = useState([]);
+  const [unassignedIds, setUnassignedIds] = useState([]);
+  const [selectedPlayerId, setSelectedPlayerId] = useState(null);
+
+  const attendeeKey = attendeeIds.join(',');
+  const games = useMemo(
+    () => getEventCollection(attendeeIds, { groupId }),
+    [attendeeKey, groupId, getEventCollection],
+  );
+
+  // Fill in player counts the collection entries are missing from the games collection
+  useEffect(() => {
+    const missing = games.filter(
+      (game) => game.bggId && (!game.minPlayers || !game.maxPlayers) && !gameDetails[getGameKey(game)],
+    );
+    if (!missing.length) return;
+
+    let cancelled = false;
+    const fetchDetails = async () => {
+      const byBggId = await getGamesByIds(missing.map((game) => game.bggId));
+      const fetched = {};
+      missing.forEach((game) => {
+        if (byBggId[String(game.bggId)]) {
+          fetched[getGameKey(game)] = byBggId[String(game.bggId)];
+        }
+      });
+      if (!cancelled && Object.keys(fetched).length) {
+        setGameDetails((prev) => ({ ...prev, ...fetched }));
+      }
+    };
+    fetchDetails();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [games, gameDetails]);
+
+  const pool = useMemo(() => {
+    const collectionsByUser = attendeeIds.reduce((acc, userId) => {
+      acc[userId] = getUserCollection(userId);
+      return acc;
+    }, {});
+    return buildGamePool({ attendeeIds, games, collectionsByUser, gameDetails });
+  }, [attendeeKey, games, gameDetails, getUserCollection]);
+
+  // Read through a ref so re-planning on new RSVPs doesn't depend on (and reset) the tables
+  const tablesRef = useRef(tables);
+  tablesRef.current = tables;
+
+  // Hand edits (moves, swaps, locks) stand until "Re-plan" or a change in who's coming;
+  // an untouched plan keeps following the pool as player counts load
+  const editedRef = useRef(false);
+  const plannedAttendeeKeyRef = useRef(null);
+
+  const replan = useCallback(() => {
+    const lockedTables = tablesRef.current.filter((table) => table.locked);
+    const plan = planTables(attendeeIds, pool, { lockedTables });
+    setTables(plan.tables);
+    setUnassignedIds(plan.unassignedIds);
+    setSelectedPlayerId(null);
+    editedRef.current = false;
+    plannedAttendeeKeyRef.current = attendeeKey;
+  }, [attendeeKey, pool]);
+
+  useEffect(() => {
+    if (editedRef.current && plannedAttendeeKeyRef.current === attendeeKey) return;
+    replan();
+  }, [attendeeKey, replan]);
+
+  const editTables = (update) => {
+    editedRef.current = true;
+    setTables(update);
+  };
+
+  const handlePlayerPress = (userId) => {
+    if (!selectedPlayerId) {
+      setSelectedPlayerId(userId);
+      return;
+    }
+    if (selectedPlayerId === userId) {
+      setSelectedPlayerId(null);
+      return;
+    }
+
+    const otherIsSeated = tables.some((table) => table.playerIds.includes(userId));
+    const selectedIsSeated = tables.some((table) => table.playerIds.includes(selectedPlayerId));
+    if (otherIsSeated && selectedIsSeated) {
+      editTables((current) => swapPlayers(current, selectedPlayerId, userId));
+    }
+    setSelectedPlayerId(null);
+  };
+
+  const handleMoveHere = (tableId) => {
+    if (!selectedPlayerId) return;
+    editTables((current) => movePlayer(current, selectedPlayerId, tableId));
+    setUnassignedIds((current) => current.filter((id) => id !== selectedPlayerId));
+    setSelectedPlayerId(null);
+  };
+
+  const handlePublish = () => {
+    onPublish?.({
+      tables,
+      unassignedIds,
+      content: formatTablePlan({
+        tables,
+        unassignedIds,
+        getName: getMemberName,
+        heading: occurrenceLabel ? `Table plan for ${occurrenceLabel}` : 'Table plan',
+      }),
+    });
+  };
+
+  const renderPlayer = (userId) => (
+    <TouchableOpacity
+      key={userId}
+      style={[styles.playerChip, selectedPlayerId === userId && styles.playerChipSelected]}
+      onPress={() => handlePlayerPress(userId)}
+    >
+      <Text style={[styles.playerName, selectedPlayerId === userId && styles.playerNameSelected]}>
+        {getMemberName(userId)}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  if (!attendeeIds.length) {
+    return <Text style={styles.emptyText}>No one is going yet. Tables are planned from "Going" RSVPs.</Text>;
+  }
+
+  if (!pool.length) {
+    return (
+      <Text style={styles.emptyText}>
+        None of the attendees have games in their collections yet.
+      </Text>
+    );
+  }
+
+  return (
+    <View>
+      <Text style={styles.hint}>
+        {selectedPlayerId
+          ? `Tap another player to swap with ${getMemberName(selectedPlayerId)}, or "Move here" on a table.`
+          : 'Tap a player to swap or move them. Locked tables stay put when you re-plan.'}
+      </Text>
+
+      {tables.map((table, index) => {
+        const warnings = getTableWarnings(table);
+        return (
+          <View key={table.id} style={[styles.table, table.locked && styles.tableLocked]}>
+            <View style={styles.tableHeader}>
+              <View style={styles.tableTitleContainer}>
+                <Text style={styles.tableTitle}>
+                  Table {index + 1}: {table.title}
+                </Text>
+                <Text style={styles.tableMeta}>
+                  {table.playerIds.length} of {table.minPlayers === table.maxPlayers
+                    ? table.maxPlayers
+                    : `${table.minPlayers}-${table.maxPlayers}`} players
+                  {table.broughtBy ? ` · brought by ${getMemberName(table.broughtBy)}` : ''}
+                </Text>
+              </View>
+              <TouchableOpacity
+                onPress={() => editTables((current) => setTableLocked(current, table.id, !table.locked))}
+              >
+                <Text style={styles.tableAction}>{table.locked ? 'Unlock' : 'Lock'}</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.playerList}>{table.playerIds.map(renderPlayer)}</View>
+            {warnings.map((warning) => (
+              <Text key={warning} style={styles.warning}>{warning}</Text>
+            ))}
+            {selectedPlayerId && !table.playerIds.includes(selectedPlayerId) && (
+              <TouchableOpacity onPress={() => handleMoveHere(table.id)}>
+                <Text style={styles.tableAction}>Move here</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      {unassignedIds.length > 0 && (
+        <View style={styles.table}>
+          <Text style={styles.tableTitle}>Still needs a table</Text>
+          <View style={styles.playerList}>{unassignedIds.map(renderPlayer)}</View>
+        </View>
+      )}
+
+      <View style={styles.actions}>
+        <Button label="Re-plan" onPress={replan} variant="outline" style={styles.actionButton} />
+        <Button
+          label={publishing ? 'Publishing...' : 'Publish Plan'}
+          onPress={handlePublish}
+          disabled={publishing || !tables.length}
+          style={styles.actionButton}
+        />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  table: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    backgroundColor: '#fff',
+  },
+  tableLocked: {
+    borderColor: '#4a90e2',
+    backgroundColor: '#f0f7ff',
+  },
+  tableHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  tableTitleContainer: {
+    flex: 1,
+    marginRight: 8,
+  },
+  tableTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  tableMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  tableAction: {
+    fontSize: 13,
+    color: '#4a90e2',
+    fontWeight: '600',
+    paddingVertical: 4,
+  },
+  playerList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  playerChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  playerChipSelected: {
+    backgroundColor: '#4a90e2',
+  },
+  playerName: {
+    fontSize: 13,
+    color: '#333',
+  },
+  playerNameSelected: {
+    color: '#fff',
+  },
+  warning: {
+    fontSize: 12,
+    color: '#d32f2f',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  actionButton: {
+    marginLeft: 8,
+    minWidth: 110,
+  },
+});
+
+export default TablePlanner;
@@ -0,0 +1,216 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { getFontFamilyName, isFontLoaded, loadFontOnDemand } from '../utils/fontLoader';
+import { SHELF_ORIENTATION, getGameLocation, getShelves } from '../utils/shelfLocations';
+import { getSpineStyle } from '../utils/spineStyle';
+
+// Stacked boxes are drawn lying down, so they need to be as long as a standing box is tall
+const STACKED_SPINE_LENGTH = 150;
+
+/**
+ * One box spine, drawn with the styling Claude read off the real box
+ * The font is only applied once it has loaded, so the title never renders with a missing font.
+ */
+const Spine = React.memo(({ game, onPress }) => {
+  const spine = useMemo(() => getSpineStyle(game), [game]);
+  const [fontFamily, setFontFamily] = useState(() =>
+    (spine.fontName && isFontLoaded(spine.fontName) ? getFontFamilyName(spine.fontName) : undefined));
+
+  useEffect(() => {
+    if (!spine.fontName || fontFamily) return;
+
+    let cancelled = false;
+    loadFontOnDemand(spine.fontName).then((loaded) => {
+      if (loaded && !cancelled) {
+        setFontFamily(getFontFamilyName(spine.fontName));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [spine.fontName, fontFamily]);
+
+  const isStanding = spine.orientation === SHELF_ORIENTATION.STANDING;
+  const width = isStanding ? spine.width : STACKED_SPINE_LENGTH;
+  const height = isStanding ? spine.length : spine.width;
+  const textStyle = fontFamily ? [spine.textStyle, { fontFamily }] : spine.textStyle;
+
+  return (
+    <Pressable
+      onPress={() => onPress(game)}
+      accessibilityRole="button"
+      accessibilityLabel={`Open ${game.title || 'game'}`}
+      style={[styles.spine, { width, height, backgroundColor: spine.backgroundColor }]}
+    >
+      {spine.backgroundColorSecondary && (
+        <LinearGradient
+          colors={[spine.backgroundColor, spine.backgroundColorSecondary]}
+          style={StyleSheet.absoluteFill}
+        />
+      )}
+      {isStanding ? (
+        // Lay the title out horizontally at full length, then turn it to run along the spine
+        <View
+          style={[
+            styles.spineTitleRotated,
+            {
+              width: height,
+              height: width,
+              left: (width - height) / 2,
+              top: (height - width) / 2,
+              transform: [{ rotate: `${spine.textRotation}deg` }],
+            },
+          ]}
+        >
+          <Text style={textStyle} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.6}>
+            {game.title}
+          </Text>
+        </View>
+      ) : (
+        <View style={styles.spineTitleFlat}>
+          <Text style={textStyle} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.6}>
+            {game.title}
+          </Text>
+        </View>
+      )}
+    </Pressable>
+  );
+});
+
+// Consecutive stacked boxes share one pile; standing boxes sit side by side
+const groupIntoPiles = (games) =>
+  games.reduce((piles, game) => {
+    const isStacked = getSpineStyle(game).orientation === SHELF_ORIENTATION.STACKED;
+    const lastPile = piles[piles.length - 1];
+    if (isStacked && lastPile?.stacked) {
+      lastPile.games.push(game);
+    } else {
+      piles.push({ stacked: isStacked, games: [game] });
+    }
+    return piles;
+  }, []);
+
+const ShelfRow = ({ label, games, onSelectGame }) => (
+  <View style={styles.shelfRow}>
+    {label ? <Text style={styles.spotLabel}>{label}</Text> : null}
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.shelfContents}>
+      {groupIntoPiles(games).map((pile) => (
+        <View key={pile.games[0].id} style={pile.stacked ? styles.pile : styles.standingGroup}>
+          {pile.games.map((game) => (
+            <Spine key={game.id} game={game} onPress={onSelectGame} />
+          ))}
+        </View>
+      ))}
+    </ScrollView>
+    <View style={styles.plank} />
+  </View>
+);
+
+/**
+ * Collection drawn as shelves of box spines, in the order they were scanned
+ * @param {Object} props
+ * @param {Array<Object>} props.collection - Collection entries to draw
+ * @param {Function} props.onSelectGame - Called with the game when a spine is tapped
+ */
+const VirtualBookshelf = ({ collection, onSelectGame }) => {
+  const shelves = useMemo(() => getShelves(collection), [collection]);
+  const unshelved = useMemo(
+    () => collection
+      .filter((game) => !getGameLocation(game))
+      .sort((a, b) => (a.title || '').localeCompare(b.title || '')),
+    [collection]
+  );
+
+  return (
+    <View style={styles.container}>
+      {shelves.map(({ shelf, spots }) => (
+        <View key={shelf} style={styles.shelf}>
+          <Text style={styles.shelfName}>{shelf}</Text>
+          {spots.map(({ spot, games }) => (
+            <ShelfRow key={spot || '-'} label={spot} games={games} onSelectGame={onSelectGame} />
+          ))}
+        </View>
+      ))}
+
+      {unshelved.length > 0 && (
+        <View style={styles.shelf}>
+          <Text style={styles.shelfName}>Not on a shelf yet</Text>
+          <Text style={styles.shelfHint}>
+            Scan a shelf, or open a game and tap "Set shelf", to put these where they really are.
+          </Text>
+          <ShelfRow games={unshelved} onSelectGame={onSelectGame} />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 24,
+  },
+  shelf: {
+    marginBottom: 24,
+  },
+  shelfName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  shelfHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  shelfRow: {
+    marginBottom: 12,
+  },
+  spotLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 4,
+  },
+  shelfContents: {
+    alignItems: 'flex-end',
+    paddingHorizontal: 4,
+  },
+  standingGroup: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  pile: {
+    justifyContent: 'flex-end',
+    marginHorizontal: 4,
+  },
+  plank: {
+    height: 10,
+    borderRadius: 2,
+    backgroundColor: '#8b6b4a',
+  },
+  spine: {
+    overflow: 'hidden',
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: 'rgba(0, 0, 0, 0.35)',
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2,
+  },
+  spineTitleRotated: {
+    position: 'absolute',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+  },
+  spineTitleFlat: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+  },
+});
+
+export default VirtualBookshelf;
@@ -1,11 +1,13 @@
 import React from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationsContext';
 import GearIcon from './GearIcon';
 import './Navigation.css';
 
 const WebNavigation = () => {
   const { isAuthenticated, isEmailVerified } = useAuth();
+  const { unreadCount } = useNotifications();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -23,7 +25,9 @@ const WebNavigation = () => {
 
   const navItems = [
     { name: 'MeepleUps', path: '/events' },
+    { name: 'Discover', path: '/discover' },
     { name: 'Your Games', path: '/collection' },
+    { name: 'Inbox', path: '/notifications', showBadge: true },
     { name: 'Profile', path: '/profile', showGear: true },
   ];
 
@@ -39,6 +43,11 @@ const WebNavigation = () => {
             >
               <span className="nav-link-content">
                 {item.name}
+                {item.showBadge && unreadCount > 0 && (
+                  <span className="nav-badge" aria-label={`${unreadCount} unread`}>
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
                 {item.showGear && (
                   <>
                     {' / '}
@@ -22,11 +22,27 @@ export const API_CONFIG = {
   ANTHROPIC_BASE_URL: 'https://api.anthropic.com',
   ANTHROPIC_DEFAULT_MODEL: process.env.EXPO_PUBLIC_ANTHROPIC_MODEL || 'claude-3-haiku-20240307',
   ANTHROPIC_VERSION: '2023-06-01',
+  // "anthropic", or "mock" to replay recorded responses without network access
+  LLM_PROVIDER: process.env.EXPO_PUBLIC_LLM_PROVIDER || 'anthropic',
+  LLM_TIMEOUT_MS: 60000,
+  // "expo", or "fake" to keep push notifications in memory instead of sending them to devices
+  PUSH_TRANSPORT: process.env.EXPO_PUBLIC_PUSH_TRANSPORT || 'expo',
+  EXPO_PUSH_URL: 'https://exp.host/--/api/v2/push/send',
+  PUSH_TIMEOUT_MS: 15000,
 };
 
-// Email configuration (if needed later)
+// Email configuration (used by the email digest script)
 export const EMAIL_CONFIG = {
-  USER: process.env.REACT_APP_EMAIL_USER || 'game.lender.app@gmail.com',
-  PASS: process.env.REACT_APP_EMAIL_PASS || 'gddq sifd wibz uzuh',
+  // SMTP credentials come from the environment only; the smtp transport refuses to start without them
+  USER: process.env.SMTP_USER || process.env.REACT_APP_EMAIL_USER || '',
+  PASS: process.env.SMTP_PASS || process.env.REACT_APP_EMAIL_PASS || '',
+  // "smtp", or "capture" to keep emails locally instead of sending them
+  TRANSPORT: process.env.MAIL_TRANSPORT || 'smtp',
+  SMTP_HOST: process.env.SMTP_HOST || 'smtp.gmail.com',
+  SMTP_PORT: parseInt(process.env.SMTP_PORT || '465', 10),
+  SMTP_SECURE: (process.env.SMTP_SECURE || 'true') !== 'false',
+  FROM: process.env.MAIL_FROM || 'MeepleUp <game.lender.app@gmail.com>',
+  // Where links in emails point (the web app)
+  APP_URL: process.env.MEEPLEUP_APP_URL || 'https://meepleup-951a1.web.app',
 };
 
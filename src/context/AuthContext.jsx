@@ -1,9 +1,30 @@
 import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
 import storage from '../utils/storage';
 import firebase, { auth, db } from '../config/firebase';
+import { unregisterPushToken } from '../utils/pushTokens';
+import { resolvePostalLocation } from '../utils/postalCodes';
+import { encodeGeohash } from '../utils/geo';
 
 const AuthContext = createContext();
 
+// Profiles saved before nearby notifications searched by geohash (see services/eventDiscovery) get one now,
+// so those members keep hearing about MeepleUps near them
+const backfillUserGeohash = async (userRef, userData) => {
+  try {
+    const coordinates = userData.coordinates
+      || await resolvePostalLocation(userData.zipcode, userData.country);
+    if (!coordinates) {
+      return;
+    }
+    await userRef.update({
+      coordinates,
+      geohash: encodeGeohash(coordinates.lat, coordinates.lng),
+    });
+  } catch (error) {
+    console.error('Error backfilling user geohash:', error);
+  }
+};
+
 const PROFILE_STORAGE_KEY = (uid) => `meepleup_profile_${uid}`;
 
 const parseProfile = (profile) => {
@@ -14,6 +35,8 @@ const parseProfile = (profile) => {
       bggUsername: '',
       location: '',
       zipcode: '',
+      country: '',
+      coordinates: null,
       notificationPreferences: {
         meepleupChanges: true,
         meepleupChangesEmail: false,
@@ -32,6 +55,8 @@ const parseProfile = (profile) => {
     bggUsername: profile.bggUsername || '',
     location: profile.location || '',
     zipcode: profile.zipcode || profile.location || '', // Support both for backward compatibility
+    country: profile.country || '',
+    coordinates: profile.coordinates || null,
     notificationPreferences: profile.notificationPreferences || {
       meepleupChanges: true,
       meepleupChangesEmail: false,
@@ -61,6 +86,8 @@ const mapUser = (firebaseUser, storedProfile = {}) => {
     bggUsername: profile.bggUsername,
     location: profile.location,
     zipcode: profile.zipcode,
+    country: profile.country,
+    coordinates: profile.coordinates,
     photoURL: firebaseUser.photoURL || null,
     notificationPreferences: profile.notificationPreferences,
     metadata: {
@@ -102,12 +129,17 @@ export const AuthProvider = ({ children }) => {
             const userDoc = await db.collection('users').doc(cacheKey).get();
             if (userDoc.exists) {
               const userData = userDoc.data();
+              if (userData.zipcode && !userData.geohash) {
+                backfillUserGeohash(userDoc.ref, userData);
+              }
               firestoreProfile = {
                 name: userData.name || '',
                 bio: userData.bio || '',
                 bggUsername: userData.bggUsername || '',
                 location: userData.location || '',
                 zipcode: userData.zipcode || userData.location || '',
+                country: userData.country || '',
+                coordinates: userData.coordinates || null,
                 notificationPreferences: userData.preferences?.notifications || userData.notificationPreferences || {
                   meepleupChanges: true,
                   meepleupChangesEmail: false,
@@ -242,6 +274,8 @@ export const AuthProvider = ({ children }) => {
       bggUsername: '',
       location: '',
       zipcode: '',
+      country: '',
+      coordinates: null,
       notificationPreferences: {
         meepleupChanges: true,
         meepleupChangesEmail: false,
@@ -299,6 +333,8 @@ export const AuthProvider = ({ children }) => {
             bggUsername: userData.bggUsername || '',
             location: userData.location || '',
             zipcode: userData.zipcode || userData.location || '',
+            country: userData.country || '',
+            coordinates: userData.coordinates || null,
             notificationPreferences: userData.notificationPreferences || {
               meepleupChanges: true,
               meepleupChangesEmail: false,
@@ -328,6 +364,10 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = async () => {
+    // While still signed in, so the profile can be written
+    if (auth.currentUser) {
+      await unregisterPushToken(auth.currentUser.uid);
+    }
     await auth.signOut();
     setUser(null);
   };
@@ -388,6 +428,16 @@ export const AuthProvider = ({ children }) => {
       ...updates,
     };
 
+    // Place the postal code once here so nearby-MeepleUp checks can use stored coordinates
+    if (
+      (updates.zipcode !== undefined && updates.zipcode !== currentProfile.zipcode)
+      || (updates.country !== undefined && updates.country !== currentProfile.country)
+    ) {
+      nextProfile.coordinates = nextProfile.zipcode
+        ? await resolvePostalLocation(nextProfile.zipcode, nextProfile.country)
+        : null;
+    }
+
     // Update Firebase Auth profile if name or photoURL changed
     const authUpdates = {};
     if (typeof updates.name === 'string' && updates.name.trim() !== auth.currentUser.displayName) {
@@ -412,6 +462,12 @@ export const AuthProvider = ({ children }) => {
           bio: nextProfile.bio || '',
           bggUsername: nextProfile.bggUsername || '',
           zipcode: nextProfile.zipcode || '',
+          country: nextProfile.country || '',
+          coordinates: nextProfile.coordinates || null,
+          // Lets nearby-MeepleUp notifications find this user with a range query (see eventDiscovery.js)
+          geohash: nextProfile.coordinates
+            ? encodeGeohash(nextProfile.coordinates.lat, nextProfile.coordinates.lng)
+            : null,
           avatarUrl: nextProfile.photoURL || auth.currentUser.photoURL || '',
           updatedAt: firebase.firestore.Timestamp.now(),
         };
@@ -717,6 +773,7 @@ export const AuthProvider = ({ children }) => {
         await storage.removeItem(PROFILE_STORAGE_KEY(userId));
         await storage.removeItem('meepleup_collections');
         await storage.removeItem('meepleup_events');
+        await storage.removeItem('meepleup_identification_sessions');
         console.log('[deleteAccount] Cleared local storage');
       } catch (error) {
         console.error('Error clearing local storage:', error);
@@ -14,8 +14,8 @@ import {
   getDoc,
 } from 'firebase/firestore';
 import zipcodes from 'zipcodes';
-import * as Location from 'expo-location';
 import { db } from '../config/firebase';
+import { geocodeQuery, haversineMiles } from '../utils/geo';
 import { useAuth } from './AuthContext';
 
 const AvailabilityContext = createContext();
@@ -59,59 +59,6 @@ const timeToMinutes = (time) => {
   return hours * 60 + minutes;
 };
 
-const haversineMiles = (lat1, lon1, lat2, lon2) => {
-  const R = 3958.8; // Radius of the Earth in miles
-  const toRad = (value) => (value * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-};
-
-const geocodeQuery = async (query) => {
-  if (!query) {
-    return null;
-  }
-
-  try {
-    const results = await Location.geocodeAsync(query);
-    if (!results || results.length === 0) {
-      return null;
-    }
-
-    const [primary] = results;
-    const latitude = typeof primary.latitude === 'number' ? primary.latitude : null;
-    const longitude = typeof primary.longitude === 'number' ? primary.longitude : null;
-
-    if (latitude === null || longitude === null) {
-      return null;
-    }
-
-    const nameParts = [
-      primary.name,
-      primary.city,
-      primary.region || primary.subregion,
-      primary.isoCountryCode,
-    ].filter(Boolean);
-
-    return {
-      lat: latitude,
-      lng: longitude,
-      label: nameParts.length > 0 ? nameParts.join(', ') : query,
-      postalCode: primary.postalCode || (query.match(/^\d{5}$/) ? query : ''),
-    };
-  } catch (error) {
-    console.warn('[Availability] geocodeAsync failed', error?.message || error);
-    return null;
-  }
-};
-
 const resolveLocation = async (rawLocation = {}) => {
   const query = (rawLocation.query || rawLocation.label || rawLocation.postalCode || '').trim();
   const radiusMiles = ensureNumber(rawLocation.radiusMiles, DEFAULT_RADIUS_MILES);
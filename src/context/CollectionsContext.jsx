@@ -1,9 +1,28 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { AppState, Platform } from 'react-native';
 import storage from '../utils/storage';
 import { useAuth } from './AuthContext';
+import { db } from '../config/firebase';
+import { STORAGE_KEYS } from '../utils/constants';
+import { mergeEventCollection } from '../utils/eventCollection';
+import { getMemberRSVP } from '../utils/rsvp';
+import {
+  QUEUE_OPERATIONS,
+  WRITE_RESULTS,
+  applyPendingWrites,
+  enqueueWrite,
+  fetchUserCollection,
+  isRetryableError,
+  replayWrite,
+} from '../utils/collectionSync';
 
 const CollectionsContext = createContext();
 
+// Other members' libraries are re-fetched after this long
+const MEMBER_COLLECTION_TTL_MS = 5 * 60 * 1000;
+// Wait before retrying the queue after a network failure
+const QUEUE_RETRY_DELAY_MS = 30 * 1000;
+
 export const useCollections = () => {
   const context = useContext(CollectionsContext);
   if (!context) {
@@ -14,35 +33,236 @@ export const useCollections = () => {
 
 export const CollectionsProvider = ({ children }) => {
   const { user } = useAuth();
+  const userId = user?.uid || user?.id || null;
   const [collections, setCollections] = useState({}); // { userId: [games] }
+  const [pendingWrites, setPendingWrites] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [storageLoaded, setStorageLoaded] = useState(false);
+
+  const queueRef = useRef([]);
+  const flushingRef = useRef(false);
+  const retryTimerRef = useRef(null);
+  const loadedAtRef = useRef({}); // { userId: timestamp of last server load }
+  const collectionsRef = useRef(collections); // Latest cache, for effects that shouldn't re-run on every change
+  collectionsRef.current = collections;
+
+  const updateQueue = useCallback((updater) => {
+    queueRef.current = updater(queueRef.current);
+    setPendingWrites(queueRef.current);
+  }, []);
 
-  // Load collections from storage on mount
+  // Load the cached collection and any unsent writes from storage on mount
   useEffect(() => {
     const loadCollections = async () => {
       try {
-        const storedCollections = await storage.getItem('meepleup_collections');
+        const [storedCollections, storedQueue] = await Promise.all([
+          storage.getItem(STORAGE_KEYS.COLLECTIONS),
+          storage.getItem(STORAGE_KEYS.COLLECTION_QUEUE),
+        ]);
         if (storedCollections) {
           setCollections(JSON.parse(storedCollections));
         }
+        if (storedQueue) {
+          updateQueue(() => JSON.parse(storedQueue));
+        }
       } catch (error) {
         console.error('Error loading collections:', error);
+      } finally {
+        setStorageLoaded(true);
       }
     };
     loadCollections();
-  }, []);
+  }, [updateQueue]);
 
-  // Save collections to storage whenever they change
+  // Cache every loaded collection so event libraries still work offline; the server copy wins on next load
   useEffect(() => {
+    if (!storageLoaded) return;
+
     const saveCollections = async () => {
       try {
-        await storage.setItem('meepleup_collections', JSON.stringify(collections));
+        await storage.setItem(STORAGE_KEYS.COLLECTIONS, JSON.stringify(collections));
       } catch (error) {
         console.error('Error saving collections:', error);
       }
     };
     saveCollections();
-  }, [collections]);
+  }, [collections, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+
+    const saveQueue = async () => {
+      try {
+        await storage.setItem(STORAGE_KEYS.COLLECTION_QUEUE, JSON.stringify(pendingWrites));
+      } catch (error) {
+        console.error('Error saving collection queue:', error);
+      }
+    };
+    saveQueue();
+  }, [pendingWrites, storageLoaded]);
+
+  /**
+   * Load collections from Firestore
+   * @param {Array<string>} userIds - Users to load
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore the freshness window
+   */
+  const loadCollections = useCallback(async (userIds, { force = false } = {}) => {
+    if (!db) return;
+
+    const now = Date.now();
+    const stale = [...new Set(userIds || [])].filter(
+      (id) => id && (force || !loadedAtRef.current[id] || now - loadedAtRef.current[id] > MEMBER_COLLECTION_TTL_MS),
+    );
+    if (!stale.length) return;
+
+    stale.forEach((id) => {
+      loadedAtRef.current[id] = now;
+    });
+    setLoading(true);
+
+    try {
+      const results = await Promise.all(
+        stale.map(async (id) => {
+          try {
+            return [id, await fetchUserCollection(id)];
+          } catch (error) {
+            console.error(`Error loading collection for ${id}:`, error);
+            delete loadedAtRef.current[id];
+            return [id, null];
+          }
+        }),
+      );
+
+      setCollections((prev) => {
+        const next = { ...prev };
+        results.forEach(([id, games]) => {
+          if (games) {
+            next[id] = applyPendingWrites(games, queueRef.current, id);
+          }
+        });
+        return next;
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Replay queued writes in order; stop at the first network failure and retry later
+  const flushQueue = useCallback(async () => {
+    if (!db || flushingRef.current || !queueRef.current.length) return;
+
+    flushingRef.current = true;
+    setSyncing(true);
+    clearTimeout(retryTimerRef.current);
+
+    let hadConflict = false;
+    try {
+      while (queueRef.current.length) {
+        const write = queueRef.current[0];
+        try {
+          const result = await replayWrite(write);
+          if (result === WRITE_RESULTS.STALE) {
+            hadConflict = true;
+          }
+        } catch (error) {
+          if (isRetryableError(error)) {
+            retryTimerRef.current = setTimeout(() => flushQueue(), QUEUE_RETRY_DELAY_MS);
+            break;
+          }
+          console.error('Dropping collection write that cannot succeed:', error);
+          hadConflict = true;
+        }
+        // Compare by reference: the write may have been folded into a newer one meanwhile
+        updateQueue((queue) => queue.filter((pending) => pending !== write));
+      }
+    } finally {
+      flushingRef.current = false;
+      setSyncing(false);
+    }
+
+    // Another device won a conflict; show what the server has now
+    if (hadConflict && userId) {
+      loadCollections([userId], { force: true });
+    }
+  }, [updateQueue, loadCollections, userId]);
+
+  // Sync the signed-in user's collection once storage is loaded
+  useEffect(() => {
+    if (!storageLoaded || !userId || !db) return;
+
+    const syncOwnCollection = async () => {
+      try {
+        const serverGames = await fetchUserCollection(userId);
+        loadedAtRef.current[userId] = Date.now();
+
+        const migratedKey = `${STORAGE_KEYS.COLLECTIONS}_migrated_${userId}`;
+        const migrated = await storage.getItem(migratedKey);
+        const cachedGames = collectionsRef.current[userId] || [];
+
+        // First run after moving to Firestore: upload the locally stored collection
+        if (!migrated && !serverGames.length && cachedGames.length) {
+          const clientUpdatedAt = Date.now();
+          updateQueue((queue) => cachedGames.reduce(
+            (acc, game) => enqueueWrite(acc, {
+              operation: QUEUE_OPERATIONS.ADD,
+              userId,
+              gameId: game.id,
+              data: game,
+              clientUpdatedAt,
+            }),
+            queue,
+          ));
+        } else {
+          setCollections((prev) => ({
+            ...prev,
+            [userId]: applyPendingWrites(serverGames, queueRef.current, userId),
+          }));
+        }
+        await storage.setItem(migratedKey, 'true');
+      } catch (error) {
+        // Offline: keep showing the cached copy
+        console.error('Error syncing collection:', error);
+      }
+      flushQueue();
+    };
+    syncOwnCollection();
+    // flushQueue only changes with the user; the cache is read through collectionsRef
+  }, [storageLoaded, userId, flushQueue, updateQueue]);
+
+  // Replay the queue when the app comes back to the foreground or the browser reconnects
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        flushQueue();
+      }
+    });
+
+    let removeOnlineListener = null;
+    if (Platform.OS === 'web' && typeof window !== 'undefined') {
+      window.addEventListener('online', flushQueue);
+      removeOnlineListener = () => window.removeEventListener('online', flushQueue);
+    }
+
+    return () => {
+      subscription?.remove?.();
+      removeOnlineListener?.();
+      clearTimeout(retryTimerRef.current);
+    };
+  }, [flushQueue]);
+
+  // Apply a write locally right away, then queue it for Firestore
+  const queueWrite = (operation, ownerId, gameId, data = null) => {
+    updateQueue((queue) => enqueueWrite(queue, {
+      operation,
+      userId: ownerId,
+      gameId,
+      data,
+      clientUpdatedAt: Date.now(),
+    }));
+    flushQueue();
+  };
 
   const addGameToCollection = (userId, gameData) => {
     if (!userId) return;
@@ -50,6 +270,7 @@ export const CollectionsProvider = ({ children }) => {
       ...prev,
       [userId]: [...(prev[userId] || []), gameData],
     }));
+    queueWrite(QUEUE_OPERATIONS.ADD, userId, gameData.id, gameData);
   };
 
   const removeGameFromCollection = (userId, gameId) => {
@@ -58,29 +279,38 @@ export const CollectionsProvider = ({ children }) => {
       ...prev,
       [userId]: (prev[userId] || []).filter((game) => game.id !== gameId),
     }));
+    queueWrite(QUEUE_OPERATIONS.REMOVE, userId, gameId);
   };
 
-  const getUserCollection = (userId) => {
+  // Stable between renders so screens can memoize on them
+  const getUserCollection = useCallback((userId) => {
     if (!userId) return [];
     return collections[userId] || [];
-  };
+  }, [collections]);
 
-  const getEventCollection = (eventMembers) => {
-    // Get all games from all members of an event
-    const allGames = [];
-    eventMembers.forEach((memberId) => {
-      const memberGames = getUserCollection(memberId);
-      allGames.push(...memberGames);
-    });
-    // Remove duplicates based on game ID
-    const uniqueGames = allGames.reduce((acc, game) => {
-      if (!acc.find((g) => g.id === game.id)) {
-        acc.push(game);
+  /**
+   * Merged library for an event, one entry per title with every owner's copy
+   * @param {Array<string|Object>} eventMembers - Member user IDs, or member objects with rsvps
+   * @param {Object} [options]
+   * @param {string} [options.groupId] - Only include copies visible in this group
+   * @param {string} [options.occurrenceId] - Game night used for availableTonight (needs member objects)
+   * @returns {Array<Object>} - Entries from mergeEventCollection
+   */
+  const getEventCollection = useCallback((eventMembers, { groupId, occurrenceId } = {}) => {
+    const collectionsByUser = {};
+    const rsvpByUser = occurrenceId ? {} : null;
+
+    (eventMembers || []).forEach((member) => {
+      const memberId = typeof member === 'string' ? member : member?.userId;
+      if (!memberId) return;
+      collectionsByUser[memberId] = getUserCollection(memberId);
+      if (rsvpByUser && typeof member === 'object') {
+        rsvpByUser[memberId] = getMemberRSVP(member, occurrenceId);
       }
-      return acc;
-    }, []);
-    return uniqueGames;
-  };
+    });
+
+    return mergeEventCollection(collectionsByUser, { groupId, rsvpByUser });
+  }, [getUserCollection]);
 
   const updateGameInCollection = (userId, gameId, updates) => {
     if (!userId) return;
@@ -90,6 +320,7 @@ export const CollectionsProvider = ({ children }) => {
         game.id === gameId ? { ...game, ...updates } : game
       ),
     }));
+    queueWrite(QUEUE_OPERATIONS.UPDATE, userId, gameId, updates);
   };
 
   const value = {
@@ -99,6 +330,9 @@ export const CollectionsProvider = ({ children }) => {
     getUserCollection,
     getEventCollection,
     updateGameInCollection,
+    loadCollections,
+    pendingWriteCount: pendingWrites.length,
+    syncing,
     loading,
   };
 
@@ -108,4 +342,3 @@ export const CollectionsProvider = ({ children }) => {
     </CollectionsContext.Provider>
   );
 };
-
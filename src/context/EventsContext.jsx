@@ -5,6 +5,34 @@ import { wordlist } from '../utils/wordlist';
 import { db } from '../config/firebase';
 import firebase from '../config/firebase';
 import { notifyNearbyUsersOfNewPublicMeepleUp, notifyMeepleUpMembers } from '../utils/notifications';
+import { buildLocationGeoFields, resolveEventCoordinates } from '../services/eventDiscovery';
+import {
+  OCCURRENCE_STATUS,
+  applySeriesException,
+  buildSeriesFromRecurring,
+  getCurrentOccurrence,
+  getEventOccurrences as expandEventOccurrences,
+  getNextOccurrence,
+  getPastOccurrences,
+  normalizeSeries,
+  parseScheduledDate,
+  UNSCHEDULED_OCCURRENCE_ID,
+} from '../utils/recurrence';
+import { GAME_INTEREST_STATUS, RSVP_STATUS } from '../utils/constants';
+import {
+  buildAttendanceStats,
+  getMemberRSVP,
+  getWaitlistPromotions,
+  groupRSVPsByStatus,
+  normalizeRSVPs,
+  resolveRSVPForCapacity,
+} from '../utils/rsvp';
+import { BRING_STATUS, getCommitmentKey, getGameSummary } from '../utils/bringList';
+import {
+  notifyBringConfirmed,
+  notifyGameInterest,
+  notifyWaitlistPromotion,
+} from '../utils/notificationHooks';
 
 const EventsContext = createContext();
 
@@ -46,6 +74,7 @@ const normalizeMember = (member, organizerId, fallbackDate) => {
       status: MEMBERSHIP_STATUS.MEMBER,
       role: member === organizerId ? MEMBER_ROLES.ORGANIZER : MEMBER_ROLES.MEMBER,
       joinedAt: fallbackDate || new Date().toISOString(),
+      rsvps: {},
     };
   }
 
@@ -55,9 +84,16 @@ const normalizeMember = (member, organizerId, fallbackDate) => {
     status,
     role: member.role || (member.userId === organizerId ? MEMBER_ROLES.ORGANIZER : MEMBER_ROLES.MEMBER),
     joinedAt: member.joinedAt || fallbackDate || new Date().toISOString(),
+    rsvps: normalizeRSVPs(member),
   };
 };
 
+// Seats per occurrence; anything that isn't a positive integer means unlimited
+const normalizeCapacity = (capacity) => {
+  const value = parseInt(capacity, 10);
+  return Number.isInteger(value) && value > 0 ? value : null;
+};
+
 const normalizeEvent = (event) => {
   if (!event) {
     return null;
@@ -110,6 +146,8 @@ const normalizeEvent = (event) => {
     organizerId,
     description: event.description || '',
     scheduledFor: event.scheduledFor || event.nextDate || '',
+    series: normalizeSeries(event.series),
+    capacity: normalizeCapacity(event.capacity),
     createdAt,
     joinCode: event.joinCode || generateJoinCode(),
     generalLocation,
@@ -152,6 +190,7 @@ const addOrUpdateMember = (event, userId, role = MEMBER_ROLES.MEMBER) => {
       status: MEMBERSHIP_STATUS.MEMBER,
       role: role || MEMBER_ROLES.MEMBER,
       joinedAt: new Date().toISOString(),
+      rsvps: {},
     },
   ];
 };
@@ -159,17 +198,89 @@ const addOrUpdateMember = (event, userId, role = MEMBER_ROLES.MEMBER) => {
 const removeMember = (event, userId) =>
   event.members.filter((member) => member.userId !== userId);
 
-// Helper function to extract zipcode from location string
-const extractZipcodeFromLocation = (location) => {
-  if (!location) return '';
-  
-  // Try to find 5-digit zipcode pattern
-  const zipcodeMatch = location.match(/\b\d{5}(-\d{4})?\b/);
-  if (zipcodeMatch) {
-    return zipcodeMatch[0].split('-')[0]; // Return just the 5-digit part
-  }
-  
-  return '';
+// Read every member's RSVP history for a group from Firestore
+const fetchMemberRSVPs = async (eventId, legacyOccurrenceId) => {
+  const snapshot = await db.collection('gamingGroups').doc(eventId)
+    .collection('members').get();
+
+  const rsvpsByUser = {};
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    rsvpsByUser[data.userId || doc.id] = normalizeRSVPs(data, legacyOccurrenceId);
+  });
+  return rsvpsByUser;
+};
+
+// Every member's RSVP history, read inside a transaction so seat counts can't go stale
+const readMemberRSVPsInTransaction = async (transaction, groupRef, members, legacyOccurrenceId) => {
+  const groupDoc = await transaction.get(groupRef);
+  const memberIds = groupDoc.data()?.memberIds || members.map((member) => member.userId);
+  const memberDocs = await Promise.all(
+    memberIds.map((memberId) => transaction.get(groupRef.collection('members').doc(memberId))),
+  );
+
+  const rsvpsByUser = {};
+  memberDocs.forEach((doc) => {
+    if (doc.exists) {
+      rsvpsByUser[doc.id] = normalizeRSVPs(doc.data(), legacyOccurrenceId);
+    }
+  });
+  return { groupExists: groupDoc.exists, rsvpsByUser };
+};
+
+// Replace local members' RSVPs with the ones just read from Firestore
+const withFreshRSVPs = (members, rsvpsByUser) =>
+  members.map((member) =>
+    rsvpsByUser[member.userId] ? { ...member, rsvps: rsvpsByUser[member.userId] } : member,
+  );
+
+// Apply RSVP entries for one occurrence to a list of members
+const applyRSVPEntries = (members, occurrenceId, entriesByUser) =>
+  members.map((member) =>
+    entriesByUser[member.userId]
+      ? {
+          ...member,
+          rsvps: {
+            ...(member.rsvps || {}),
+            [occurrenceId]: entriesByUser[member.userId],
+          },
+        }
+      : member,
+  );
+
+// Short date for an occurrence in notifications, e.g. "Thu, Dec 4"
+const formatOccurrenceLabel = (event, occurrenceId) => {
+  const occurrence = expandEventOccurrences(event, { limit: 20 })
+    .find((entry) => entry.id === occurrenceId);
+  return occurrence
+    ? new Date(occurrence.scheduledFor).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+      })
+    : '';
+};
+
+// Requests to bring games for one occurrence
+const fetchOccurrenceInterests = async (eventId, occurrenceId) => {
+  const snapshot = await db.collection('gamingGroups').doc(eventId)
+    .collection('gameInterests')
+    .where('occurrenceId', '==', occurrenceId)
+    .get();
+  return snapshot.docs;
+};
+
+// Firestore scheduling fields derived from a series (or a one-time date)
+const buildScheduleFirestoreFields = (series, scheduledFor) => {
+  const next = getNextOccurrence({ series, scheduledFor });
+  return {
+    type: series ? 'recurring' : 'single',
+    frequency: series ? series.frequency : null,
+    series: series || null,
+    nextEventDate: next
+      ? firebase.firestore.Timestamp.fromDate(new Date(next.scheduledFor))
+      : null,
+  };
 };
 
 export const useEvents = () => {
@@ -221,6 +332,7 @@ export const EventsProvider = ({ children }) => {
             status: member.status,
             role: member.role,
             joinedAt: member.joinedAt,
+            rsvps: member.rsvps || {},
           })),
           contactRequests: event.contactRequests.map((request) => ({
             id: request.id,
@@ -249,8 +361,12 @@ export const EventsProvider = ({ children }) => {
       const joinCode = eventData.joinCode || generateJoinCode();
       const normalizedJoinCode = joinCode.trim().toLowerCase().replace(/[\s-]+/g, ' ');
       
+      const series = normalizeSeries(eventData.series)
+        || buildSeriesFromRecurring(eventData.recurring, eventData.startsAt);
+
       const baseEvent = normalizeEvent({
         ...eventData,
+        series,
         organizerId,
         members: eventData.members || (organizerId ? [organizerId] : []),
         createdAt: new Date().toISOString(),
@@ -261,6 +377,9 @@ export const EventsProvider = ({ children }) => {
       if (db && baseEvent.id) {
         try {
           const eventsRef = db.collection('gamingGroups').doc(baseEvent.id);
+
+          // Placed (and geohashed) so discovery and nearby notifications can find it
+          const coordinates = await resolveEventCoordinates(eventData.generalLocation, user);
           
           // Convert local event format to Firestore format
           const firestoreData = {
@@ -274,10 +393,11 @@ export const EventsProvider = ({ children }) => {
             location: {
               name: baseEvent.generalLocation || '',
               address: baseEvent.exactLocation || '',
+              ...buildLocationGeoFields(coordinates),
             },
             scheduledFor: baseEvent.scheduledFor || null,
-            type: eventData.recurring?.enabled ? 'recurring' : 'single',
-            frequency: eventData.recurring?.frequency || null,
+            ...buildScheduleFirestoreFields(baseEvent.series, baseEvent.scheduledFor),
+            capacity: baseEvent.capacity,
             memberIds: baseEvent.members.map(m => m.userId).filter(Boolean),
             memberCount: baseEvent.members.length,
             isActive: true,
@@ -296,23 +416,18 @@ export const EventsProvider = ({ children }) => {
               userName: user?.name || user?.email || '',
               role: 'organizer',
               joinedAt: firebase.firestore.Timestamp.now(),
-              rsvpStatus: null,
+              rsvps: {},
             });
           }
 
           // Notify nearby users if this is a public MeepleUp
           if (baseEvent.visibility === 'public' || firestoreData.privacy === 'public') {
-            // Extract zipcode from location if available
-            // Location format: generalLocation might contain zipcode or address
-            const locationZipcode = extractZipcodeFromLocation(baseEvent.generalLocation || '');
-            const organizerZipcode = user?.zipcode || locationZipcode || '';
-            
-            if (organizerZipcode) {
+            if (coordinates) {
               // Fire and forget - don't wait for notification completion
               notifyNearbyUsersOfNewPublicMeepleUp(
                 baseEvent.id,
                 baseEvent.name,
-                organizerZipcode,
+                coordinates,
                 user?.name || user?.email || 'Someone',
                 organizerId
               ).catch(error => {
@@ -579,6 +694,8 @@ export const EventsProvider = ({ children }) => {
                 organizerId: firestoreEvent.organizerId,
                 description: firestoreEvent.description || '',
                 scheduledFor: firestoreEvent.scheduledFor || firestoreEvent.nextEventDate || '',
+                series: firestoreEvent.series || null,
+                capacity: firestoreEvent.capacity || null,
                 createdAt: firestoreEvent.createdAt?.toDate?.()?.toISOString() || new Date().toISOString(),
                 joinCode: firestoreEvent.joinCode || '',
                 generalLocation: firestoreEvent.location?.name || '',
@@ -655,7 +772,7 @@ export const EventsProvider = ({ children }) => {
               userName: userName || userId, // Fallback to userId if no name found
               role: 'member',
               joinedAt: firebase.firestore.Timestamp.now(),
-              rsvpStatus: null,
+              rsvps: {},
             }, { merge: true });
             
             // Update memberIds array in the group document
@@ -725,11 +842,116 @@ export const EventsProvider = ({ children }) => {
     return nextCode;
   }, []);
 
+  // Promote waitlisted members into open seats and let them know
+  // Seats are counted from the member docs inside a transaction, so two people dropping out at once
+  // can't both fill the same seat. A leaving member is removed in that transaction too, so the
+  // promotions are written while they are still a member.
+  const promoteFromWaitlist = useCallback(
+    async (event, occurrenceIds, members, { leavingUserId = null } = {}) => {
+      const findPromotions = (seatMembers) => occurrenceIds.reduce((acc, occurrenceId) => {
+        const promotedUserIds = getWaitlistPromotions(seatMembers, occurrenceId, event.capacity);
+        if (promotedUserIds.length) {
+          acc[occurrenceId] = promotedUserIds;
+        }
+        return acc;
+      }, {});
+
+      let promotions;
+      let currentMembers = members;
+      if (db && event.id) {
+        const groupRef = db.collection('gamingGroups').doc(event.id);
+        const legacyOccurrenceId = getCurrentOccurrence(event)?.id;
+
+        const result = await db.runTransaction(async (transaction) => {
+          const { groupExists, rsvpsByUser } = await readMemberRSVPsInTransaction(
+            transaction, groupRef, members, legacyOccurrenceId,
+          );
+          const seatMembers = Object.keys(rsvpsByUser)
+            .filter((memberId) => memberId !== leavingUserId)
+            .map((memberId) => ({ userId: memberId, rsvps: rsvpsByUser[memberId] }));
+          const found = findPromotions(seatMembers);
+
+          // One write per promoted member, covering every night they move up on
+          const promotedRSVPs = {};
+          Object.entries(found).forEach(([occurrenceId, promotedUserIds]) => {
+            promotedUserIds.forEach((promotedId) => {
+              promotedRSVPs[promotedId] = {
+                ...(promotedRSVPs[promotedId] || {}),
+                [occurrenceId]: {
+                  status: RSVP_STATUS.GOING,
+                  updatedAt: firebase.firestore.Timestamp.now(),
+                  promotedAt: firebase.firestore.Timestamp.now(),
+                },
+              };
+            });
+          });
+          Object.entries(promotedRSVPs).forEach(([promotedId, rsvps]) => {
+            transaction.set(groupRef.collection('members').doc(promotedId), {
+              rsvps,
+              rsvpUpdatedAt: firebase.firestore.Timestamp.now(),
+            }, { merge: true });
+          });
+
+          if (leavingUserId && groupExists) {
+            transaction.delete(groupRef.collection('members').doc(leavingUserId));
+            transaction.update(groupRef, {
+              memberIds: firebase.firestore.FieldValue.arrayRemove(leavingUserId),
+              updatedAt: firebase.firestore.Timestamp.now(),
+            });
+          }
+
+          return { promotions: found, rsvpsByUser };
+        });
+
+        promotions = result.promotions;
+        currentMembers = withFreshRSVPs(members, result.rsvpsByUser);
+      } else {
+        promotions = findPromotions(members);
+      }
+
+      const promotedEntry = {
+        status: RSVP_STATUS.GOING,
+        updatedAt: new Date().toISOString(),
+      };
+      Object.entries(promotions).forEach(([occurrenceId, promotedUserIds]) => {
+        const entries = promotedUserIds.reduce((acc, promotedId) => {
+          acc[promotedId] = promotedEntry;
+          return acc;
+        }, {});
+        currentMembers = applyRSVPEntries(currentMembers, occurrenceId, entries);
+
+        const occurrenceLabel = formatOccurrenceLabel(event, occurrenceId);
+        promotedUserIds.forEach((promotedId) => {
+          // Fire and forget - don't wait for notification completion
+          notifyWaitlistPromotion(event.id, event.name, promotedId, occurrenceLabel).catch((error) => {
+            console.error('Error notifying promoted member:', error);
+          });
+        });
+      });
+
+      return { members: currentMembers, promotions };
+    },
+    [],
+  );
+
   const leaveEvent = useCallback(
     async (eventId, userId) => {
-      // Remove from Firestore if available
-      if (db && eventId) {
-        try {
+      // Seats the member held on upcoming nights go to the waitlist
+      const event = events.find((e) => e.id === eventId);
+      const leavingMember = event?.members.find((member) => member.userId === userId);
+      let members = event ? removeMember(event, userId) : [];
+      const heldOccurrenceIds = event?.capacity && leavingMember
+        ? expandEventOccurrences(event, { limit: 10 })
+            .filter((occurrence) => getMemberRSVP(leavingMember, occurrence.id) === RSVP_STATUS.GOING)
+            .map((occurrence) => occurrence.id)
+        : [];
+
+      try {
+        if (heldOccurrenceIds.length) {
+          // Also removes the membership from Firestore, in the same transaction
+          const promotion = await promoteFromWaitlist(event, heldOccurrenceIds, members, { leavingUserId: userId });
+          members = promotion.members;
+        } else if (db && eventId) {
           const groupRef = db.collection('gamingGroups').doc(eventId);
           const groupDoc = await groupRef.get();
           
@@ -744,26 +966,26 @@ export const EventsProvider = ({ children }) => {
               updatedAt: firebase.firestore.Timestamp.now(),
             }).catch(() => null); // Ignore if update fails
           }
-        } catch (error) {
-          console.error('Error removing membership from Firestore:', error);
-          // Continue with local removal even if Firestore update fails
         }
+      } catch (error) {
+        console.error('Error removing membership from Firestore:', error);
+        // Continue with local removal even if Firestore update fails
       }
-      
+
       // Remove from local state
       setEvents((prev) =>
-        prev.map((event) =>
-          event.id === eventId
+        prev.map((e) =>
+          e.id === eventId
             ? {
-                ...event,
-                members: removeMember(event, userId),
+                ...e,
+                members: event ? members : removeMember(e, userId),
                 lastUpdatedAt: new Date().toISOString(),
               }
-            : event,
+            : e,
         ),
       );
     },
-    [],
+    [events, promoteFromWaitlist],
   );
 
   const getEventById = useCallback(
@@ -892,57 +1114,189 @@ export const EventsProvider = ({ children }) => {
   }, []);
 
   const updateMemberRSVP = useCallback(
-    async (eventId, userId, rsvpStatus) => {
+    async (eventId, userId, rsvpStatus, occurrenceId) => {
       if (!eventId || !userId || !rsvpStatus) {
         throw new Error('Event ID, user ID, and RSVP status are required.');
       }
 
-      // Validate RSVP status
-      const validStatuses = ['going', 'maybe', 'not-going'];
+      // Validate RSVP status (waitlisted is assigned by the app, never requested)
+      const validStatuses = [RSVP_STATUS.GOING, RSVP_STATUS.MAYBE, RSVP_STATUS.NOT_GOING];
       if (!validStatuses.includes(rsvpStatus)) {
         throw new Error(`Invalid RSVP status. Must be one of: ${validStatuses.join(', ')}`);
       }
 
-      // Update in Firestore if available
+      // RSVPs belong to one occurrence; default to the next one
+      const event = events.find((e) => e.id === eventId);
+      const targetOccurrenceId = occurrenceId
+        || getCurrentOccurrence(event)?.id
+        || UNSCHEDULED_OCCURRENCE_ID;
+
+      let members = event?.members || [];
+
+      // Decide what to store from the members' current RSVPs
+      const resolveEntry = (currentMembers) => {
+        const previousStatus = currentMembers.find((member) => member.userId === userId)
+          ?.rsvps?.[targetOccurrenceId] || null;
+        const effectiveStatus = resolveRSVPForCapacity(
+          currentMembers,
+          targetOccurrenceId,
+          userId,
+          rsvpStatus,
+          event?.capacity || null,
+        );
+        const entry = {
+          status: effectiveStatus,
+          updatedAt: new Date().toISOString(),
+        };
+        if (effectiveStatus === RSVP_STATUS.WAITLISTED) {
+          // Keep the original place in line when re-confirming
+          entry.waitlistedAt = previousStatus?.waitlistedAt || entry.updatedAt;
+        }
+        return { previousStatus, effectiveStatus, entry };
+      };
+
+      const toFirestoreRSVP = (entry) => ({
+        rsvps: {
+          [targetOccurrenceId]: {
+            ...entry,
+            updatedAt: firebase.firestore.Timestamp.now(),
+          },
+        },
+        rsvpUpdatedAt: firebase.firestore.Timestamp.now(),
+      });
+
+      let change;
       if (db && eventId) {
         try {
-          const membersRef = db.collection('gamingGroups').doc(eventId)
-            .collection('members').doc(userId);
-          
-          await membersRef.set({
-            rsvpStatus,
-            rsvpUpdatedAt: firebase.firestore.Timestamp.now(),
-          }, { merge: true });
+          const groupRef = db.collection('gamingGroups').doc(eventId);
+          const membersRef = groupRef.collection('members').doc(userId);
+
+          if (event?.capacity) {
+            // Count seats and write the RSVP in one transaction so two devices can't both take the last seat
+            const result = await db.runTransaction(async (transaction) => {
+              const { rsvpsByUser } = await readMemberRSVPsInTransaction(
+                transaction, groupRef, members, getCurrentOccurrence(event)?.id,
+              );
+              const currentMembers = withFreshRSVPs(members, rsvpsByUser);
+
+              const next = resolveEntry(currentMembers);
+              transaction.set(membersRef, toFirestoreRSVP(next.entry), { merge: true });
+              return { ...next, members: currentMembers };
+            });
+            members = result.members;
+            change = result;
+          } else {
+            change = resolveEntry(members);
+            await membersRef.set(toFirestoreRSVP(change.entry), { merge: true });
+          }
         } catch (error) {
           console.error('Error updating RSVP in Firestore:', error);
           throw error;
         }
+      } else {
+        change = resolveEntry(members);
+      }
+
+      const { previousStatus, effectiveStatus, entry } = change;
+      members = applyRSVPEntries(members, targetOccurrenceId, { [userId]: entry });
+
+      // A seat may have opened up
+      let promotedUserIds = [];
+      if (event?.capacity && previousStatus?.status === RSVP_STATUS.GOING && effectiveStatus !== RSVP_STATUS.GOING) {
+        try {
+          const promotion = await promoteFromWaitlist(event, [targetOccurrenceId], members);
+          members = promotion.members;
+          promotedUserIds = promotion.promotions[targetOccurrenceId] || [];
+        } catch (error) {
+          console.error('Error promoting from waitlist:', error);
+        }
       }
 
       // Update local state
       setEvents((prev) =>
-        prev.map((event) => {
-          if (event.id !== eventId) {
-            return event;
-          }
+        prev.map((e) =>
+          e.id === eventId
+            ? {
+                ...e,
+                members,
+                lastUpdatedAt: new Date().toISOString(),
+              }
+            : e,
+        ),
+      );
 
-          return {
-            ...event,
-            members: event.members.map((member) =>
-              member.userId === userId
-                ? {
-                    ...member,
-                    rsvpStatus,
-                    rsvpUpdatedAt: new Date().toISOString(),
-                  }
-                : member,
-            ),
-            lastUpdatedAt: new Date().toISOString(),
-          };
-        }),
+      return {
+        occurrenceId: targetOccurrenceId,
+        status: effectiveStatus,
+        promotedUserIds,
+      };
+    },
+    [events, promoteFromWaitlist],
+  );
+
+  // Pull every member's RSVP history from Firestore into local state
+  const syncEventRSVPs = useCallback(
+    async (eventId) => {
+      if (!eventId || !db) {
+        return null;
+      }
+
+      const event = events.find((e) => e.id === eventId);
+      const legacyOccurrenceId = getCurrentOccurrence(event)?.id || UNSCHEDULED_OCCURRENCE_ID;
+
+      try {
+        const rsvpsByUser = await fetchMemberRSVPs(eventId, legacyOccurrenceId);
+
+        setEvents((prev) =>
+          prev.map((e) =>
+            e.id === eventId
+              ? {
+                  ...e,
+                  members: e.members.map((member) =>
+                    rsvpsByUser[member.userId]
+                      ? { ...member, rsvps: rsvpsByUser[member.userId] }
+                      : member,
+                  ),
+                }
+              : e,
+          ),
+        );
+
+        return rsvpsByUser;
+      } catch (error) {
+        console.error('Error syncing RSVPs from Firestore:', error);
+        return null;
+      }
+    },
+    [events],
+  );
+
+  const getOccurrenceRSVPs = useCallback(
+    (eventId, occurrenceId) => {
+      const event = getEventById(eventId);
+      const members = (event?.members || []).filter(
+        (member) => member.status === MEMBERSHIP_STATUS.MEMBER,
       );
+      return groupRSVPsByStatus(members, occurrenceId);
     },
-    [],
+    [getEventById],
+  );
+
+  const getAttendanceStats = useCallback(
+    (eventId, options = {}) => {
+      const event = getEventById(eventId);
+      if (!event) {
+        return { occurrences: [], members: [] };
+      }
+
+      const occurrences = getPastOccurrences(event, { limit: options.limit || 10 });
+      const members = event.members.filter((member) => member.status === MEMBERSHIP_STATUS.MEMBER);
+      return {
+        occurrences,
+        members: buildAttendanceStats(members, occurrences),
+      };
+    },
+    [getEventById],
   );
 
   const updateEventSchedule = useCallback(
@@ -971,6 +1325,13 @@ export const EventsProvider = ({ children }) => {
       if (scheduleUpdates.exactLocation !== undefined) {
         updates.exactLocation = scheduleUpdates.exactLocation;
       }
+      if (scheduleUpdates.series !== undefined) {
+        // Pass null to turn a recurring MeepleUp back into a one-time event
+        updates.series = normalizeSeries(scheduleUpdates.series);
+      }
+      if (scheduleUpdates.capacity !== undefined) {
+        updates.capacity = normalizeCapacity(scheduleUpdates.capacity);
+      }
 
       // Update in Firestore if available
       if (db && eventId) {
@@ -980,16 +1341,36 @@ export const EventsProvider = ({ children }) => {
             updatedAt: firebase.firestore.Timestamp.now(),
           };
 
-          if (scheduleUpdates.scheduledFor !== undefined) {
-            firestoreUpdates.scheduledFor = scheduleUpdates.scheduledFor;
-            firestoreUpdates.nextEventDate = scheduleUpdates.scheduledFor
-              ? firebase.firestore.Timestamp.fromDate(new Date(scheduleUpdates.scheduledFor))
-              : null;
+          if (scheduleUpdates.scheduledFor !== undefined || scheduleUpdates.series !== undefined) {
+            const nextScheduledFor = scheduleUpdates.scheduledFor !== undefined
+              ? scheduleUpdates.scheduledFor
+              : event.scheduledFor;
+            const nextSeries = scheduleUpdates.series !== undefined ? updates.series : event.series;
+            if (scheduleUpdates.scheduledFor !== undefined) {
+              firestoreUpdates.scheduledFor = scheduleUpdates.scheduledFor;
+            }
+            Object.assign(firestoreUpdates, buildScheduleFirestoreFields(nextSeries, nextScheduledFor));
+          }
+
+          if (scheduleUpdates.capacity !== undefined) {
+            firestoreUpdates.capacity = updates.capacity;
           }
 
           if (scheduleUpdates.generalLocation !== undefined || scheduleUpdates.exactLocation !== undefined) {
             const currentData = (await groupRef.get()).data();
             const currentLocation = currentData?.location || {};
+            // A new general location moves the MeepleUp; otherwise keep where it was placed, placing
+            // MeepleUps from before geohashes (or ones scripts/backfill-group-geohashes.js couldn't place)
+            const geoFields = scheduleUpdates.generalLocation !== undefined || !currentLocation.geohash
+              ? buildLocationGeoFields(await resolveEventCoordinates(
+                  scheduleUpdates.generalLocation !== undefined ? scheduleUpdates.generalLocation : currentLocation.name,
+                  user,
+                ))
+              : {
+                  latitude: currentLocation.latitude ?? null,
+                  longitude: currentLocation.longitude ?? null,
+                  geohash: currentLocation.geohash ?? null,
+                };
             firestoreUpdates.location = {
               name: scheduleUpdates.generalLocation !== undefined
                 ? scheduleUpdates.generalLocation
@@ -997,6 +1378,7 @@ export const EventsProvider = ({ children }) => {
               address: scheduleUpdates.exactLocation !== undefined
                 ? scheduleUpdates.exactLocation
                 : currentLocation.address || '',
+              ...geoFields,
             };
           }
 
@@ -1007,6 +1389,21 @@ export const EventsProvider = ({ children }) => {
         }
       }
 
+      // More seats (or no limit) lets waitlisted members in for upcoming nights
+      let members = event.members;
+      const capacityGrew = updates.capacity !== undefined && event.capacity
+        && (!updates.capacity || updates.capacity > event.capacity);
+      if (capacityGrew) {
+        const updatedEvent = { ...event, ...updates };
+        const occurrenceIds = expandEventOccurrences(updatedEvent, { limit: 10 }).map((occurrence) => occurrence.id);
+        try {
+          const promotion = await promoteFromWaitlist(updatedEvent, occurrenceIds, members);
+          members = promotion.members;
+        } catch (error) {
+          console.error('Error promoting from waitlist:', error);
+        }
+      }
+
       // Update local state
       setEvents((prev) =>
         prev.map((event) => {
@@ -1017,11 +1414,437 @@ export const EventsProvider = ({ children }) => {
           return {
             ...event,
             ...updates,
+            members,
             lastUpdatedAt: new Date().toISOString(),
           };
         }),
       );
     },
+    [events, promoteFromWaitlist, user],
+  );
+
+  const getEventOccurrences = useCallback(
+    (eventId, options = {}) => expandEventOccurrences(getEventById(eventId), options),
+    [getEventById],
+  );
+
+  // Apply (or clear) an exception for one occurrence of a recurring series
+  const updateOccurrenceException = useCallback(
+    async (eventId, userId, occurrenceId, exception) => {
+      if (!eventId || !userId || !occurrenceId) {
+        throw new Error('Event ID, user ID, and occurrence ID are required.');
+      }
+
+      const event = events.find((e) => e.id === eventId);
+      if (!event) {
+        throw new Error('Event not found.');
+      }
+
+      if (event.organizerId !== userId) {
+        throw new Error('Only the organizer can change the schedule.');
+      }
+
+      if (!event.series) {
+        throw new Error('Only recurring MeepleUps have individual occurrences.');
+      }
+
+      const series = applySeriesException(event.series, occurrenceId, exception);
+
+      // Update in Firestore if available
+      if (db && eventId) {
+        try {
+          await db.collection('gamingGroups').doc(eventId).update({
+            ...buildScheduleFirestoreFields(series, event.scheduledFor),
+            updatedAt: firebase.firestore.Timestamp.now(),
+          });
+        } catch (error) {
+          console.error('Error updating occurrence in Firestore:', error);
+          throw error;
+        }
+      }
+
+      // Update local state
+      setEvents((prev) =>
+        prev.map((e) =>
+          e.id === eventId
+            ? {
+                ...e,
+                series,
+                lastUpdatedAt: new Date().toISOString(),
+              }
+            : e,
+        ),
+      );
+
+      return series;
+    },
+    [events],
+  );
+
+  const skipOccurrence = useCallback(
+    (eventId, userId, occurrenceId) =>
+      updateOccurrenceException(eventId, userId, occurrenceId, {
+        status: OCCURRENCE_STATUS.SKIPPED,
+      }),
+    [updateOccurrenceException],
+  );
+
+  const moveOccurrence = useCallback(
+    (eventId, userId, occurrenceId, newDate) => {
+      const parsed = parseScheduledDate(newDate);
+      if (!parsed) {
+        return Promise.reject(new Error('A valid new date is required to move an occurrence.'));
+      }
+      return updateOccurrenceException(eventId, userId, occurrenceId, {
+        status: OCCURRENCE_STATUS.MOVED,
+        scheduledFor: parsed.toISOString(),
+      });
+    },
+    [updateOccurrenceException],
+  );
+
+  const restoreOccurrence = useCallback(
+    (eventId, userId, occurrenceId) =>
+      updateOccurrenceException(eventId, userId, occurrenceId, null),
+    [updateOccurrenceException],
+  );
+
+  // Commitments and requests for one occurrence's bring list
+  const getBringList = useCallback(async (eventId, occurrenceId) => {
+    if (!eventId || !occurrenceId || !db) {
+      return { commitments: [], interests: [] };
+    }
+
+    try {
+      const [listDoc, interestDocs] = await Promise.all([
+        db.collection('gamingGroups').doc(eventId)
+          .collection('bringLists').doc(occurrenceId).get(),
+        fetchOccurrenceInterests(eventId, occurrenceId),
+      ]);
+
+      return {
+        commitments: Object.values((listDoc.exists && listDoc.data().commitments) || {}),
+        interests: interestDocs.map((doc) => {
+          const data = doc.data();
+          return {
+            ...data,
+            id: doc.id,
+            createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt || null,
+            updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt || null,
+          };
+        }),
+      };
+    } catch (error) {
+      console.error('Error loading bring list:', error);
+      return { commitments: [], interests: [] };
+    }
+  }, []);
+
+  // Owner commits to bringing a game; their open requests for it become confirmed
+  const commitToBringGame = useCallback(
+    async (eventId, occurrenceId, userId, userName, game) => {
+      if (!eventId || !occurrenceId || !userId || !game) {
+        throw new Error('Event ID, occurrence ID, user ID, and game are required.');
+      }
+      if (!db) {
+        throw new Error('Updating the bring list requires a connection.');
+      }
+
+      const event = events.find((e) => e.id === eventId);
+      const summary = getGameSummary(game);
+      const groupRef = db.collection('gamingGroups').doc(eventId);
+
+      try {
+        const interestDocs = await fetchOccurrenceInterests(eventId, occurrenceId);
+        const requests = interestDocs.filter((doc) => {
+          const data = doc.data();
+          return data.ownerId === userId
+            && data.gameKey === summary.gameKey
+            && data.status === GAME_INTEREST_STATUS.INTERESTED;
+        });
+
+        const batch = db.batch();
+        batch.set(groupRef.collection('bringLists').doc(occurrenceId), {
+          occurrenceId,
+          commitments: {
+            [getCommitmentKey(summary.gameKey, userId)]: {
+              ...summary,
+              ownerId: userId,
+              ownerName: userName || null,
+              status: BRING_STATUS.BRINGING,
+              committedAt: firebase.firestore.Timestamp.now(),
+            },
+          },
+          updatedAt: firebase.firestore.Timestamp.now(),
+        }, { merge: true });
+
+        requests.forEach((doc) => {
+          batch.update(doc.ref, {
+            status: GAME_INTEREST_STATUS.CONFIRMED,
+            respondedAt: firebase.firestore.Timestamp.now(),
+            updatedAt: firebase.firestore.Timestamp.now(),
+          });
+        });
+        await batch.commit();
+
+        if (requests.length) {
+          // Fire and forget - don't wait for notification completion
+          notifyBringConfirmed(
+            eventId,
+            summary.gameName,
+            userName,
+            requests.map((doc) => doc.data().interestedUserId),
+            formatOccurrenceLabel(event, occurrenceId),
+          ).catch((error) => {
+            console.error('Error notifying requesters:', error);
+          });
+        }
+      } catch (error) {
+        console.error('Error committing to bring game:', error);
+        throw error;
+      }
+    },
+    [events],
+  );
+
+  // Owner backs out; confirmed requests go back to waiting on an answer
+  const withdrawBringGame = useCallback(async (eventId, occurrenceId, userId, gameKey) => {
+    if (!eventId || !occurrenceId || !userId || !gameKey) {
+      throw new Error('Event ID, occurrence ID, user ID, and game are required.');
+    }
+    if (!db) {
+      throw new Error('Updating the bring list requires a connection.');
+    }
+
+    const groupRef = db.collection('gamingGroups').doc(eventId);
+
+    try {
+      const interestDocs = await fetchOccurrenceInterests(eventId, occurrenceId);
+      const batch = db.batch();
+      batch.update(groupRef.collection('bringLists').doc(occurrenceId), {
+        [`commitments.${getCommitmentKey(gameKey, userId)}`]: firebase.firestore.FieldValue.delete(),
+        updatedAt: firebase.firestore.Timestamp.now(),
+      });
+
+      interestDocs.forEach((doc) => {
+        const data = doc.data();
+        if (data.ownerId === userId && data.gameKey === gameKey
+          && data.status === GAME_INTEREST_STATUS.CONFIRMED) {
+          batch.update(doc.ref, {
+            status: GAME_INTEREST_STATUS.INTERESTED,
+            updatedAt: firebase.firestore.Timestamp.now(),
+          });
+        }
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error withdrawing from bring list:', error);
+      throw error;
+    }
+  }, []);
+
+  // Owner brought the game; close out the requests for it
+  const markGameBrought = useCallback(async (eventId, occurrenceId, userId, gameKey) => {
+    if (!eventId || !occurrenceId || !userId || !gameKey) {
+      throw new Error('Event ID, occurrence ID, user ID, and game are required.');
+    }
+    if (!db) {
+      throw new Error('Updating the bring list requires a connection.');
+    }
+
+    const groupRef = db.collection('gamingGroups').doc(eventId);
+    const commitmentKey = getCommitmentKey(gameKey, userId);
+
+    try {
+      const interestDocs = await fetchOccurrenceInterests(eventId, occurrenceId);
+      const batch = db.batch();
+      batch.update(groupRef.collection('bringLists').doc(occurrenceId), {
+        [`commitments.${commitmentKey}.status`]: BRING_STATUS.BROUGHT,
+        [`commitments.${commitmentKey}.broughtAt`]: firebase.firestore.Timestamp.now(),
+        updatedAt: firebase.firestore.Timestamp.now(),
+      });
+
+      interestDocs.forEach((doc) => {
+        const data = doc.data();
+        if (data.ownerId === userId && data.gameKey === gameKey
+          && data.status !== GAME_INTEREST_STATUS.DECLINED) {
+          batch.update(doc.ref, {
+            status: GAME_INTEREST_STATUS.FULFILLED,
+            updatedAt: firebase.firestore.Timestamp.now(),
+          });
+        }
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error marking game as brought:', error);
+      throw error;
+    }
+  }, []);
+
+  // Ask the owners of a game to bring it to one occurrence
+  const requestGame = useCallback(
+    async (eventId, occurrenceId, userId, userName, game, owners) => {
+      if (!eventId || !occurrenceId || !userId || !game || !owners?.length) {
+        throw new Error('Event ID, occurrence ID, user ID, game, and owners are required.');
+      }
+      if (!db) {
+        throw new Error('Requesting a game requires a connection.');
+      }
+
+      const event = events.find((e) => e.id === eventId);
+      const occurrence = expandEventOccurrences(event, { limit: 20 })
+        .find((entry) => entry.id === occurrenceId);
+      const summary = getGameSummary(game);
+      const groupRef = db.collection('gamingGroups').doc(eventId);
+
+      try {
+        const listDoc = await groupRef.collection('bringLists').doc(occurrenceId).get();
+        const commitments = (listDoc.exists && listDoc.data().commitments) || {};
+
+        const batch = db.batch();
+        const requested = owners.filter((owner) => owner.userId !== userId);
+        // Someone already bringing it counts as a yes, with nothing left to ask them
+        const isBringing = (owner) => Boolean(commitments[getCommitmentKey(summary.gameKey, owner.userId)]);
+        requested.forEach((owner) => {
+          const alreadyBringing = isBringing(owner);
+          batch.set(groupRef.collection('gameInterests').doc(), {
+            ...summary,
+            interestedUserId: userId,
+            interestedUserName: userName || null,
+            ownerId: owner.userId,
+            ownerName: owner.name || null,
+            status: alreadyBringing ? GAME_INTEREST_STATUS.CONFIRMED : GAME_INTEREST_STATUS.INTERESTED,
+            occurrenceId,
+            eventDate: occurrence?.scheduledFor
+              ? firebase.firestore.Timestamp.fromDate(new Date(occurrence.scheduledFor))
+              : null,
+            createdAt: firebase.firestore.Timestamp.now(),
+            updatedAt: firebase.firestore.Timestamp.now(),
+          });
+        });
+        await batch.commit();
+
+        requested.filter((owner) => !isBringing(owner)).forEach((owner) => {
+          // Fire and forget - don't wait for notification completion
+          notifyGameInterest(eventId, summary.gameId, summary.gameName, owner.userId, userId, userName)
+            .catch((error) => {
+              console.error('Error notifying game owner:', error);
+            });
+        });
+      } catch (error) {
+        console.error('Error requesting game:', error);
+        throw error;
+      }
+    },
+    [events],
+  );
+
+  const declineGameRequest = useCallback(async (eventId, userId, interestId) => {
+    if (!eventId || !userId || !interestId) {
+      throw new Error('Event ID, user ID, and request ID are required.');
+    }
+    if (!db) {
+      throw new Error('Answering a request requires a connection.');
+    }
+
+    const interestRef = db.collection('gamingGroups').doc(eventId)
+      .collection('gameInterests').doc(interestId);
+
+    try {
+      const interestDoc = await interestRef.get();
+      if (!interestDoc.exists) {
+        throw new Error('Request not found.');
+      }
+      if (interestDoc.data().ownerId !== userId) {
+        throw new Error('Only the game owner can answer this request.');
+      }
+
+      await interestRef.update({
+        status: GAME_INTEREST_STATUS.DECLINED,
+        respondedAt: firebase.firestore.Timestamp.now(),
+        updatedAt: firebase.firestore.Timestamp.now(),
+      });
+    } catch (error) {
+      console.error('Error declining game request:', error);
+      throw error;
+    }
+  }, []);
+
+  // Post the final table plan to the discussion, pinned, replacing any earlier plan
+  const publishTablePlan = useCallback(
+    async (eventId, userId, plan) => {
+      if (!eventId || !userId || !plan?.content) {
+        throw new Error('Event ID, user ID, and a table plan are required.');
+      }
+
+      const event = events.find((e) => e.id === eventId);
+      if (!event) {
+        throw new Error('Event not found.');
+      }
+
+      if (event.organizerId !== userId) {
+        throw new Error('Only the organizer can publish a table plan.');
+      }
+
+      if (!db) {
+        throw new Error('Publishing a table plan requires a connection.');
+      }
+
+      const postsRef = db.collection('gamingGroups').doc(eventId).collection('posts');
+
+      try {
+        const batch = db.batch();
+
+        // Only the latest plan stays pinned
+        const previousPlans = await postsRef.where('postType', '==', 'table_plan').get();
+        previousPlans.docs.forEach((doc) => {
+          if (doc.data().pinned) {
+            batch.update(doc.ref, { pinned: false, updatedAt: firebase.firestore.Timestamp.now() });
+          }
+        });
+
+        const postRef = postsRef.doc();
+        const postData = {
+          userId,
+          userName: plan.userName || 'Organizer',
+          title: plan.title || 'Table Plan',
+          content: plan.content,
+          postType: 'table_plan',
+          tablePlan: {
+            occurrenceId: plan.occurrenceId || null,
+            tables: (plan.tables || []).map((table) => ({
+              title: table.title,
+              bggId: table.bggId || null,
+              broughtBy: table.broughtBy || null,
+              playerIds: table.playerIds,
+            })),
+          },
+          likeCount: 0,
+          commentCount: 0,
+          createdAt: firebase.firestore.Timestamp.now(),
+          updatedAt: firebase.firestore.Timestamp.now(),
+          edited: false,
+          deleted: false,
+          pinned: true,
+          pinnedAt: firebase.firestore.Timestamp.now(),
+        };
+        batch.set(postRef, postData);
+        await batch.commit();
+
+        return {
+          id: postRef.id,
+          userId,
+          userName: postData.userName,
+          content: postData.content,
+          createdAt: new Date().toISOString(),
+          pinned: true,
+          postType: 'table_plan',
+        };
+      } catch (error) {
+        console.error('Error publishing table plan:', error);
+        throw error;
+      }
+    },
     [events],
   );
 
@@ -1046,9 +1869,25 @@ export const EventsProvider = ({ children }) => {
       updateContactRequest,
       updateMemberRSVP,
       updateEventSchedule,
+      getEventOccurrences,
+      skipOccurrence,
+      moveOccurrence,
+      restoreOccurrence,
+      syncEventRSVPs,
+      getOccurrenceRSVPs,
+      getAttendanceStats,
+      publishTablePlan,
+      getBringList,
+      commitToBringGame,
+      withdrawBringGame,
+      markGameBrought,
+      requestGame,
+      declineGameRequest,
       loading,
       membershipStatus: MEMBERSHIP_STATUS,
       contactStatus: CONTACT_STATUS,
+      occurrenceStatus: OCCURRENCE_STATUS,
+      rsvpStatus: RSVP_STATUS,
     }),
     [
       events,
@@ -1071,6 +1910,20 @@ export const EventsProvider = ({ children }) => {
       updateContactRequest,
       updateMemberRSVP,
       updateEventSchedule,
+      getEventOccurrences,
+      skipOccurrence,
+      moveOccurrence,
+      restoreOccurrence,
+      syncEventRSVPs,
+      getOccurrenceRSVPs,
+      getAttendanceStats,
+      publishTablePlan,
+      getBringList,
+      commitToBringGame,
+      withdrawBringGame,
+      markGameBrought,
+      requestGame,
+      declineGameRequest,
     ],
   );
 
@@ -0,0 +1,193 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { db } from '../config/firebase';
+import { useAuth } from './AuthContext';
+import { useEvents } from './EventsContext';
+import {
+  INBOX_NOTIFICATION_LIMIT,
+  getNotificationTarget,
+  groupNotifications,
+  toInboxNotification,
+} from '../utils/notificationInbox';
+import { addPushResponseListener, registerPushToken } from '../utils/pushTokens';
+
+const NotificationsContext = createContext();
+
+// Firestore batches are limited to 500 writes
+const MARK_READ_BATCH_SIZE = 400;
+
+export const useNotifications = () => {
+  const context = useContext(NotificationsContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationsProvider');
+  }
+  return context;
+};
+
+export const NotificationsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { getEventById } = useEvents();
+  const userId = user?.uid || user?.id || null;
+  const [notifications, setNotifications] = useState([]);
+  const [unreadNotificationIds, setUnreadNotificationIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // Where a tapped push wants to go; the navigator opens it once it is ready (see App.js)
+  const [openedTarget, setOpenedTarget] = useState(null);
+
+  // Register this device for push notifications once someone is signed in
+  useEffect(() => {
+    if (userId) {
+      registerPushToken(userId);
+    }
+  }, [userId]);
+
+  // Tapping a push marks it read and opens what it is about, like tapping it in the inbox
+  useEffect(() => {
+    if (!userId || !db) return undefined;
+
+    return addPushResponseListener(async ({ notificationId, target }) => {
+      if (target) setOpenedTarget(target);
+      if (!notificationId) return;
+
+      try {
+        const notificationRef = db.collection('users').doc(userId).collection('notifications').doc(notificationId);
+        if (!target) {
+          // Pushes sent before they carried a target
+          const doc = await notificationRef.get();
+          if (doc.exists) setOpenedTarget(getNotificationTarget(toInboxNotification(doc)));
+        }
+        await notificationRef.update({ read: true });
+      } catch (error) {
+        console.error('Error opening push notification:', error);
+      }
+    });
+  }, [userId]);
+
+  // Live listener on the signed-in user's newest notifications
+  useEffect(() => {
+    if (!userId || !db) {
+      setNotifications([]);
+      return undefined;
+    }
+
+    setLoading(true);
+    const unsubscribe = db.collection('users').doc(userId)
+      .collection('notifications')
+      .orderBy('createdAt', 'desc')
+      .limit(INBOX_NOTIFICATION_LIMIT)
+      .onSnapshot(
+        (snapshot) => {
+          setNotifications(snapshot.docs.map(toInboxNotification));
+          setLoading(false);
+        },
+        (error) => {
+          console.error('Error listening to notifications:', error);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [userId]);
+
+  // The badge counts every unread notification, not just the ones the inbox listener holds
+  useEffect(() => {
+    if (!userId || !db) {
+      setUnreadNotificationIds([]);
+      return undefined;
+    }
+
+    const unsubscribe = db.collection('users').doc(userId)
+      .collection('notifications')
+      .where('read', '==', false)
+      .onSnapshot(
+        (snapshot) => setUnreadNotificationIds(snapshot.docs.map((doc) => doc.id)),
+        (error) => console.error('Error listening to unread notifications:', error),
+      );
+
+    return unsubscribe;
+  }, [userId]);
+
+  const groups = useMemo(
+    () => groupNotifications(notifications, (groupId) => getEventById(groupId)?.name || null),
+    [notifications, getEventById],
+  );
+
+  const unreadCount = unreadNotificationIds.length;
+
+  /**
+   * Mark notifications read
+   * The listener picks up the change; local state is updated first so the badge clears immediately.
+   * @param {Array<string>} notificationIds
+   */
+  const markAsRead = useCallback(
+    async (notificationIds) => {
+      const unreadIds = new Set(
+        notifications
+          .filter((notification) => !notification.read && notificationIds.includes(notification.id))
+          .map((notification) => notification.id),
+      );
+      if (!userId || !db || unreadIds.size === 0) return;
+
+      setNotifications((prev) =>
+        prev.map((notification) => (unreadIds.has(notification.id) ? { ...notification, read: true } : notification)));
+      setUnreadNotificationIds((prev) => prev.filter((notificationId) => !unreadIds.has(notificationId)));
+
+      try {
+        const notificationsRef = db.collection('users').doc(userId).collection('notifications');
+        const ids = Array.from(unreadIds);
+        for (let start = 0; start < ids.length; start += MARK_READ_BATCH_SIZE) {
+          const batch = db.batch();
+          ids.slice(start, start + MARK_READ_BATCH_SIZE).forEach((notificationId) => {
+            batch.update(notificationsRef.doc(notificationId), { read: true });
+          });
+          await batch.commit();
+        }
+      } catch (error) {
+        console.error('Error marking notifications read:', error);
+      }
+    },
+    [notifications, userId],
+  );
+
+  /**
+   * Mark every unread notification read, including older ones the listener doesn't hold
+   */
+  const markAllAsRead = useCallback(async () => {
+    if (!userId || !db) return;
+
+    setNotifications((prev) => prev.map((notification) => ({ ...notification, read: true })));
+    setUnreadNotificationIds([]);
+
+    try {
+      const notificationsRef = db.collection('users').doc(userId).collection('notifications');
+      const snapshot = await notificationsRef.where('read', '==', false).get();
+      for (let start = 0; start < snapshot.docs.length; start += MARK_READ_BATCH_SIZE) {
+        const batch = db.batch();
+        snapshot.docs.slice(start, start + MARK_READ_BATCH_SIZE).forEach((doc) => {
+          batch.update(doc.ref, { read: true });
+        });
+        await batch.commit();
+      }
+    } catch (error) {
+      console.error('Error marking all notifications read:', error);
+    }
+  }, [userId]);
+
+  const clearOpenedTarget = useCallback(() => setOpenedTarget(null), []);
+
+  const value = {
+    notifications,
+    groups,
+    unreadCount,
+    loading,
+    markAsRead,
+    markAllAsRead,
+    openedTarget,
+    clearOpenedTarget,
+  };
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      {children}
+    </NotificationsContext.Provider>
+  );
+};
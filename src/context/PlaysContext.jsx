@@ -0,0 +1,237 @@
+import React, { createContext, useContext, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { db } from '../config/firebase';
+import firebase from '../config/firebase';
+import storage from '../utils/storage';
+import { STORAGE_KEYS } from '../utils/constants';
+import { useAuth } from './AuthContext';
+import { buildPlayRecord, getPlayCountsByGame } from '../utils/playLog';
+import { fromBGGPlay, toBGGPlaysXML } from '../utils/bggPlays';
+
+const PlaysContext = createContext();
+
+// Firestore batches are limited to 500 writes
+const IMPORT_BATCH_SIZE = 400;
+
+export const usePlays = () => {
+  const context = useContext(PlaysContext);
+  if (!context) {
+    throw new Error('usePlays must be used within a PlaysProvider');
+  }
+  return context;
+};
+
+const fromPlayDoc = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt || null,
+  };
+};
+
+// Newest first; plays on the same day by when they were logged
+const sortPlays = (plays) =>
+  plays.sort((a, b) => b.date.localeCompare(a.date) || String(b.createdAt).localeCompare(String(a.createdAt)));
+
+export const PlaysProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.uid || user?.id;
+  // Signed-in user's MeepleUp plays per game ({ gameKey: count }), see getPlayCount
+  const [playCounts, setPlayCounts] = useState({});
+  // { groupId: [plays] } kept on the device so game night features work offline
+  const eventPlaysCacheRef = useRef({});
+
+  useEffect(() => {
+    const loadCache = async () => {
+      try {
+        const stored = await storage.getItem(STORAGE_KEYS.EVENT_PLAYS);
+        if (stored) {
+          eventPlaysCacheRef.current = { ...JSON.parse(stored), ...eventPlaysCacheRef.current };
+        }
+      } catch (error) {
+        console.error('Error loading cached plays:', error);
+      }
+    };
+    loadCache();
+  }, []);
+
+  const cacheEventPlays = useCallback(async (groupId, plays) => {
+    eventPlaysCacheRef.current = { ...eventPlaysCacheRef.current, [groupId]: plays };
+    try {
+      await storage.setItem(STORAGE_KEYS.EVENT_PLAYS, JSON.stringify(eventPlaysCacheRef.current));
+    } catch (error) {
+      console.error('Error caching plays:', error);
+    }
+  }, []);
+
+  /**
+   * Log a play
+   * Only the play document is written; every participant's play counts come from their plays.
+   * @param {Object} playInput - Fields for buildPlayRecord
+   * @returns {Promise<Object>} - Saved play
+   */
+  const logPlay = useCallback(
+    async (playInput) => {
+      const play = buildPlayRecord(playInput);
+
+      if (!db) {
+        throw new Error('Logging a play requires a connection.');
+      }
+
+      try {
+        const playRef = db.collection('plays').doc();
+        await playRef.set({
+          ...play,
+          createdAt: firebase.firestore.Timestamp.now(),
+        });
+
+        if (play.playerIds.includes(userId)) {
+          setPlayCounts((prev) => ({ ...prev, [play.gameKey]: (prev[play.gameKey] || 0) + 1 }));
+        }
+
+        const savedPlay = { id: playRef.id, ...play, createdAt: new Date().toISOString() };
+        if (play.groupId) {
+          cacheEventPlays(play.groupId, [savedPlay, ...(eventPlaysCacheRef.current[play.groupId] || [])]);
+        }
+        return savedPlay;
+      } catch (error) {
+        console.error('Error logging play:', error);
+        throw new Error('Failed to log play. Please try again.');
+      }
+    },
+    [userId, cacheEventPlays],
+  );
+
+  /**
+   * Plays a user took part in
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.gameKey] - Only plays of this game
+   * @returns {Promise<Array>} - Newest first
+   */
+  const getUserPlays = useCallback(async (userId, { gameKey } = {}) => {
+    if (!db || !userId) return [];
+
+    try {
+      const snapshot = await db.collection('plays').where('playerIds', 'array-contains', userId).get();
+      const plays = snapshot.docs.map(fromPlayDoc);
+      return sortPlays(gameKey ? plays.filter((play) => play.gameKey === gameKey) : plays);
+    } catch (error) {
+      console.error('Error fetching plays:', error);
+      return [];
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!userId) {
+      setPlayCounts({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    getUserPlays(userId).then((plays) => {
+      if (!cancelled) {
+        setPlayCounts(getPlayCountsByGame(plays, userId));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, getUserPlays]);
+
+  /**
+   * Plays logged at an event
+   * Falls back to the last copy stored on the device when offline.
+   * @param {string} groupId - Event ID
+   * @param {string} [occurrenceId] - Only plays from this game night
+   * @returns {Promise<Array>} - Newest first
+   */
+  const getEventPlays = useCallback(async (groupId, occurrenceId = null) => {
+    if (!groupId) return [];
+
+    const filterOccurrence = (plays) =>
+      (occurrenceId ? plays.filter((play) => play.occurrenceId === occurrenceId) : plays);
+
+    if (!db) {
+      return filterOccurrence(eventPlaysCacheRef.current[groupId] || []);
+    }
+
+    try {
+      const snapshot = await db.collection('plays').where('groupId', '==', groupId).get();
+      const plays = sortPlays(snapshot.docs.map(fromPlayDoc));
+      cacheEventPlays(groupId, plays);
+      return filterOccurrence(plays);
+    } catch (error) {
+      console.error('Error fetching event plays:', error);
+      return filterOccurrence(eventPlaysCacheRef.current[groupId] || []);
+    }
+  }, [cacheEventPlays]);
+
+  /**
+   * Save plays imported from BoardGameGeek
+   * Each BGG play keeps its BGG ID as the document ID, so importing again updates rather than duplicates.
+   * Plays without a BGG ID (e.g. a re-imported MeepleUp export) get new documents.
+   * numplays is left alone: the BGG collection import already brings over BGG's play counts.
+   * @param {string} userId - Importing user's ID
+   * @param {Array<Object>} bggPlays - Plays from parseBGGPlaysXML or fetchBGGPlays
+   * @param {Object} [options]
+   * @param {string} [options.bggUsername] - Used to find the importer in each play's player list
+   * @returns {Promise<Object>} - { imported, skipped }
+   */
+  const importBGGPlays = useCallback(async (userId, bggPlays, { bggUsername } = {}) => {
+    if (!userId) {
+      throw new Error('You must be signed in to import plays.');
+    }
+    if (!db) {
+      throw new Error('Importing plays requires a connection.');
+    }
+
+    const plays = (bggPlays || [])
+      .map((bggPlay) => fromBGGPlay(bggPlay, { userId, bggUsername }))
+      .filter(Boolean);
+
+    try {
+      for (let start = 0; start < plays.length; start += IMPORT_BATCH_SIZE) {
+        const batch = db.batch();
+        plays.slice(start, start + IMPORT_BATCH_SIZE).forEach((play) => {
+          const playRef = play.bggPlayId
+            ? db.collection('plays').doc(`bgg_${play.bggPlayId}`)
+            : db.collection('plays').doc();
+          batch.set(playRef, { ...play, createdAt: firebase.firestore.Timestamp.now() });
+        });
+        await batch.commit();
+      }
+    } catch (error) {
+      console.error('Error importing plays:', error);
+      throw new Error('Failed to import plays. Please try again.');
+    }
+
+    return { imported: plays.length, skipped: (bggPlays || []).length - plays.length };
+  }, []);
+
+  /**
+   * Export a user's MeepleUp-logged plays as BGG plays XML
+   * Plays that came from BGG are left out so they aren't uploaded twice.
+   * @param {string} userId - User ID
+   * @param {Object} [options] - username, getName and getUsername for toBGGPlaysXML
+   * @returns {Promise<Object>} - { xml, count }
+   */
+  const exportPlaysXML = useCallback(async (userId, options = {}) => {
+    const plays = (await getUserPlays(userId)).filter((play) => play.source !== 'bgg' && play.gameBggId);
+    return { xml: toBGGPlaysXML(plays, options), count: plays.length };
+  }, [getUserPlays]);
+
+  const value = useMemo(
+    () => ({
+      playCounts,
+      logPlay,
+      getUserPlays,
+      getEventPlays,
+      importBGGPlays,
+      exportPlaysXML,
+    }),
+    [playCounts, logPlay, getUserPlays, getEventPlays, importBGGPlays, exportPlaysXML],
+  );
+
+  return <PlaysContext.Provider value={value}>{children}</PlaysContext.Provider>;
+};
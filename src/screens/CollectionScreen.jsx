@@ -1,13 +1,28 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { View, Text, StyleSheet, FlatList, Pressable, Alert, Image, useWindowDimensions, ScrollView } from 'react-native';
+import { View, Text, StyleSheet, FlatList, Pressable, Alert, Image, useWindowDimensions, ScrollView, TextInput } from 'react-native';
 import { useAuth } from '../context/AuthContext';
 import { useCollections } from '../context/CollectionsContext';
+import { usePlays } from '../context/PlaysContext';
 import Button from '../components/common/Button';
+import Modal from '../components/common/Modal';
 import ClaudeGameIdentifier from '../components/ClaudeGameIdentifier';
 import GameCard from '../components/GameCard';
 import BGGImport from '../components/BGGImport';
+import LogPlayForm from '../components/LogPlayForm';
+import GameExplainer from '../components/GameExplainer';
+import ShelfScanner from '../components/ShelfScanner';
+import VirtualBookshelf from '../components/VirtualBookshelf';
 import { getGameById } from '../services/gameDatabase';
+import { getPlayCount } from '../utils/playLog';
 import { getStarRating } from '../utils/gameBadges';
+import {
+  answerWhereQuery,
+  formatShelfLocation,
+  getGameLocation,
+  getUsedLocations,
+  matchesCollectionSearch,
+  parseShelfLocation,
+} from '../utils/shelfLocations';
 // Note: BarcodeScanner has been archived (see src/archive/barcode-scanner/)
 // BGGImport will need to be converted separately if needed
 
@@ -16,11 +31,21 @@ const CollectionScreen = () => {
   
   const { width } = useWindowDimensions();
   const { user } = useAuth();
-  const { getUserCollection, addGameToCollection, removeGameFromCollection } = useCollections();
+  const { getUserCollection, addGameToCollection, removeGameFromCollection, updateGameInCollection } = useCollections();
+  const { logPlay, playCounts } = usePlays();
   const [activeView, setActiveView] = useState('menu'); // 'menu', 'import'
   const [sortBy, setSortBy] = useState('rating'); // 'rating', 'category', 'title'
+  const [viewMode, setViewMode] = useState('cards'); // 'cards', 'shelf'
+  const [shelfGame, setShelfGame] = useState(null);
   const [showCameraModal, setShowCameraModal] = useState(false);
   const [showResultsModal, setShowResultsModal] = useState(false);
+  const [showShelfScanner, setShowShelfScanner] = useState(false);
+  const [loggingGame, setLoggingGame] = useState(null);
+  const [explainingGame, setExplainingGame] = useState(null);
+  const [savingPlay, setSavingPlay] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [locatingGame, setLocatingGame] = useState(null);
+  const [locationText, setLocationText] = useState('');
   
   // Responsive icon size - larger on bigger screens
   const iconSize = width > 768 ? 72 : 64;
@@ -36,6 +61,18 @@ const CollectionScreen = () => {
   console.log('[CollectionScreen] Raw collection length:', rawCollection.length);
   
   const [sortedCollection, setSortedCollection] = useState([]);
+
+  // Search matches titles and shelf locations; "where is Brass?" also gets a direct answer
+  // Play counts combine BGG's numplays with plays logged in MeepleUp
+  const visibleCollection = useMemo(
+    () => (searchQuery.trim()
+      ? sortedCollection.filter((game) => matchesCollectionSearch(game, searchQuery))
+      : sortedCollection)
+      .map((game) => ({ ...game, numplays: getPlayCount(game, playCounts) })),
+    [sortedCollection, searchQuery, playCounts]
+  );
+  const whereAnswer = useMemo(() => answerWhereQuery(rawCollection, searchQuery), [rawCollection, searchQuery]);
+  const usedLocations = useMemo(() => getUsedLocations(rawCollection), [rawCollection]);
   
   // Component mount/unmount logging
   useEffect(() => {
@@ -195,6 +232,50 @@ const CollectionScreen = () => {
     );
   }, [userIdentifier, removeGameFromCollection]);
 
+  const handleLogPlay = useCallback((game) => {
+    setLoggingGame(game);
+  }, []);
+
+  const handleExplainGame = useCallback((game) => {
+    setExplainingGame(game);
+  }, []);
+
+  const handleSetLocation = useCallback((game) => {
+    setLocatingGame(game);
+    setLocationText(formatShelfLocation(getGameLocation(game)));
+  }, []);
+
+  const handleSaveLocation = (text) => {
+    if (!userIdentifier || !locatingGame) return;
+
+    const parsed = parseShelfLocation(text);
+    const previous = getGameLocation(locatingGame);
+    // A scanned position only stays meaningful while the game stays on the same spot
+    const samePlace = parsed && previous && formatShelfLocation(parsed) === formatShelfLocation(previous);
+    const location = parsed
+      ? {
+        ...parsed,
+        position: samePlace ? previous.position || null : null,
+        orientation: samePlace ? previous.orientation || null : null,
+      }
+      : null;
+
+    updateGameInCollection(userIdentifier, locatingGame.id, { location });
+    setLocatingGame(null);
+  };
+
+  const handleSubmitPlay = async (playForm) => {
+    setSavingPlay(true);
+    try {
+      await logPlay({ ...playForm, loggedBy: userIdentifier });
+      setLoggingGame(null);
+    } catch (error) {
+      Alert.alert('Could not log play', error.message);
+    } finally {
+      setSavingPlay(false);
+    }
+  };
+
   const renderGameCard = useCallback(({ item }) => {
     console.log('[CollectionScreen] renderGameCard called for:', item.title || item.id, 'has_bggData:', !!item._bggData);
     try {
@@ -204,6 +285,9 @@ const CollectionScreen = () => {
         <GameCard 
           game={item} 
           onDelete={handleDeleteGame}
+          onLogPlay={handleLogPlay}
+          onExplain={handleExplainGame}
+          onSetLocation={handleSetLocation}
           preloadedBggData={item._bggData}
         />
       );
@@ -211,7 +295,7 @@ const CollectionScreen = () => {
       console.error('[CollectionScreen] Error rendering GameCard for:', item.title || item.id, 'error:', error, 'stack:', error.stack);
       return null;
     }
-  }, [handleDeleteGame]);
+  }, [handleDeleteGame, handleLogPlay, handleExplainGame, handleSetLocation]);
 
   // Show menu when no specific view is active
   const showMenu = activeView === 'menu';
@@ -233,6 +317,21 @@ const CollectionScreen = () => {
     </Pressable>
   );
 
+  const renderShelfScanButton = () => (
+    <Pressable
+      style={styles.menuOption}
+      onPress={() => setShowShelfScanner(true)}
+    >
+      <View style={styles.menuOptionContent}>
+        <Text style={[styles.menuOptionEmoji, { fontSize: iconSize * 0.6 }]}>📚</Text>
+        <View style={styles.menuOptionText}>
+          <Text style={styles.menuOptionTitle}>Scan a whole shelf in several photos and review everything at the end</Text>
+        </View>
+        <Text style={styles.menuOptionArrow}>→</Text>
+      </View>
+    </Pressable>
+  );
+
   const renderHeader = () => {
     console.log('[CollectionScreen] renderHeader called, showMenu:', showMenu);
     if (!showMenu) {
@@ -245,6 +344,7 @@ const CollectionScreen = () => {
       <>
         <View style={styles.menuContainer}>
           {renderInventoryButton()}
+          {renderShelfScanButton()}
 
           <Pressable
             style={styles.menuOption}
@@ -268,34 +368,80 @@ const CollectionScreen = () => {
           <View style={styles.inventoryHeader}>
             <Text style={styles.inventoryTitle}>Your Games Inventory</Text>
             <View style={styles.sortRow}>
-              <Text style={styles.sortLabel}>Sort by:</Text>
+              <Text style={styles.sortLabel}>View:</Text>
               <View style={styles.sortButtons}>
                 <Pressable
-                  style={[styles.sortButton, sortBy === 'rating' && styles.sortButtonActive]}
-                  onPress={() => setSortBy('rating')}
-                >
-                  <Text style={[styles.sortButtonText, sortBy === 'rating' && styles.sortButtonTextActive]}>
-                    ⭐ Rating
-                  </Text>
-                </Pressable>
-                <Pressable
-                  style={[styles.sortButton, sortBy === 'category' && styles.sortButtonActive]}
-                  onPress={() => setSortBy('category')}
+                  style={[styles.sortButton, viewMode === 'cards' && styles.sortButtonActive]}
+                  onPress={() => setViewMode('cards')}
                 >
-                  <Text style={[styles.sortButtonText, sortBy === 'category' && styles.sortButtonTextActive]}>
-                    🏷️ Category
+                  <Text style={[styles.sortButtonText, viewMode === 'cards' && styles.sortButtonTextActive]}>
+                    Cards
                   </Text>
                 </Pressable>
                 <Pressable
-                  style={[styles.sortButton, sortBy === 'title' && styles.sortButtonActive]}
-                  onPress={() => setSortBy('title')}
+                  style={[styles.sortButton, viewMode === 'shelf' && styles.sortButtonActive]}
+                  onPress={() => setViewMode('shelf')}
                 >
-                  <Text style={[styles.sortButtonText, sortBy === 'title' && styles.sortButtonTextActive]}>
-                    A-Z
+                  <Text style={[styles.sortButtonText, viewMode === 'shelf' && styles.sortButtonTextActive]}>
+                    📚 Shelf
                   </Text>
                 </Pressable>
               </View>
             </View>
+            {viewMode === 'cards' && (
+              <View style={styles.sortRow}>
+                <Text style={styles.sortLabel}>Sort by:</Text>
+                <View style={styles.sortButtons}>
+                  <Pressable
+                    style={[styles.sortButton, sortBy === 'rating' && styles.sortButtonActive]}
+                    onPress={() => setSortBy('rating')}
+                  >
+                    <Text style={[styles.sortButtonText, sortBy === 'rating' && styles.sortButtonTextActive]}>
+                      ⭐ Rating
+                    </Text>
+                  </Pressable>
+                  <Pressable
+                    style={[styles.sortButton, sortBy === 'category' && styles.sortButtonActive]}
+                    onPress={() => setSortBy('category')}
+                  >
+                    <Text style={[styles.sortButtonText, sortBy === 'category' && styles.sortButtonTextActive]}>
+                      🏷️ Category
+                    </Text>
+                  </Pressable>
+                  <Pressable
+                    style={[styles.sortButton, sortBy === 'title' && styles.sortButtonActive]}
+                    onPress={() => setSortBy('title')}
+                  >
+                    <Text style={[styles.sortButtonText, sortBy === 'title' && styles.sortButtonTextActive]}>
+                      A-Z
+                    </Text>
+                  </Pressable>
+                </View>
+              </View>
+            )}
+            <TextInput
+              style={styles.searchInput}
+              value={searchQuery}
+              onChangeText={setSearchQuery}
+              placeholder="Search, or ask “where is Brass?”"
+              placeholderTextColor="#999"
+              autoCorrect={false}
+              clearButtonMode="while-editing"
+            />
+            {whereAnswer && (
+              <View style={styles.whereAnswer}>
+                {whereAnswer.length === 0 ? (
+                  <Text style={styles.whereAnswerText}>That game isn't in your collection.</Text>
+                ) : (
+                  whereAnswer.map(({ game, description }) => (
+                    <Text key={game.id} style={styles.whereAnswerText}>
+                      <Text style={styles.whereAnswerTitle}>{game.title}</Text>
+                      {description ? ` is on ${description}.` : ' has no shelf yet. Open it and tap "Set shelf".'}
+                    </Text>
+                  ))
+                )}
+              </View>
+            )}
           </View>
         )}
 
@@ -326,7 +472,8 @@ const CollectionScreen = () => {
           console.log('[CollectionScreen] Rendering FlatList with', sortedCollection.length, 'items');
           return (
             <FlatList
-              data={sortedCollection}
+              // The shelf view draws the whole (filtered) collection in its footer instead of as grid rows
+              data={viewMode === 'shelf' ? [] : visibleCollection}
               keyExtractor={(item) => {
                 const key = item.id;
                 if (!key) {
@@ -346,10 +493,14 @@ const CollectionScreen = () => {
               numColumns={2}
               columnWrapperStyle={styles.row}
               contentContainerStyle={styles.listContainer}
-              ListHeaderComponent={() => {
-                console.log('[CollectionScreen] Rendering ListHeaderComponent');
-                return renderHeader();
-              }}
+              // An element rather than a component so the search box keeps focus while typing
+              ListHeaderComponent={renderHeader()}
+              ListEmptyComponent={viewMode === 'cards' ? (
+                <Text style={styles.noMatchesText}>No games match “{searchQuery.trim()}”.</Text>
+              ) : null}
+              ListFooterComponent={viewMode === 'shelf' ? (
+                <VirtualBookshelf collection={visibleCollection} onSelectGame={setShelfGame} />
+              ) : null}
               ListHeaderComponentStyle={styles.headerContainer}
               scrollEnabled={true}
               showsVerticalScrollIndicator={true}
@@ -386,6 +537,7 @@ const CollectionScreen = () => {
                 <>
                   <View style={styles.menuContainer}>
                     {renderInventoryButton()}
+                    {renderShelfScanButton()}
 
                 <Pressable
                   style={styles.menuOption}
@@ -458,6 +610,110 @@ const CollectionScreen = () => {
         onCameraModalClose={handleCameraModalClose}
         onResultsModalClose={handleResultsModalClose}
       />
+
+      <ShelfScanner
+        visible={showShelfScanner}
+        onClose={() => setShowShelfScanner(false)}
+        onAddToCollection={handleAddToCollection}
+        collection={rawCollection}
+      />
+
+      <Modal isOpen={!!loggingGame} onClose={() => setLoggingGame(null)} title="Log a Play">
+        {loggingGame && (
+          <LogPlayForm
+            game={loggingGame}
+            members={[{ userId: userIdentifier, name: user?.name || 'You' }]}
+            defaultPlayerIds={[userIdentifier]}
+            onSubmit={handleSubmitPlay}
+            submitting={savingPlay}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={!!shelfGame}
+        onClose={() => setShelfGame(null)}
+        title={shelfGame?.title || ''}
+      >
+        {shelfGame && (
+          <GameCard
+            game={shelfGame}
+            onDelete={(gameId) => {
+              setShelfGame(null);
+              handleDeleteGame(gameId);
+            }}
+            onLogPlay={(game) => {
+              setShelfGame(null);
+              handleLogPlay(game);
+            }}
+            onExplain={(game) => {
+              setShelfGame(null);
+              handleExplainGame(game);
+            }}
+            onSetLocation={(game) => {
+              setShelfGame(null);
+              handleSetLocation(game);
+            }}
+            preloadedBggData={shelfGame._bggData}
+            style={styles.shelfGameCard}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={!!locatingGame}
+        onClose={() => setLocatingGame(null)}
+        title={locatingGame ? `Where is ${locatingGame.title || 'this game'}?` : ''}
+      >
+        <Text style={styles.locationHint}>Shelf, then cube or row if you like (e.g. Kallax 2, row 3).</Text>
+        <TextInput
+          style={styles.searchInput}
+          value={locationText}
+          onChangeText={setLocationText}
+          placeholder="Kallax 2, row 3"
+          placeholderTextColor="#999"
+          autoFocus
+        />
+        {usedLocations.length > 0 && (
+          <View style={styles.locationChips}>
+            {usedLocations.map((location) => (
+              <Pressable
+                key={location}
+                style={[styles.sortButton, locationText === location && styles.sortButtonActive]}
+                onPress={() => setLocationText(location)}
+              >
+                <Text style={[styles.sortButtonText, locationText === location && styles.sortButtonTextActive]}>
+                  {location}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+        )}
+        <Button
+          label="Save"
+          onPress={() => handleSaveLocation(locationText)}
+          disabled={!locationText.trim()}
+          style={styles.locationSaveButton}
+        />
+        {locatingGame && getGameLocation(locatingGame) && (
+          <Button
+            label="Take off the shelf"
+            variant="outline"
+            onPress={() => handleSaveLocation('')}
+            style={styles.locationClearButton}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={!!explainingGame}
+        onClose={() => setExplainingGame(null)}
+        title={explainingGame ? `What's ${explainingGame.title || 'this game'} like?` : ''}
+      >
+        {explainingGame && (
+          <GameExplainer game={{ ...explainingGame._bggData, ...explainingGame }} />
+        )}
+      </Modal>
     </View>
   );
 };
@@ -504,6 +760,9 @@ const styles = StyleSheet.create({
     height: 32,
     marginRight: 16,
   },
+  menuOptionEmoji: {
+    marginRight: 16,
+  },
   menuOptionText: {
     flex: 1,
   },
@@ -718,6 +977,54 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 12,
   },
+  searchInput: {
+    marginTop: 12,
+    borderWidth: 1,
+    borderColor: '#dcdcdc',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: '#fff',
+  },
+  whereAnswer: {
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#eaf2fc',
+    gap: 4,
+  },
+  whereAnswerText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  whereAnswerTitle: {
+    fontWeight: '600',
+  },
+  noMatchesText: {
+    textAlign: 'center',
+    color: '#666',
+    paddingVertical: 24,
+  },
+  locationHint: {
+    fontSize: 14,
+    color: '#555',
+  },
+  locationChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  locationSaveButton: {
+    marginTop: 16,
+  },
+  locationClearButton: {
+    marginTop: 8,
+  },
+  shelfGameCard: {
+    width: '100%',
+  },
 });
 
 export default CollectionScreen;
@@ -0,0 +1,380 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Platform, View, Text, StyleSheet, FlatList, Pressable } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useEvents } from '../context/EventsContext';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import {
+  DEFAULT_DISCOVERY_RADIUS_MILES,
+  DISCOVERY_SORT,
+  discoverPublicEvents,
+  resolveLocationText,
+  sortDiscoveredEvents,
+} from '../services/eventDiscovery';
+import { formatDate, formatTime, getUserLocation } from '../utils/helpers';
+
+const RADIUS_OPTIONS = [10, 25, 50, 100];
+
+const SORT_OPTIONS = [
+  { value: DISCOVERY_SORT.DISTANCE, label: 'Nearest' },
+  { value: DISCOVERY_SORT.NEXT_OCCURRENCE, label: 'Soonest' },
+];
+
+// Platform-specific starting location (from onboarding) and way to open a MeepleUp
+let useDiscoverRoute;
+if (Platform.OS === 'web') {
+  try {
+    const { useNavigate, useLocation } = require('react-router-dom');
+    useDiscoverRoute = () => {
+      const navigate = useNavigate();
+      const query = new URLSearchParams(useLocation().search);
+      return {
+        initialLocation: query.get('location') || '',
+        openEventHub: (eventId) => navigate(`/event/${eventId}`),
+      };
+    };
+  } catch (e) {
+    // react-router-dom not available
+    useDiscoverRoute = () => ({ initialLocation: '', openEventHub: () => {} });
+  }
+} else {
+  const { useNavigation, useRoute } = require('@react-navigation/native');
+  useDiscoverRoute = () => {
+    const navigation = useNavigation();
+    const route = useRoute();
+    return {
+      initialLocation: route.params?.location || '',
+      openEventHub: (eventId) => navigation.navigate('EventHub', { eventId }),
+    };
+  };
+}
+
+/**
+ * Public MeepleUps near a place, as a list (no map)
+ * Searches around typed text, a postal code or the device's location; sorted nearest or soonest first.
+ */
+const DiscoverScreen = () => {
+  const { user } = useAuth();
+  const { joinEventWithCode } = useEvents();
+  const { initialLocation, openEventHub } = useDiscoverRoute();
+  const userId = user?.uid || user?.id;
+
+  const [locationText, setLocationText] = useState(initialLocation || user?.zipcode || '');
+  const [center, setCenter] = useState(null);
+  const [radiusMiles, setRadiusMiles] = useState(DEFAULT_DISCOVERY_RADIUS_MILES);
+  const [sortBy, setSortBy] = useState(DISCOVERY_SORT.DISTANCE);
+  const [events, setEvents] = useState([]);
+  const [searched, setSearched] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [joiningId, setJoiningId] = useState(null);
+  const [error, setError] = useState('');
+
+  const searchAround = useCallback(async (nextCenter, radius) => {
+    setLoading(true);
+    setError('');
+    try {
+      setEvents(await discoverPublicEvents(nextCenter, { radiusMiles: radius }));
+      setSearched(true);
+    } catch (err) {
+      console.error('Error discovering MeepleUps:', err);
+      setError('Could not load MeepleUps. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const handleSearch = useCallback(async (text) => {
+    if (!text.trim()) {
+      setError('Please enter your location');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    const nextCenter = await resolveLocationText(text, { country: user?.country });
+    if (!nextCenter) {
+      setError("Couldn't find that place. Try a postal code or a city.");
+      setLoading(false);
+      return;
+    }
+
+    setCenter(nextCenter);
+    await searchAround(nextCenter, radiusMiles);
+  }, [radiusMiles, searchAround, user?.country]);
+
+  // Opened with a location (from onboarding, or the saved postal code): search straight away
+  useEffect(() => {
+    if (locationText.trim()) {
+      handleSearch(locationText);
+    }
+  }, []);
+
+  const handleUseCurrentLocation = async () => {
+    setLoading(true);
+    try {
+      const position = await getUserLocation();
+      const nextCenter = { lat: position.latitude, lng: position.longitude };
+      setLocationText(`${position.latitude.toFixed(4)}, ${position.longitude.toFixed(4)}`);
+      setCenter(nextCenter);
+      await searchAround(nextCenter, radiusMiles);
+    } catch (err) {
+      setError('Could not get your location. Please enter it manually.');
+      setLoading(false);
+    }
+  };
+
+  const handleRadiusChange = (radius) => {
+    setRadiusMiles(radius);
+    if (center) {
+      searchAround(center, radius);
+    }
+  };
+
+  const handleOpenEvent = async (event) => {
+    if (event.memberIds.includes(userId)) {
+      openEventHub(event.id);
+      return;
+    }
+
+    if (!userId) {
+      setError('Please sign in before joining a MeepleUp.');
+      return;
+    }
+
+    setJoiningId(event.id);
+    setError('');
+    try {
+      const joinedEvent = await joinEventWithCode(event.joinCode, userId);
+      if (joinedEvent) {
+        openEventHub(joinedEvent.id);
+      } else {
+        setError(`Could not join "${event.name}". Please try again.`);
+      }
+    } catch (err) {
+      console.error('Error joining discovered MeepleUp:', err);
+      setError(`Could not join "${event.name}". Please try again.`);
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  const sortedEvents = useMemo(() => sortDiscoveredEvents(events, sortBy), [events, sortBy]);
+
+  const renderOptions = (options, selectedValue, onSelect) => (
+    <View style={styles.options} accessibilityRole="radiogroup">
+      {options.map((option) => {
+        const selected = option.value === selectedValue;
+        return (
+          <Pressable
+            key={option.value}
+            onPress={() => onSelect(option.value)}
+            style={[styles.option, selected && styles.optionSelected]}
+            accessibilityRole="radio"
+            accessibilityState={{ selected }}
+          >
+            <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{option.label}</Text>
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+
+  const renderEvent = ({ item: event }) => {
+    const isMember = event.memberIds.includes(userId);
+    const when = event.nextOccurrence
+      ? `${formatDate(event.nextOccurrence)} · ${formatTime(event.nextOccurrence)}`
+      : 'Date to be announced';
+
+    return (
+      <View style={styles.row}>
+        <View style={styles.rowBody}>
+          <Text style={styles.rowTitle}>{event.name}</Text>
+          <Text style={styles.rowMeta}>
+            {event.distance.toFixed(1)} mi{event.generalLocation ? ` · ${event.generalLocation}` : ''}
+          </Text>
+          <Text style={styles.rowMeta}>{when}</Text>
+          <Text style={styles.rowMeta}>
+            {event.memberCount} {event.memberCount === 1 ? 'member' : 'members'}
+            {event.organizerName ? ` · Hosted by ${event.organizerName}` : ''}
+          </Text>
+        </View>
+        <Button
+          label={isMember ? 'Open' : joiningId === event.id ? 'Joining...' : 'Join'}
+          variant={isMember ? 'outline' : 'primary'}
+          onPress={() => handleOpenEvent(event)}
+          disabled={joiningId !== null}
+          style={styles.rowButton}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Discover MeepleUps</Text>
+        <View style={styles.locationRow}>
+          <Input
+            placeholder="Postal code, city or address"
+            value={locationText}
+            onChangeText={(text) => {
+              setLocationText(text);
+              setError('');
+            }}
+            onSubmitEditing={() => handleSearch(locationText)}
+            style={styles.locationInput}
+          />
+          <Button
+            label="📍"
+            onPress={handleUseCurrentLocation}
+            disabled={loading}
+            title="Use current location"
+            style={styles.locationButton}
+          />
+        </View>
+        <Button
+          label={loading ? 'Searching...' : 'Search'}
+          onPress={() => handleSearch(locationText)}
+          disabled={loading}
+        />
+
+        <Text style={styles.label}>Within</Text>
+        {renderOptions(
+          RADIUS_OPTIONS.map((radius) => ({ value: radius, label: `${radius} mi` })),
+          radiusMiles,
+          handleRadiusChange,
+        )}
+        <Text style={styles.label}>Sort by</Text>
+        {renderOptions(SORT_OPTIONS, sortBy, setSortBy)}
+
+        {error ? <Text style={styles.error}>{error}</Text> : null}
+      </View>
+
+      {loading && events.length === 0 ? (
+        <View style={styles.centered}>
+          <LoadingSpinner />
+        </View>
+      ) : (
+        <FlatList
+          data={sortedEvents}
+          keyExtractor={(event) => event.id}
+          renderItem={renderEvent}
+          contentContainerStyle={styles.list}
+          ListEmptyComponent={searched ? (
+            <Text style={styles.emptyText}>
+              No public MeepleUps within {radiusMiles} miles yet. Try a wider search, or host one!
+            </Text>
+          ) : null}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  locationInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  locationButton: {
+    width: 48,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 12,
+  },
+  options: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  option: {
+    flex: 1,
+    paddingVertical: 8,
+    marginRight: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+  },
+  optionSelected: {
+    backgroundColor: '#d45d5d',
+    borderColor: '#d45d5d',
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  error: {
+    color: '#dc2626',
+    fontSize: 14,
+    marginTop: 12,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 24,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 8,
+  },
+  rowBody: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  rowButton: {
+    marginLeft: 12,
+    minWidth: 80,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default DiscoverScreen;
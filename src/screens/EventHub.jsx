@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect, useCallback } from 'react';
+import React, { useMemo, useState, useEffect, useCallback, useRef } from 'react';
 import { Platform, KeyboardAvoidingView } from 'react-native';
 import {
   View,
@@ -13,13 +13,40 @@ import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import { useAuth } from '../context/AuthContext';
 import { useEvents } from '../context/EventsContext';
+import { useCollections } from '../context/CollectionsContext';
+import { usePlays } from '../context/PlaysContext';
 import { db } from '../config/firebase';
 import firebase from '../config/firebase';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
 import Modal from '../components/common/Modal';
+import TablePlanner from '../components/TablePlanner';
+import LogPlayForm from '../components/LogPlayForm';
+import GameExplainer from '../components/GameExplainer';
 import { generateIcalEvent, downloadIcalFile, generateGoogleCalendarUrl } from '../utils/icalExport';
 import { formatDate, formatTime } from '../utils/helpers';
+import {
+  describeSeries,
+  getCurrentOccurrence,
+  getPastOccurrences,
+  parseScheduledDate,
+  UNSCHEDULED_OCCURRENCE_ID,
+} from '../utils/recurrence';
+import { getMemberRSVP } from '../utils/rsvp';
+import { describePlayResult, getPlayDate } from '../utils/playLog';
+import { countPlaysByGame, getFrequentOpponents } from '../utils/playStats';
+import { recommendGames } from '../utils/recommender';
+import {
+  BRING_STATUS,
+  buildBringListView,
+  getPendingRequestsForOwner,
+  getUserRequest,
+} from '../utils/bringList';
+import { EVENT_HUB_TABS, GAME_INTEREST_STATUS } from '../utils/constants';
+import { CATEGORIES } from '../utils/gameBadges';
+import { PLAY_TIME_FILTERS, filterLibrary, withGameDetails } from '../utils/libraryFilters';
+import { getGamesByIds } from '../services/gameDatabase';
+import { notifyNewPost } from '../utils/notificationHooks';
 import { Linking } from 'react-native';
 
 // Platform-specific navigation hooks
@@ -29,9 +56,13 @@ let useParamsHook;
 
 if (Platform.OS === 'web') {
   try {
-    const { useNavigate, useParams } = require('react-router-dom');
+    const { useParams, useLocation } = require('react-router-dom');
     useNavigationHook = () => ({ goBack: () => window.history.back() });
-    useRouteHook = () => ({ params: {} });
+    // Notification links carry the tab and post in the query string (?tab=discussion&post=abc)
+    useRouteHook = () => {
+      const query = new URLSearchParams(useLocation().search);
+      return { params: { tab: query.get('tab'), postId: query.get('post') } };
+    };
     useParamsHook = useParams;
   } catch (e) {
     useNavigationHook = () => ({ goBack: () => {} });
@@ -45,17 +76,15 @@ if (Platform.OS === 'web') {
   useParamsHook = () => null;
 }
 
-const TABS = {
-  SCHEDULE: 'schedule',
-  DISCUSSION: 'discussion',
-  MEMBERS: 'members',
-};
+const TABS = EVENT_HUB_TABS;
 
 const EventHub = () => {
   const navigation = useNavigationHook();
   const route = useRouteHook();
   const params = useParamsHook();
   const { eventId } = params?.eventId ? params : (route?.params || {});
+  // Set when opened from a notification
+  const { tab: linkedTab, postId: linkedPostId } = route?.params || {};
 
   const {
     getEventById,
@@ -69,7 +98,25 @@ const EventHub = () => {
     updateMemberRSVP,
     updateEventSchedule,
     updateEvent,
+    getEventOccurrences,
+    skipOccurrence,
+    moveOccurrence,
+    restoreOccurrence,
+    occurrenceStatus,
+    syncEventRSVPs,
+    getOccurrenceRSVPs,
+    getAttendanceStats,
+    publishTablePlan,
+    getBringList,
+    commitToBringGame,
+    withdrawBringGame,
+    markGameBrought,
+    requestGame,
+    declineGameRequest,
+    rsvpStatus: RSVP_STATUS,
   } = useEvents();
+  const { getEventCollection, getUserCollection, loadCollections } = useCollections();
+  const { logPlay, getEventPlays } = usePlays();
   const { user } = useAuth();
 
   const [activeTab, setActiveTab] = useState(TABS.SCHEDULE);
@@ -79,13 +126,34 @@ const EventHub = () => {
     scheduledFor: '',
     generalLocation: '',
     exactLocation: '',
+    capacity: '',
   });
   const [memberNames, setMemberNames] = useState({});
-  const [memberRSVPs, setMemberRSVPs] = useState({});
+  const [selectedOccurrenceId, setSelectedOccurrenceId] = useState(null);
   const [pinnedNotes, setPinnedNotes] = useState('');
   const [showEditPinnedNotes, setShowEditPinnedNotes] = useState(false);
   const [discussionMessages, setDiscussionMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
+  const [movingOccurrence, setMovingOccurrence] = useState(null);
+  const [moveOccurrenceDate, setMoveOccurrenceDate] = useState('');
+  const [showTablePlanner, setShowTablePlanner] = useState(false);
+  const [publishingPlan, setPublishingPlan] = useState(false);
+  const [bringList, setBringList] = useState({ occurrenceId: null, commitments: [], interests: [] });
+  const [bringBusyKey, setBringBusyKey] = useState(null);
+  const [libraryFilters, setLibraryFilters] = useState({
+    playerCount: null,
+    playTime: null,
+    category: null,
+    ownerId: null,
+  });
+  const [libraryDetails, setLibraryDetails] = useState({});
+  const [eventPlays, setEventPlays] = useState([]);
+  const [loggingOccurrence, setLoggingOccurrence] = useState(null);
+  const [savingPlay, setSavingPlay] = useState(false);
+  const [explainingGame, setExplainingGame] = useState(null);
+  const [highlightedPostId, setHighlightedPostId] = useState(null);
+  const discussionScrollRef = useRef(null);
+  const discussionSectionYRef = useRef({});
 
   const event = getEventById(eventId);
   const userId = user?.uid || user?.id || null;
@@ -100,6 +168,25 @@ const EventHub = () => {
     () => (event?.members || []).filter((member) => member.status === membershipStatus.MEMBER),
     [event, membershipStatus],
   );
+  const memberIdsKey = members.map((member) => member.userId).join(',');
+
+  // Jump to the tab (and post) a notification points at
+  useEffect(() => {
+    if (linkedTab && Object.values(TABS).includes(linkedTab)) {
+      setActiveTab(linkedTab);
+    }
+    setHighlightedPostId(linkedPostId || null);
+  }, [eventId, linkedTab, linkedPostId]);
+
+  // Scroll the linked post into view once it has been laid out
+  const handleMessageLayout = useCallback((messageId, section, layoutEvent) => {
+    if (messageId !== highlightedPostId) return;
+    const { y } = layoutEvent.nativeEvent.layout;
+    requestAnimationFrame(() => {
+      const sectionY = discussionSectionYRef.current[section] || 0;
+      discussionScrollRef.current?.scrollTo({ y: Math.max(sectionY + y - 16, 0), animated: true });
+    });
+  }, [highlightedPostId]);
 
   // Initialize schedule form when event loads
   useEffect(() => {
@@ -108,18 +195,18 @@ const EventHub = () => {
         scheduledFor: event.scheduledFor || '',
         generalLocation: event.generalLocation || '',
         exactLocation: event.exactLocation || '',
+        capacity: event.capacity ? String(event.capacity) : '',
       });
       setPinnedNotes(event.description || '');
     }
   }, [event]);
 
-  // Fetch member names and RSVP data from Firestore
+  // Fetch member names from Firestore
   useEffect(() => {
     if (!members.length || !db || !event?.id) return;
 
     const fetchMemberData = async () => {
       const names = {};
-      const rsvps = {};
       
       for (const member of members) {
         if (!member.userId || names[member.userId]) continue;
@@ -131,7 +218,7 @@ const EventHub = () => {
         }
         
         try {
-          // Get from members subcollection (has denormalized userName and rsvpStatus)
+          // Get from members subcollection (has denormalized userName)
           if (event.id) {
             const memberDoc = await db.collection('gamingGroups').doc(event.id)
               .collection('members').doc(member.userId).get();
@@ -141,9 +228,6 @@ const EventHub = () => {
               if (memberData.userName) {
                 names[member.userId] = memberData.userName;
               }
-              if (memberData.rsvpStatus) {
-                rsvps[member.userId] = memberData.rsvpStatus;
-              }
               continue;
             }
           }
@@ -163,37 +247,84 @@ const EventHub = () => {
       }
       
       setMemberNames(names);
-      setMemberRSVPs(rsvps);
     };
 
     fetchMemberData();
-  }, [members, event?.id, user]);
+  }, [memberIdsKey, event?.id, user]);
 
-  // Fetch current user's RSVP from Firestore
+  // Members' collections come from Firestore so everyone sees the same library
   useEffect(() => {
-    if (!userId || !event?.id || !db) return;
+    if (memberIdsKey) {
+      loadCollections(memberIdsKey.split(','));
+    }
+  }, [memberIdsKey, loadCollections]);
 
-    const fetchCurrentUserRSVP = async () => {
-      try {
-        const memberDoc = await db.collection('gamingGroups').doc(event.id)
-          .collection('members').doc(userId).get();
-        
-        if (memberDoc.exists) {
-          const memberData = memberDoc.data();
-          if (memberData.rsvpStatus) {
-            setMemberRSVPs(prev => ({
-              ...prev,
-              [userId]: memberData.rsvpStatus,
-            }));
-          }
-        }
-      } catch (error) {
-        console.error('Error fetching current user RSVP:', error);
+  // Fetch every member's RSVP history from Firestore
+  useEffect(() => {
+    if (!event?.id || !db || !isMember) return;
+    syncEventRSVPs(event.id);
+  }, [event?.id, isMember]);
+
+  // Same fallback as the Schedule tab's selected occurrence
+  const bringListOccurrenceId = selectedOccurrenceId
+    || getCurrentOccurrence(event)?.id
+    || UNSCHEDULED_OCCURRENCE_ID;
+
+  const loadBringList = useCallback(async () => {
+    if (!event?.id) return;
+    const list = await getBringList(event.id, bringListOccurrenceId);
+    setBringList({ occurrenceId: bringListOccurrenceId, ...list });
+  }, [event?.id, bringListOccurrenceId, getBringList]);
+
+  // Fill in player counts, play times and category ranks missing from collection entries
+  useEffect(() => {
+    if (activeTab !== TABS.LIBRARY) return;
+
+    const missingIds = members
+      .flatMap((member) => getUserCollection(member.userId))
+      .filter((game) => game.bggId && !libraryDetails[String(game.bggId)])
+      .filter((game) => !game.minPlayers || !game.maxPlayers || !game.playingTime || game.strategyGamesRank === undefined)
+      .map((game) => String(game.bggId));
+    if (!missingIds.length) return;
+
+    let cancelled = false;
+    const fetchDetails = async () => {
+      const fetched = await getGamesByIds(missingIds);
+      if (cancelled) return;
+      // Remember misses too so they aren't requested again
+      setLibraryDetails((prev) => missingIds.reduce(
+        (acc, gameId) => ({ ...acc, [gameId]: fetched[gameId] || {} }),
+        prev,
+      ));
+    };
+    fetchDetails();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeTab, memberIdsKey, libraryDetails]);
+
+  // Load plays logged at this event for the Recent Game Nights section
+  useEffect(() => {
+    if (!event?.id || !isMember) return;
+
+    let cancelled = false;
+    getEventPlays(event.id).then((plays) => {
+      if (!cancelled) {
+        setEventPlays(plays);
       }
+    });
+
+    return () => {
+      cancelled = true;
     };
+  }, [event?.id, isMember, getEventPlays]);
 
-    fetchCurrentUserRSVP();
-  }, [userId, event?.id]);
+  // Load the bring list when the Games tab is opened or the occurrence changes
+  useEffect(() => {
+    if (!isMember || activeTab !== TABS.GAMES) return;
+    loadBringList();
+  }, [isMember, activeTab, loadBringList]);
 
   if (!event) {
     return (
@@ -221,17 +352,77 @@ const EventHub = () => {
     }
 
     try {
-      await updateMemberRSVP(event.id, userId, status);
-      setMemberRSVPs(prev => ({
-        ...prev,
-        [userId]: status,
-      }));
+      const result = await updateMemberRSVP(event.id, userId, status, selectedOccurrence.id);
+      if (result?.status === RSVP_STATUS.WAITLISTED && currentUserRSVP !== RSVP_STATUS.WAITLISTED) {
+        Alert.alert(
+          'Added to Waitlist',
+          "This game night is full. You'll be moved to Going automatically if a seat opens up.",
+        );
+      }
     } catch (error) {
       Alert.alert('Error', 'Failed to update RSVP. Please try again.');
       console.error(error);
     }
   };
 
+  const handlePublishTablePlan = async (plan) => {
+    setPublishingPlan(true);
+    try {
+      const post = await publishTablePlan(event.id, userId, {
+        ...plan,
+        occurrenceId: selectedOccurrence.id,
+        userName: user?.name || user?.email || 'Organizer',
+      });
+      // Only the new plan stays pinned
+      setDiscussionMessages((prev) => [
+        post,
+        ...prev.map((message) =>
+          message.postType === 'table_plan' ? { ...message, pinned: false } : message,
+        ),
+      ]);
+      setShowTablePlanner(false);
+      Alert.alert('Plan Published', 'The table plan is pinned in the discussion.');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to publish the table plan. Please try again.');
+      console.error(error);
+    } finally {
+      setPublishingPlan(false);
+    }
+  };
+
+  const handleLogPlay = async (playForm) => {
+    setSavingPlay(true);
+    try {
+      const play = await logPlay({
+        ...playForm,
+        groupId: event.id,
+        occurrenceId: loggingOccurrence.id,
+        loggedBy: userId,
+      });
+      setEventPlays((prev) => [play, ...prev]);
+      setLoggingOccurrence(null);
+    } catch (error) {
+      Alert.alert('Could not log play', error.message);
+      console.error(error);
+    } finally {
+      setSavingPlay(false);
+    }
+  };
+
+  // Run a bring list change, then reload the list so everyone's status is current
+  const handleBringAction = async (busyKey, action) => {
+    setBringBusyKey(busyKey);
+    try {
+      await action();
+      await loadBringList();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update the bring list. Please try again.');
+      console.error(error);
+    } finally {
+      setBringBusyKey(null);
+    }
+  };
+
   const handleEditSchedule = async () => {
     if (!isOrganizer) {
       Alert.alert('Error', 'Only the organizer can edit the schedule.');
@@ -248,6 +439,55 @@ const EventHub = () => {
     }
   };
 
+  const handleSkipOccurrence = (occurrence) => {
+    Alert.alert(
+      'Skip this game night?',
+      `${formatDate(occurrence.scheduledFor)} will be removed from the schedule. You can restore it later.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Skip',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await skipOccurrence(event.id, userId, occurrence.id);
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to skip this date. Please try again.');
+              console.error(error);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const handleRestoreOccurrence = async (occurrence) => {
+    try {
+      await restoreOccurrence(event.id, userId, occurrence.id);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to restore this date. Please try again.');
+      console.error(error);
+    }
+  };
+
+  const handleMoveOccurrence = async () => {
+    if (!movingOccurrence) return;
+
+    if (!parseScheduledDate(moveOccurrenceDate)) {
+      Alert.alert('Invalid date', 'Please enter a date like 2024-12-25T18:00:00.');
+      return;
+    }
+
+    try {
+      await moveOccurrence(event.id, userId, movingOccurrence.id, moveOccurrenceDate);
+      setMovingOccurrence(null);
+      setMoveOccurrenceDate('');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to move this date. Please try again.');
+      console.error(error);
+    }
+  };
+
   const handleShareInvite = async () => {
     try {
       const shareMessage = `Join my MeepleUp "${event.name}"!\n\nJoin code: ${event.joinCode}`;
@@ -417,26 +657,47 @@ const EventHub = () => {
         return 'Maybe';
       case 'not-going':
         return "Can't Make It";
+      case 'waitlisted':
+        return 'Waitlisted';
       default:
         return 'Not Responded';
     }
   };
 
-  const getRSVPCounts = () => {
-    const counts = { going: 0, maybe: 0, 'not-going': 0, none: 0 };
-    members.forEach((member) => {
-      const status = memberRSVPs[member.userId] || null;
-      if (status) {
-        counts[status] = (counts[status] || 0) + 1;
-      } else {
-        counts.none += 1;
-      }
-    });
-    return counts;
-  };
+  const getMemberName = (memberId) =>
+    memberId === userId ? 'You' : memberNames[memberId] || memberId;
 
-  const rsvpCounts = getRSVPCounts();
-  const currentUserRSVP = memberRSVPs[userId] || null;
+  const nextOccurrence = getCurrentOccurrence(event);
+  const scheduledOccurrences = getEventOccurrences(event.id, {
+    limit: event.series ? 4 : 1,
+    includeSkipped: isOrganizer,
+    // A finished one-time game night keeps its own date for RSVPs
+    ...(event.series ? {} : { from: event.scheduledFor }),
+  });
+  // Events without a parseable date still collect RSVPs under a single placeholder occurrence
+  const upcomingOccurrences = scheduledOccurrences.length
+    ? scheduledOccurrences
+    : [{ id: UNSCHEDULED_OCCURRENCE_ID, scheduledFor: null, status: occurrenceStatus.SCHEDULED }];
+  const selectedOccurrence =
+    upcomingOccurrences.find((occurrence) => occurrence.id === selectedOccurrenceId)
+    || upcomingOccurrences.find((occurrence) => occurrence.status !== occurrenceStatus.SKIPPED)
+    || upcomingOccurrences[0];
+  const formatOccurrence = (occurrence) =>
+    occurrence?.scheduledFor
+      ? `${formatDate(occurrence.scheduledFor)} at ${formatTime(occurrence.scheduledFor)}`
+      : 'Date to be announced';
+
+  const rsvpGroups = getOccurrenceRSVPs(event.id, selectedOccurrence.id);
+  const currentMember = members.find((member) => member.userId === userId);
+  const currentUserRSVP = getMemberRSVP(currentMember, selectedOccurrence.id);
+  const attendance = isOrganizer && event.series ? getAttendanceStats(event.id, { limit: 10 }) : null;
+  const groupTopGames = countPlaysByGame(eventPlays).slice(0, 5);
+  const groupOpponents = getFrequentOpponents(eventPlays, userId).slice(0, 5);
+  const recentOccurrences = isMember
+    ? getPastOccurrences(event, { limit: 3 })
+        .filter((occurrence) => occurrence.status !== occurrenceStatus.SKIPPED)
+        .reverse()
+    : [];
 
   // Schedule Tab Component
   const ScheduleTab = () => {
@@ -455,7 +716,7 @@ const EventHub = () => {
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>Event Details</Text>
-          {event.scheduledFor && (
+          {(event.scheduledFor || event.series) && (
             <Button
               label="Export to Calendar"
               onPress={handleExportToCalendar}
@@ -467,13 +728,87 @@ const EventHub = () => {
         
         <View style={styles.scheduleInfo}>
           <Text style={styles.scheduleLabel}>Date & Time</Text>
+          {event.series && (
+            <Text style={styles.scheduleValue}>{describeSeries(event.series)}</Text>
+          )}
           <Text style={styles.scheduleValue}>
-            {event.scheduledFor
-              ? `${formatDate(event.scheduledFor)} at ${formatTime(event.scheduledFor)}`
-              : 'Date and time to be announced'}
+            {nextOccurrence
+              ? `${event.series ? 'Next: ' : ''}${formatDate(nextOccurrence.scheduledFor)} at ${formatTime(nextOccurrence.scheduledFor)}`
+              : event.scheduledFor || 'Date and time to be announced'}
           </Text>
         </View>
 
+        {event.series && (
+          <View style={styles.scheduleInfo}>
+            <Text style={styles.scheduleLabel}>Upcoming Dates</Text>
+            {upcomingOccurrences.map((occurrence) => {
+              const isSkipped = occurrence.status === occurrenceStatus.SKIPPED;
+              const isMoved = occurrence.status === occurrenceStatus.MOVED;
+              const isSelected = occurrence.id === selectedOccurrence.id;
+              const goingIds = getOccurrenceRSVPs(event.id, occurrence.id)[RSVP_STATUS.GOING];
+              const goingCount = event.capacity
+                ? `${goingIds.length}/${event.capacity}`
+                : `${goingIds.length}`;
+
+              return (
+                <View
+                  key={occurrence.id}
+                  style={[styles.occurrenceRow, isSelected && styles.occurrenceRowSelected]}
+                >
+                  <TouchableOpacity
+                    style={styles.occurrenceInfo}
+                    onPress={() => setSelectedOccurrenceId(occurrence.id)}
+                    disabled={isSkipped}
+                  >
+                    <Text style={[styles.occurrenceDate, isSkipped && styles.occurrenceSkipped]}>
+                      {formatOccurrence(occurrence)}
+                      {isMoved ? ' (moved)' : ''}
+                      {isSkipped ? ' (skipped)' : ''}
+                    </Text>
+                    {!isSkipped && (
+                      <Text style={styles.occurrenceGoing}>
+                        {goingIds.length > 0
+                          ? `${goingCount} going: ${goingIds.map(getMemberName).join(', ')}`
+                          : 'No one going yet'}
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                  {isOrganizer && (
+                    <View style={styles.occurrenceActions}>
+                      {isSkipped || isMoved ? (
+                        <TouchableOpacity
+                          onPress={() => handleRestoreOccurrence(occurrence)}
+                          style={styles.editLink}
+                        >
+                          <Text style={styles.editLinkText}>Restore</Text>
+                        </TouchableOpacity>
+                      ) : (
+                        <>
+                          <TouchableOpacity
+                            onPress={() => {
+                              setMovingOccurrence(occurrence);
+                              setMoveOccurrenceDate(occurrence.scheduledFor);
+                            }}
+                            style={styles.editLink}
+                          >
+                            <Text style={styles.editLinkText}>Move</Text>
+                          </TouchableOpacity>
+                          <TouchableOpacity
+                            onPress={() => handleSkipOccurrence(occurrence)}
+                            style={styles.editLink}
+                          >
+                            <Text style={styles.editLinkText}>Skip</Text>
+                          </TouchableOpacity>
+                        </>
+                      )}
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         <View style={styles.scheduleInfo}>
           <Text style={styles.scheduleLabel}>Location</Text>
           <Text style={styles.scheduleValue}>
@@ -537,48 +872,165 @@ const EventHub = () => {
       {isMember && (
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>RSVP</Text>
+          {event.series && (
+            <Text style={styles.sectionCopy}>
+              For <Text style={styles.bold}>{formatOccurrence(selectedOccurrence)}</Text>
+            </Text>
+          )}
           <Text style={styles.sectionCopy}>
-            Your RSVP: <Text style={styles.bold}>{getRSVPStatusLabel(currentUserRSVP)}</Text>
+            Your RSVP: <Text style={styles.bold}>
+              {getRSVPStatusLabel(currentUserRSVP)}
+              {currentUserRSVP === RSVP_STATUS.WAITLISTED
+                ? ` (#${rsvpGroups[RSVP_STATUS.WAITLISTED].indexOf(userId) + 1})`
+                : ''}
+            </Text>
           </Text>
           
           <View style={styles.rsvpButtons}>
             <Button
               label="Going"
-              onPress={() => handleRSVP('going')}
-              variant={currentUserRSVP === 'going' ? 'primary' : 'outline'}
+              onPress={() => handleRSVP(RSVP_STATUS.GOING)}
+              variant={
+                currentUserRSVP === RSVP_STATUS.GOING || currentUserRSVP === RSVP_STATUS.WAITLISTED
+                  ? 'primary'
+                  : 'outline'
+              }
               style={styles.rsvpButton}
             />
             <Button
               label="Maybe"
-              onPress={() => handleRSVP('maybe')}
-              variant={currentUserRSVP === 'maybe' ? 'primary' : 'outline'}
+              onPress={() => handleRSVP(RSVP_STATUS.MAYBE)}
+              variant={currentUserRSVP === RSVP_STATUS.MAYBE ? 'primary' : 'outline'}
               style={styles.rsvpButton}
             />
             <Button
               label="Can't Make It"
-              onPress={() => handleRSVP('not-going')}
-              variant={currentUserRSVP === 'not-going' ? 'primary' : 'outline'}
+              onPress={() => handleRSVP(RSVP_STATUS.NOT_GOING)}
+              variant={currentUserRSVP === RSVP_STATUS.NOT_GOING ? 'primary' : 'outline'}
               style={styles.rsvpButton}
             />
           </View>
 
           <View style={styles.rsvpSummary}>
             <Text style={styles.rsvpSummaryTitle}>RSVP Summary</Text>
+            {event.capacity && (
+              <Text style={styles.rsvpSummaryItem}>
+                Seats: {rsvpGroups[RSVP_STATUS.GOING].length}/{event.capacity}
+              </Text>
+            )}
             <Text style={styles.rsvpSummaryItem}>
-              Going: {rsvpCounts.going}
+              Going: {rsvpGroups[RSVP_STATUS.GOING].length}
+              {rsvpGroups[RSVP_STATUS.GOING].length > 0
+                ? ` (${rsvpGroups[RSVP_STATUS.GOING].map(getMemberName).join(', ')})`
+                : ''}
             </Text>
+            {rsvpGroups[RSVP_STATUS.WAITLISTED].length > 0 && (
+              <Text style={styles.rsvpSummaryItem}>
+                Waitlist: {rsvpGroups[RSVP_STATUS.WAITLISTED]
+                  .map((memberId, index) => `${index + 1}. ${getMemberName(memberId)}`)
+                  .join(', ')}
+              </Text>
+            )}
             <Text style={styles.rsvpSummaryItem}>
-              Maybe: {rsvpCounts.maybe}
+              Maybe: {rsvpGroups[RSVP_STATUS.MAYBE].length}
             </Text>
             <Text style={styles.rsvpSummaryItem}>
-              Can't Make It: {rsvpCounts['not-going']}
+              Can't Make It: {rsvpGroups[RSVP_STATUS.NOT_GOING].length}
             </Text>
-            {rsvpCounts.none > 0 && (
+            {rsvpGroups.none.length > 0 && (
               <Text style={styles.rsvpSummaryItem}>
-                Not Responded: {rsvpCounts.none}
+                Not Responded: {rsvpGroups.none.length}
               </Text>
             )}
           </View>
+
+          {isOrganizer && rsvpGroups[RSVP_STATUS.GOING].length > 0 && (
+            <Button
+              label="Plan Tables"
+              onPress={() => setShowTablePlanner(true)}
+              variant="outline"
+              style={styles.planTablesButton}
+            />
+          )}
+        </View>
+      )}
+
+      {recentOccurrences.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Recent Game Nights</Text>
+          {recentOccurrences.map((occurrence) => {
+            const plays = eventPlays.filter((play) => play.occurrenceId === occurrence.id);
+            return (
+              <View key={occurrence.id} style={styles.playOccurrence}>
+                <View style={styles.sectionHeader}>
+                  <Text style={styles.occurrenceDate}>{formatOccurrence(occurrence)}</Text>
+                  <TouchableOpacity onPress={() => setLoggingOccurrence(occurrence)} style={styles.editLink}>
+                    <Text style={styles.editLinkText}>Log a Play</Text>
+                  </TouchableOpacity>
+                </View>
+                {plays.length === 0 ? (
+                  <Text style={styles.occurrenceGoing}>No plays logged yet.</Text>
+                ) : (
+                  plays.map((play) => (
+                    <View key={play.id} style={styles.playRow}>
+                      <Text style={styles.playGame}>
+                        {play.gameName}
+                        {play.durationMinutes ? ` · ${play.durationMinutes} min` : ''}
+                      </Text>
+                      <Text style={styles.occurrenceGoing}>{describePlayResult(play, getMemberName)}</Text>
+                    </View>
+                  ))
+                )}
+              </View>
+            );
+          })}
+        </View>
+      )}
+
+      {isMember && groupTopGames.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Group Stats</Text>
+          <Text style={styles.scheduleLabel}>Most Played Here</Text>
+          {groupTopGames.map((entry) => (
+            <View key={entry.gameKey} style={styles.attendanceRow}>
+              <Text style={styles.attendanceName}>{entry.gameName}</Text>
+              <Text style={styles.attendanceCount}>
+                {entry.count} {entry.count === 1 ? 'play' : 'plays'}
+              </Text>
+            </View>
+          ))}
+          {groupOpponents.length > 0 && (
+            <>
+              <Text style={[styles.scheduleLabel, styles.statsSubheading]}>Your Most Frequent Opponents</Text>
+              {groupOpponents.map((opponent) => (
+                <View key={opponent.userId || opponent.name} style={styles.attendanceRow}>
+                  <Text style={styles.attendanceName}>
+                    {opponent.userId ? getMemberName(opponent.userId) : opponent.name}
+                  </Text>
+                  <Text style={styles.attendanceCount}>
+                    {opponent.games} games · {opponent.wins}W {opponent.losses}L
+                  </Text>
+                </View>
+              ))}
+            </>
+          )}
+        </View>
+      )}
+
+      {attendance && attendance.occurrences.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Attendance</Text>
+          <Text style={styles.sectionCopy}>
+            Based on "Going" RSVPs for the last {attendance.occurrences.length} game nights.
+          </Text>
+          {attendance.members.map((entry) => (
+            <View key={entry.userId} style={styles.attendanceRow}>
+              <Text style={styles.attendanceName}>{getMemberName(entry.userId)}</Text>
+              <Text style={styles.attendanceCount}>
+                {entry.attended} of {entry.total}
+              </Text>
+            </View>
+          ))}
         </View>
       )}
       </ScrollView>
@@ -613,6 +1065,7 @@ const EventHub = () => {
             content: data.content,
             createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt || new Date().toISOString(),
             pinned: data.pinned || false,
+            postType: data.postType || null,
           });
         }
         
@@ -659,6 +1112,19 @@ const EventHub = () => {
       };
 
       const docRef = await postsRef.add(postData);
+
+      // Let the other members know (non-blocking)
+      notifyNewPost(
+        event.id,
+        docRef.id,
+        userId,
+        postData.userName,
+        null,
+        postData.content,
+        event.name,
+      ).catch((notifyError) => {
+        console.error('Error sending new post notifications:', notifyError);
+      });
       
       // Add to local state
       setDiscussionMessages(prev => [{
@@ -675,7 +1141,7 @@ const EventHub = () => {
       console.error('Error posting message:', error);
       Alert.alert('Error', 'Failed to post message. Please try again.');
     }
-  }, [newMessage, userId, event?.id, db, user?.name, user?.email]);
+  }, [newMessage, userId, event?.id, event?.name, db, user?.name, user?.email]);
 
   // Discussion Tab Component - memoized to prevent re-creation on every render
   const DiscussionTab = useMemo(() => {
@@ -685,6 +1151,7 @@ const EventHub = () => {
 
     return (
       <ScrollView 
+        ref={discussionScrollRef}
         style={styles.tabContent}
         contentContainerStyle={styles.discussionScrollContent}
         keyboardShouldPersistTaps="handled"
@@ -709,10 +1176,21 @@ const EventHub = () => {
 
         {/* Pinned Messages */}
         {pinnedMessages.length > 0 && (
-          <View style={styles.section}>
+          <View
+            style={styles.section}
+            onLayout={(layoutEvent) => { discussionSectionYRef.current.pinned = layoutEvent.nativeEvent.layout.y; }}
+          >
             <Text style={styles.sectionTitle}>📌 Pinned Messages</Text>
             {pinnedMessages.map((message) => (
-              <View key={message.id} style={[styles.messageCard, styles.pinnedMessageCard]}>
+              <View
+                key={message.id}
+                style={[
+                  styles.messageCard,
+                  styles.pinnedMessageCard,
+                  message.id === highlightedPostId && styles.highlightedMessageCard,
+                ]}
+                onLayout={(layoutEvent) => handleMessageLayout(message.id, 'pinned', layoutEvent)}
+              >
                 <Text style={styles.messageAuthor}>{message.userName}</Text>
                 <Text style={styles.messageContent}>{message.content}</Text>
                 <Text style={styles.messageTime}>{formatDate(message.createdAt)}</Text>
@@ -722,7 +1200,10 @@ const EventHub = () => {
         )}
 
         {/* Discussion Messages */}
-        <View style={styles.section}>
+        <View
+          style={styles.section}
+          onLayout={(layoutEvent) => { discussionSectionYRef.current.messages = layoutEvent.nativeEvent.layout.y; }}
+        >
           <Text style={styles.sectionTitle}>Discussion</Text>
           {regularMessages.length === 0 && pinnedMessages.length === 0 ? (
             <Text style={styles.sectionCopy}>
@@ -730,7 +1211,11 @@ const EventHub = () => {
             </Text>
           ) : (
             regularMessages.map((message) => (
-              <View key={message.id} style={styles.messageCard}>
+              <View
+                key={message.id}
+                style={[styles.messageCard, message.id === highlightedPostId && styles.highlightedMessageCard]}
+                onLayout={(layoutEvent) => handleMessageLayout(message.id, 'messages', layoutEvent)}
+              >
                 <Text style={styles.messageAuthor}>{message.userName}</Text>
                 <Text style={styles.messageContent}>{message.content}</Text>
                 <Text style={styles.messageTime}>{formatDate(message.createdAt)}</Text>
@@ -765,9 +1250,314 @@ const EventHub = () => {
     isMember,
     newMessage,
     handlePostMessage,
+    highlightedPostId,
+    handleMessageLayout,
   ]);
 
   // Members Tab Component
+  // Games Tab Component - the shared library with this game night's bring list
+  const GamesTab = () => {
+    const isCurrentList = bringList.occurrenceId === selectedOccurrence.id;
+    const entries = buildBringListView({
+      games: getEventCollection(members, { groupId: event.id }),
+      commitments: isCurrentList ? bringList.commitments : [],
+      interests: isCurrentList ? bringList.interests : [],
+    });
+    const userName = user?.name || user?.email || null;
+    const tonightIds = getOccurrenceRSVPs(event.id, selectedOccurrence.id)[RSVP_STATUS.GOING];
+    const picks = recommendGames({
+      games: withGameDetails(getEventCollection(members, { groupId: event.id }), libraryDetails),
+      attendeeIds: tonightIds,
+      collectionsByUser: tonightIds.reduce((acc, memberId) => {
+        acc[memberId] = getUserCollection(memberId);
+        return acc;
+      }, {}),
+      plays: eventPlays,
+      // "You's shelf" reads badly, so use real names here
+      getName: (memberId) => memberNames[memberId] || memberId,
+    });
+
+    const getRequestStatusLabel = (request) => {
+      const owner = getMemberName(request.ownerId);
+      switch (request.status) {
+        case GAME_INTEREST_STATUS.CONFIRMED:
+          return `Confirmed · ${owner} is bringing it`;
+        case GAME_INTEREST_STATUS.FULFILLED:
+          return `Fulfilled · ${owner} brought it`;
+        case GAME_INTEREST_STATUS.DECLINED:
+          return `${owner} can't bring it this time`;
+        default:
+          return `Requested · waiting on ${owner}`;
+      }
+    };
+
+    return (
+      <ScrollView style={styles.tabContent} contentContainerStyle={styles.tabContentContainer}>
+        {picks.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Play Next</Text>
+            <Text style={styles.sectionCopy}>
+              Picked for the {tonightIds.length} {tonightIds.length === 1 ? 'player' : 'players'} going,
+              from games they own.
+            </Text>
+            {picks.map((pick) => (
+              <View key={pick.game.key} style={styles.playRow}>
+                <Text style={styles.playGame}>{pick.game.title}</Text>
+                <Text style={styles.occurrenceGoing}>{pick.explanation}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Games for {formatOccurrence(selectedOccurrence)}</Text>
+          <Text style={styles.sectionCopy}>
+            Owners commit to what they&apos;ll bring. Ask for a game you&apos;d like to play and
+            you&apos;ll be notified when its owner confirms. Pick a different date on the Schedule tab.
+          </Text>
+
+          {entries.length === 0 ? (
+            <Text style={styles.sectionCopy}>
+              No games in the shared library yet. Members&apos; collections show up here.
+            </Text>
+          ) : (
+            entries.map((entry) => {
+              const isOwner = entry.ownerIds.includes(userId);
+              const isBringing = entry.bringingIds.includes(userId);
+              const hasBrought = entry.broughtIds.includes(userId);
+              const myRequest = getUserRequest(entry, userId);
+              const pendingRequests = isOwner ? getPendingRequestsForOwner(entry, userId) : [];
+              const canRequest = !isOwner
+                && (!myRequest || myRequest.status === GAME_INTEREST_STATUS.DECLINED)
+                && entry.bringingIds.length === 0;
+              const busy = bringBusyKey === entry.key;
+
+              return (
+                <View key={entry.key} style={styles.memberCard}>
+                  <View style={styles.memberInfo}>
+                    <Text style={styles.memberName}>{entry.game.title}</Text>
+                    <Text style={styles.memberRole}>
+                      Owned by {entry.ownerIds.map(getMemberName).join(', ')}
+                    </Text>
+                    {(entry.bringingIds.length > 0 || entry.broughtIds.length > 0) && (
+                      <View style={styles.bringingBadge}>
+                        <Text style={styles.bringingBadgeText}>
+                          {entry.bringingIds.length > 0
+                            ? `Bringing · ${entry.bringingIds.map(getMemberName).join(', ')}`
+                            : `Brought · ${entry.broughtIds.map(getMemberName).join(', ')}`}
+                        </Text>
+                      </View>
+                    )}
+                    {myRequest && <Text style={styles.memberRSVP}>{getRequestStatusLabel(myRequest)}</Text>}
+                    {pendingRequests.map((request) => (
+                      <View key={request.id} style={styles.bringRequestRow}>
+                        <Text style={styles.bringRequestText}>
+                          {request.interestedUserName || getMemberName(request.interestedUserId)} wants to play this
+                        </Text>
+                        <TouchableOpacity
+                          disabled={busy}
+                          onPress={() => handleBringAction(entry.key, () =>
+                            declineGameRequest(event.id, userId, request.id))}
+                        >
+                          <Text style={styles.editLinkText}>Decline</Text>
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                  </View>
+                  <View style={styles.bringActions}>
+                    {isOwner && !isBringing && !hasBrought && (
+                      <Button
+                        label="I'll Bring It"
+                        disabled={busy}
+                        onPress={() => handleBringAction(entry.key, () =>
+                          commitToBringGame(event.id, selectedOccurrence.id, userId, userName, entry.game))}
+                        style={styles.bringButton}
+                      />
+                    )}
+                    {isBringing && (
+                      <>
+                        <Button
+                          label="Brought It"
+                          disabled={busy}
+                          onPress={() => handleBringAction(entry.key, () =>
+                            markGameBrought(event.id, selectedOccurrence.id, userId, entry.key))}
+                          style={styles.bringButton}
+                        />
+                        <Button
+                          label="Not Bringing"
+                          variant="outline"
+                          disabled={busy}
+                          onPress={() => handleBringAction(entry.key, () =>
+                            withdrawBringGame(event.id, selectedOccurrence.id, userId, entry.key))}
+                          style={styles.bringButton}
+                        />
+                      </>
+                    )}
+                    {canRequest && (
+                      <Button
+                        label="Ask to Bring"
+                        variant="outline"
+                        disabled={busy}
+                        onPress={() => handleBringAction(entry.key, () =>
+                          requestGame(
+                            event.id,
+                            selectedOccurrence.id,
+                            userId,
+                            userName,
+                            entry.game,
+                            entry.ownerIds.map((ownerId) => ({
+                              userId: ownerId,
+                              name: memberNames[ownerId] || null,
+                            })),
+                          ))}
+                        style={styles.bringButton}
+                      />
+                    )}
+                  </View>
+                </View>
+              );
+            })
+          )}
+        </View>
+      </ScrollView>
+    );
+  };
+
+  // Library Tab Component - every member's games, with who owns each copy
+  const LibraryTab = () => {
+    const library = withGameDetails(
+      getEventCollection(members, { groupId: event.id, occurrenceId: selectedOccurrence.id }),
+      libraryDetails,
+    );
+    const filtered = filterLibrary(library, libraryFilters);
+    const goingCount = rsvpGroups[RSVP_STATUS.GOING].length;
+    const ownerIds = members
+      .map((member) => member.userId)
+      .filter((memberId) => library.some((entry) => entry.ownerIds.includes(memberId)));
+
+    const toggleFilter = (field, value) =>
+      setLibraryFilters((prev) => ({ ...prev, [field]: prev[field] === value ? null : value }));
+
+    const renderChip = (field, value, label) => (
+      <TouchableOpacity
+        key={`${field}-${value}`}
+        style={[styles.filterChip, libraryFilters[field] === value && styles.filterChipActive]}
+        onPress={() => toggleFilter(field, value)}
+      >
+        <Text style={[styles.filterChipText, libraryFilters[field] === value && styles.filterChipTextActive]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+
+    const formatCondition = (condition) =>
+      condition
+        .split('_')
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+
+    const formatPlayers = (game) => {
+      if (!game.minPlayers && !game.maxPlayers) return null;
+      if (game.minPlayers === game.maxPlayers) return `${game.minPlayers} players`;
+      return `${game.minPlayers || '?'}-${game.maxPlayers || '?'} players`;
+    };
+
+    return (
+      <ScrollView style={styles.tabContent} contentContainerStyle={styles.tabContentContainer}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Shared Library ({filtered.length} of {library.length})</Text>
+
+          <Text style={styles.scheduleLabel}>Players</Text>
+          <View style={styles.filterRow}>
+            {goingCount > 0 && renderChip('playerCount', goingCount, `Fits ${goingCount} going`)}
+            {[2, 3, 4, 5, 6]
+              .filter((count) => count !== goingCount)
+              .map((count) => renderChip('playerCount', count, `${count}`))}
+          </View>
+
+          <Text style={styles.scheduleLabel}>Play Time</Text>
+          <View style={styles.filterRow}>
+            {PLAY_TIME_FILTERS.map((filter) => renderChip('playTime', filter.key, filter.label))}
+          </View>
+
+          <Text style={styles.scheduleLabel}>Category</Text>
+          <View style={styles.filterRow}>
+            {Object.keys(CATEGORIES).map((categoryKey) =>
+              renderChip('category', categoryKey, CATEGORIES[categoryKey].name))}
+          </View>
+
+          {ownerIds.length > 1 && (
+            <>
+              <Text style={styles.scheduleLabel}>Owner</Text>
+              <View style={styles.filterRow}>
+                {ownerIds.map((ownerId) => renderChip('ownerId', ownerId, getMemberName(ownerId)))}
+              </View>
+            </>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          {filtered.length === 0 ? (
+            <Text style={styles.sectionCopy}>
+              {library.length === 0
+                ? "No games in the shared library yet. Members' collections show up here."
+                : 'No games match these filters.'}
+            </Text>
+          ) : (
+            filtered.map((entry) => {
+              const details = [
+                formatPlayers(entry),
+                entry.playingTime ? `${entry.playingTime} min` : null,
+              ].filter(Boolean);
+              const owners = entry.owners.map((owner) =>
+                owner.condition
+                  ? `${getMemberName(owner.userId)} (${formatCondition(owner.condition)})`
+                  : getMemberName(owner.userId));
+
+              return (
+                <TouchableOpacity
+                  key={entry.key}
+                  style={styles.memberCard}
+                  onPress={() => setExplainingGame(entry)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`What is ${entry.title || entry.name} like?`}
+                >
+                  <View style={styles.memberInfo}>
+                    <Text style={styles.memberName}>{entry.title || entry.name}</Text>
+                    {details.length > 0 && (
+                      <Text style={styles.memberRole}>{details.join(' · ')}</Text>
+                    )}
+                    <Text style={styles.memberRole}>
+                      Owned by {owners.join(', ')}
+                      {entry.copyCount > 1 ? ` · ${entry.copyCount} copies` : ''}
+                    </Text>
+                    {entry.availableTonight && (
+                      <View style={styles.bringingBadge}>
+                        <Text style={styles.bringingBadgeText}>Available · owner is going</Text>
+                      </View>
+                    )}
+                    {entry.categories.length > 0 && (
+                      <View style={styles.filterRow}>
+                        {entry.categories.map((categoryKey) => (
+                          <Text
+                            key={categoryKey}
+                            style={[styles.categoryTag, { color: CATEGORIES[categoryKey].color }]}
+                          >
+                            {CATEGORIES[categoryKey].name}
+                          </Text>
+                        ))}
+                      </View>
+                    )}
+                  </View>
+                </TouchableOpacity>
+              );
+            })
+          )}
+        </View>
+      </ScrollView>
+    );
+  };
+
   const MembersTab = () => (
     <ScrollView style={styles.tabContent} contentContainerStyle={styles.tabContentContainer}>
       <View style={styles.section}>
@@ -779,7 +1569,7 @@ const EventHub = () => {
         ) : (
           members.map((member) => {
             const displayName = memberNames[member.userId] || member.userId;
-            const rsvpStatus = memberRSVPs[member.userId] || null;
+            const rsvpStatus = getMemberRSVP(member, nextOccurrence?.id || UNSCHEDULED_OCCURRENCE_ID);
             const isCurrentUser = member.userId === userId;
 
             return (
@@ -856,6 +1646,22 @@ const EventHub = () => {
             Schedule
           </Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === TABS.GAMES && styles.tabActive]}
+          onPress={() => setActiveTab(TABS.GAMES)}
+        >
+          <Text style={[styles.tabText, activeTab === TABS.GAMES && styles.tabTextActive]}>
+            Games
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === TABS.LIBRARY && styles.tabActive]}
+          onPress={() => setActiveTab(TABS.LIBRARY)}
+        >
+          <Text style={[styles.tabText, activeTab === TABS.LIBRARY && styles.tabTextActive]}>
+            Library
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity
           style={[styles.tab, activeTab === TABS.DISCUSSION && styles.tabActive]}
           onPress={() => setActiveTab(TABS.DISCUSSION)}
@@ -876,6 +1682,8 @@ const EventHub = () => {
 
       {/* Tab Content */}
       {activeTab === TABS.SCHEDULE && <ScheduleTab />}
+      {activeTab === TABS.GAMES && <GamesTab />}
+      {activeTab === TABS.LIBRARY && <LibraryTab />}
       {activeTab === TABS.DISCUSSION && DiscussionTab}
       {activeTab === TABS.MEMBERS && <MembersTab />}
 
@@ -919,6 +1727,20 @@ const EventHub = () => {
             />
           </View>
 
+          <View style={styles.modalFieldContainer}>
+            <Text style={styles.fieldLabel}>Seats per Game Night</Text>
+            <Input
+              value={scheduleForm.capacity}
+              onChangeText={(text) => setScheduleForm({ ...scheduleForm, capacity: text.replace(/[^0-9]/g, '') })}
+              placeholder="No limit"
+              keyboardType="numeric"
+              style={styles.modalInput}
+            />
+            <Text style={styles.fieldHint}>
+              Extra "Going" RSVPs join a waitlist and move up when a seat opens.
+            </Text>
+          </View>
+
           <View style={styles.modalActions}>
             <Button
               label="Save"
@@ -935,6 +1757,89 @@ const EventHub = () => {
         </View>
       </Modal>
 
+      {/* Move Occurrence Modal */}
+      <Modal
+        isOpen={!!movingOccurrence}
+        onClose={() => setMovingOccurrence(null)}
+        title="Move Game Night"
+      >
+        <View style={styles.modalContent}>
+          <View style={styles.modalFieldContainer}>
+            <Text style={styles.fieldLabel}>New Date & Time</Text>
+            <Input
+              value={moveOccurrenceDate}
+              onChangeText={setMoveOccurrenceDate}
+              placeholder="e.g., 2024-12-25T18:00:00"
+              style={styles.modalInput}
+            />
+            <Text style={styles.fieldHint}>
+              Only this date moves. The rest of the series stays on its usual schedule.
+            </Text>
+          </View>
+
+          <View style={styles.modalActions}>
+            <Button
+              label="Move"
+              onPress={handleMoveOccurrence}
+              style={styles.modalButton}
+            />
+            <Button
+              label="Cancel"
+              onPress={() => setMovingOccurrence(null)}
+              variant="outline"
+              style={styles.modalButton}
+            />
+          </View>
+        </View>
+      </Modal>
+
+      {/* Table Planner Modal */}
+      <Modal
+        isOpen={showTablePlanner}
+        onClose={() => setShowTablePlanner(false)}
+        title={`Plan Tables · ${formatOccurrence(selectedOccurrence)}`}
+      >
+        <View style={styles.modalContent}>
+          {showTablePlanner && (
+            <TablePlanner
+              groupId={event.id}
+              attendeeIds={rsvpGroups[RSVP_STATUS.GOING]}
+              getMemberName={(memberId) => memberNames[memberId] || memberId}
+              occurrenceLabel={formatOccurrence(selectedOccurrence)}
+              onPublish={handlePublishTablePlan}
+              publishing={publishingPlan}
+            />
+          )}
+        </View>
+      </Modal>
+
+      {/* Log Play Modal */}
+      <Modal
+        isOpen={!!loggingOccurrence}
+        onClose={() => setLoggingOccurrence(null)}
+        title={loggingOccurrence ? `Log a Play · ${formatOccurrence(loggingOccurrence)}` : 'Log a Play'}
+      >
+        {loggingOccurrence && (
+          <LogPlayForm
+            games={getEventCollection(members, { groupId: event.id })}
+            members={members.map((member) => ({ userId: member.userId, name: getMemberName(member.userId) }))}
+            defaultPlayerIds={getOccurrenceRSVPs(event.id, loggingOccurrence.id)[RSVP_STATUS.GOING]}
+            defaultDate={getPlayDate(new Date(loggingOccurrence.scheduledFor))}
+            onSubmit={handleLogPlay}
+            submitting={savingPlay}
+          />
+        )}
+      </Modal>
+
+      {/* Game Explainer Modal */}
+      <Modal
+        isOpen={!!explainingGame}
+        onClose={() => setExplainingGame(null)}
+        title={explainingGame ? `What's ${explainingGame.title || explainingGame.name || 'this game'} like?` : ''}
+      >
+        {explainingGame && <GameExplainer game={explainingGame} />}
+      </Modal>
+
       {/* Edit Pinned Notes Modal */}
       <Modal
         isOpen={showEditPinnedNotes}
@@ -1034,7 +1939,7 @@ const styles = StyleSheet.create({
     borderBottomColor: '#d45d5d',
   },
   tabText: {
-    fontSize: 16,
+    fontSize: 14,
     color: '#666',
     fontWeight: '500',
   },
@@ -1093,6 +1998,37 @@ const styles = StyleSheet.create({
     color: '#2f2f2f',
     fontWeight: '500',
   },
+  occurrenceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  occurrenceDate: {
+    fontSize: 14,
+    color: '#2f2f2f',
+    flex: 1,
+  },
+  occurrenceRowSelected: {
+    backgroundColor: '#fff5f5',
+  },
+  occurrenceInfo: {
+    flex: 1,
+  },
+  occurrenceGoing: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  occurrenceSkipped: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  occurrenceActions: {
+    flexDirection: 'row',
+  },
   highlight: {
     fontWeight: '600',
     color: '#1f4f8c',
@@ -1133,9 +2069,44 @@ const styles = StyleSheet.create({
     color: '#444',
     marginBottom: 4,
   },
+  planTablesButton: {
+    marginTop: 12,
+  },
   bold: {
     fontWeight: '600',
   },
+  statsSubheading: {
+    marginTop: 16,
+  },
+  playOccurrence: {
+    marginBottom: 12,
+  },
+  playRow: {
+    paddingVertical: 6,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#e0e0e0',
+  },
+  playGame: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  attendanceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  attendanceName: {
+    fontSize: 14,
+    color: '#2f2f2f',
+  },
+  attendanceCount: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
   editLink: {
     paddingHorizontal: 12,
     paddingVertical: 6,
@@ -1156,6 +2127,10 @@ const styles = StyleSheet.create({
     borderLeftWidth: 3,
     borderLeftColor: '#ffa500',
   },
+  highlightedMessageCard: {
+    borderWidth: 2,
+    borderColor: '#dc2626',
+  },
   messageAuthor: {
     fontSize: 14,
     fontWeight: '600',
@@ -1209,6 +2184,70 @@ const styles = StyleSheet.create({
     color: '#d45d5d',
     fontWeight: '500',
   },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d0d0d0',
+    backgroundColor: '#fff',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  filterChipActive: {
+    backgroundColor: '#d45d5d',
+    borderColor: '#d45d5d',
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: '#444',
+  },
+  filterChipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  categoryTag: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginRight: 8,
+    marginTop: 4,
+  },
+  bringingBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#e8f5e9',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginBottom: 4,
+  },
+  bringingBadgeText: {
+    fontSize: 12,
+    color: '#2e7d32',
+    fontWeight: '600',
+  },
+  bringRequestRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  bringRequestText: {
+    fontSize: 13,
+    color: '#444',
+    marginRight: 8,
+  },
+  bringActions: {
+    marginLeft: 8,
+  },
+  bringButton: {
+    minHeight: 36,
+    paddingVertical: 6,
+    marginBottom: 6,
+  },
   removeMemberButton: {
     paddingHorizontal: 12,
     paddingVertical: 6,
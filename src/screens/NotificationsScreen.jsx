@@ -0,0 +1,186 @@
+import React, { useCallback } from 'react';
+import { Platform, View, Text, StyleSheet, FlatList, Pressable } from 'react-native';
+import { useNotifications } from '../context/NotificationsContext';
+import Button from '../components/common/Button';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { formatDate, formatTime } from '../utils/helpers';
+
+// Platform-specific way to open a MeepleUp at a tab (and post)
+let useOpenEventHub;
+if (Platform.OS === 'web') {
+  try {
+    const { useNavigate } = require('react-router-dom');
+    useOpenEventHub = () => {
+      const navigate = useNavigate();
+      return ({ eventId, tab, postId }) => {
+        const query = new URLSearchParams({ tab });
+        if (postId) query.set('post', postId);
+        navigate(`/event/${eventId}?${query.toString()}`);
+      };
+    };
+  } catch (e) {
+    // react-router-dom not available
+    useOpenEventHub = () => () => {};
+  }
+} else {
+  const { useNavigation } = require('@react-navigation/native');
+  useOpenEventHub = () => {
+    const navigation = useNavigation();
+    return ({ eventId, tab, postId }) => navigation.navigate('EventHub', { eventId, tab, postId });
+  };
+}
+
+/**
+ * Notification center: the signed-in user's notifications, similar ones folded together
+ * Opening a row marks everything in it read and jumps to the MeepleUp tab (and post) it is about.
+ */
+const NotificationsScreen = () => {
+  const { groups, unreadCount, loading, markAsRead, markAllAsRead } = useNotifications();
+  const openEventHub = useOpenEventHub();
+
+  const handleOpenGroup = useCallback(
+    (group) => {
+      markAsRead(group.notifications.map((notification) => notification.id));
+      if (group.target) {
+        openEventHub(group.target);
+      }
+    },
+    [markAsRead, openEventHub],
+  );
+
+  const renderGroup = ({ item: group }) => (
+    <Pressable
+      onPress={() => handleOpenGroup(group)}
+      style={({ pressed }) => [
+        styles.row,
+        !group.read && styles.rowUnread,
+        pressed && styles.rowPressed,
+      ]}
+      accessibilityRole="button"
+      accessibilityLabel={`${group.read ? '' : 'Unread: '}${group.title}`}
+    >
+      {!group.read && <View style={styles.unreadDot} />}
+      <View style={styles.rowBody}>
+        <Text style={[styles.rowTitle, !group.read && styles.rowTitleUnread]}>{group.title}</Text>
+        {group.count === 1 && group.groupName ? (
+          <Text style={styles.rowMeta}>{group.groupName}</Text>
+        ) : null}
+        {group.latestAt ? (
+          <Text style={styles.rowMeta}>
+            {formatDate(group.latestAt)} · {formatTime(group.latestAt)}
+          </Text>
+        ) : null}
+      </View>
+      {group.target && <Text style={styles.rowArrow}>→</Text>}
+    </Pressable>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Notifications</Text>
+        <Button
+          label="Mark all read"
+          variant="outline"
+          onPress={markAllAsRead}
+          disabled={unreadCount === 0}
+        />
+      </View>
+
+      {loading && groups.length === 0 ? (
+        <View style={styles.centered}>
+          <LoadingSpinner />
+        </View>
+      ) : (
+        <FlatList
+          data={groups}
+          keyExtractor={(group) => group.key}
+          renderItem={renderGroup}
+          contentContainerStyle={styles.list}
+          ListEmptyComponent={(
+            <Text style={styles.emptyText}>
+              You're all caught up. Posts, game requests and MeepleUp changes will show up here.
+            </Text>
+          )}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 24,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 8,
+  },
+  rowUnread: {
+    backgroundColor: '#fef2f2',
+  },
+  rowPressed: {
+    opacity: 0.7,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#dc2626',
+    marginRight: 12,
+  },
+  rowBody: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  rowTitleUnread: {
+    fontWeight: '600',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  rowArrow: {
+    fontSize: 18,
+    color: '#999',
+    marginLeft: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default NotificationsScreen;
@@ -15,7 +15,7 @@ import PoweredByBGG from '../components/PoweredByBGG';
 const Onboarding = () => {
   const navigation = useNavigation();
   const { width } = useWindowDimensions();
-  const { user, updateUser } = useAuth();
+  const { user } = useAuth();
   const { joinEventWithCode, createEvent, getUserEvents, leaveEvent, getEventById } = useEvents();
   const [joinCodeWord1, setJoinCodeWord1] = useState('');
   const [joinCodeWord2, setJoinCodeWord2] = useState('');
@@ -114,7 +114,7 @@ const Onboarding = () => {
     }
   };
 
-  const handleDiscoverEvents = async () => {
+  const handleDiscoverEvents = () => {
     if (!user) {
       setError('Please sign in before discovering MeepleUps.');
       return;
@@ -125,26 +125,12 @@ const Onboarding = () => {
       return;
     }
 
-    setLoading(true);
+    // The Discover screen searches around the location and lists what it finds
     try {
-      await updateUser({ location: location.trim() });
-      // Only navigate if navigation is available and user is authenticated
-      if (navigation && navigation.replace) {
-        try {
-          navigation.replace('Collection');
-        } catch (navErr) {
-          console.error('Navigation error:', navErr);
-          setError('Location saved! Please use the menu to navigate.');
-          setLoading(false);
-        }
-      } else {
-        setError('Location saved! Please use the menu to navigate.');
-        setLoading(false);
-      }
-    } catch (err) {
-      setError('Something went wrong. Please try again.');
-      console.error(err);
-      setLoading(false);
+      navigation.navigate('Discover', { location: location.trim() });
+    } catch (navErr) {
+      console.error('Navigation error:', navErr);
+      setError('Could not open Discover. Please use the menu to navigate.');
     }
   };
 
@@ -233,13 +219,14 @@ const Onboarding = () => {
       // Add recurring info if it's a recurring event
       if (eventDateTime.recurring && eventDateTime.recurring.enabled) {
         eventData.recurring = eventDateTime.recurring;
+        eventData.startsAt = eventDateTime.time || eventDateTime.date;
       }
 
-      // Add member limit if provided
+      // Limit seats per game night if provided; extra RSVPs are waitlisted
       if (memberLimit.trim()) {
         const limit = parseInt(memberLimit.trim(), 10);
         if (!isNaN(limit) && limit > 0) {
-          eventData.memberLimit = limit;
+          eventData.capacity = limit;
         }
       }
 
@@ -690,10 +677,10 @@ const Onboarding = () => {
             </Text>
           </View>
 
-          {/* Member Limit */}
+          {/* Seats per Game Night */}
           <View style={styles.fieldContainer}>
-            <Text style={styles.fieldLabel}>Member Limit</Text>
-            <Text style={styles.fieldExample}>Example: "Max 6 players" (leave blank = unlimited)</Text>
+            <Text style={styles.fieldLabel}>Seats per Game Night</Text>
+            <Text style={styles.fieldExample}>Example: "6" (extra RSVPs join a waitlist; leave blank = unlimited)</Text>
             <Input
               placeholder="Leave blank for unlimited"
               value={memberLimit}
@@ -5,7 +5,12 @@ import Input from '../components/common/Input';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
 import NotificationSettings from '../components/NotificationSettings';
+import StatsDashboard from '../components/StatsDashboard';
 import { pickAndUploadImage, deleteImageFromFirebase } from '../utils/imageUpload';
+import { DEFAULT_POSTAL_COUNTRY, getSupportedPostalCountries } from '../utils/postalCodes';
+
+// Only countries whose postal codes can be placed, so nearby MeepleUps and distances work
+const POSTAL_COUNTRIES = getSupportedPostalCountries();
 
 const ProfileScreen = () => {
   const {
@@ -26,6 +31,7 @@ const ProfileScreen = () => {
     bio: '',
     bggUsername: '',
     zipcode: '',
+    country: '',
   });
   const [zipcodeError, setZipcodeError] = useState('');
   const [saving, setSaving] = useState(false);
@@ -56,18 +62,30 @@ const ProfileScreen = () => {
         bio: user.bio || '',
         bggUsername: user.bggUsername || '',
         zipcode: user.zipcode || user.location || '', // Support both for backward compatibility
+        country: user.country || '',
       });
     }
   }, [user]);
 
-  const validateZipcode = (zipcode) => {
+  const validateZipcode = (zipcode, country) => {
+    const countryCode = (country || DEFAULT_POSTAL_COUNTRY).trim().toUpperCase();
+    if (!POSTAL_COUNTRIES.includes(countryCode)) {
+      return `Postal codes in ${countryCode} can't be located yet. Please choose ${POSTAL_COUNTRIES.join(', ')}.`;
+    }
     if (!zipcode || zipcode.trim() === '') {
       return ''; // Empty is valid (optional field)
     }
-    // US zipcode format: 5 digits, or 5+4 format (12345-6789)
-    const zipcodeRegex = /^\d{5}(-\d{4})?$/;
-    if (!zipcodeRegex.test(zipcode.trim())) {
-      return 'Please enter a valid zipcode (e.g., 12345 or 12345-6789)';
+    if (countryCode === 'US') {
+      // US zipcode format: 5 digits, or 5+4 format (12345-6789)
+      const zipcodeRegex = /^\d{5}(-\d{4})?$/;
+      if (!zipcodeRegex.test(zipcode.trim())) {
+        return 'Please enter a valid zipcode (e.g., 12345 or 12345-6789)';
+      }
+      return '';
+    }
+    // Other countries: letters, digits, spaces and dashes (e.g., M5V 3L9, SW1A 1AA, 10115)
+    if (!/^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(zipcode.trim())) {
+      return 'Please enter a valid postal code';
     }
     return '';
   };
@@ -80,15 +98,15 @@ const ProfileScreen = () => {
     setMessage('');
     
     // Validate zipcode on change
-    if (field === 'zipcode') {
-      const error = validateZipcode(value);
-      setZipcodeError(error);
+    if (field === 'zipcode' || field === 'country') {
+      const next = { ...userData, [field]: value };
+      setZipcodeError(validateZipcode(next.zipcode, next.country));
     }
   };
 
   const handleSubmit = async () => {
     // Validate zipcode before submitting
-    const zipcodeValidationError = validateZipcode(userData.zipcode);
+    const zipcodeValidationError = validateZipcode(userData.zipcode, userData.country);
     if (zipcodeValidationError) {
       setZipcodeError(zipcodeValidationError);
       setMessage('');
@@ -105,6 +123,7 @@ const ProfileScreen = () => {
         bio: userData.bio,
         bggUsername: userData.bggUsername,
         zipcode: userData.zipcode.trim() || '', // Save as zipcode, trim whitespace
+        country: userData.country.trim().toUpperCase(),
       });
       await refreshUser();
       setMessage('Profile updated successfully!');
@@ -385,7 +404,7 @@ const ProfileScreen = () => {
         </View>
 
         <View style={styles.formGroup}>
-          <Text style={styles.label}>Zipcode</Text>
+          <Text style={styles.label}>Zip / Postal Code</Text>
           <Input
             value={userData.zipcode}
             onChangeText={(text) => handleChange('zipcode', text)}
@@ -398,6 +417,29 @@ const ProfileScreen = () => {
           ) : null}
         </View>
 
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Country</Text>
+          <View style={styles.countryOptions} accessibilityRole="radiogroup">
+            {POSTAL_COUNTRIES.map((code) => {
+              const selected = (userData.country || DEFAULT_POSTAL_COUNTRY).toUpperCase() === code;
+              return (
+                <TouchableOpacity
+                  key={code}
+                  onPress={() => handleChange('country', code)}
+                  style={[styles.countryOption, selected && styles.countryOptionSelected]}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected }}
+                >
+                  <Text style={[styles.countryOptionText, selected && styles.countryOptionTextSelected]}>{code}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.helpText}>
+            Used to find MeepleUps near your postal code. Only countries whose postal codes MeepleUp can locate are listed.
+          </Text>
+        </View>
+
         <View style={styles.formGroup}>
           <Text style={styles.label}>BoardGameGeek Username</Text>
           <Input
@@ -439,6 +481,10 @@ const ProfileScreen = () => {
         />
       </View>
 
+      <View style={styles.form}>
+        <StatsDashboard />
+      </View>
+
       <View style={styles.form}>
         <NotificationSettings />
       </View>
@@ -635,6 +681,33 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 4,
   },
+  countryOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  countryOption: {
+    minWidth: 56,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+  },
+  countryOptionSelected: {
+    backgroundColor: '#d45d5d',
+    borderColor: '#d45d5d',
+  },
+  countryOptionText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  countryOptionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   textArea: {
     minHeight: 100,
     paddingTop: 12,
@@ -0,0 +1,111 @@
+import { buildGameExplanationPrompt, explainGame } from '../gameExplainer';
+import { createMockProvider } from '../llm';
+
+const now = new Date(2026, 2, 15);
+const names = { erik: 'Erik', ana: 'Ana' };
+
+const params = {
+  game: { bggId: 148228, title: 'Splendor', minPlayers: 2, maxPlayers: 4, playingTime: 30 },
+  userId: 'me',
+  getName: (userId) => names[userId] || null,
+  now,
+  collection: [
+    { id: 'c1', bggId: 100, title: 'Gems' },
+    { id: 'c2', bggId: 200, title: 'Root' },
+    { id: 'c3', bggId: 148228, title: 'Splendor' },
+    { id: 'c4', bggId: 300, title: 'Brass', status: { own: false, wishlist: true } },
+  ],
+  groupLibrary: [{ key: 'bgg_400', title: 'Wingspan', ownerIds: ['ana', 'me'] }],
+  plays: [
+    {
+      gameKey: 'bgg_100',
+      gameName: 'Gems',
+      date: '2026-02-10',
+      playerIds: ['me', 'erik'],
+      players: [{ userId: 'me' }, { userId: 'erik' }],
+    },
+    // The viewer wasn't there, so it isn't their history
+    {
+      gameKey: 'bgg_500',
+      gameName: 'Azul',
+      date: '2026-03-01',
+      playerIds: ['erik', 'ana'],
+      players: [{ userId: 'erik' }, { userId: 'ana' }],
+    },
+  ],
+};
+
+// Stub provider that answers every request with the given JSON and records what it was sent
+const stubProvider = (reply) => {
+  const provider = createMockProvider({
+    latencyMs: 0,
+    fixtures: [{ name: 'explanation', match: [], response: { content: [{ type: 'text', text: JSON.stringify(reply) }] } }],
+  });
+  return { ...provider, send: jest.fn(provider.send) };
+};
+
+describe('buildGameExplanationPrompt', () => {
+  it('states play history only from the plays and collections it is given', () => {
+    const { prompt, knownTitles } = buildGameExplanationPrompt(params);
+    const knownGames = prompt.split('GAMES THIS PLAYER KNOWS (compare ONLY against these):\n')[1].split('\n\n')[0];
+
+    expect(knownGames.split('\n')).toEqual([
+      '- Gems: in your collection; played 1 time, most recently last month with Erik',
+      '- Root: in your collection; never played',
+      '- Wingspan: owned by Ana in your group; never played',
+    ]);
+    expect(knownTitles).toEqual(['Gems', 'Root', 'Wingspan']);
+  });
+
+  it('explains the game on its own when the player knows nothing', () => {
+    const { prompt, knownTitles } = buildGameExplanationPrompt({ game: params.game, userId: 'me', now });
+    expect(prompt).toContain('Title: Splendor');
+    expect(prompt).toContain('Players: 2-4');
+    expect(prompt).toContain('no games or plays recorded yet');
+    expect(knownTitles).toEqual([]);
+  });
+});
+
+describe('explainGame', () => {
+  // The LLM layer logs every request and reply in development
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('sends the prompt to the provider it is given', async () => {
+    const provider = stubProvider({ explanation: 'Like Gems.', comparisons: [] });
+    await explainGame({ ...params, provider });
+
+    const [request] = provider.send.mock.calls[0];
+    expect(JSON.stringify(request)).toContain('played 1 time, most recently last month with Erik');
+  });
+
+  it('keeps only comparisons to games the player knows', async () => {
+    const provider = stubProvider({
+      explanation: 'Like Gems, which you played with Erik last month.',
+      comparisons: [
+        { title: 'gems', reason: 'engine building with gems' },
+        { title: 'Century: Spice Road', reason: 'trading up resources' },
+        { title: 'Azul', reason: 'drafting' },
+        { reason: 'no title' },
+      ],
+    });
+
+    const result = await explainGame({ ...params, provider });
+    expect(result.explanation).toBe('Like Gems, which you played with Erik last month.');
+    expect(result.comparisons).toEqual([{ title: 'Gems', reason: 'engine building with gems' }]);
+  });
+
+  it('rejects replies without an explanation', async () => {
+    const provider = stubProvider({ comparisons: [] });
+    await expect(explainGame({ ...params, provider })).rejects.toThrow('did not return an explanation');
+  });
+
+  it('needs a game', async () => {
+    await expect(explainGame({ userId: 'me', provider: stubProvider({}) })).rejects.toThrow('Pick a game');
+  });
+});
@@ -0,0 +1,113 @@
+import { addGameAliases, buildGameSearchIndex, searchGameIndex } from '../gameSearchIndex';
+
+jest.mock('../../utils/storage', () => {
+  const mockItems = {};
+  return {
+    __esModule: true,
+    default: {
+      getItem: async (key) => mockItems[key] || null,
+      setItem: async (key, value) => {
+        mockItems[key] = value;
+      },
+    },
+  };
+});
+
+const data = {
+  fields: ['id', 'name', 'yearPublished', 'rank', 'bayesAverage', 'usersRated'],
+  games: [
+    [13, 'CATAN', 1995, 500, 6.9, 120000],
+    [822, 'Carcassonne', 2000, 200, 7.1, 130000],
+    [40692, 'Small World', 2009, 300, 7.0, 90000],
+    [84876, 'The Castles of Burgundy', 2011, 20, 7.9, 70000],
+    [99999, 'Carcassonne: Hunters and Gatherers', 2002, 900, 6.6, 8000],
+  ],
+  aliases: { 13: ['Die Siedler von Catan', 'The Settlers of Catan'] },
+};
+
+describe('searchGameIndex', () => {
+  const index = buildGameSearchIndex(data);
+
+  it('ranks exact matches above names that only start with the query', () => {
+    const results = searchGameIndex('carcassonne', 10, index);
+    expect(results.map((result) => result.id)).toEqual(['822', '99999']);
+    expect(results.map((result) => result.matchType)).toEqual(['exact', 'startsWith']);
+  });
+
+  it('ignores case, accents, spacing and a leading article', () => {
+    expect(searchGameIndex('smallworld', 10, index)[0]).toMatchObject({ id: '40692', matchType: 'exact' });
+    expect(searchGameIndex('Castles of Burgundy', 10, index)[0]).toMatchObject({ id: '84876', matchType: 'exact' });
+    expect(searchGameIndex('Cátan', 10, index)[0]).toMatchObject({ id: '13', matchType: 'exact' });
+  });
+
+  it('finds a game by its aliases and reports the alias that matched', () => {
+    const [result] = searchGameIndex('Siedler von Catan', 10, index);
+    expect(result).toMatchObject({ id: '13', name: 'CATAN', matchType: 'contains', matchedName: 'Die Siedler von Catan' });
+  });
+
+  it('lists a game once when both its name and an alias match', () => {
+    const results = searchGameIndex('catan', 10, index);
+    expect(results.filter((result) => result.id === '13')).toHaveLength(1);
+    expect(results[0]).toMatchObject({ matchType: 'exact', matchedName: 'CATAN' });
+  });
+
+  it('tolerates typos', () => {
+    const [result] = searchGameIndex('Carcasonne', 10, index);
+    expect(result).toMatchObject({ id: '822', matchType: 'fuzzy' });
+    expect(result.similarity).toBeLessThan(1);
+  });
+
+  it('skips fuzzy matching for very short queries', () => {
+    expect(searchGameIndex('xyz', 10, index)).toEqual([]);
+    expect(searchGameIndex('', 10, index)).toEqual([]);
+  });
+
+  it('respects the limit', () => {
+    expect(searchGameIndex('car', 1, index)).toHaveLength(1);
+  });
+});
+
+describe('addGameAliases', () => {
+  it('makes a game searchable by new names', () => {
+    const index = buildGameSearchIndex(data);
+    expect(searchGameIndex('Burgen von Burgund', 10, index)).toEqual([]);
+
+    expect(addGameAliases('84876', ['Die Burgen von Burgund'], index)).toBe(true);
+    expect(searchGameIndex('Burgen von Burgund', 10, index)[0]).toMatchObject({ id: '84876', matchType: 'contains' });
+  });
+
+  it('returns false for games that are not in the index', () => {
+    const index = buildGameSearchIndex(data);
+    expect(addGameAliases('1', ['Anything'], index)).toBe(false);
+  });
+});
+
+describe('rememberGameAliases', () => {
+  // A fresh copy of the module, as after an app restart; storage is shared
+  const loadModule = () => {
+    let module;
+    jest.isolateModules(() => {
+      module = require('../gameSearchIndex');
+    });
+    return module;
+  };
+
+  it('keeps learned names searchable after a restart', async () => {
+    const firstRun = loadModule();
+    expect(firstRun.searchGameIndex('Die Siedler von Catan').map((result) => result.id)).not.toContain('13');
+
+    await expect(firstRun.rememberGameAliases('13', ['Die Siedler von Catan'])).resolves.toBe(true);
+    expect(firstRun.searchGameIndex('Die Siedler von Catan')[0]).toMatchObject({ id: '13', matchType: 'exact' });
+
+    const secondRun = loadModule();
+    await secondRun.loadSavedGameAliases();
+    expect(secondRun.searchGameIndex('Die Siedler von Catan')[0]).toMatchObject({ id: '13', name: 'CATAN' });
+  });
+
+  it('saves nothing for games that are not in the index', async () => {
+    const storage = require('../../utils/storage').default;
+    const { rememberGameAliases } = loadModule();
+    await expect(rememberGameAliases('not-a-game', ['Anything'])).resolves.toBe(false);
+    expect(JSON.parse(await storage.getItem('meepleup_game_aliases'))).not.toHaveProperty('not-a-game');
+  });
+});
@@ -310,12 +310,47 @@ export async function fetchBGGGameDetails(gameId) {
   }
 }
 
+/**
+ * Decode the entities BGG uses in attribute values ("Catan: Das Spiel &amp; Mehr")
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXMLEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Drop blanks, repeats and the primary name from a list of alternate names
+ * @param {Array<string>} names
+ * @param {string|null} primaryName
+ * @returns {Array<string>}
+ */
+function uniqueAlternateNames(names, primaryName) {
+  const seen = new Set([(primaryName || '').trim().toLowerCase()]);
+  return names
+    .map((value) => (value || '').trim())
+    .filter((value) => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
 /**
  * Parse BGG XML response to extract game data
+ * Also used by scripts/upload-games-to-firestore.js to read alternate names, one <item> at a time.
  * @param {string} xmlText - XML response from BGG API
- * @returns {Object|null} Parsed game data
+ * @returns {Object|null} Parsed game data, including alternateNames (titles from name type="alternate")
  */
-function parseBGGXML(xmlText) {
+export function parseBGGXML(xmlText) {
   try {
     // Simple XML parsing using DOMParser (works in browser/React Native with polyfill)
     // For React Native, we'll use a simpler regex-based approach
@@ -350,6 +385,12 @@ function parseBGGXML(xmlText) {
     // Extract name (primary name)
     const nameElement = item.querySelector('name[type="primary"]') || item.querySelector('name');
     const name = nameElement ? nameElement.getAttribute('value') : null;
+
+    // Alternate names: foreign editions, reprints and other titles the game is sold under
+    const alternateNames = uniqueAlternateNames(
+      Array.from(item.querySelectorAll('name[type="alternate"]')).map((element) => element.getAttribute('value')),
+      name
+    );
     
     // Extract thumbnail and image
     const thumbnailElement = item.querySelector('thumbnail');
@@ -412,6 +453,7 @@ function parseBGGXML(xmlText) {
     return {
       id: id ? parseInt(id, 10) : null,
       name,
+      alternateNames,
       yearPublished: yearPublished ? parseInt(yearPublished, 10) : null,
       thumbnail,
       image,
@@ -446,6 +488,12 @@ function parseBGGXMLRegex(xmlText) {
     const primaryNameMatch = xmlText.match(/<name[^>]*type="primary"[^>]*value="([^"]+)"/);
     const nameMatch = xmlText.match(/<name[^>]*value="([^"]+)"/);
     const name = primaryNameMatch ? primaryNameMatch[1] : (nameMatch ? nameMatch[1] : null);
+
+    // Extract alternate names
+    const alternateNames = uniqueAlternateNames(
+      Array.from(xmlText.matchAll(/<name[^>]*type="alternate"[^>]*value="([^"]+)"/g), (match) => decodeXMLEntities(match[1])),
+      name
+    );
     
     // Extract thumbnail
     const thumbnailMatch = xmlText.match(/<thumbnail>([^<]+)<\/thumbnail>/);
@@ -497,6 +545,7 @@ function parseBGGXMLRegex(xmlText) {
     return {
       id,
       name,
+      alternateNames,
       yearPublished,
       thumbnail,
       image,
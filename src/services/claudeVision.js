@@ -1,5 +1,4 @@
-import axios from 'axios';
-import { API_CONFIG } from '../config/api';
+import { requestLLMJson } from './llm';
 
 const DEFAULT_PROMPT_INTRO = `
 You are a font expert and graphic design expert analyzing board game spines. You are looking at the sides of board game boxes that are usually stacked vertically on a shelf.
@@ -25,6 +24,7 @@ For each game you identify, return a JSON object with this structure:
   "confidence": "high|medium|low",
   "boxDescription": "string or null - REQUIRED when confidence is 'low'. Briefly describe the game box in terms of pictures, patterns, colors, and size (e.g., 'small red box with a dragon on it', 'large blue box with geometric patterns'). Set to null for high/medium confidence.",
   "notes": "optional string - edition notes, original language if translated, or font size variations observed within the title",
+  "shelfPosition": "integer - where this box sits on the shelf: 1 for the leftmost box when boxes stand side by side, or the topmost box when they are stacked, counting every complete box you list",
   "styling": {
     "backgroundColor": "hex color code (e.g., #D97D3A) - primary/dominant background color of the spine",
     "backgroundColorSecondary": "hex color code or null - secondary color if a gradient is clearly visible, otherwise null",
@@ -128,6 +128,7 @@ IMPORTANT GUIDELINES:
 - If text has an outline/stroke, capture it in WebkitTextStroke.
 - Pay attention to whether text is ALL CAPS, Title Case, or lowercase.
 - Note the orientation - many board game spines have vertical text.
+- Number shelfPosition in physical order (left to right for standing boxes, top to bottom for stacks) and list the games in that same order.
 - Standardize fontSize to "16px" (normal readable size for mobile). If you observe size variations within a single title, note this in the notes field.
 - Use "high" confidence only when you're certain of the title and can see the complete box side.
 - Use "medium" confidence when you're fairly sure but there's some ambiguity.
@@ -167,57 +168,6 @@ const buildPrompt = ({ narrationText, rejectedTitles }) => {
   return prompt;
 };
 
-const extractTextFromClaudeResponse = (contentBlocks = []) => {
-  const textBlock = contentBlocks.find((block) => block.type === 'text');
-  return textBlock?.text ?? '';
-};
-
-const parseClaudeJson = (text) => {
-  if (!text) {
-    throw new Error('Claude response was empty. Please try again.');
-  }
-
-  // Log the raw response for debugging
-  if (__DEV__) {
-    console.log('[Claude API] Raw response text (first 1000 chars):', text.substring(0, 1000));
-    console.log('[Claude API] Raw response text length:', text.length);
-  }
-
-  // Try to extract JSON from markdown code blocks if present
-  let cleanedText = text.trim();
-  
-  // Remove markdown code block markers if present
-  if (cleanedText.startsWith('```json')) {
-    cleanedText = cleanedText.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
-  } else if (cleanedText.startsWith('```')) {
-    cleanedText = cleanedText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-  }
-  
-  // Try to find JSON object in the text if it's wrapped in other text
-  const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    cleanedText = jsonMatch[0];
-  }
-
-  try {
-    return JSON.parse(cleanedText);
-  } catch (error) {
-    // Log more details about the parsing error
-    if (__DEV__) {
-      console.error('[Claude API] JSON parse error:', error.message);
-      console.error('[Claude API] Original text (first 2000 chars):', text.substring(0, 2000));
-      console.error('[Claude API] Cleaned text (first 2000 chars):', cleanedText.substring(0, 2000));
-      console.error('[Claude API] Full cleaned text length:', cleanedText.length);
-    }
-    
-    // Create error with more context
-    const parseError = new Error(`Claude returned an unreadable response. ${error.message}`);
-    parseError.originalText = text;
-    parseError.cleanedText = cleanedText;
-    throw parseError;
-  }
-};
-
 /**
  * Identify games present in an image using Claude.
  * @param {Object} params
@@ -228,6 +178,7 @@ const parseClaudeJson = (text) => {
  * @param {string} params.audioNarration.data - base64-encoded audio without data URI prefix.
  * @param {string} [params.audioNarration.mediaType='audio/m4a'] - MIME type for the audio clip.
  * @param {Array<string>} [params.rejectedTitles] - Titles previously rejected by the user.
+ * @param {Object} [params.provider] - LLM provider (defaults to the configured one, see services/llm).
  * @returns {Promise<{ games: Array, comments: string, rawText: string }>}
  */
 export const identifyGamesFromImage = async ({
@@ -236,11 +187,8 @@ export const identifyGamesFromImage = async ({
   narrationText,
   audioNarration,
   rejectedTitles,
+  provider,
 }) => {
-  if (!API_CONFIG.ANTHROPIC_API_KEY) {
-    throw new Error('Anthropic API key is not configured. Set EXPO_PUBLIC_ANTHROPIC_API_KEY before using this feature.');
-  }
-
   if (!imageBase64) {
     throw new Error('A photo is required to identify games.');
   }
@@ -271,108 +219,22 @@ export const identifyGamesFromImage = async ({
     });
   }
 
-  const payload = {
-    model: API_CONFIG.ANTHROPIC_DEFAULT_MODEL,
-    max_tokens: 4096, // Increased to handle multiple games with detailed styling information
-    temperature: 0,
-    system: 'Always produce output in strict JSON that conforms to the documented schema. Do not use Markdown code blocks. Return only the raw JSON object.',
-    messages: [
-      {
-        role: 'user',
-        content: userContent,
-      },
-    ],
-  };
+  const { data: parsed, rawText } = await requestLLMJson(
+    {
+      system: 'Always produce output in strict JSON that conforms to the documented schema. Do not use Markdown code blocks. Return only the raw JSON object.',
+      content: userContent,
+      maxTokens: 4096, // Increased to handle multiple games with detailed styling information
+      temperature: 0,
+      beta: audioNarration?.data ? ['audio'] : [],
+    },
+    { provider },
+  );
 
-  const headers = {
-    'x-api-key': API_CONFIG.ANTHROPIC_API_KEY,
-    'anthropic-version': API_CONFIG.ANTHROPIC_VERSION,
-    'content-type': 'application/json',
+  return {
+    games: parsed.games ?? [],
+    comments: parsed.comments ?? '',
+    rawText,
   };
-
-  if (audioNarration?.data) {
-    headers['anthropic-beta'] = 'audio';
-  }
-
-  const endpoint = `${API_CONFIG.ANTHROPIC_BASE_URL}/v1/messages`;
-
-  // Retry logic for "Overloaded" errors
-  const maxRetries = 3;
-  let lastError = null;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      // Exponential backoff: wait 1s, 2s, 4s before retries
-      if (attempt > 0) {
-        const delayMs = Math.pow(2, attempt - 1) * 1000;
-        if (__DEV__) {
-          console.log(`[Claude API] Retry attempt ${attempt}/${maxRetries} after ${delayMs}ms delay`);
-        }
-        await new Promise((resolve) => setTimeout(resolve, delayMs));
-      }
-
-      const response = await axios.post(endpoint, payload, { headers });
-      
-      if (__DEV__) {
-        console.log('[Claude API] Full response structure:', JSON.stringify(response.data, null, 2).substring(0, 1000));
-      }
-      
-      const rawText = extractTextFromClaudeResponse(response.data?.content);
-      
-      if (__DEV__) {
-        console.log('[Claude API] Extracted raw text length:', rawText?.length || 0);
-      }
-      
-      if (!rawText || rawText.trim().length === 0) {
-        throw new Error('Claude returned an empty response. The API response may be malformed.');
-      }
-      
-      const parsed = parseClaudeJson(rawText);
-
-      return {
-        games: parsed.games ?? [],
-        comments: parsed.comments ?? '',
-        rawText,
-      };
-    } catch (error) {
-      lastError = error;
-      
-      // If this is a JSON parsing error, include more context
-      if (error.message && error.message.includes('unreadable response')) {
-        if (error.originalText && __DEV__) {
-          console.error('[Claude API] Original response that failed:', error.originalText.substring(0, 2000));
-        }
-        if (error.cleanedText && __DEV__) {
-          console.error('[Claude API] Cleaned text that failed:', error.cleanedText.substring(0, 2000));
-        }
-      }
-      
-      const errorMessage =
-        error.response?.data?.error?.message ||
-        error.response?.data?.error ||
-        error.message ||
-        'Unknown error';
-
-      // If it's an "Overloaded" error and we have retries left, retry
-      if (errorMessage.toLowerCase().includes('overloaded') && attempt < maxRetries) {
-        if (__DEV__) {
-          console.warn(`[Claude API] Overloaded error, will retry (attempt ${attempt + 1}/${maxRetries})`);
-        }
-        continue; // Retry the request
-      }
-
-      // For other errors or if we're out of retries, throw immediately
-      const message =
-        errorMessage === 'Overloaded'
-          ? 'Claude API is temporarily overloaded. Please wait a moment and try again.'
-          : errorMessage;
-
-      throw new Error(message);
-    }
-  }
-
-  // Should never reach here, but just in case
-  throw lastError || new Error('Failed to contact Claude after multiple attempts.');
 };
 
 export const buildGameIdentificationPrompt = buildPrompt;
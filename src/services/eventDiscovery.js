@@ -0,0 +1,209 @@
+/**
+ * Event Discovery Service - public MeepleUps (and members) near a place
+ * MeepleUps store a geohash in location.geohash and users next to their coordinates, so a radius search
+ * reads only the few geohash ranges around the circle instead of every document.
+ */
+
+import { db } from '../config/firebase';
+import { encodeGeohash, geocodeQuery, getGeohashQueryBounds, haversineMiles, parseCoordinateText } from '../utils/geo';
+import { findPostalCentroidInText, lookupPostalCentroid } from '../utils/postalCodes';
+import { getNextOccurrence, normalizeSeries, parseScheduledDate } from '../utils/recurrence';
+
+export const DISCOVERY_SORT = {
+  DISTANCE: 'distance',
+  NEXT_OCCURRENCE: 'nextOccurrence',
+};
+
+export const DEFAULT_DISCOVERY_RADIUS_MILES = 25;
+
+const GROUPS_COLLECTION = 'gamingGroups';
+const USERS_COLLECTION = 'users';
+
+const hasCoordinates = (place) => Number.isFinite(place?.lat) && Number.isFinite(place?.lng);
+
+/**
+ * Geo fields for a MeepleUp's location map
+ * @param {Object|null} coordinates - { lat, lng }
+ * @returns {Object} - { latitude, longitude, geohash }, all null when coordinates are missing
+ */
+export const buildLocationGeoFields = (coordinates) => (
+  hasCoordinates(coordinates)
+    ? {
+        latitude: coordinates.lat,
+        longitude: coordinates.lng,
+        geohash: encodeGeohash(coordinates.lat, coordinates.lng),
+      }
+    : { latitude: null, longitude: null, geohash: null }
+);
+
+/**
+ * Coordinates for typed location text: "lat, lng", a postal code (offline), or anything the device geocoder knows
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.country] - ISO country code for postal codes (default: US)
+ * @returns {Promise<Object|null>} - { lat, lng }
+ */
+export const resolveLocationText = async (text, { country } = {}) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+
+  const coordinates = parseCoordinateText(trimmed) || findPostalCentroidInText(trimmed, country);
+  if (coordinates) return coordinates;
+
+  const geocoded = await geocodeQuery(trimmed);
+  return geocoded ? { lat: geocoded.lat, lng: geocoded.lng } : null;
+};
+
+/**
+ * Coordinates for a MeepleUp: its general location, else the organizer's saved location
+ * @param {string} generalLocation - The MeepleUp's general location text
+ * @param {Object} [organizer] - Profile with coordinates, zipcode and country
+ * @returns {Promise<Object|null>} - { lat, lng }
+ */
+export const resolveEventCoordinates = async (generalLocation, organizer) => {
+  const coordinates = await resolveLocationText(generalLocation, { country: organizer?.country });
+  if (coordinates) return coordinates;
+  if (hasCoordinates(organizer?.coordinates)) {
+    return { lat: organizer.coordinates.lat, lng: organizer.coordinates.lng };
+  }
+  const centroid = organizer?.zipcode ? lookupPostalCentroid(organizer.zipcode, organizer.country) : null;
+  return centroid ? { lat: centroid.lat, lng: centroid.lng } : null;
+};
+
+/**
+ * Read the documents within a radius, closest first
+ * @param {Object} query - Firestore query (collection plus equality filters)
+ * @param {string} geohashField - Field holding the geohash
+ * @param {Function} getCoordinates - (data) => { lat, lng } or null
+ * @param {Object} center - { lat, lng }
+ * @param {number} radiusMiles
+ * @returns {Promise<Array>} - [{ id, data, distance }]
+ */
+const queryWithinRadius = async (query, geohashField, getCoordinates, center, radiusMiles) => {
+  const bounds = getGeohashQueryBounds(center, radiusMiles);
+  const snapshots = await Promise.all(
+    bounds.map(([start, end]) => query.orderBy(geohashField).startAt(start).endAt(end).get()),
+  );
+
+  const seen = new Set();
+  const results = [];
+  snapshots.forEach((snapshot) => {
+    snapshot.docs.forEach((doc) => {
+      if (seen.has(doc.id)) return;
+      seen.add(doc.id);
+
+      const data = doc.data();
+      const coordinates = getCoordinates(data);
+      if (!hasCoordinates(coordinates)) return;
+
+      const distance = haversineMiles(center.lat, center.lng, coordinates.lat, coordinates.lng);
+      if (distance <= radiusMiles) {
+        results.push({ id: doc.id, data, distance });
+      }
+    });
+  });
+
+  return results.sort((a, b) => a.distance - b.distance);
+};
+
+const compareNextOccurrence = (a, b) => {
+  if (!a.nextOccurrence || !b.nextOccurrence) {
+    return (a.nextOccurrence ? 0 : 1) - (b.nextOccurrence ? 0 : 1);
+  }
+  return new Date(a.nextOccurrence) - new Date(b.nextOccurrence);
+};
+
+/**
+ * Order discovered MeepleUps; ties on one key fall back to the other
+ * MeepleUps without a date sort after dated ones when sorting by date.
+ * @param {Array} events - discoverPublicEvents results
+ * @param {string} sortBy - DISCOVERY_SORT value
+ * @returns {Array} - New array
+ */
+export const sortDiscoveredEvents = (events, sortBy = DISCOVERY_SORT.DISTANCE) =>
+  [...events].sort((a, b) => (
+    sortBy === DISCOVERY_SORT.NEXT_OCCURRENCE
+      ? compareNextOccurrence(a, b) || a.distance - b.distance
+      : a.distance - b.distance || compareNextOccurrence(a, b)
+  ));
+
+/**
+ * Public, active MeepleUps within a radius
+ * One-time MeepleUps that already happened and series that have ended are left out.
+ * Needs the composite index privacy + location.geohash (see FIREBASE_SCHEMA.md).
+ * @param {Object} center - { lat, lng }
+ * @param {Object} [options]
+ * @param {number} [options.radiusMiles] - Default: DEFAULT_DISCOVERY_RADIUS_MILES
+ * @param {string} [options.sortBy] - DISCOVERY_SORT value (default: distance)
+ * @param {Date} [options.now] - Reference date for the next occurrence
+ * @returns {Promise<Array>} - [{ id, name, description, generalLocation, organizerId, organizerName, joinCode,
+ *   memberIds, memberCount, capacity, distance, nextOccurrence }], nextOccurrence being an ISO date or null
+ */
+export const discoverPublicEvents = async (center, options = {}) => {
+  const {
+    radiusMiles = DEFAULT_DISCOVERY_RADIUS_MILES,
+    sortBy = DISCOVERY_SORT.DISTANCE,
+    now = new Date(),
+  } = options;
+
+  if (!db || !hasCoordinates(center)) {
+    return [];
+  }
+
+  const results = await queryWithinRadius(
+    db.collection(GROUPS_COLLECTION).where('privacy', '==', 'public'),
+    'location.geohash',
+    (data) => ({ lat: data.location?.latitude, lng: data.location?.longitude }),
+    center,
+    radiusMiles,
+  );
+
+  const events = [];
+  results.forEach(({ id, data, distance }) => {
+    if (data.isActive === false || data.deletedAt) return;
+
+    const series = normalizeSeries(data.series);
+    const scheduledFor = data.scheduledFor || data.nextEventDate?.toDate?.()?.toISOString() || '';
+    const next = getNextOccurrence({ series, scheduledFor }, { from: now });
+    // Undated MeepleUps stay listed; dated ones with nothing upcoming are over
+    if (!next && (series || parseScheduledDate(scheduledFor))) return;
+
+    events.push({
+      id,
+      name: data.name || 'MeepleUp',
+      description: data.description || '',
+      generalLocation: data.location?.name || '',
+      organizerId: data.organizerId || null,
+      organizerName: data.organizerName || '',
+      joinCode: data.joinCode || '',
+      memberIds: data.memberIds || [],
+      memberCount: data.memberCount || (data.memberIds || []).length,
+      capacity: data.capacity || null,
+      distance,
+      nextOccurrence: next ? next.scheduledFor : null,
+    });
+  });
+
+  return sortDiscoveredEvents(events, sortBy);
+};
+
+/**
+ * Users whose saved location is within a radius, closest first
+ * Users without a geohash (no postal code saved yet) aren't found.
+ * @param {Object} center - { lat, lng }
+ * @param {number} radiusMiles
+ * @returns {Promise<Array>} - [{ id, data, distance }], data being the user document
+ */
+export const findUsersWithinRadius = async (center, radiusMiles) => {
+  if (!db || !hasCoordinates(center)) {
+    return [];
+  }
+
+  return queryWithinRadius(
+    db.collection(USERS_COLLECTION),
+    'geohash',
+    (data) => data.coordinates,
+    center,
+    radiusMiles,
+  );
+};
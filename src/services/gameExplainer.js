@@ -0,0 +1,262 @@
+import { requestLLMJson } from './llm';
+import { getGameKey } from '../utils/eventCollection';
+import { getGameBadges } from '../utils/gameBadges';
+
+// Keeps the prompt small; the most familiar games are listed first
+const MAX_KNOWN_GAMES = 60;
+const MAX_DESCRIPTION_LENGTH = 600;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getTitle = (game) => game?.title || game?.name || game?.gameName || 'Untitled game';
+
+const joinNames = (names) => {
+  if (names.length <= 2) return names.join(' and ');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * How long ago a play date was, the way a person would say it
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {Date} now
+ * @returns {string} - e.g. "yesterday", "last week", "last month", "in 2023"
+ */
+const describeWhen = (date, now) => {
+  const [year, month, day] = date.split('-').map((part) => parseInt(part, 10));
+  const playedOn = new Date(year, month - 1, day);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round((today - playedOn) / DAY_MS);
+  const months = (now.getFullYear() - year) * 12 + (now.getMonth() - (month - 1));
+
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  if (days < 7) return `${days} days ago`;
+  if (days < 14) return 'last week';
+  if (months === 0) return 'earlier this month';
+  if (months === 1) return 'last month';
+  if (months < 12) return `${months} months ago`;
+  return `in ${year}`;
+};
+
+/**
+ * Everything the viewer knows about each game: whether they or their group own it,
+ * and who they played it with and when
+ */
+const summarizeKnownGames = ({ targetKey, collection, groupLibrary, plays, userId, getName, now }) => {
+  const known = new Map();
+  const getEntry = (key, title) => {
+    if (!known.has(key)) {
+      known.set(key, { key, title, owned: false, ownerIds: new Set(), playCount: 0, lastPlayed: null, playedWith: new Map() });
+    }
+    return known.get(key);
+  };
+
+  (collection || []).forEach((game) => {
+    const key = getGameKey(game);
+    if (!key || game?.status?.own === false) return;
+    const entry = getEntry(key, getTitle(game));
+    entry.owned = true;
+    entry.playCount = Math.max(entry.playCount, parseInt(game.numplays, 10) || 0);
+  });
+
+  (groupLibrary || []).forEach((game) => {
+    const key = game.key || getGameKey(game);
+    if (!key) return;
+    const entry = getEntry(key, getTitle(game));
+    (game.ownerIds || []).forEach((ownerId) => {
+      if (ownerId !== userId) entry.ownerIds.add(ownerId);
+    });
+  });
+
+  // Count plays separately so BGG play counts on the collection aren't added twice
+  const loggedCounts = new Map();
+  (plays || []).forEach((play) => {
+    if (!play.gameKey || !(play.playerIds || []).includes(userId)) return;
+    const entry = getEntry(play.gameKey, getTitle(play));
+    loggedCounts.set(play.gameKey, (loggedCounts.get(play.gameKey) || 0) + Math.max(1, parseInt(play.quantity, 10) || 1));
+    if (play.date && (!entry.lastPlayed || play.date > entry.lastPlayed)) {
+      entry.lastPlayed = play.date;
+    }
+    (play.players || []).forEach((player) => {
+      if (player.userId === userId) return;
+      const name = (player.userId && getName(player.userId)) || player.name;
+      if (!name) return;
+      const previous = entry.playedWith.get(name);
+      if (!previous || play.date > previous) {
+        entry.playedWith.set(name, play.date);
+      }
+    });
+  });
+  loggedCounts.forEach((count, key) => {
+    const entry = known.get(key);
+    entry.playCount = Math.max(entry.playCount, count);
+  });
+
+  return Array.from(known.values())
+    .filter((entry) => entry.key !== targetKey)
+    .sort((a, b) =>
+      (b.lastPlayed || '').localeCompare(a.lastPlayed || '')
+      || b.playCount - a.playCount
+      || Number(b.owned) - Number(a.owned)
+      || a.title.localeCompare(b.title),
+    )
+    .slice(0, MAX_KNOWN_GAMES)
+    .map((entry) => {
+      const facts = [];
+      if (entry.owned) facts.push('in your collection');
+      if (entry.ownerIds.size) {
+        facts.push(`owned by ${joinNames([...entry.ownerIds].map((ownerId) => getName(ownerId) || ownerId))} in your group`);
+      }
+      if (entry.playCount) {
+        let played = `played ${entry.playCount} ${entry.playCount === 1 ? 'time' : 'times'}`;
+        if (entry.lastPlayed) played += `, most recently ${describeWhen(entry.lastPlayed, now)}`;
+        // Most recent opponents first
+        const companions = [...entry.playedWith.entries()]
+          .sort((a, b) => (b[1] || '').localeCompare(a[1] || ''))
+          .slice(0, 3)
+          .map(([name]) => name);
+        if (companions.length) played += ` with ${joinNames(companions)}`;
+        facts.push(played);
+      } else {
+        facts.push('never played');
+      }
+      return { title: entry.title, line: `- ${entry.title}: ${facts.join('; ')}` };
+    });
+};
+
+const describeTargetGame = (game) => {
+  const lines = [`Title: ${getTitle(game)}${game.yearPublished ? ` (${game.yearPublished})` : ''}`];
+
+  if (game.minPlayers || game.maxPlayers) {
+    const players = game.minPlayers === game.maxPlayers || !game.maxPlayers
+      ? `${game.minPlayers}`
+      : `${game.minPlayers || 1}-${game.maxPlayers}`;
+    lines.push(`Players: ${players}`);
+  }
+  if (game.playingTime) {
+    lines.push(`Playing time: ${game.playingTime} min`);
+  }
+
+  const categories = getGameBadges(game).map((badge) => badge.name);
+  if (categories.length) {
+    lines.push(`Categories: ${categories.join(', ')}`);
+  }
+
+  if (game.description) {
+    const description = game.description.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    lines.push(`Description: ${description.length > MAX_DESCRIPTION_LENGTH
+      ? `${description.slice(0, MAX_DESCRIPTION_LENGTH)}...`
+      : description}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Build the text-only prompt for explaining a game through games the viewer already knows.
+ * @param {Object} params
+ * @param {Object} params.game - Game to explain (collection entry, ideally with BGG details).
+ * @param {Array<Object>} [params.collection] - The viewer's collection.
+ * @param {Array<Object>} [params.groupLibrary] - Shared library entries with ownerIds (mergeEventCollection).
+ * @param {Array<Object>} [params.plays] - Plays the viewer or their group logged.
+ * @param {string} params.userId - Viewer's user ID.
+ * @param {Function} [params.getName] - (userId) => display name.
+ * @param {Date} [params.now] - Reference time for "last month" and similar.
+ * @returns {{ prompt: string, knownTitles: Array<string> }}
+ */
+export const buildGameExplanationPrompt = ({
+  game,
+  collection = [],
+  groupLibrary = [],
+  plays = [],
+  userId,
+  getName = () => null,
+  now = new Date(),
+}) => {
+  const knownGames = summarizeKnownGames({
+    targetKey: getGameKey(game),
+    collection,
+    groupLibrary,
+    plays,
+    userId,
+    getName,
+    now,
+  });
+
+  let prompt = `
+You are a friendly board game guide inside MeepleUp, an app for board game groups. A player tapped a game and wants to know what it is like. Explain it in terms of games they already know, the way a friend at the table would.
+
+GAME TO EXPLAIN:
+${describeTargetGame(game)}
+`.trim();
+
+  if (knownGames.length) {
+    prompt += `\n\nGAMES THIS PLAYER KNOWS (compare ONLY against these):\n${knownGames.map((entry) => entry.line).join('\n')}`;
+  } else {
+    prompt += '\n\nThis player has no games or plays recorded yet, so explain the game on its own terms.';
+  }
+
+  prompt += `
+
+GUIDELINES:
+- Write 2-4 short sentences addressed to the player as "you".
+- Compare mechanisms, weight, length and feel, not just theme.
+- Prefer games they have actually played, and mention who they played with and when using the details above (e.g. "like Gems, which you played with Erik last month").
+- Only compare against games in the list above. If nothing is a good match, say what kind of game it is instead.
+- Do not invent plays, people or dates.
+
+Return your response as valid JSON in this exact format:
+{
+  "explanation": "2-4 sentences for the player",
+  "comparisons": [
+    { "title": "exact title from the list above", "reason": "short phrase on what the two games share" }
+  ]
+}
+
+Return JSON only—no Markdown, no prose.`;
+
+  return { prompt, knownTitles: knownGames.map((entry) => entry.title) };
+};
+
+/**
+ * Explain a game in terms of games the viewer and their group have played.
+ * @param {Object} params - Same as buildGameExplanationPrompt, plus:
+ * @param {Object} [params.provider] - LLM provider (defaults to the configured one; pass a mock in tests).
+ * @returns {Promise<{ explanation: string, comparisons: Array<{ title: string, reason: string }>, rawText: string }>}
+ */
+export const explainGame = async ({ provider, ...params }) => {
+  if (!params.game) {
+    throw new Error('Pick a game to explain.');
+  }
+
+  const { prompt, knownTitles } = buildGameExplanationPrompt(params);
+
+  const { data: parsed, rawText } = await requestLLMJson(
+    {
+      system: 'Always produce output in strict JSON that conforms to the documented schema. Do not use Markdown code blocks. Return only the raw JSON object.',
+      content: [{ type: 'text', text: prompt }],
+      maxTokens: 1024,
+      temperature: 0.3,
+    },
+    { provider },
+  );
+
+  if (!parsed.explanation) {
+    throw new Error('Claude did not return an explanation. Please try again.');
+  }
+
+  // Drop comparisons to games the player doesn't actually know
+  const known = new Map(knownTitles.map((title) => [title.toLowerCase(), title]));
+  const comparisons = (Array.isArray(parsed.comparisons) ? parsed.comparisons : [])
+    .filter((comparison) => comparison?.title && known.has(String(comparison.title).toLowerCase()))
+    .map((comparison) => ({
+      title: known.get(String(comparison.title).toLowerCase()),
+      reason: comparison.reason || '',
+    }));
+
+  return {
+    explanation: parsed.explanation,
+    comparisons,
+    rawText,
+  };
+};
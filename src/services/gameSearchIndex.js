@@ -0,0 +1,271 @@
+/**
+ * On-device game search
+ * A trigram index over every game name (and alias) in src/assets/data/gameSearchIndex.json, built by
+ * scripts/build-search-index.js from the ranks CSV. Built in memory on the first search, so lookups are
+ * instant and work offline. Matches are ranked exact > starts with > contains > fuzzy; within a kind, the most
+ * rated games come first. Alternate names learned from BGG while the app runs are kept in storage and added
+ * to the index on the next launch.
+ */
+
+import storage from '../utils/storage';
+import { STORAGE_KEYS } from '../utils/constants';
+import { normalizeTitle } from '../utils/text';
+
+// Share of the query's trigrams a name needs before it counts as a typo match
+const MIN_FUZZY_COVERAGE = 0.6;
+// ...and how close the whole name has to be, so short queries don't match inside long names
+const MIN_FUZZY_SIMILARITY = 0.3;
+// Fuzzy matching on very short queries is mostly noise
+const MIN_FUZZY_QUERY_LENGTH = 4;
+
+const MATCH_PRIORITY = { exact: 0, startsWith: 1, contains: 2, fuzzy: 3 };
+
+// Same cap as scripts/build-search-index.js, so saved aliases stay small
+const MAX_ALIASES_PER_GAME = 12;
+
+let searchIndex = null;
+let savedAliasesLoad = null;
+// Storage writes are read-modify-write, so run them one at a time
+let aliasWriteChain = Promise.resolve();
+
+// Spaces are dropped so "smallworld" and "small world" index the same; the padding marks where a name starts and ends
+const getTrigrams = (compactText) => {
+  const padded = ` ${compactText} `;
+  const trigrams = new Set();
+  for (let index = 0; index <= padded.length - 3; index++) {
+    trigrams.add(padded.substring(index, index + 3));
+  }
+  return trigrams;
+};
+
+// Well-rated games with lots of ratings are what people are usually looking for
+const getPopularity = (usersRated, bayesAverage) =>
+  Math.log10((Number(usersRated) || 0) + 1) * (Number(bayesAverage) || 0);
+
+const toGame = (row, fields) => {
+  const record = fields.reduce((acc, field, index) => {
+    acc[field] = row[index];
+    return acc;
+  }, {});
+  return {
+    id: String(record.id),
+    name: record.name,
+    yearPublished: record.yearPublished ? String(record.yearPublished) : '',
+    rank: record.rank ? String(record.rank) : '0',
+    bayesAverage: record.bayesAverage ? String(record.bayesAverage) : '',
+    usersRated: record.usersRated ? String(record.usersRated) : '',
+    popularity: getPopularity(record.usersRated, record.bayesAverage),
+  };
+};
+
+const addName = (index, gameIndex, name, isAlias) => {
+  const text = normalizeTitle(name);
+  if (!text) return;
+  const compact = text.replace(/ /g, '');
+  const gameNames = index.namesByGame[gameIndex];
+  if (gameNames.some((entryIndex) => index.names[entryIndex].compact === compact)) return;
+
+  const entryIndex = index.names.length;
+  const trigrams = getTrigrams(compact);
+  index.names.push({ gameIndex, name, text, compact, isAlias, trigramCount: trigrams.size });
+  gameNames.push(entryIndex);
+  trigrams.forEach((trigram) => {
+    if (!index.postings.has(trigram)) index.postings.set(trigram, []);
+    index.postings.get(trigram).push(entryIndex);
+  });
+};
+
+/**
+ * Build a search index
+ * @param {Object} data - { fields, games: [[...values in field order]], aliases: { [gameId]: [names] } }
+ * @returns {Object} - Index for searchGameIndex
+ */
+export function buildGameSearchIndex(data) {
+  const fields = data?.fields || [];
+  const index = {
+    games: [],
+    gameIndexById: new Map(),
+    names: [],
+    namesByGame: [],
+    postings: new Map(),
+  };
+
+  (data?.games || []).forEach((row) => {
+    const game = toGame(row, fields);
+    if (!game.name || index.gameIndexById.has(game.id)) return;
+    const gameIndex = index.games.length;
+    index.games.push(game);
+    index.gameIndexById.set(game.id, gameIndex);
+    index.namesByGame.push([]);
+    addName(index, gameIndex, game.name, false);
+  });
+
+  Object.entries(data?.aliases || {}).forEach(([gameId, aliases]) => {
+    addIndexAliases(index, gameId, aliases);
+  });
+
+  return index;
+}
+
+function addIndexAliases(index, gameId, aliases) {
+  const gameIndex = index.gameIndexById.get(String(gameId));
+  if (gameIndex === undefined) return false;
+  (aliases || []).forEach((alias) => {
+    if (typeof alias === 'string') addName(index, gameIndex, alias, true);
+  });
+  return true;
+}
+
+/**
+ * The app's index, built from the bundled search data on first use
+ * @returns {Object}
+ */
+export function getGameSearchIndex() {
+  if (!searchIndex) {
+    // Required here rather than imported so the data is only parsed when search is first used
+    const data = require('../assets/data/gameSearchIndex.json');
+    searchIndex = buildGameSearchIndex(data);
+    if (__DEV__) {
+      console.log('[Game Search Index] Built index:', searchIndex.games.length, 'games,', searchIndex.names.length, 'names');
+    }
+  }
+  return searchIndex;
+}
+
+/**
+ * Let search find a game by other names (foreign editions, short names)
+ * @param {string} gameId - BGG ID of a game in the index
+ * @param {Array<string>} aliases
+ * @param {Object} [index] - Defaults to the app's index
+ * @returns {boolean} - False when the game isn't in the index
+ */
+export function addGameAliases(gameId, aliases, index = getGameSearchIndex()) {
+  return addIndexAliases(index, gameId, aliases);
+}
+
+const readSavedAliases = async () => {
+  try {
+    const stored = await storage.getItem(STORAGE_KEYS.GAME_ALIASES);
+    const parsed = stored ? JSON.parse(stored) : null;
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('[Game Search Index] Error loading saved aliases:', error);
+    return {};
+  }
+};
+
+/**
+ * Add the alternate names saved by rememberGameAliases to the app's index
+ * Runs once; later calls wait for the first.
+ * @returns {Promise<void>}
+ */
+export function loadSavedGameAliases() {
+  if (!savedAliasesLoad) {
+    savedAliasesLoad = readSavedAliases().then((saved) => {
+      const index = getGameSearchIndex();
+      Object.entries(saved).forEach(([gameId, aliases]) => {
+        addIndexAliases(index, gameId, aliases);
+      });
+    });
+  }
+  return savedAliasesLoad;
+}
+
+/**
+ * Let search find a game by other names from now on, including after a restart
+ * @param {string} gameId - BGG ID of a game in the index
+ * @param {Array<string>} aliases
+ * @returns {Promise<boolean>} - False when the game isn't in the index (nothing is saved)
+ */
+export function rememberGameAliases(gameId, aliases) {
+  const names = (aliases || []).filter((alias) => typeof alias === 'string' && alias.trim());
+  if (!addGameAliases(gameId, names)) {
+    return Promise.resolve(false);
+  }
+
+  const key = String(gameId);
+  aliasWriteChain = aliasWriteChain.then(async () => {
+    const saved = await readSavedAliases();
+    const merged = [...new Set([...(saved[key] || []), ...names])].slice(0, MAX_ALIASES_PER_GAME);
+    if (saved[key] && merged.length === saved[key].length) return;
+    try {
+      await storage.setItem(STORAGE_KEYS.GAME_ALIASES, JSON.stringify({ ...saved, [key]: merged }));
+    } catch (error) {
+      console.error('[Game Search Index] Error saving aliases:', error);
+    }
+  });
+  return aliasWriteChain.then(() => true);
+}
+
+const getMatchType = (entry, query) => {
+  if (entry.text === query.text || entry.compact === query.compact) return 'exact';
+  if (entry.text.startsWith(query.text) || entry.compact.startsWith(query.compact)) return 'startsWith';
+  if (entry.text.includes(query.text) || entry.compact.includes(query.compact)) return 'contains';
+  return 'fuzzy';
+};
+
+const compareMatches = (a, b) =>
+  MATCH_PRIORITY[a.matchType] - MATCH_PRIORITY[b.matchType]
+  || (a.matchType === 'fuzzy' ? b.similarity - a.similarity : 0)
+  || b.game.popularity - a.game.popularity
+  || a.entry.isAlias - b.entry.isAlias;
+
+/**
+ * Search an index by name
+ * @param {string} queryText - What the user typed
+ * @param {number} limit - Maximum number of results (default: 10)
+ * @param {Object} [index] - Defaults to the app's index
+ * @returns {Array<Object>} - [{ id, name, yearPublished, rank, bayesAverage, usersRated, similarity, matchType,
+ *   matchedName }]; matchedName is the alias that matched, or the primary name
+ */
+export function searchGameIndex(queryText, limit = 10, index = getGameSearchIndex()) {
+  const text = normalizeTitle(queryText);
+  if (!text) return [];
+
+  const query = { text, compact: text.replace(/ /g, '') };
+  const queryTrigrams = getTrigrams(query.compact);
+
+  // How many of the query's trigrams each name shares
+  const sharedCounts = new Map();
+  queryTrigrams.forEach((trigram) => {
+    (index.postings.get(trigram) || []).forEach((entryIndex) => {
+      sharedCounts.set(entryIndex, (sharedCounts.get(entryIndex) || 0) + 1);
+    });
+  });
+
+  // Best-matching name per game, so a game found by its alias and its title appears once
+  const bestByGame = new Map();
+  sharedCounts.forEach((shared, entryIndex) => {
+    const entry = index.names[entryIndex];
+    const matchType = getMatchType(entry, query);
+    // Dice coefficient over trigrams
+    const similarity = (2 * shared) / (queryTrigrams.size + entry.trigramCount);
+    if (matchType === 'fuzzy'
+      && (query.compact.length < MIN_FUZZY_QUERY_LENGTH
+        || shared / queryTrigrams.size < MIN_FUZZY_COVERAGE
+        || similarity < MIN_FUZZY_SIMILARITY)) {
+      return;
+    }
+
+    const match = { entry, matchType, similarity, game: index.games[entry.gameIndex] };
+    const current = bestByGame.get(entry.gameIndex);
+    if (!current || compareMatches(match, current) < 0) {
+      bestByGame.set(entry.gameIndex, match);
+    }
+  });
+
+  return Array.from(bestByGame.values())
+    .sort(compareMatches)
+    .slice(0, limit)
+    .map(({ entry, matchType, game, similarity }) => ({
+      id: game.id,
+      name: game.name,
+      yearPublished: game.yearPublished,
+      rank: game.rank,
+      bayesAverage: game.bayesAverage,
+      usersRated: game.usersRated,
+      similarity: matchType === 'fuzzy' ? similarity : 1.0,
+      matchType,
+      matchedName: entry.name,
+    }));
+}
@@ -0,0 +1,95 @@
+import { createAnthropicProvider, createMockProvider, requestLLMJson, sendLLMRequest } from '..';
+import { selectFixture } from '../mockProvider';
+
+const shelfMessage = (text = 'Identify the board game spines in this photo. Return JSON only.') => ({
+  system: 'You identify board games.',
+  content: [{ type: 'text', text }],
+});
+
+const textResponse = (text) => ({ content: [{ type: 'text', text }] });
+
+describe('selectFixture', () => {
+  const fixtures = {
+    general: [{ name: 'Any game', match: ['game'] }],
+    specific: [
+      { name: 'Spines A', match: ['game', 'spines'] },
+      { name: 'Spines B', match: ['game', 'spines'] },
+    ],
+  };
+
+  it('prefers the fixture with the most matching strings', () => {
+    const fixture = selectFixture(fixtures, { messages: [{ content: 'board game spines' }] });
+    expect(fixture.name).toMatch(/^Spines/);
+  });
+
+  it('picks the same fixture for the same request', () => {
+    const payload = { messages: [{ content: 'board game spines, photo 1' }] };
+    expect(selectFixture(fixtures, payload)).toBe(selectFixture(fixtures, payload));
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(selectFixture(fixtures, { messages: [{ content: 'weather' }] })).toBeNull();
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider({ latencyMs: 0 });
+
+  it('replays a recorded shelf and parses its JSON', async () => {
+    const { data } = await requestLLMJson(shelfMessage(), { provider });
+    expect(Array.isArray(data.games)).toBe(true);
+    expect(data.games.length).toBeGreaterThan(0);
+    expect(data.games[0].title).toEqual(expect.any(String));
+  });
+
+  it('replays recorded API errors', async () => {
+    await expect(
+      sendLLMRequest(shelfMessage('board game spines MOCK_OVERLOADED. Return JSON only.'), { provider, maxRetries: 0 }),
+    ).rejects.toThrow('temporarily overloaded');
+  });
+
+  it('fails clearly when no fixture matches', async () => {
+    await expect(sendLLMRequest(shelfMessage('What is the weather?'), { provider, maxRetries: 0 }))
+      .rejects.toThrow('No recorded response');
+  });
+});
+
+describe('sendLLMRequest', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('retries retryable errors with backoff', async () => {
+    const overloaded = Object.assign(new Error('Overloaded'), { response: { status: 529 } });
+    const transport = jest.fn()
+      .mockRejectedValueOnce(overloaded)
+      .mockResolvedValueOnce(textResponse('{"ok": true}'));
+    const provider = createAnthropicProvider({ apiKey: 'test', transport });
+
+    const result = requestLLMJson(shelfMessage(), { provider, maxRetries: 1, timeoutMs: 0 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(result).resolves.toEqual({ data: { ok: true }, rawText: '{"ok": true}' });
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry other errors', async () => {
+    const badRequest = Object.assign(new Error('Bad request'), { response: { status: 400 } });
+    const transport = jest.fn().mockRejectedValue(badRequest);
+    const provider = createAnthropicProvider({ apiKey: 'test', transport });
+
+    await expect(sendLLMRequest(shelfMessage(), { provider, maxRetries: 3, timeoutMs: 0 }))
+      .rejects.toThrow('Bad request');
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects empty replies', async () => {
+    const provider = createAnthropicProvider({ apiKey: 'test', transport: async () => textResponse('  ') });
+    await expect(sendLLMRequest(shelfMessage(), { provider, maxRetries: 0, timeoutMs: 0 }))
+      .rejects.toThrow('empty response');
+  });
+});
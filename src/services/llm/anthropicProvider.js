@@ -0,0 +1,148 @@
+import axios from 'axios';
+import { API_CONFIG } from '../../config/api';
+
+/**
+ * Pull the first text block out of a Messages API response.
+ * @param {Object} body - Response body.
+ * @returns {string}
+ */
+export const extractTextFromClaudeResponse = (body) => {
+  const contentBlocks = Array.isArray(body?.content) ? body.content : [];
+  const textBlock = contentBlocks.find((block) => block.type === 'text');
+  return textBlock?.text ?? '';
+};
+
+/**
+ * Parse the JSON object in a Claude reply, tolerating Markdown fences and surrounding prose.
+ * @param {string} text - Reply text.
+ * @returns {Object}
+ */
+export const parseClaudeJson = (text) => {
+  if (!text) {
+    throw new Error('Claude response was empty. Please try again.');
+  }
+
+  // Log the raw response for debugging
+  if (__DEV__) {
+    console.log('[Claude API] Raw response text (first 1000 chars):', text.substring(0, 1000));
+    console.log('[Claude API] Raw response text length:', text.length);
+  }
+
+  // Try to extract JSON from markdown code blocks if present
+  let cleanedText = text.trim();
+
+  // Remove markdown code block markers if present
+  if (cleanedText.startsWith('```json')) {
+    cleanedText = cleanedText.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
+  } else if (cleanedText.startsWith('```')) {
+    cleanedText = cleanedText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+
+  // Try to find JSON object in the text if it's wrapped in other text
+  const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    cleanedText = jsonMatch[0];
+  }
+
+  try {
+    return JSON.parse(cleanedText);
+  } catch (error) {
+    // Log more details about the parsing error
+    if (__DEV__) {
+      console.error('[Claude API] JSON parse error:', error.message);
+      console.error('[Claude API] Original text (first 2000 chars):', text.substring(0, 2000));
+      console.error('[Claude API] Cleaned text (first 2000 chars):', cleanedText.substring(0, 2000));
+      console.error('[Claude API] Full cleaned text length:', cleanedText.length);
+    }
+
+    // Create error with more context
+    const parseError = new Error(`Claude returned an unreadable response. ${error.message}`);
+    parseError.originalText = text;
+    parseError.cleanedText = cleanedText;
+    throw parseError;
+  }
+};
+
+/**
+ * Default transport: POST a Messages API request over HTTP.
+ * Any function with the same shape can stand in for it (e.g. a local stub in tests).
+ * @param {Object} request
+ * @param {string} request.endpoint - Messages API URL.
+ * @param {Object} request.payload - Request body.
+ * @param {Object} request.headers - Request headers.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Abort the request after this long.
+ * @returns {Promise<Object>} - Response body with a content array.
+ */
+export const httpTransport = async ({ endpoint, payload, headers }, { timeoutMs } = {}) => {
+  const response = await axios.post(endpoint, payload, { headers, timeout: timeoutMs || 0 });
+  return response.data;
+};
+
+const getErrorMessage = (error) =>
+  error.response?.data?.error?.message ||
+  error.response?.data?.error ||
+  error.message ||
+  'Unknown error';
+
+// Overloaded (529), rate limited (429), server errors and timeouts are worth another try
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status === 429 || status === 529 || (status >= 500 && status < 600)) return true;
+  if (error.code === 'ECONNABORTED' || error.isTimeout) return true;
+  return String(getErrorMessage(error)).toLowerCase().includes('overloaded');
+};
+
+/**
+ * Anthropic Messages API provider.
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to API_CONFIG.ANTHROPIC_API_KEY.
+ * @param {string} [options.baseUrl] - Defaults to API_CONFIG.ANTHROPIC_BASE_URL.
+ * @param {string} [options.model] - Defaults to API_CONFIG.ANTHROPIC_DEFAULT_MODEL.
+ * @param {string} [options.version] - anthropic-version header.
+ * @param {Function} [options.transport=httpTransport] - Sends a built request and resolves with the response body.
+ * @returns {Object} - LLM provider (see services/llm)
+ */
+export const createAnthropicProvider = ({
+  apiKey = API_CONFIG.ANTHROPIC_API_KEY,
+  baseUrl = API_CONFIG.ANTHROPIC_BASE_URL,
+  model = API_CONFIG.ANTHROPIC_DEFAULT_MODEL,
+  version = API_CONFIG.ANTHROPIC_VERSION,
+  transport = httpTransport,
+} = {}) => ({
+  name: 'anthropic',
+
+  buildRequest: ({ system, content, maxTokens = 1024, temperature = 0, beta = [] }) => {
+    // A stubbed transport doesn't need a real key
+    if (transport === httpTransport && !apiKey) {
+      throw new Error('Anthropic API key is not configured. Set EXPO_PUBLIC_ANTHROPIC_API_KEY before using this feature.');
+    }
+
+    const headers = {
+      'x-api-key': apiKey,
+      'anthropic-version': version,
+      'content-type': 'application/json',
+    };
+    if (beta.length) {
+      headers['anthropic-beta'] = beta.join(',');
+    }
+
+    return {
+      endpoint: `${baseUrl}/v1/messages`,
+      headers,
+      payload: {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        messages: [{ role: 'user', content }],
+      },
+    };
+  },
+
+  send: (request, options) => transport(request, options),
+  extractText: extractTextFromClaudeResponse,
+  parseJson: parseClaudeJson,
+  getErrorMessage,
+  isRetryable,
+});
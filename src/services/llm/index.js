@@ -0,0 +1,143 @@
+/**
+ * LLM provider layer
+ * Features describe a message (system prompt + content blocks); a provider turns it into a request,
+ * sends it and reads the reply. Retries and timeouts are handled here for every provider.
+ *
+ * A provider is an object with:
+ * - name: string
+ * - buildRequest({ system, content, maxTokens, temperature, beta }) => request
+ * - send(request, { timeoutMs }) => Promise<response body>
+ * - extractText(body) => string
+ * - parseJson(text) => Object
+ * - getErrorMessage(error) => string
+ * - isRetryable(error) => boolean
+ *
+ * Content blocks use the Anthropic shape ({ type: 'text', text } / { type: 'image', source }).
+ * Pick the provider with EXPO_PUBLIC_LLM_PROVIDER ("anthropic" or "mock"), or call setLLMProvider.
+ */
+
+import { API_CONFIG } from '../../config/api';
+import { createAnthropicProvider } from './anthropicProvider';
+import { createMockProvider } from './mockProvider';
+
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+};
+
+const DEFAULT_MAX_RETRIES = 3;
+
+let activeProvider = null;
+
+/**
+ * The provider used when a caller doesn't pass one
+ * @returns {Object}
+ */
+export const getLLMProvider = () => {
+  if (!activeProvider) {
+    const factory = PROVIDER_FACTORIES[API_CONFIG.LLM_PROVIDER] || PROVIDER_FACTORIES.anthropic;
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the default provider (e.g. with a mock during development)
+ * @param {Object|null} provider - Provider, or null to go back to the configured one
+ */
+export const setLLMProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const withTimeout = (promise, timeoutMs) => {
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('The request took too long. Please try again.');
+      error.isTimeout = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Send a message and return the text of the reply
+ * Retryable errors (overloaded, rate limits, timeouts) are retried with exponential backoff.
+ * @param {Object} message - { system, content, maxTokens, temperature, beta }
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - Defaults to getLLMProvider()
+ * @param {number} [options.maxRetries] - Default: 3
+ * @param {number} [options.timeoutMs] - Per attempt; default API_CONFIG.LLM_TIMEOUT_MS
+ * @returns {Promise<string>}
+ */
+export const sendLLMRequest = async (
+  message,
+  { provider = getLLMProvider(), maxRetries = DEFAULT_MAX_RETRIES, timeoutMs = API_CONFIG.LLM_TIMEOUT_MS } = {},
+) => {
+  const request = provider.buildRequest(message);
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      // Exponential backoff: wait 1s, 2s, 4s before retries
+      if (attempt > 0) {
+        const delayMs = Math.pow(2, attempt - 1) * 1000;
+        if (__DEV__) {
+          console.log(`[LLM:${provider.name}] Retry attempt ${attempt}/${maxRetries} after ${delayMs}ms delay`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+
+      const body = await withTimeout(provider.send(request, { timeoutMs }), timeoutMs);
+
+      if (__DEV__) {
+        console.log(`[LLM:${provider.name}] Full response structure:`, JSON.stringify(body, null, 2).substring(0, 1000));
+      }
+
+      const rawText = provider.extractText(body);
+
+      if (!rawText || rawText.trim().length === 0) {
+        throw new Error('The AI returned an empty response. The API response may be malformed.');
+      }
+
+      return rawText;
+    } catch (error) {
+      lastError = error;
+      const errorMessage = provider.getErrorMessage(error);
+
+      if (provider.isRetryable(error) && attempt < maxRetries) {
+        if (__DEV__) {
+          console.warn(`[LLM:${provider.name}] ${errorMessage}, will retry (attempt ${attempt + 1}/${maxRetries})`);
+        }
+        continue;
+      }
+
+      throw new Error(
+        errorMessage === 'Overloaded'
+          ? 'Claude API is temporarily overloaded. Please wait a moment and try again.'
+          : errorMessage,
+      );
+    }
+  }
+
+  // Should never reach here, but just in case
+  throw lastError || new Error('Failed to contact the AI after multiple attempts.');
+};
+
+/**
+ * Send a message and parse the JSON object in the reply
+ * @param {Object} message - See sendLLMRequest
+ * @param {Object} [options] - See sendLLMRequest
+ * @returns {Promise<{ data: Object, rawText: string }>}
+ */
+export const requestLLMJson = async (message, options = {}) => {
+  const provider = options.provider || getLLMProvider();
+  const rawText = await sendLLMRequest(message, { ...options, provider });
+  return { data: provider.parseJson(rawText), rawText };
+};
+
+export { createAnthropicProvider, createMockProvider };
@@ -0,0 +1,104 @@
+/**
+ * Mock LLM provider
+ * Replays recorded Messages API responses from fixtures.json so Claude features can be built and
+ * tried without network access or an API key. The same request always gets the same reply.
+ *
+ * Each fixture has a name, the strings its request must contain (`match`, checked against the system
+ * prompt and text blocks) and either a recorded `response` body or an `error` to throw. When several
+ * fixtures match, the one with the most match strings wins; ties are broken by a hash of the request,
+ * so different photos get different (but repeatable) shelves.
+ *
+ * To record a new fixture, paste a Messages API response body into fixtures.json under a group.
+ */
+
+import recordedFixtures from './fixtures.json';
+import { createAnthropicProvider } from './anthropicProvider';
+
+// Media blocks can be megabytes of base64; their length and ends are enough to tell them apart
+const MEDIA_SAMPLE_LENGTH = 256;
+
+const flattenFixtures = (fixtures) =>
+  (Array.isArray(fixtures) ? fixtures : Object.values(fixtures || {}).flat());
+
+const getRequestText = (payload) => {
+  const blocks = (payload.messages || []).flatMap((message) =>
+    (Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }]));
+  return [payload.system || '', ...blocks.filter((block) => block.type === 'text').map((block) => block.text)].join('\n');
+};
+
+const getRequestSignature = (payload) => {
+  const blocks = (payload.messages || []).flatMap((message) =>
+    (Array.isArray(message.content) ? message.content : []));
+  const media = blocks
+    .filter((block) => block.source?.data)
+    .map(({ source }) =>
+      `${source.data.length}:${source.data.slice(0, MEDIA_SAMPLE_LENGTH)}:${source.data.slice(-MEDIA_SAMPLE_LENGTH)}`);
+  return [getRequestText(payload), ...media].join('\n');
+};
+
+// djb2; only needs to be stable, not secure
+const hashString = (text) => {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(index)) >>> 0;
+  }
+  return hash;
+};
+
+const toMockError = ({ status, type, message }) => {
+  const error = new Error(message);
+  error.response = { status, data: { type: 'error', error: { type, message } } };
+  return error;
+};
+
+/**
+ * Pick the recorded fixture for a request
+ * @param {Array<Object>|Object} fixtures - Fixture list, or { group: [fixtures] }
+ * @param {Object} payload - Messages API request body
+ * @returns {Object|null}
+ */
+export const selectFixture = (fixtures, payload) => {
+  const text = getRequestText(payload);
+  const matching = flattenFixtures(fixtures).filter((fixture) =>
+    (fixture.match || []).every((snippet) => text.includes(snippet)));
+  if (!matching.length) return null;
+
+  const specificity = Math.max(...matching.map((fixture) => (fixture.match || []).length));
+  const candidates = matching.filter((fixture) => (fixture.match || []).length === specificity);
+  return candidates[hashString(getRequestSignature(payload)) % candidates.length];
+};
+
+/**
+ * Provider that answers from recorded fixtures instead of the network
+ * Request building and response parsing are shared with the Anthropic provider.
+ * @param {Object} [options]
+ * @param {Array<Object>|Object} [options.fixtures] - Defaults to fixtures.json
+ * @param {number} [options.latencyMs] - Simulated response time (default: 600)
+ * @returns {Object} - LLM provider
+ */
+export const createMockProvider = ({ fixtures = recordedFixtures, latencyMs = 600 } = {}) => {
+  const replay = async ({ payload }) => {
+    if (latencyMs) {
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+
+    const fixture = selectFixture(fixtures, payload);
+    if (!fixture) {
+      throw new Error('No recorded response matches this request. Add a fixture to services/llm/fixtures.json.');
+    }
+
+    if (__DEV__) {
+      console.log(`[LLM:mock] Replaying fixture "${fixture.name}"`);
+    }
+
+    if (fixture.error) {
+      throw toMockError(fixture.error);
+    }
+    return fixture.response;
+  };
+
+  return {
+    ...createAnthropicProvider({ apiKey: 'mock', transport: replay }),
+    name: 'mock',
+  };
+};
@@ -0,0 +1,62 @@
+import { EMAIL_CONFIG } from '../../../config/api';
+import { createCaptureMailTransport, getMailTransport, sendMail, setMailTransport } from '..';
+
+const message = {
+  to: 'ana@example.com',
+  subject: 'Your daily MeepleUp digest',
+  html: '<p>Hi Ana</p>',
+  text: 'Hi Ana',
+};
+
+describe('getMailTransport', () => {
+  const originalConfig = { ...EMAIL_CONFIG };
+
+  afterEach(() => {
+    Object.assign(EMAIL_CONFIG, originalConfig);
+    setMailTransport(null);
+  });
+
+  it('refuses SMTP without credentials', () => {
+    Object.assign(EMAIL_CONFIG, { TRANSPORT: 'smtp', USER: 'digest@example.com', PASS: '' });
+    expect(() => getMailTransport()).toThrow('SMTP credentials missing');
+  });
+
+  it('treats an unknown transport as SMTP', () => {
+    Object.assign(EMAIL_CONFIG, { TRANSPORT: 'carrier-pigeon', USER: '', PASS: '' });
+    expect(() => getMailTransport()).toThrow('SMTP credentials missing');
+  });
+
+  it('uses SMTP when credentials are set', () => {
+    Object.assign(EMAIL_CONFIG, { TRANSPORT: 'smtp', USER: 'digest@example.com', PASS: 'app-password' });
+    expect(getMailTransport().name).toBe('smtp');
+  });
+
+  it('needs no credentials to capture', () => {
+    Object.assign(EMAIL_CONFIG, { TRANSPORT: 'capture', USER: '', PASS: '' });
+    expect(getMailTransport().name).toBe('capture');
+  });
+});
+
+describe('capture transport', () => {
+  it('keeps sent messages until cleared', async () => {
+    const transport = createCaptureMailTransport();
+
+    await expect(sendMail(message, { transport })).resolves.toEqual({
+      id: 'capture-1',
+      accepted: ['ana@example.com'],
+      rejected: [],
+    });
+    expect(transport.sent).toEqual([message]);
+
+    transport.clear();
+    expect(transport.sent).toEqual([]);
+  });
+});
+
+describe('sendMail', () => {
+  it('needs a recipient', async () => {
+    const transport = createCaptureMailTransport();
+    await expect(sendMail({ ...message, to: '' }, { transport })).rejects.toThrow('without a recipient');
+    expect(transport.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Capture mail transport
+ * A local stand-in for SMTP during development and tests: messages are kept in `sent` instead of being
+ * delivered, and with an outputDir each one is also written out as .html and .txt files to open in a browser.
+ */
+
+const toFileName = (message, index) =>
+  `${String(index).padStart(3, '0')}-${String(message.to || 'unknown').replace(/[^a-z0-9@._-]+/gi, '_')}`;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.outputDir] - Directory to write captured messages to (Node only)
+ * @returns {Object} - Mail transport, plus sent and clear()
+ */
+export const createCaptureMailTransport = ({ outputDir = null } = {}) => {
+  const sent = [];
+
+  return {
+    name: 'capture',
+    sent,
+
+    async send(message) {
+      sent.push(message);
+      const id = `capture-${sent.length}`;
+
+      if (outputDir) {
+        const { default: fs } = await import('fs');
+        const { default: path } = await import('path');
+        fs.mkdirSync(outputDir, { recursive: true });
+        const baseName = path.join(outputDir, toFileName(message, sent.length));
+        fs.writeFileSync(`${baseName}.html`, message.html || '', 'utf-8');
+        fs.writeFileSync(`${baseName}.txt`, `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text || ''}`, 'utf-8');
+      }
+
+      return { id, accepted: [message.to], rejected: [] };
+    },
+
+    clear() {
+      sent.length = 0;
+    },
+  };
+};
@@ -0,0 +1,59 @@
+/**
+ * Mail transport layer
+ * Used by the email digest (scripts/send-email-digests.js). A transport is an object with:
+ * - name: string
+ * - send({ to, subject, html, text }) => Promise<{ id, accepted, rejected }>
+ *
+ * Pick the transport with MAIL_TRANSPORT ("smtp" or "capture"), or call setMailTransport.
+ */
+
+import { EMAIL_CONFIG } from '../../config/api';
+import { createCaptureMailTransport } from './captureTransport';
+import { createSmtpMailTransport } from './smtpTransport';
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpMailTransport,
+  capture: createCaptureMailTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * The transport used when a caller doesn't pass one
+ * Throws when it would be SMTP without credentials, so a run fails before it reads any data.
+ * @returns {Object}
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const name = TRANSPORT_FACTORIES[EMAIL_CONFIG.TRANSPORT] ? EMAIL_CONFIG.TRANSPORT : 'smtp';
+    if (name === 'smtp' && (!EMAIL_CONFIG.USER || !EMAIL_CONFIG.PASS)) {
+      throw new Error('SMTP credentials missing: set SMTP_USER and SMTP_PASS, or MAIL_TRANSPORT=capture');
+    }
+    activeTransport = TRANSPORT_FACTORIES[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the default transport (e.g. with a capture transport during development)
+ * @param {Object|null} transport - Transport, or null to go back to the configured one
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, html, text }
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to getMailTransport()
+ * @returns {Promise<Object>} - { id, accepted, rejected }
+ */
+export const sendMail = async (message, { transport = getMailTransport() } = {}) => {
+  if (!message?.to) {
+    throw new Error('Cannot send email without a recipient');
+  }
+  return transport.send(message);
+};
+
+export { createCaptureMailTransport, createSmtpMailTransport };
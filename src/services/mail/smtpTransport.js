@@ -0,0 +1,47 @@
+import { EMAIL_CONFIG } from '../../config/api';
+
+/**
+ * SMTP mail transport
+ * Sends through nodemailer, so it only runs under Node (scripts/send-email-digests.js); React Native has
+ * no raw sockets. nodemailer is loaded on first send so the app bundle never pulls it in.
+ * @param {Object} [options] - Overrides for EMAIL_CONFIG ({ host, port, secure, user, pass, from })
+ * @returns {Object} - Mail transport
+ */
+export const createSmtpMailTransport = (options = {}) => {
+  const config = {
+    host: EMAIL_CONFIG.SMTP_HOST,
+    port: EMAIL_CONFIG.SMTP_PORT,
+    secure: EMAIL_CONFIG.SMTP_SECURE,
+    user: EMAIL_CONFIG.USER,
+    pass: EMAIL_CONFIG.PASS,
+    from: EMAIL_CONFIG.FROM,
+    ...options,
+  };
+  let transporter = null;
+
+  const getTransporter = async () => {
+    if (!transporter) {
+      const { default: nodemailer } = await import('nodemailer');
+      transporter = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      });
+    }
+    return transporter;
+  };
+
+  return {
+    name: 'smtp',
+
+    /**
+     * @param {Object} message - { to, subject, html, text, from? }
+     * @returns {Promise<Object>} - { id, accepted, rejected }
+     */
+    async send(message) {
+      const info = await (await getTransporter()).sendMail({ from: config.from, ...message });
+      return { id: info.messageId, accepted: info.accepted || [], rejected: info.rejected || [] };
+    },
+  };
+};
@@ -0,0 +1,27 @@
+import axios from 'axios';
+import { API_CONFIG } from '../../config/api';
+
+/**
+ * Expo push transport
+ * Sends messages through Expo's push service, which forwards them to APNs/FCM.
+ * https://docs.expo.dev/push-notifications/sending-notifications/
+ * @returns {Object} - Push transport
+ */
+export const createExpoPushTransport = () => ({
+  name: 'expo',
+
+  /**
+   * @param {Array<Object>} messages - Expo push messages ({ to, title, body, data, ... })
+   * @returns {Promise<Array<Object>>} - One ticket per message ({ status: 'ok' | 'error', id, message, details })
+   */
+  async send(messages) {
+    const response = await axios.post(API_CONFIG.EXPO_PUSH_URL, messages, {
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      timeout: API_CONFIG.PUSH_TIMEOUT_MS,
+    });
+    return Array.isArray(response.data?.data) ? response.data.data : [];
+  },
+});
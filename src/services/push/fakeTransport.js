@@ -0,0 +1,55 @@
+/**
+ * Fake push transport
+ * A local receiver for development and tests: messages are kept in memory instead of reaching a device,
+ * and listeners see each delivery as it happens. Tokens listed in `unregisteredTokens` get the same
+ * DeviceNotRegistered ticket Expo returns for an uninstalled app.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {Array<string>} [options.unregisteredTokens] - Tokens to reject as no longer registered
+ * @returns {Object} - Push transport, plus received, subscribe(listener) and clear()
+ */
+export const createFakePushTransport = ({ unregisteredTokens = [] } = {}) => {
+  const rejected = new Set(unregisteredTokens);
+  const received = [];
+  const listeners = new Set();
+  let nextTicketId = 1;
+
+  return {
+    name: 'fake',
+    received,
+
+    async send(messages) {
+      return messages.map((message) => {
+        if (rejected.has(message.to)) {
+          return {
+            status: 'error',
+            message: `"${message.to}" is not a registered push notification recipient`,
+            details: { error: 'DeviceNotRegistered' },
+          };
+        }
+
+        received.push(message);
+        listeners.forEach((listener) => listener(message));
+        if (__DEV__) {
+          console.log(`[Push:fake] ${message.to}: ${message.title} - ${message.body}`);
+        }
+        return { status: 'ok', id: `fake-ticket-${nextTicketId++}` };
+      });
+    },
+
+    /**
+     * @param {Function} listener - Called with each delivered message
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    clear() {
+      received.length = 0;
+    },
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * Push transport layer
+ * The fan-out (src/utils/pushFanout.js) decides who gets a push and what it says; a transport delivers it.
+ *
+ * A transport is an object with:
+ * - name: string
+ * - send(messages) => Promise<Array<ticket>>, one ticket per message in the same order
+ *
+ * Messages and tickets use the Expo push shape ({ to, title, body, data } / { status, id, message, details }).
+ * Pick the transport with EXPO_PUBLIC_PUSH_TRANSPORT ("expo" or "fake"), or call setPushTransport.
+ */
+
+import { API_CONFIG } from '../../config/api';
+import { createExpoPushTransport } from './expoTransport';
+import { createFakePushTransport } from './fakeTransport';
+
+const TRANSPORT_FACTORIES = {
+  expo: createExpoPushTransport,
+  fake: createFakePushTransport,
+};
+
+// Expo accepts at most 100 messages per request
+const MAX_MESSAGES_PER_REQUEST = 100;
+
+let activeTransport = null;
+
+/**
+ * The transport used when a caller doesn't pass one
+ * @returns {Object}
+ */
+export const getPushTransport = () => {
+  if (!activeTransport) {
+    const factory = TRANSPORT_FACTORIES[API_CONFIG.PUSH_TRANSPORT] || TRANSPORT_FACTORIES.expo;
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the default transport (e.g. with a fake receiver during development)
+ * @param {Object|null} transport - Transport, or null to go back to the configured one
+ */
+export const setPushTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send push messages in request-sized chunks
+ * A chunk that fails outright gets an error ticket for each of its messages, so the rest still go out.
+ * @param {Array<Object>} messages
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to getPushTransport()
+ * @returns {Promise<Array<Object>>} - Tickets, in message order
+ */
+export const sendPushMessages = async (messages, { transport = getPushTransport() } = {}) => {
+  const tickets = [];
+
+  for (let start = 0; start < messages.length; start += MAX_MESSAGES_PER_REQUEST) {
+    const chunk = messages.slice(start, start + MAX_MESSAGES_PER_REQUEST);
+    try {
+      const chunkTickets = await transport.send(chunk);
+      chunk.forEach((message, index) => {
+        tickets.push(chunkTickets[index] || { status: 'error', message: 'No ticket returned' });
+      });
+    } catch (error) {
+      console.error(`[Push:${transport.name}] Error sending push messages:`, error);
+      chunk.forEach(() => tickets.push({ status: 'error', message: error.message }));
+    }
+  }
+
+  return tickets;
+};
+
+export { createExpoPushTransport, createFakePushTransport };
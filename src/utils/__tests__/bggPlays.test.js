@@ -0,0 +1,113 @@
+import { fromBGGPlay, parseBGGPlaysXML, toBGGPlaysXML } from '../bggPlays';
+
+const PLAYS_XML = `<?xml version="1.0" encoding="utf-8"?>
+<plays username="meeple" userid="42" total="3" page="1">
+  <play id="9001" date="2025-03-04" quantity="2" length="75" incomplete="0" location="Brewery &amp; Co">
+    <item name="CATAN" objecttype="thing" objectid="13"><subtypes><subtype value="boardgame" /></subtypes></item>
+    <comments>Close game &lt;3</comments>
+    <players>
+      <player username="Meeple" userid="42" name="Ana" score="10" win="1" new="0" />
+      <player username="" userid="0" name="Ben" score="8" win="0" new="1" />
+    </players>
+  </play>
+  <play id="9002" date="0000-00-00" quantity="1" length="0" incomplete="1" location="">
+    <item name="Azul" objecttype="thing" objectid="230802" />
+  </play>
+  <play id="9003" date="2025-03-05" />
+</plays>`;
+
+describe('parseBGGPlaysXML', () => {
+  const parsed = parseBGGPlaysXML(PLAYS_XML);
+
+  it('reads the root and skips plays without an item', () => {
+    expect(parsed).toMatchObject({ username: 'meeple', total: 3, page: 1 });
+    expect(parsed.plays).toHaveLength(2);
+  });
+
+  it('decodes attributes, comments and players', () => {
+    expect(parsed.plays[0]).toMatchObject({
+      bggPlayId: '9001',
+      date: '2025-03-04',
+      quantity: 2,
+      length: 75,
+      location: 'Brewery & Co',
+      comments: 'Close game <3',
+      item: { bggId: '13', name: 'CATAN' },
+    });
+    expect(parsed.plays[0].players[0]).toMatchObject({ username: 'Meeple', bggUserId: '42', score: 10, winner: true });
+    expect(parsed.plays[0].players[1]).toMatchObject({ username: null, bggUserId: null, isNew: true });
+  });
+
+  it('treats the zero date as missing', () => {
+    expect(parsed.plays[1]).toMatchObject({ date: null, incomplete: true, length: null, players: [] });
+  });
+
+  it('surfaces BGG errors and rejects other files', () => {
+    expect(() => parseBGGPlaysXML('<error><message>Invalid username</message></error>')).toThrow('Invalid username');
+    expect(() => parseBGGPlaysXML('<items />')).toThrow('plays file');
+    expect(() => parseBGGPlaysXML(' ')).toThrow('empty');
+  });
+});
+
+describe('fromBGGPlay', () => {
+  const [catan, azul] = parseBGGPlaysXML(PLAYS_XML).plays;
+
+  it('matches the importer by BGG username', () => {
+    const play = fromBGGPlay(catan, { userId: 'ana', bggUsername: 'meeple' });
+    expect(play).toMatchObject({
+      gameKey: 'bgg_13',
+      gameBggId: '13',
+      playerIds: ['ana'],
+      winnerIds: ['ana'],
+      source: 'bgg',
+      bggPlayId: '9001',
+    });
+    expect(play.players.map((player) => player.userId)).toEqual(['ana', null]);
+  });
+
+  it('adds the importer when they are not in the player list', () => {
+    const play = fromBGGPlay(catan, { userId: 'ana', bggUsername: 'someone-else' });
+    expect(play.players[0]).toEqual({ userId: 'ana', name: 'someone-else', score: null, winner: false });
+    expect(play.winnerIds).toEqual([]);
+  });
+
+  it('skips plays without a date', () => {
+    expect(fromBGGPlay(azul, { userId: 'ana' })).toBeNull();
+  });
+});
+
+describe('toBGGPlaysXML', () => {
+  const plays = [
+    {
+      gameName: 'Tigris & Euphrates',
+      gameBggId: '42',
+      date: '2025-03-04',
+      durationMinutes: 90,
+      notes: 'Rematch "soon"',
+      players: [{ userId: 'ana', score: 12, winner: true }, { name: 'Guest', score: 9 }],
+    },
+    { gameName: 'House rules game', gameBggId: null, date: '2025-03-04' },
+  ];
+
+  const xml = toBGGPlaysXML(plays, {
+    username: 'meeple',
+    getName: (userId) => ({ ana: 'Ana' })[userId],
+    getUsername: (userId) => ({ ana: 'meeple' })[userId],
+  });
+
+  it('leaves out games BGG cannot match and escapes text', () => {
+    expect(xml).toContain('total="1"');
+    expect(xml).toContain('name="Tigris &amp; Euphrates"');
+    expect(xml).toContain('<comments>Rematch &quot;soon&quot;</comments>');
+    expect(xml).not.toContain('House rules game');
+  });
+
+  it('reads back as the same play', () => {
+    const [play] = parseBGGPlaysXML(xml).plays;
+    expect(play).toMatchObject({ bggPlayId: null, date: '2025-03-04', length: 90, item: { bggId: '42' } });
+    expect(play.players.map(({ username, name, score, winner }) => ({ username, name, score, winner }))).toEqual([
+      { username: 'meeple', name: 'Ana', score: 12, winner: true },
+      { username: null, name: 'Guest', score: 9, winner: false },
+    ]);
+  });
+});
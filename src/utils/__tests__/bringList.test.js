@@ -0,0 +1,103 @@
+import {
+  BRING_STATUS,
+  buildBringListView,
+  getCommitmentKey,
+  getGameSummary,
+  getPendingRequestsForOwner,
+  getUserRequest,
+} from '../bringList';
+import { GAME_INTEREST_STATUS } from '../constants';
+
+const games = [
+  { id: 'g1', bggId: 822, title: 'Carcassonne', ownerIds: ['ana', 'ben'] },
+  { id: 'g2', bggId: 13, title: 'CATAN', ownerIds: ['ben'] },
+  { id: 'g3', title: 'Homebrew Deck', ownerIds: ['cy'] },
+];
+
+const request = (id, overrides = {}) => ({
+  id,
+  gameKey: 'bgg_13',
+  interestedUserId: 'cy',
+  ownerId: 'ben',
+  status: GAME_INTEREST_STATUS.INTERESTED,
+  ...overrides,
+});
+
+describe('getCommitmentKey', () => {
+  it('makes a Firestore-safe field name per game and owner', () => {
+    expect(getCommitmentKey('bgg_13', 'ben')).toBe('bgg_13__ben');
+    expect(getCommitmentKey('a.b/c', 'user@x')).toBe('a_b_c__user_x');
+  });
+});
+
+describe('getGameSummary', () => {
+  it('keys by BGG ID and falls back for missing fields', () => {
+    expect(getGameSummary({ id: 5, bggId: 13, name: 'CATAN', thumbnail: 't.jpg' })).toEqual({
+      gameKey: 'bgg_13',
+      gameId: '5',
+      gameName: 'CATAN',
+      gameImage: 't.jpg',
+      gameBggId: '13',
+    });
+    expect(getGameSummary({ id: 'x' })).toMatchObject({ gameKey: 'x', gameName: 'Untitled game', gameBggId: null });
+  });
+});
+
+describe('buildBringListView', () => {
+  it('lists games someone is bringing first, then by title', () => {
+    const view = buildBringListView({
+      games,
+      commitments: [
+        { gameKey: 'g3', ownerId: 'cy', status: BRING_STATUS.BRINGING },
+        { gameKey: 'bgg_822', ownerId: 'ana', status: BRING_STATUS.BROUGHT },
+      ],
+    });
+
+    expect(view.map((entry) => entry.key)).toEqual(['bgg_822', 'g3', 'bgg_13']);
+    expect(view[0]).toMatchObject({ bringingIds: [], broughtIds: ['ana'], ownerIds: ['ana', 'ben'] });
+    expect(view[1].bringingIds).toEqual(['cy']);
+  });
+
+  it('attaches requests and ignores commitments for games no longer in the library', () => {
+    const view = buildBringListView({
+      games,
+      commitments: [{ gameKey: 'bgg_1', ownerId: 'ana', status: BRING_STATUS.BRINGING }],
+      interests: [request('r1'), request('r2', { gameKey: 'bgg_1' })],
+    });
+
+    expect(view.find((entry) => entry.key === 'bgg_13').requests.map((entry) => entry.id)).toEqual(['r1']);
+    expect(view.every((entry) => entry.bringingIds.length === 0)).toBe(true);
+  });
+});
+
+describe('getUserRequest', () => {
+  it('prefers an open request over declined or fulfilled ones', () => {
+    const entry = {
+      requests: [
+        request('old', { status: GAME_INTEREST_STATUS.DECLINED }),
+        request('open', { status: GAME_INTEREST_STATUS.CONFIRMED }),
+        request('other', { interestedUserId: 'ana' }),
+      ],
+    };
+    expect(getUserRequest(entry, 'cy').id).toBe('open');
+  });
+
+  it('falls back to the first request, or null', () => {
+    const entry = { requests: [request('old', { status: GAME_INTEREST_STATUS.DECLINED })] };
+    expect(getUserRequest(entry, 'cy').id).toBe('old');
+    expect(getUserRequest(entry, 'ana')).toBeNull();
+  });
+});
+
+describe('getPendingRequestsForOwner', () => {
+  it('lists only requests the owner has yet to answer', () => {
+    const entry = {
+      requests: [
+        request('r1'),
+        request('r2', { status: GAME_INTEREST_STATUS.CONFIRMED }),
+        request('r3', { ownerId: 'ana' }),
+      ],
+    };
+    expect(getPendingRequestsForOwner(entry, 'ben').map((entry) => entry.id)).toEqual(['r1']);
+  });
+});
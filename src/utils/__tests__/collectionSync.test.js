@@ -0,0 +1,130 @@
+import {
+  QUEUE_OPERATIONS,
+  WRITE_RESULTS,
+  applyPendingWrites,
+  enqueueWrite,
+  isRetryableError,
+  replayWrite,
+} from '../collectionSync';
+
+// A single in-memory Firestore, keyed by document path
+const mockDocs = {};
+
+jest.mock('../../config/firebase', () => {
+  const collection = (path) => ({
+    doc: (id) => ({
+      path: `${path}/${id}`,
+      collection: (name) => collection(`${path}/${id}/${name}`),
+    }),
+  });
+
+  return {
+    __esModule: true,
+    db: {
+      collection,
+      runTransaction: async (update) => update({
+        get: async (ref) => ({ exists: ref.path in mockDocs, data: () => mockDocs[ref.path] }),
+        set: (ref, data, options) => {
+          mockDocs[ref.path] = options?.merge ? { ...mockDocs[ref.path], ...data } : data;
+        },
+      }),
+    },
+    default: { firestore: { Timestamp: { now: () => 'server-now' } } },
+  };
+});
+
+const write = (operation, clientUpdatedAt, data) => ({
+  operation,
+  userId: 'ana',
+  gameId: 'bgg_13',
+  data,
+  clientUpdatedAt,
+});
+
+describe('enqueueWrite', () => {
+  it('folds updates into a pending add', () => {
+    let queue = enqueueWrite([], write(QUEUE_OPERATIONS.ADD, 1, { title: 'CATAN', shelf: 'A' }));
+    queue = enqueueWrite(queue, write(QUEUE_OPERATIONS.UPDATE, 2, { shelf: 'B' }));
+
+    expect(queue).toEqual([write(QUEUE_OPERATIONS.ADD, 2, { title: 'CATAN', shelf: 'B' })]);
+  });
+
+  it('keeps a pending remove when an update follows it', () => {
+    let queue = enqueueWrite([], write(QUEUE_OPERATIONS.REMOVE, 1));
+    queue = enqueueWrite(queue, write(QUEUE_OPERATIONS.UPDATE, 2, { shelf: 'B' }));
+
+    expect(queue).toEqual([write(QUEUE_OPERATIONS.REMOVE, 1)]);
+  });
+
+  it('lets a remove or a new add replace whatever is pending', () => {
+    let queue = enqueueWrite([], write(QUEUE_OPERATIONS.ADD, 1, { title: 'CATAN' }));
+    queue = enqueueWrite(queue, write(QUEUE_OPERATIONS.REMOVE, 2));
+    expect(queue).toEqual([write(QUEUE_OPERATIONS.REMOVE, 2)]);
+
+    queue = enqueueWrite(queue, write(QUEUE_OPERATIONS.ADD, 3, { title: 'CATAN' }));
+    expect(queue).toEqual([write(QUEUE_OPERATIONS.ADD, 3, { title: 'CATAN' })]);
+  });
+
+  it('queues writes for other games separately', () => {
+    const queue = enqueueWrite([write(QUEUE_OPERATIONS.REMOVE, 1)], { ...write(QUEUE_OPERATIONS.ADD, 2), gameId: 'bgg_822' });
+    expect(queue).toHaveLength(2);
+  });
+});
+
+describe('applyPendingWrites', () => {
+  const serverGames = [{ id: 'bgg_13', title: 'CATAN' }, { id: 'bgg_822', title: 'Carcassonne' }];
+
+  it('shows offline adds, updates and removes on top of the server copy', () => {
+    const queue = [
+      write(QUEUE_OPERATIONS.UPDATE, 1, { shelf: 'B' }),
+      { ...write(QUEUE_OPERATIONS.REMOVE, 1), gameId: 'bgg_822' },
+      { ...write(QUEUE_OPERATIONS.ADD, 1, { title: 'Azul' }), gameId: 'bgg_230802' },
+      { ...write(QUEUE_OPERATIONS.REMOVE, 1), userId: 'ben' },
+    ];
+
+    expect(applyPendingWrites(serverGames, queue, 'ana')).toEqual([
+      { id: 'bgg_13', title: 'CATAN', shelf: 'B' },
+      { id: 'bgg_230802', title: 'Azul' },
+    ]);
+  });
+
+  it('ignores updates to games that are gone', () => {
+    const queue = [{ ...write(QUEUE_OPERATIONS.UPDATE, 1, { shelf: 'B' }), gameId: 'bgg_1' }];
+    expect(applyPendingWrites(serverGames, queue, 'ana')).toEqual(serverGames);
+  });
+});
+
+describe('replayWrite', () => {
+  const path = 'userGames/ana/games/bgg_13';
+
+  beforeEach(() => {
+    Object.keys(mockDocs).forEach((key) => delete mockDocs[key]);
+  });
+
+  it('writes adds and soft-deletes removals', async () => {
+    await expect(replayWrite(write(QUEUE_OPERATIONS.ADD, 1, { title: 'CATAN', bggId: 13 })))
+      .resolves.toBe(WRITE_RESULTS.APPLIED);
+    expect(mockDocs[path]).toMatchObject({ title: 'CATAN', gameId: '13', deleted: false, clientUpdatedAt: 1 });
+
+    await replayWrite(write(QUEUE_OPERATIONS.REMOVE, 2));
+    expect(mockDocs[path]).toMatchObject({ title: 'CATAN', deleted: true, clientUpdatedAt: 2 });
+  });
+
+  it('drops writes older than the server copy', async () => {
+    mockDocs[path] = { deleted: true, clientUpdatedAt: 5 };
+    await expect(replayWrite(write(QUEUE_OPERATIONS.ADD, 4, { title: 'CATAN' }))).resolves.toBe(WRITE_RESULTS.STALE);
+    expect(mockDocs[path]).toEqual({ deleted: true, clientUpdatedAt: 5 });
+  });
+
+  it('does not update a removed game', async () => {
+    mockDocs[path] = { deleted: true, clientUpdatedAt: 1 };
+    await expect(replayWrite(write(QUEUE_OPERATIONS.UPDATE, 2, { shelf: 'B' }))).resolves.toBe(WRITE_RESULTS.STALE);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('gives up on errors a reconnect will not fix', () => {
+    expect(isRetryableError({ code: 'unavailable' })).toBe(true);
+    expect(isRetryableError({ code: 'permission-denied' })).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+import {
+  buildDigest,
+  getDigestFrequency,
+  getDigestSubject,
+  isDigestDue,
+  renderDigestEmail,
+} from '../emailDigest';
+import { getOccurrenceId } from '../recurrence';
+
+const now = new Date('2026-03-10T15:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+const gameNight = '2026-03-12T23:00:00.000Z';
+const gameNightId = getOccurrenceId(gameNight);
+
+const user = { id: 'ana', name: 'Ana', email: 'ana@example.com', timeZone: 'America/Chicago' };
+
+const group = (overrides = {}) => ({
+  event: { id: 'g1', name: 'Tuesday Brewery Night', series: null, scheduledFor: gameNight, capacity: 6 },
+  members: [
+    { userId: 'ana', rsvps: { [gameNightId]: { status: 'going' } } },
+    { userId: 'ben', rsvps: { [gameNightId]: { status: 'going' } } },
+    { userId: 'cy', rsvps: { [gameNightId]: { status: 'maybe' } } },
+  ],
+  posts: [
+    { id: 'p1', userId: 'ben', userName: 'Ben', title: 'Bringing Brass', content: 'Who wants   in?', createdAt: hoursAgo(2) },
+    { id: 'p2', userId: 'ana', userName: 'Ana', content: 'My own post', createdAt: hoursAgo(3) },
+    { id: 'p3', userId: 'cy', userName: 'Cy', content: 'Old news', createdAt: hoursAgo(48) },
+    { id: 'p4', userId: 'cy', userName: 'Cy', content: 'Deleted', deleted: true, createdAt: hoursAgo(1) },
+  ],
+  gameInterests: [
+    { id: 'i1', ownerId: 'ana', status: 'interested', gameName: 'Wingspan', interestedUserName: 'Cy' },
+    { id: 'i2', ownerId: 'ben', status: 'interested', gameName: 'Azul', interestedUserName: 'Ana' },
+    { id: 'i3', ownerId: 'ana', status: 'accepted', gameName: 'Root', interestedUserName: 'Ben' },
+  ],
+  ...overrides,
+});
+
+describe('getDigestFrequency', () => {
+  it('reads the preference, defaulting to off', () => {
+    expect(getDigestFrequency({ emailDigest: 'weekly' })).toBe('weekly');
+    expect(getDigestFrequency({ emailDigest: 'hourly' })).toBe('off');
+    expect(getDigestFrequency(null)).toBe('off');
+  });
+});
+
+describe('isDigestDue', () => {
+  it('is due once a period has passed, allowing for cron drift', () => {
+    expect(isDigestDue('daily', hoursAgo(24), now)).toBe(true);
+    expect(isDigestDue('daily', hoursAgo(23.5), now)).toBe(true);
+    expect(isDigestDue('daily', hoursAgo(20), now)).toBe(false);
+    expect(isDigestDue('weekly', hoursAgo(24 * 3), now)).toBe(false);
+    expect(isDigestDue('weekly', hoursAgo(24 * 7), now)).toBe(true);
+  });
+
+  it('is due for a first digest and never when off', () => {
+    expect(isDigestDue('daily', null, now)).toBe(true);
+    expect(isDigestDue('off', null, now)).toBe(false);
+  });
+
+  it('accepts Firestore timestamps', () => {
+    expect(isDigestDue('daily', { toDate: () => hoursAgo(30) }, now)).toBe(true);
+  });
+});
+
+describe('buildDigest', () => {
+  const build = (overrides = {}) => buildDigest({
+    user,
+    frequency: 'daily',
+    lastSentAt: hoursAgo(24),
+    notifications: [
+      { id: 'n1', type: 'waitlist_promoted', message: "You're in for Thursday", createdAt: hoursAgo(1) },
+      { id: 'n2', type: 'new_post', message: 'Ben posted', createdAt: hoursAgo(2) },
+      { id: 'n3', type: 'meepleup_changes', message: 'Moved to 7pm', read: true, createdAt: hoursAgo(2) },
+    ],
+    groups: [group()],
+    ...overrides,
+  }, { now });
+
+  it('collects new posts by others since the last digest', () => {
+    const [digestGroup] = build().groups;
+    expect(digestGroup.posts.total).toBe(1);
+    expect(digestGroup.posts.items[0]).toMatchObject({ id: 'p1', title: 'Bringing Brass', excerpt: 'Who wants in?', authorName: 'Ben' });
+  });
+
+  it('lists game requests still waiting on the member', () => {
+    const [digestGroup] = build().groups;
+    expect(digestGroup.gameInterests).toEqual([
+      expect.objectContaining({ id: 'i1', gameName: 'Wingspan', interestedUserName: 'Cy' }),
+    ]);
+  });
+
+  it('shows upcoming game nights with RSVP counts and the member\'s own RSVP', () => {
+    const [digestGroup] = build().groups;
+    expect(digestGroup.upcoming).toEqual([
+      expect.objectContaining({ scheduledFor: gameNight, going: 2, maybe: 1, waitlisted: 0, capacity: 6, myRsvp: 'going' }),
+    ]);
+  });
+
+  it('leaves out read notifications and ones that have their own section', () => {
+    const digest = build();
+    expect(digest.notifications.items.map((notification) => notification.id)).toEqual(['n1']);
+    expect(digest.counts).toEqual({ notifications: 1, posts: 1, gameInterests: 1, upcoming: 1 });
+    expect(digest.hasActivity).toBe(true);
+  });
+
+  it('has no activity when only game nights are coming up', () => {
+    const digest = build({ notifications: [], groups: [group({ posts: [], gameInterests: [] })] });
+    expect(digest.counts.upcoming).toBe(1);
+    expect(digest.hasActivity).toBe(false);
+  });
+
+  it('covers one period back for a first digest', () => {
+    expect(build({ lastSentAt: null }).periodStart).toBe(hoursAgo(24).toISOString());
+  });
+});
+
+describe('renderDigestEmail', () => {
+  const digest = buildDigest({
+    user,
+    frequency: 'weekly',
+    lastSentAt: hoursAgo(24 * 7),
+    groups: [group({
+      posts: [{ id: 'p1', userId: 'ben', userName: 'Ben <script>', title: 'Brass & Bourbon', content: 'Who?', createdAt: hoursAgo(2) }],
+    })],
+  }, { now });
+  const email = renderDigestEmail(digest, { appUrl: 'https://meepleup.example/' });
+
+  it('addresses the member with a subject that counts what is new', () => {
+    expect(email.to).toBe('ana@example.com');
+    expect(email.subject).toBe('Your weekly MeepleUp digest: 1 new post, 1 game request');
+    expect(getDigestSubject(digest)).toBe(email.subject);
+  });
+
+  it('links into the web app on the right tab', () => {
+    expect(email.text).toContain('https://meepleup.example/event/g1?tab=discussion&post=p1');
+    expect(email.text).toContain('https://meepleup.example/event/g1?tab=games');
+    expect(email.html).toContain('href="https://meepleup.example/event/g1?tab=schedule"');
+  });
+
+  it('shows dates in the member\'s time zone', () => {
+    // 23:00 UTC is 6 PM in Chicago (CDT after March 8)
+    expect(email.text).toContain('Thu, Mar 12, 6:00 PM: 2/6 going, 1 maybe. You\'re going.');
+  });
+
+  it('escapes member-written text in the HTML', () => {
+    expect(email.html).toContain('Brass &amp; Bourbon');
+    expect(email.html).toContain('Ben &lt;script&gt;');
+    expect(email.html).not.toContain('<script>');
+  });
+});
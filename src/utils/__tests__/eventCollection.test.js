@@ -0,0 +1,73 @@
+import { RSVP_STATUS } from '../constants';
+import { getGameKey, isVisibleInGroup, mergeEventCollection } from '../eventCollection';
+
+const collections = {
+  ana: [
+    { id: 'a1', bggId: 822, title: 'Carcassonne', condition: 'worn' },
+    { id: 'a2', bggId: 13, title: 'CATAN', status: { own: false, wishlist: true } },
+    { id: 'a3', title: 'Homebrew Deck' },
+  ],
+  ben: [
+    { id: 'b1', bggId: 822, title: 'Carcassonne (Big Box)', tradingStatus: { condition: 'new' } },
+    { id: 'b2', bggId: 822, title: 'Carcassonne', visibleInGroups: ['other-group'] },
+    { id: 'b3', bggId: 13, title: 'CATAN', visibleInGroups: ['g1'] },
+  ],
+};
+
+const byKey = (entries) => Object.fromEntries(entries.map((entry) => [entry.key, entry]));
+
+describe('getGameKey', () => {
+  it('keys by BGG ID, else by entry ID', () => {
+    expect(getGameKey({ id: 'x', bggId: 822 })).toBe('bgg_822');
+    expect(getGameKey({ id: 7 })).toBe('7');
+    expect(getGameKey({})).toBeNull();
+  });
+});
+
+describe('isVisibleInGroup', () => {
+  it('treats copies without a group list as visible everywhere', () => {
+    expect(isVisibleInGroup({}, 'g1')).toBe(true);
+    expect(isVisibleInGroup({ visibleInGroups: ['g2'] }, 'g1')).toBe(false);
+    expect(isVisibleInGroup({ visibleInGroups: ['g2'] })).toBe(true);
+  });
+});
+
+describe('mergeEventCollection', () => {
+  it('merges copies by BGG ID, keeping every owner\'s copy', () => {
+    const entries = byKey(mergeEventCollection(collections));
+    expect(entries.bgg_822).toMatchObject({ title: 'Carcassonne', ownerIds: ['ana', 'ben'], copyCount: 3 });
+    expect(entries.bgg_822.owners.map((owner) => [owner.userId, owner.gameId, owner.condition])).toEqual([
+      ['ana', 'a1', 'worn'],
+      ['ben', 'b1', 'new'],
+      ['ben', 'b2', null],
+    ]);
+    expect(entries.a3).toMatchObject({ ownerIds: ['ana'], copyCount: 1 });
+  });
+
+  it('leaves out games nobody owns', () => {
+    const entries = byKey(mergeEventCollection(collections));
+    expect(entries.bgg_13.ownerIds).toEqual(['ben']);
+    expect(mergeEventCollection({ ana: [collections.ana[1]] })).toEqual([]);
+  });
+
+  it('leaves out copies hidden from the group', () => {
+    const entries = byKey(mergeEventCollection(collections, { groupId: 'g1' }));
+    expect(entries.bgg_822.owners.map((owner) => owner.gameId)).toEqual(['a1', 'b1']);
+    expect(entries.bgg_13.ownerIds).toEqual(['ben']);
+  });
+
+  it('marks games an owner going tonight can bring', () => {
+    const entries = byKey(mergeEventCollection(collections, {
+      rsvpByUser: { ana: RSVP_STATUS.MAYBE, ben: RSVP_STATUS.GOING },
+    }));
+    expect(entries.bgg_822.availableTonight).toBe(true);
+    expect(entries.a3.availableTonight).toBe(false);
+    expect(entries.a3.owners[0].rsvpStatus).toBe(RSVP_STATUS.MAYBE);
+  });
+
+  it('leaves availability unknown without RSVPs', () => {
+    const [entry] = mergeEventCollection({ ana: [collections.ana[0]] });
+    expect(entry.availableTonight).toBeNull();
+    expect(entry.owners[0].rsvpStatus).toBeNull();
+  });
+});
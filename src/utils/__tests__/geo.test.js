@@ -0,0 +1,66 @@
+import { encodeGeohash, getGeohashQueryBounds, haversineMiles, parseCoordinateText } from '../geo';
+
+const chicago = { lat: 41.8781, lng: -87.6298 };
+
+describe('haversineMiles', () => {
+  it('measures great-circle distances', () => {
+    expect(haversineMiles(chicago.lat, chicago.lng, 40.7128, -74.006)).toBeCloseTo(711, 0);
+    expect(haversineMiles(chicago.lat, chicago.lng, chicago.lat, chicago.lng)).toBe(0);
+  });
+});
+
+describe('parseCoordinateText', () => {
+  it('reads "lat, lng" text', () => {
+    expect(parseCoordinateText(' 41.88, -87.63 ')).toEqual({ lat: 41.88, lng: -87.63 });
+  });
+
+  it('rejects out-of-range values and other text', () => {
+    expect(parseCoordinateText('91, 10')).toBeNull();
+    expect(parseCoordinateText('Lincoln Park, 60614')).toBeNull();
+    expect(parseCoordinateText(null)).toBeNull();
+  });
+});
+
+describe('encodeGeohash', () => {
+  it('matches the standard geohash', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(encodeGeohash(chicago.lat, chicago.lng)).toHaveLength(9);
+  });
+
+  it('gives nearby points a common prefix', () => {
+    expect(encodeGeohash(chicago.lat, chicago.lng, 5)).toBe(encodeGeohash(chicago.lat + 0.001, chicago.lng + 0.001, 5));
+  });
+});
+
+describe('getGeohashQueryBounds', () => {
+  const inBounds = (bounds, hash) => bounds.some(([start, end]) => hash >= start && hash <= end);
+
+  it('covers every point inside the radius', () => {
+    const radiusMiles = 25;
+    const bounds = getGeohashQueryBounds(chicago, radiusMiles);
+    expect(bounds.length).toBeLessThanOrEqual(9);
+
+    for (let bearing = 0; bearing < 360; bearing += 15) {
+      const radians = (bearing * Math.PI) / 180;
+      // Just inside the radius
+      const lat = chicago.lat + (24.9 / 69.05) * Math.cos(radians);
+      const lng = chicago.lng + ((24.9 / 69.05) * Math.sin(radians)) / Math.cos((chicago.lat * Math.PI) / 180);
+      expect(haversineMiles(chicago.lat, chicago.lng, lat, lng)).toBeLessThan(radiusMiles);
+      expect(inBounds(bounds, encodeGeohash(lat, lng))).toBe(true);
+    }
+  });
+
+  it('leaves out far-away points', () => {
+    const bounds = getGeohashQueryBounds(chicago, 10);
+    expect(inBounds(bounds, encodeGeohash(40.7128, -74.006))).toBe(false);
+  });
+
+  it('wraps around the antimeridian', () => {
+    const bounds = getGeohashQueryBounds({ lat: 0, lng: 179.99 }, 10);
+    expect(inBounds(bounds, encodeGeohash(0, -179.99))).toBe(true);
+  });
+
+  it('queries everything for huge radii', () => {
+    expect(getGeohashQueryBounds(chicago, 20000)).toEqual([['0', '~']]);
+  });
+});
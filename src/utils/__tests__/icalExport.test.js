@@ -0,0 +1,55 @@
+import { EVENT_FREQUENCY } from '../constants';
+import { generateIcalCalendar, generateIcalEvent } from '../icalExport';
+
+const seriesEvent = (id, startsAt) => ({
+  id,
+  name: 'Tuesday Games',
+  series: { frequency: EVENT_FREQUENCY.WEEKLY, startsAt, timezone: 'America/Chicago' },
+});
+
+// The VTIMEZONE observance (STANDARD/DAYLIGHT) that switches to an offset
+const observance = (lines, name, offsetFrom) => {
+  const start = lines.findIndex((line, i) => line === `BEGIN:${name}`
+    && lines.indexOf(`TZOFFSETFROM:${offsetFrom}`, i) < lines.indexOf(`END:${name}`, i));
+  return lines.slice(start, lines.indexOf(`END:${name}`, start) + 1);
+};
+
+describe('generateIcalEvent', () => {
+  it('defines the time zone that recurring dates refer to', () => {
+    const lines = generateIcalEvent(seriesEvent('e1', '2025-03-05T01:00:00.000Z')).split('\r\n');
+
+    expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+    expect(lines).toContain('TZID:America/Chicago');
+    expect(lines).toContain('DTSTART;TZID=America/Chicago:20250304T190000');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU');
+
+    const daylight = observance(lines, 'DAYLIGHT', '-0600');
+    expect(daylight).toContain('DTSTART:20250309T020000');
+    expect(daylight).toContain('TZOFFSETTO:-0500');
+
+    const standard = observance(lines, 'STANDARD', '-0500');
+    expect(standard).toContain('DTSTART:20251102T020000');
+    expect(standard).toContain('TZOFFSETTO:-0600');
+  });
+
+  it('keeps one-time events in UTC without a VTIMEZONE', () => {
+    const ical = generateIcalEvent({ id: 'e2', name: 'Games', scheduledFor: '2025-03-05T01:00:00.000Z' });
+    expect(ical).not.toContain('VTIMEZONE');
+    expect(ical).toContain('DTSTART:20250305T010000Z');
+  });
+});
+
+describe('generateIcalCalendar', () => {
+  it('writes each time zone once, ahead of the events', () => {
+    const lines = generateIcalCalendar([
+      seriesEvent('e1', '2025-03-05T01:00:00.000Z'),
+      seriesEvent('e2', '2024-03-06T01:00:00.000Z'),
+    ]).split('\r\n');
+
+    expect(lines.filter((line) => line === 'BEGIN:VTIMEZONE')).toHaveLength(1);
+    expect(lines.lastIndexOf('END:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+    // The earlier series' range is kept
+    expect(lines).toContain('DTSTART:20240310T020000');
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  IDENTIFICATION_SESSION_STATUS,
+  MAX_SAVED_SESSIONS,
+  completeIdentificationSession,
+  deleteIdentificationSession,
+  getPendingLookupIds,
+  getResumableCandidates,
+  getSessionSummary,
+  loadIdentificationSessions,
+  saveIdentificationSession,
+  toStoredSession,
+} from '../identificationSessions';
+
+jest.mock('../storage', () => {
+  const mockItems = {};
+  return {
+    __esModule: true,
+    default: {
+      getItem: async (key) => mockItems[key] || null,
+      setItem: async (key, value) => {
+        mockItems[key] = value;
+      },
+      clear: () => Object.keys(mockItems).forEach((key) => delete mockItems[key]),
+    },
+  };
+});
+
+const candidate = (id, overrides = {}) => ({
+  id,
+  claudeTitle: `Game ${id}`,
+  claudeConfidence: 'high',
+  status: 'pending',
+  bggStatus: 'idle',
+  bggData: null,
+  ...overrides,
+});
+
+// A photo left mid-way: one lookup done, one in flight, one queued, one low-confidence read
+const candidates = [
+  candidate('c1', { status: 'confirmed', bggStatus: 'matched', bggData: { name: 'CATAN' } }),
+  candidate('c2', { bggStatus: 'loading' }),
+  candidate('c3'),
+  candidate('c4', { claudeConfidence: 'low' }),
+];
+
+beforeEach(() => {
+  require('../storage').default.clear();
+});
+
+describe('toStoredSession', () => {
+  it('keeps the photo by URI and lists the lookups still to run', () => {
+    const stored = toStoredSession({ id: 's1', photo: { uri: 'file:///shelf.jpg', base64: 'AAAA' }, candidates });
+    expect(stored).toMatchObject({
+      id: 's1',
+      status: IDENTIFICATION_SESSION_STATUS.ACTIVE,
+      photoUri: 'file:///shelf.jpg',
+      pendingLookupIds: ['c2', 'c3'],
+    });
+    expect(stored).not.toHaveProperty('photo');
+    expect(getPendingLookupIds(candidates)).toEqual(['c2', 'c3']);
+  });
+});
+
+describe('resuming a session', () => {
+  it('picks up an active session after a restart and reruns lookups that were in flight', async () => {
+    await saveIdentificationSession(toStoredSession({ id: 's1', candidates, rejectedTitles: ['Azul'] }));
+
+    // A fresh copy of the module, as after an app restart; storage is shared
+    let restarted;
+    jest.isolateModules(() => {
+      restarted = require('../identificationSessions');
+    });
+    const { activeSessionId, sessions } = await restarted.loadIdentificationSessions();
+    expect(activeSessionId).toBe('s1');
+    expect(sessions[0].rejectedTitles).toEqual(['Azul']);
+
+    expect(getResumableCandidates(sessions[0]).map((entry) => [entry.id, entry.bggStatus])).toEqual([
+      ['c1', 'matched'],
+      ['c2', 'idle'],
+      ['c3', 'idle'],
+      ['c4', 'idle'],
+    ]);
+  });
+
+  it('doesn\'t resume a completed session but keeps it in the history', async () => {
+    await saveIdentificationSession(toStoredSession({ id: 's1', candidates }));
+    const state = await completeIdentificationSession('s1');
+
+    expect(state.activeSessionId).toBeNull();
+    expect(state.sessions[0].status).toBe(IDENTIFICATION_SESSION_STATUS.COMPLETED);
+    expect(await loadIdentificationSessions()).toEqual(state);
+  });
+});
+
+describe('saved session history', () => {
+  it('keeps the newest sessions first, up to the limit', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+    for (let index = 0; index <= MAX_SAVED_SESSIONS; index++) {
+      jest.advanceTimersByTime(1000);
+      saveIdentificationSession(toStoredSession({ id: `s${index}`, candidates: [] }));
+    }
+    jest.useRealTimers();
+
+    const { activeSessionId, sessions } = await loadIdentificationSessions();
+    expect(sessions).toHaveLength(MAX_SAVED_SESSIONS);
+    expect(sessions[0].id).toBe(`s${MAX_SAVED_SESSIONS}`);
+    expect(sessions.map((session) => session.id)).not.toContain('s0');
+    expect(activeSessionId).toBe(`s${MAX_SAVED_SESSIONS}`);
+  });
+
+  it('deletes a session', async () => {
+    await saveIdentificationSession(toStoredSession({ id: 's1', candidates }));
+    const state = await deleteIdentificationSession('s1');
+    expect(state).toEqual({ activeSessionId: null, sessions: [] });
+  });
+
+  it('summarizes a session for the history list', () => {
+    expect(getSessionSummary(toStoredSession({ id: 's1', candidates }))).toEqual({
+      gameCount: 4,
+      confirmedCount: 1,
+      pendingLookupCount: 2,
+      titles: ['CATAN', 'Game c2', 'Game c3', 'Game c4'],
+    });
+  });
+});
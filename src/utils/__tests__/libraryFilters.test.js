@@ -0,0 +1,54 @@
+import { filterLibrary, fitsPlayerCount, withGameDetails } from '../libraryFilters';
+
+const entries = withGameDetails([
+  { bggId: 822, title: 'Carcassonne', minPlayers: 2, maxPlayers: 5, playingTime: 45, ownerIds: ['ana'] },
+  { bggId: 13, title: 'CATAN', minPlayers: null, playingTime: '', ownerIds: ['ben'] },
+  { id: 'quick', title: 'Love Letter', minPlayers: 2, maxPlayers: 4, playingTime: 20, ownerIds: ['ana', 'ben'] },
+  { id: 'mystery', title: 'Mystery Box', ownerIds: ['cy'] },
+  { id: 'epic', title: 'Twilight Imperium', minPlayers: 3, maxPlayers: 6, playingTime: 480, ownerIds: ['cy'] },
+], {
+  13: { minPlayers: 3, maxPlayers: 4, playingTime: 120, strategyGamesRank: '250' },
+  822: { playingTime: 90, familyGamesRank: '40' },
+});
+
+const titles = (games) => games.map((game) => game.title);
+
+describe('withGameDetails', () => {
+  it('fills only missing fields from the games collection and sorts by title', () => {
+    expect(titles(entries)).toEqual(['Carcassonne', 'CATAN', 'Love Letter', 'Mystery Box', 'Twilight Imperium']);
+    expect(entries[0]).toMatchObject({ playingTime: 45, categories: ['familyGames'] });
+    expect(entries[1]).toMatchObject({ minPlayers: 3, maxPlayers: 4, playingTime: 120, categories: ['strategyGames'] });
+  });
+});
+
+describe('fitsPlayerCount', () => {
+  it('checks the bounds it knows and keeps games with unknown counts', () => {
+    expect(fitsPlayerCount({ minPlayers: 2, maxPlayers: 4 }, 5)).toBe(false);
+    expect(fitsPlayerCount({ minPlayers: 3 }, 2)).toBe(false);
+    expect(fitsPlayerCount({ maxPlayers: '0' }, 12)).toBe(true);
+    expect(fitsPlayerCount({}, 12)).toBe(true);
+  });
+});
+
+describe('filterLibrary', () => {
+  it('filters by player count, keeping games with unknown counts', () => {
+    expect(titles(filterLibrary(entries, { playerCount: 5 }))).toEqual(['Carcassonne', 'Mystery Box', 'Twilight Imperium']);
+  });
+
+  it('puts play times in buckets and drops games without one', () => {
+    expect(titles(filterLibrary(entries, { playTime: 'short' }))).toEqual(['Love Letter']);
+    expect(titles(filterLibrary(entries, { playTime: 'medium' }))).toEqual(['Carcassonne', 'Love Letter']);
+    expect(titles(filterLibrary(entries, { playTime: 'long' }))).toEqual(['Carcassonne', 'CATAN', 'Love Letter']);
+    expect(titles(filterLibrary(entries, { playTime: 'epic' }))).toEqual(['Twilight Imperium']);
+  });
+
+  it('filters by category and owner together', () => {
+    expect(titles(filterLibrary(entries, { category: 'strategyGames' }))).toEqual(['CATAN']);
+    expect(titles(filterLibrary(entries, { ownerId: 'ana', playerCount: 4 }))).toEqual(['Carcassonne', 'Love Letter']);
+  });
+
+  it('returns everything without filters', () => {
+    expect(filterLibrary(entries)).toHaveLength(entries.length);
+    expect(filterLibrary(null)).toEqual([]);
+  });
+});
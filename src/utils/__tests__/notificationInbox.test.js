@@ -0,0 +1,103 @@
+import { EVENT_HUB_TABS, NOTIFICATION_TYPES } from '../constants';
+import { getNotificationTarget, groupNotifications, toInboxNotification } from '../notificationInbox';
+
+const notification = (id, overrides = {}) => ({
+  id,
+  type: NOTIFICATION_TYPES.NEW_POST,
+  groupId: 'g1',
+  postId: `post-${id}`,
+  message: `Message ${id}`,
+  read: false,
+  createdAt: `2026-03-0${id}T12:00:00.000Z`,
+  ...overrides,
+});
+
+describe('toInboxNotification', () => {
+  it('treats a missing read flag as unread and stores dates as ISO strings', () => {
+    const createdAt = new Date('2026-03-01T12:00:00.000Z');
+    const doc = { id: 'n1', data: () => ({ type: 'new_post', createdAt: { toDate: () => createdAt } }) };
+    expect(toInboxNotification(doc)).toEqual({
+      id: 'n1',
+      type: 'new_post',
+      read: false,
+      createdAt: '2026-03-01T12:00:00.000Z',
+    });
+  });
+});
+
+describe('getNotificationTarget', () => {
+  it('opens the tab for the notification type', () => {
+    expect(getNotificationTarget(notification('1'))).toEqual({
+      eventId: 'g1',
+      tab: EVENT_HUB_TABS.DISCUSSION,
+      postId: 'post-1',
+    });
+    expect(getNotificationTarget(notification('2', { type: NOTIFICATION_TYPES.GAME_INTEREST, postId: undefined })))
+      .toEqual({ eventId: 'g1', tab: EVENT_HUB_TABS.GAMES, postId: null });
+    expect(getNotificationTarget(notification('3', { type: NOTIFICATION_TYPES.WAITLIST_PROMOTED })).tab)
+      .toBe(EVENT_HUB_TABS.SCHEDULE);
+  });
+
+  it('falls back to the schedule for unknown types and has nowhere to go without a MeepleUp', () => {
+    expect(getNotificationTarget(notification('1', { type: 'something_new' })).tab).toBe(EVENT_HUB_TABS.SCHEDULE);
+    expect(getNotificationTarget(notification('2', { groupId: null }))).toBeNull();
+    expect(getNotificationTarget(null)).toBeNull();
+  });
+});
+
+describe('groupNotifications', () => {
+  it('folds similar notifications from one MeepleUp into a row that opens the newest post', () => {
+    const rows = groupNotifications([
+      notification('1', { groupName: 'Tuesday Brewery Night' }),
+      notification('3', { groupName: 'Tuesday Brewery Night' }),
+      notification('2', { groupName: 'Tuesday Brewery Night' }),
+    ]);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      type: NOTIFICATION_TYPES.NEW_POST,
+      count: 3,
+      read: false,
+      latestAt: '2026-03-03T12:00:00.000Z',
+      title: '3 new posts in Tuesday Brewery Night',
+      target: { eventId: 'g1', tab: EVENT_HUB_TABS.DISCUSSION, postId: 'post-3' },
+    });
+    expect(rows[0].notifications.map((entry) => entry.id)).toEqual(['3', '2', '1']);
+  });
+
+  it('keeps types, MeepleUps and read state apart, newest row first', () => {
+    const rows = groupNotifications([
+      notification('1'),
+      notification('2', { read: true }),
+      notification('3', { type: NOTIFICATION_TYPES.NEW_COMMENT }),
+      notification('4', { groupId: 'g2' }),
+      notification('5'),
+    ]);
+
+    expect(rows.map((row) => [row.type, row.groupId, row.read, row.count])).toEqual([
+      [NOTIFICATION_TYPES.NEW_POST, 'g1', false, 2],
+      [NOTIFICATION_TYPES.NEW_POST, 'g2', false, 1],
+      [NOTIFICATION_TYPES.NEW_COMMENT, 'g1', false, 1],
+      [NOTIFICATION_TYPES.NEW_POST, 'g1', true, 1],
+    ]);
+    expect(rows[1].title).toBe('Message 4');
+  });
+
+  it('never folds one-off notifications', () => {
+    const rows = groupNotifications([
+      notification('1', { type: NOTIFICATION_TYPES.RSVP_UPDATE }),
+      notification('2', { type: NOTIFICATION_TYPES.RSVP_UPDATE }),
+    ]);
+    expect(rows.map((row) => [row.key, row.count, row.title])).toEqual([
+      ['2', 1, 'Message 2'],
+      ['1', 1, 'Message 1'],
+    ]);
+  });
+
+  it('names the MeepleUp from the lookup when the notification was stored without one', () => {
+    const notifications = [notification('1'), notification('2')];
+    expect(groupNotifications(notifications, (groupId) => (groupId === 'g1' ? 'Board Game Brunch' : null))[0])
+      .toMatchObject({ groupName: 'Board Game Brunch', title: '2 new posts in Board Game Brunch' });
+    expect(groupNotifications(notifications)[0].title).toBe('2 new posts in a MeepleUp');
+  });
+});
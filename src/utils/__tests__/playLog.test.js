@@ -0,0 +1,89 @@
+import {
+  buildPlayRecord,
+  getPlayCountsByGame,
+  describePlayResult,
+  getPlayCount,
+  normalizePlayers,
+} from '../playLog';
+
+const catan = { id: 'bgg_13', bggId: 13, title: 'CATAN', numplays: '4' };
+
+describe('normalizePlayers', () => {
+  it('drops blanks and duplicates, and parses scores', () => {
+    expect(normalizePlayers([
+      { userId: 'ana', name: 'Ana', score: '10', winner: true },
+      { userId: 'ana', name: 'Ana again' },
+      { name: ' Guest ', score: '' },
+      { name: 'guest' },
+      { name: '' },
+    ])).toEqual([
+      { userId: 'ana', name: 'Ana', score: 10, winner: true },
+      { userId: null, name: 'Guest', score: null, winner: false },
+    ]);
+  });
+});
+
+describe('buildPlayRecord', () => {
+  const input = {
+    game: catan,
+    date: '2025-03-04',
+    players: [{ userId: 'ana', name: 'Ana', winner: true }, { userId: 'ben', name: 'Ben' }, { name: 'Guest' }],
+    durationMinutes: '90',
+    loggedBy: 'ana',
+  };
+
+  it('lists member players and winners', () => {
+    expect(buildPlayRecord(input)).toMatchObject({
+      gameKey: 'bgg_13',
+      gameName: 'CATAN',
+      playerIds: ['ana', 'ben'],
+      winnerIds: ['ana'],
+      durationMinutes: 90,
+      groupId: null,
+    });
+  });
+
+  it('rejects incomplete forms', () => {
+    expect(() => buildPlayRecord({ ...input, date: '4/3/2025' })).toThrow('YYYY-MM-DD');
+    expect(() => buildPlayRecord({ ...input, players: [] })).toThrow('at least one player');
+    expect(() => buildPlayRecord({ ...input, durationMinutes: '-5' })).toThrow('whole number');
+    expect(() => buildPlayRecord({ ...input, loggedBy: null })).toThrow('signed in');
+  });
+});
+
+describe('play counts', () => {
+  const plays = [
+    { gameKey: 'bgg_13', playerIds: ['ana', 'ben'] },
+    { gameKey: 'bgg_13', playerIds: ['ben'] },
+    { gameKey: 'bgg_13', playerIds: ['ana'], source: 'bgg' },
+    { gameKey: 'bgg_822', playerIds: ['ana'] },
+  ];
+
+  it('counts MeepleUp plays each member took part in', () => {
+    expect(getPlayCountsByGame(plays, 'ana')).toEqual({ bgg_13: 1, bgg_822: 1 });
+    expect(getPlayCountsByGame(plays, 'ben')).toEqual({ bgg_13: 2 });
+  });
+
+  it('adds them to the imported BGG count', () => {
+    expect(getPlayCount(catan, getPlayCountsByGame(plays, 'ben'))).toBe(6);
+    expect(getPlayCount({ id: 'local_1' }, {})).toBe(0);
+  });
+});
+
+describe('describePlayResult', () => {
+  const names = { ana: 'Ana', ben: 'Ben' };
+  const getName = (userId) => names[userId];
+
+  it('names winners and scores, highest first', () => {
+    expect(describePlayResult({
+      players: [
+        { userId: 'ben', score: 37 },
+        { userId: 'ana', score: 42, winner: true },
+      ],
+    }, getName)).toBe('Won by Ana · Ana 42, Ben 37');
+  });
+
+  it('lists the players when there is no result', () => {
+    expect(describePlayResult({ players: [{ userId: 'ana' }, { name: 'Guest' }] }, getName)).toBe('Ana, Guest');
+  });
+});
@@ -0,0 +1,119 @@
+import { EVENT_FREQUENCY, RSVP_STATUS } from '../constants';
+import { OCCURRENCE_STATUS } from '../recurrence';
+import {
+  countPlaysByGame,
+  getAttendanceStreak,
+  getCategoryBreakdown,
+  getFrequentOpponents,
+  getPlayHIndex,
+  getUnplayedShare,
+  getWinRates,
+} from '../playStats';
+
+const play = (gameKey, players, extra = {}) => ({
+  gameKey,
+  gameName: gameKey.toUpperCase(),
+  players,
+  playerIds: players.filter((player) => player.userId).map((player) => player.userId),
+  winnerIds: players.filter((player) => player.winner && player.userId).map((player) => player.userId),
+  ...extra,
+});
+
+const plays = [
+  play('catan', [{ userId: 'ana', winner: true }, { userId: 'ben' }]),
+  play('catan', [{ userId: 'ana' }, { userId: 'ben', winner: true }], { quantity: 2 }),
+  play('azul', [{ userId: 'ana', winner: true }, { name: 'Guest' }]),
+  play('azul', [{ userId: 'ana' }, { name: 'guest' }]),
+  play('hanabi', [{ userId: 'ana' }, { userId: 'ben' }]),
+];
+
+describe('countPlaysByGame', () => {
+  it('counts BGG quantities, most played first', () => {
+    expect(countPlaysByGame(plays).map(({ gameKey, count }) => [gameKey, count]))
+      .toEqual([['catan', 3], ['azul', 2], ['hanabi', 1]]);
+  });
+});
+
+describe('getPlayHIndex', () => {
+  it('finds h games played at least h times', () => {
+    expect(getPlayHIndex(plays)).toBe(2);
+    expect(getPlayHIndex([])).toBe(0);
+  });
+});
+
+describe('getUnplayedShare', () => {
+  it('counts owned games with neither a logged play nor a BGG play count', () => {
+    const collection = [
+      { bggId: 1, id: 'catan' },
+      { id: 'azul' },
+      { id: 'brass', numplays: 3 },
+      { id: 'root' },
+      { id: 'wishlist', status: { own: false } },
+    ];
+    const result = getUnplayedShare(collection, [{ gameKey: 'azul' }]);
+    expect(result.unplayed.map((game) => game.id)).toEqual(['catan', 'root']);
+    expect(result).toMatchObject({ total: 4, share: 0.5 });
+  });
+});
+
+describe('getCategoryBreakdown', () => {
+  it('counts ranked categories and groups the rest as unranked', () => {
+    const collection = [{ bggId: 1 }, { bggId: 2 }, { bggId: 3, familyGamesRank: '10' }];
+    const breakdown = getCategoryBreakdown(collection, {
+      1: { strategyGamesRank: '5' },
+      2: { strategyGamesRank: '900' },
+    });
+    expect(breakdown.map(({ category, count }) => [category, count]))
+      .toEqual([['strategyGames', 1], ['familyGames', 1], ['unranked', 1]]);
+  });
+});
+
+describe('getWinRates', () => {
+  it('only counts plays with a recorded winner', () => {
+    expect(getWinRates(plays, 'ana')).toEqual([
+      { gameKey: 'catan', gameName: 'CATAN', wins: 1, plays: 3, rate: 1 / 3 },
+      { gameKey: 'azul', gameName: 'AZUL', wins: 1, plays: 1, rate: 1 },
+    ]);
+  });
+});
+
+describe('getFrequentOpponents', () => {
+  it('matches members by ID and guests by name', () => {
+    expect(getFrequentOpponents(plays, 'ana')).toEqual([
+      { userId: 'ben', name: undefined, games: 4, wins: 1, losses: 2 },
+      { userId: null, name: 'Guest', games: 2, wins: 1, losses: 0 },
+    ]);
+  });
+});
+
+describe('getAttendanceStreak', () => {
+  const nights = ['2025-01-07', '2025-01-14', '2025-01-21', '2025-01-28', '2025-02-04'];
+  const event = (rsvpDays, exceptions = {}) => ({
+    series: {
+      frequency: EVENT_FREQUENCY.WEEKLY,
+      startsAt: '2025-01-07T19:00:00.000Z',
+      until: '2025-02-05T00:00:00.000Z',
+      timezone: 'UTC',
+      exceptions,
+    },
+    members: [{
+      userId: 'ana',
+      rsvps: rsvpDays.reduce((acc, day) => ({ ...acc, [day]: { status: RSVP_STATUS.GOING } }), {}),
+    }],
+  });
+
+  it('counts the current and longest runs of nights attended', () => {
+    const rsvps = nights.filter((day) => day !== '2025-01-21');
+    expect(getAttendanceStreak([event(rsvps)], 'ana')).toEqual({ current: 2, longest: 2, attended: 4, total: 5 });
+  });
+
+  it('ignores skipped nights', () => {
+    const rsvps = nights.filter((day) => day !== '2025-01-21');
+    const skipped = { '2025-01-21': { status: OCCURRENCE_STATUS.SKIPPED } };
+    expect(getAttendanceStreak([event(rsvps, skipped)], 'ana')).toEqual({ current: 4, longest: 4, attended: 4, total: 4 });
+  });
+
+  it('leaves out events the user is not in', () => {
+    expect(getAttendanceStreak([event(nights)], 'ben')).toEqual({ current: 0, longest: 0, attended: 0, total: 0 });
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  findPostalCentroidInText,
+  getDistanceMiles,
+  getPlaceCoordinates,
+  getSupportedPostalCountries,
+  lookupPostalCentroid,
+  normalizePostalCode,
+  resolvePostalLocation,
+} from '../postalCodes';
+import { geocodeQuery } from '../geo';
+
+jest.mock('../geo', () => ({
+  ...jest.requireActual('../geo'),
+  geocodeQuery: jest.fn(),
+}));
+
+describe('normalizePostalCode', () => {
+  it('drops case, spaces and dashes', () => {
+    expect(normalizePostalCode(' sw1a 1aa ')).toBe('SW1A1AA');
+    expect(normalizePostalCode('60614-1234')).toBe('606141234');
+  });
+});
+
+describe('getSupportedPostalCountries', () => {
+  it('lists the US and Canada, US first', () => {
+    expect(getSupportedPostalCountries()).toEqual(['US', 'CA']);
+  });
+});
+
+describe('lookupPostalCentroid', () => {
+  it('finds US ZIP codes, including ZIP+4', () => {
+    expect(lookupPostalCentroid('60614', 'US')).toMatchObject({ lat: 41.9229, lng: -87.6483, postalCode: '60614' });
+    expect(lookupPostalCentroid('60614-1234', 'US')).toMatchObject({ postalCode: '60614' });
+  });
+
+  it('finds Canadian codes by their FSA', () => {
+    expect(lookupPostalCentroid('M5V 3L9', 'CA')).toMatchObject({ lat: 43.6525, lng: -79.3686, country: 'CA' });
+  });
+
+  it('treats codes without a country as US first, then as Canadian', () => {
+    expect(lookupPostalCentroid('60614')).toMatchObject({ country: 'US' });
+    expect(lookupPostalCentroid('m5v 3l9')).toMatchObject({ lat: 43.6525, lng: -79.3686, country: 'CA' });
+  });
+
+  it('keeps codes in their own country', () => {
+    expect(lookupPostalCentroid('60614', 'CA')).toBeNull();
+    expect(lookupPostalCentroid('M5V 3L9', 'US')).toBeNull();
+  });
+
+  it('returns null for other countries', () => {
+    expect(lookupPostalCentroid('SW1A 1AA', 'GB')).toBeNull();
+    expect(lookupPostalCentroid('SW1A 1AA')).toBeNull();
+    expect(lookupPostalCentroid('10115', 'DE')).toBeNull();
+    expect(lookupPostalCentroid('', 'US')).toBeNull();
+  });
+});
+
+describe('findPostalCentroidInText', () => {
+  it('finds a postal code alone or in one part of the text', () => {
+    expect(findPostalCentroidInText('60614')).toEqual({ lat: 41.9229, lng: -87.6483 });
+    expect(findPostalCentroidInText('Lincoln Park, 60614', 'US')).toEqual({ lat: 41.9229, lng: -87.6483 });
+    expect(findPostalCentroidInText('Entertainment District, M5V 3L9', 'CA')).toEqual({ lat: 43.6525, lng: -79.3686 });
+  });
+
+  it('ignores place names', () => {
+    expect(findPostalCentroidInText('Brewery XYZ', 'CA')).toBeNull();
+    expect(findPostalCentroidInText('', 'US')).toBeNull();
+  });
+});
+
+describe('resolvePostalLocation', () => {
+  beforeEach(() => {
+    geocodeQuery.mockReset();
+  });
+
+  it('stays offline for codes the data knows', async () => {
+    await expect(resolvePostalLocation('M5V 3L9', 'CA')).resolves.toEqual({ lat: 43.6525, lng: -79.3686 });
+    expect(geocodeQuery).not.toHaveBeenCalled();
+  });
+
+  it('asks the device geocoder for the rest', async () => {
+    geocodeQuery.mockResolvedValue({ lat: 50.846, lng: 4.352, label: 'Brussels' });
+    await expect(resolvePostalLocation('1000', 'be')).resolves.toEqual({ lat: 50.846, lng: 4.352 });
+    expect(geocodeQuery).toHaveBeenCalledWith('1000, BE');
+  });
+});
+
+describe('getDistanceMiles', () => {
+  it('measures between coordinates and postal codes', () => {
+    expect(getPlaceCoordinates({ postalCode: 'M5V 3L9', country: 'CA' })).toEqual({ lat: 43.6525, lng: -79.3686 });
+    expect(getDistanceMiles({ postalCode: '60614', country: 'US' }, { lat: 43.6525, lng: -79.3686 })).toBeCloseTo(435, -1);
+    expect(getDistanceMiles('60614', '10001')).toBeCloseTo(713, -1);
+  });
+
+  it('is null when a place can\'t be located', () => {
+    expect(getDistanceMiles('60614', { postalCode: '1000', country: 'BE' })).toBeNull();
+  });
+});
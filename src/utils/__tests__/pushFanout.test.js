@@ -0,0 +1,177 @@
+import { createFakePushTransport } from '../../services/push';
+import { NOTIFICATION_TYPES, PUSH_STATUS } from '../constants';
+import {
+  MAX_PUSH_AGE_MS,
+  buildPushDeliveries,
+  fanOutNotifications,
+  isWithinQuietHours,
+  parseTimeOfDay,
+} from '../pushFanout';
+
+const quietHours = { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+// 23:30 in Chicago (CST, UTC-6), 06:30 in Berlin the next morning
+const lateEvening = new Date('2026-01-15T05:30:00Z');
+const afternoon = new Date('2026-01-15T20:00:00Z');
+
+const notification = (overrides = {}) => ({
+  id: 'n1',
+  type: 'new_post',
+  groupId: 'g1',
+  groupName: 'Tuesday Brewery Night',
+  postId: 'p1',
+  message: 'Ana posted in Tuesday Brewery Night',
+  createdAt: afternoon,
+  ...overrides,
+});
+
+const recipient = (pushTokens, notificationPreferences = null) => ({ notificationPreferences, pushTokens });
+
+describe('parseTimeOfDay', () => {
+  it('reads 24-hour times', () => {
+    expect(parseTimeOfDay('08:00')).toBe(480);
+    expect(parseTimeOfDay('23:59')).toBe(1439);
+  });
+
+  it('rejects anything else', () => {
+    expect(parseTimeOfDay('24:00')).toBeNull();
+    expect(parseTimeOfDay('8pm')).toBeNull();
+    expect(parseTimeOfDay('')).toBeNull();
+  });
+});
+
+describe('isWithinQuietHours', () => {
+  it('handles windows that cross midnight, in the device time zone', () => {
+    expect(isWithinQuietHours(quietHours, 'America/Chicago', lateEvening)).toBe(true);
+    expect(isWithinQuietHours(quietHours, 'Europe/Berlin', lateEvening)).toBe(true);
+    expect(isWithinQuietHours(quietHours, 'America/Chicago', afternoon)).toBe(false);
+  });
+
+  it('handles windows within a day', () => {
+    const siesta = { quietHoursEnabled: true, quietHoursStart: '13:00', quietHoursEnd: '15:00' };
+    expect(isWithinQuietHours(siesta, 'America/Chicago', afternoon)).toBe(true);
+    expect(isWithinQuietHours(siesta, 'Europe/Berlin', afternoon)).toBe(false);
+  });
+
+  it('falls back to UTC for unknown time zones', () => {
+    expect(isWithinQuietHours(quietHours, 'Not/AZone', lateEvening)).toBe(true);
+    expect(isWithinQuietHours(quietHours, null, afternoon)).toBe(false);
+  });
+
+  it('is off when disabled or when start and end are equal', () => {
+    expect(isWithinQuietHours({ ...quietHours, quietHoursEnabled: false }, 'UTC', lateEvening)).toBe(false);
+    expect(isWithinQuietHours({ ...quietHours, quietHoursEnd: '22:00' }, 'UTC', lateEvening)).toBe(false);
+    expect(isWithinQuietHours(null, 'UTC', lateEvening)).toBe(false);
+  });
+});
+
+describe('buildPushDeliveries', () => {
+  it('builds one push per device, with where it opens', () => {
+    const deliveries = buildPushDeliveries(
+      notification(),
+      recipient({ phone: { token: 'ExponentPushToken[a]' }, tablet: { token: 'ExponentPushToken[b]' } }),
+      { now: afternoon },
+    );
+
+    expect(deliveries.map((delivery) => delivery.deviceId)).toEqual(['phone', 'tablet']);
+    expect(deliveries[0].message).toEqual({
+      to: 'ExponentPushToken[a]',
+      title: 'Tuesday Brewery Night',
+      body: 'Ana posted in Tuesday Brewery Night',
+      sound: 'default',
+      data: {
+        notificationId: 'n1',
+        type: 'new_post',
+        target: { eventId: 'g1', tab: 'discussion', postId: 'p1' },
+      },
+    });
+  });
+
+  it('skips devices in quiet hours and devices without a token', () => {
+    const deliveries = buildPushDeliveries(
+      notification(),
+      recipient({
+        home: { token: 'ExponentPushToken[a]', timeZone: 'America/Chicago' },
+        travel: { token: 'ExponentPushToken[b]', timeZone: 'Asia/Tokyo' },
+        broken: { timeZone: 'Asia/Tokyo' },
+      }, quietHours),
+      { now: lateEvening },
+    );
+    expect(deliveries.map((delivery) => delivery.deviceId)).toEqual(['travel']);
+  });
+
+  it('respects the preference for the notification type', () => {
+    const devices = { phone: { token: 'ExponentPushToken[a]' } };
+    const noMeepleUpChanges = recipient(devices, { meepleupChanges: false });
+    expect(buildPushDeliveries(notification(), noMeepleUpChanges)).toEqual([]);
+    expect(buildPushDeliveries(notification({ type: 'waitlist_promoted' }), noMeepleUpChanges)).toEqual([]);
+    expect(buildPushDeliveries(notification({ type: 'bring_confirmed' }), noMeepleUpChanges)).toEqual([]);
+    expect(buildPushDeliveries(notification({ type: 'game_interest' }), noMeepleUpChanges)).toHaveLength(1);
+  });
+
+  it('has a preference for every notification type the app writes', () => {
+    const devices = { phone: { token: 'ExponentPushToken[a]' } };
+    Object.values(NOTIFICATION_TYPES).forEach((type) => {
+      expect(buildPushDeliveries(notification({ type }), recipient(devices), { now: afternoon })).toHaveLength(1);
+    });
+    expect(buildPushDeliveries(notification({ type: 'something_new' }), recipient(devices))).toEqual([]);
+  });
+});
+
+describe('fanOutNotifications', () => {
+  it('sends through the transport and reports a status per notification', async () => {
+    const transport = createFakePushTransport();
+    const result = await fanOutNotifications([
+      { userId: 'u1', notification: notification(), recipient: recipient({ phone: { token: 'ExponentPushToken[a]' } }) },
+      { userId: 'u2', notification: notification({ id: 'n2' }), recipient: recipient({}) },
+    ], { transport, now: afternoon });
+
+    expect(result.statuses).toEqual([PUSH_STATUS.SENT, PUSH_STATUS.SKIPPED]);
+    expect(result).toMatchObject({ sent: 1, skipped: 1, failed: 0 });
+    expect(transport.received.map((message) => message.to)).toEqual(['ExponentPushToken[a]']);
+  });
+
+  it('reports devices that are no longer registered', async () => {
+    const transport = createFakePushTransport({ unregisteredTokens: ['ExponentPushToken[old]'] });
+    const listener = jest.fn();
+    transport.subscribe(listener);
+
+    const result = await fanOutNotifications([
+      {
+        userId: 'u1',
+        notification: notification(),
+        recipient: recipient({ old: { token: 'ExponentPushToken[old]' }, phone: { token: 'ExponentPushToken[a]' } }),
+      },
+      { userId: 'u2', notification: notification({ id: 'n2' }), recipient: recipient({ old: { token: 'ExponentPushToken[old]' } }) },
+    ], { transport, now: afternoon });
+
+    // One working device is enough for the notification to count as sent
+    expect(result.statuses).toEqual([PUSH_STATUS.SENT, PUSH_STATUS.FAILED]);
+    expect(Object.fromEntries(result.staleDevices)).toEqual({ u1: ['old'], u2: ['old'] });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ to: 'ExponentPushToken[a]' }));
+  });
+
+  it('skips notifications that are too old for a push', async () => {
+    const transport = createFakePushTransport();
+    const createdAt = new Date(afternoon.getTime() - MAX_PUSH_AGE_MS - 1);
+    const result = await fanOutNotifications([
+      { userId: 'u1', notification: notification({ createdAt: { toDate: () => createdAt } }), recipient: recipient({ phone: { token: 'ExponentPushToken[a]' } }) },
+    ], { transport, now: afternoon });
+
+    expect(result.statuses).toEqual([PUSH_STATUS.SKIPPED]);
+    expect(transport.received).toEqual([]);
+  });
+
+  it('marks notifications failed when the transport is down', async () => {
+    const transport = { name: 'down', send: jest.fn().mockRejectedValue(new Error('Network Error')) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await fanOutNotifications([
+      { userId: 'u1', notification: notification(), recipient: recipient({ phone: { token: 'ExponentPushToken[a]' } }) },
+    ], { transport, now: afternoon });
+
+    expect(result.statuses).toEqual([PUSH_STATUS.FAILED]);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,68 @@
+import { recommendGames } from '../recommender';
+
+const game = (bggId, title, ownerIds, minPlayers = 2, maxPlayers = 4) => ({
+  key: `bgg_${bggId}`,
+  bggId,
+  title,
+  ownerIds,
+  minPlayers,
+  maxPlayers,
+});
+
+const games = [
+  game(13, 'CATAN', ['ana'], 3, 4),
+  game(2, 'Azul', ['ben']),
+  game(3, 'Brass', ['cy']),
+  game(4, 'Twilight Struggle', ['ana'], 2, 2),
+  game(5, 'Dune', ['zed']),
+  game(6, 'Hanabi', ['ben']),
+];
+
+const collectionsByUser = {
+  ana: [{ bggId: 13, status: { wanttoplay: true } }, { bggId: 6, numplays: '2' }],
+  ben: [{ bggId: 13, wantToPlay: true }, { bggId: 5, status: { wanttoplay: true } }],
+  cy: [{ bggId: 3, numplays: 0 }],
+};
+
+const plays = [
+  { gameKey: 'bgg_13', playerIds: ['ana'] },
+  { gameKey: 'bgg_3', playerIds: ['ben'] },
+  { gameKey: 'bgg_6', playerIds: ['ben', 'cy'] },
+];
+
+const names = { ana: 'Ana', ben: 'Ben', cy: 'Cy' };
+
+const recommend = (options = {}) => recommendGames({
+  games,
+  attendeeIds: ['ana', 'ben', 'cy'],
+  collectionsByUser,
+  plays,
+  getName: (userId) => names[userId],
+  ...options,
+});
+
+describe('recommendGames', () => {
+  it('ranks wanted, then never-played, then shelf-of-shame games', () => {
+    expect(recommend().map((pick) => pick.game.title)).toEqual(['CATAN', 'Azul', 'Brass']);
+  });
+
+  it('explains each pick', () => {
+    const [catan, azul, brass] = recommend();
+    expect(catan).toMatchObject({ wantIds: ['ana', 'ben'], playedIds: ['ana'], shelfOfShameIds: [] });
+    expect(catan.explanation).toBe("2 of tonight's 3 players want to play this; 2 of 3 haven't played it");
+    expect(azul.explanation).toBe('Nobody has played it yet');
+    expect(brass.explanation).toBe("2 of 3 haven't played it; still unplayed on Cy's shelf");
+  });
+
+  it('leaves out games nobody brings, that do not fit the group, or that everyone has played', () => {
+    const titles = recommend().map((pick) => pick.game.title);
+    expect(titles).not.toContain('Dune');
+    expect(titles).not.toContain('Twilight Struggle');
+    expect(titles).not.toContain('Hanabi');
+  });
+
+  it('respects the limit and needs attendees', () => {
+    expect(recommend({ limit: 1 })).toHaveLength(1);
+    expect(recommend({ attendeeIds: [] })).toEqual([]);
+  });
+});
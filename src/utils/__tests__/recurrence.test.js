@@ -0,0 +1,154 @@
+import { EVENT_FREQUENCY } from '../constants';
+import {
+  buildRRule,
+  describeSeries,
+  generateOccurrences,
+  getCurrentOccurrence,
+  getEventOccurrences,
+  getNextOccurrence,
+  getOccurrenceId,
+  getOriginalOccurrenceDate,
+  getPastOccurrences,
+  getTimeZoneOffsetMinutes,
+  OCCURRENCE_STATUS,
+} from '../recurrence';
+
+// Friday Jan 31 2025, 7:00 PM in Chicago
+const monthlySeries = {
+  frequency: EVENT_FREQUENCY.MONTHLY,
+  startsAt: '2025-02-01T01:00:00.000Z',
+  timezone: 'America/Chicago',
+};
+
+// Tuesday Mar 4 2025, 7:00 PM in Chicago (the clocks go forward on Mar 9)
+const weeklySeries = {
+  frequency: EVENT_FREQUENCY.WEEKLY,
+  startsAt: '2025-03-05T01:00:00.000Z',
+  timezone: 'America/Chicago',
+};
+
+const from = '2025-01-01T00:00:00.000Z';
+
+describe('generateOccurrences', () => {
+  it('falls back to the last day of shorter months for monthly-by-date series', () => {
+    const occurrences = generateOccurrences(monthlySeries, { from, limit: 4 });
+    expect(occurrences.map((occurrence) => occurrence.id))
+      .toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+  });
+
+  it('keeps the wall-clock time in the series time zone across DST changes', () => {
+    const occurrences = generateOccurrences(weeklySeries, { from, limit: 2 });
+    expect(occurrences.map((occurrence) => occurrence.scheduledFor))
+      .toEqual(['2025-03-05T01:00:00.000Z', '2025-03-12T00:00:00.000Z']);
+    expect(occurrences.map((occurrence) => occurrence.id)).toEqual(['2025-03-04', '2025-03-11']);
+  });
+
+  it('dates occurrences in the series time zone rather than the device one', () => {
+    // Monday 9:00 AM in Tokyo is still Sunday in UTC
+    const series = {
+      frequency: EVENT_FREQUENCY.WEEKLY,
+      startsAt: '2025-03-03T00:00:00.000Z',
+      timezone: 'Asia/Tokyo',
+    };
+    const [occurrence] = generateOccurrences(series, { from, limit: 1 });
+    expect(occurrence.id).toBe('2025-03-03');
+    expect(getOccurrenceId(occurrence.originalDate, series.timezone)).toBe(occurrence.id);
+  });
+
+  it('expands the nth weekday of the month', () => {
+    const series = { ...monthlySeries, weekday: 2, weekPosition: -1 };
+    const occurrences = generateOccurrences(series, { from, limit: 3 });
+    expect(occurrences.map((occurrence) => occurrence.id))
+      .toEqual(['2025-02-25', '2025-03-25', '2025-04-29']);
+  });
+
+  it('applies skipped and moved exceptions', () => {
+    const series = {
+      ...weeklySeries,
+      exceptions: {
+        '2025-03-04': { status: OCCURRENCE_STATUS.SKIPPED },
+        '2025-03-11': { status: OCCURRENCE_STATUS.MOVED, scheduledFor: '2025-03-13T00:00:00.000Z' },
+      },
+    };
+
+    expect(generateOccurrences(series, { from, limit: 2 }).map(({ id, status, scheduledFor }) => ({
+      id, status, scheduledFor,
+    }))).toEqual([
+      { id: '2025-03-11', status: OCCURRENCE_STATUS.MOVED, scheduledFor: '2025-03-13T00:00:00.000Z' },
+      { id: '2025-03-18', status: OCCURRENCE_STATUS.SCHEDULED, scheduledFor: '2025-03-19T00:00:00.000Z' },
+    ]);
+    expect(generateOccurrences(series, { from, limit: 1, includeSkipped: true })[0].status)
+      .toBe(OCCURRENCE_STATUS.SKIPPED);
+  });
+
+  it('stops at the series end date', () => {
+    const series = { ...weeklySeries, until: '2025-03-20T00:00:00.000Z' };
+    expect(generateOccurrences(series, { from, limit: 10 })).toHaveLength(3);
+  });
+});
+
+describe('one-time events', () => {
+  const oneTime = { scheduledFor: '2025-03-05T01:00:00.000Z' };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('drops the game night once it is over, like series occurrences', () => {
+    expect(getEventOccurrences(oneTime, { from: '2025-03-05T03:00:00.000Z' })).toHaveLength(1);
+    expect(getEventOccurrences(oneTime, { from: '2025-03-05T04:00:00.000Z' })).toEqual([]);
+    expect(getEventOccurrences(oneTime, { from, until: '2025-03-01T00:00:00.000Z' })).toEqual([]);
+  });
+
+  it('treats "from" as now by default', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T00:00:00.000Z') });
+    expect(getNextOccurrence(oneTime)).toBeNull();
+    // RSVPs for a finished game night still go to its own date
+    expect(getCurrentOccurrence(oneTime)).toMatchObject({ id: getOccurrenceId(oneTime.scheduledFor) });
+    expect(getPastOccurrences(oneTime)).toEqual([
+      expect.objectContaining({ id: getOccurrenceId(oneTime.scheduledFor), scheduledFor: oneTime.scheduledFor }),
+    ]);
+
+    jest.setSystemTime(new Date('2025-03-01T00:00:00.000Z'));
+    expect(getNextOccurrence(oneTime)).toMatchObject({ scheduledFor: oneTime.scheduledFor });
+  });
+});
+
+describe('getOriginalOccurrenceDate', () => {
+  it('rebuilds the original date from an occurrence ID in the series time zone', () => {
+    expect(getOriginalOccurrenceDate(weeklySeries, '2025-03-11').toISOString())
+      .toBe('2025-03-12T00:00:00.000Z');
+  });
+
+  it('rejects malformed IDs', () => {
+    expect(getOriginalOccurrenceDate(weeklySeries, 'unscheduled')).toBeNull();
+  });
+});
+
+describe('getTimeZoneOffsetMinutes', () => {
+  it('follows DST', () => {
+    expect(getTimeZoneOffsetMinutes(new Date('2025-01-15T12:00:00Z'), 'America/Chicago')).toBe(-360);
+    expect(getTimeZoneOffsetMinutes(new Date('2025-07-15T12:00:00Z'), 'America/Chicago')).toBe(-300);
+  });
+});
+
+describe('buildRRule', () => {
+  it('picks the last existing day for monthly dates past the 28th', () => {
+    expect(buildRRule(monthlySeries)).toBe('FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+  });
+
+  it('leaves earlier monthly dates to DTSTART', () => {
+    expect(buildRRule({ ...monthlySeries, startsAt: '2025-01-16T01:00:00.000Z' })).toBe('FREQ=MONTHLY');
+  });
+
+  it('writes weekday rules in the series time zone', () => {
+    expect(buildRRule({ ...weeklySeries, frequency: EVENT_FREQUENCY.BIWEEKLY }))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+  });
+});
+
+describe('describeSeries', () => {
+  it('mentions the fallback for late monthly dates', () => {
+    expect(describeSeries(monthlySeries)).toBe('Monthly on day 31 (or the last day of shorter months)');
+  });
+});
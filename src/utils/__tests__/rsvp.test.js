@@ -0,0 +1,99 @@
+import { RSVP_STATUS } from '../constants';
+import {
+  buildAttendanceStats,
+  getWaitlist,
+  getWaitlistPromotions,
+  groupRSVPsByStatus,
+  normalizeRSVPs,
+  resolveRSVPForCapacity,
+} from '../rsvp';
+
+const NIGHT = '2025-03-04';
+
+const member = (userId, status, waitlistedAt) => ({
+  userId,
+  rsvps: status ? { [NIGHT]: { status, updatedAt: '2025-03-01T00:00:00.000Z', waitlistedAt } } : {},
+});
+
+describe('normalizeRSVPs', () => {
+  it('keeps known statuses and converts Firestore timestamps', () => {
+    const timestamp = { toDate: () => new Date('2025-03-01T12:00:00.000Z') };
+    expect(normalizeRSVPs({
+      rsvps: {
+        [NIGHT]: { status: RSVP_STATUS.GOING, updatedAt: timestamp },
+        '2025-03-11': { status: 'dancing' },
+      },
+    })).toEqual({ [NIGHT]: { status: RSVP_STATUS.GOING, updatedAt: '2025-03-01T12:00:00.000Z' } });
+  });
+
+  it('attributes a legacy rsvpStatus to the given occurrence', () => {
+    expect(normalizeRSVPs({ rsvpStatus: RSVP_STATUS.MAYBE }, NIGHT))
+      .toEqual({ [NIGHT]: { status: RSVP_STATUS.MAYBE, updatedAt: null } });
+  });
+});
+
+describe('waitlist', () => {
+  const members = [
+    member('ana', RSVP_STATUS.GOING),
+    member('ben', RSVP_STATUS.WAITLISTED, '2025-03-02T10:00:00.000Z'),
+    member('cy', RSVP_STATUS.WAITLISTED, '2025-03-02T09:00:00.000Z'),
+    member('dee', RSVP_STATUS.MAYBE),
+    member('eli'),
+  ];
+
+  it('orders the waitlist first come, first served', () => {
+    expect(getWaitlist(members, NIGHT)).toEqual(['cy', 'ben']);
+  });
+
+  it('groups members by status', () => {
+    expect(groupRSVPsByStatus(members, NIGHT)).toEqual({
+      [RSVP_STATUS.GOING]: ['ana'],
+      [RSVP_STATUS.MAYBE]: ['dee'],
+      [RSVP_STATUS.NOT_GOING]: [],
+      [RSVP_STATUS.WAITLISTED]: ['cy', 'ben'],
+      none: ['eli'],
+    });
+  });
+
+  it('promotes into open seats only', () => {
+    expect(getWaitlistPromotions(members, NIGHT, 2)).toEqual(['cy']);
+    expect(getWaitlistPromotions(members, NIGHT, 1)).toEqual([]);
+    expect(getWaitlistPromotions(members, NIGHT, null)).toEqual(['cy', 'ben']);
+  });
+});
+
+describe('resolveRSVPForCapacity', () => {
+  const members = [member('ana', RSVP_STATUS.GOING), member('ben', RSVP_STATUS.WAITLISTED), member('cy')];
+
+  it('waitlists "going" once every seat is taken', () => {
+    expect(resolveRSVPForCapacity(members, NIGHT, 'cy', RSVP_STATUS.GOING, 1)).toBe(RSVP_STATUS.WAITLISTED);
+    expect(resolveRSVPForCapacity(members, NIGHT, 'cy', RSVP_STATUS.GOING, 2)).toBe(RSVP_STATUS.GOING);
+  });
+
+  it('keeps a held seat or place in line', () => {
+    expect(resolveRSVPForCapacity(members, NIGHT, 'ana', RSVP_STATUS.GOING, 1)).toBe(RSVP_STATUS.GOING);
+    expect(resolveRSVPForCapacity(members, NIGHT, 'ben', RSVP_STATUS.GOING, 1)).toBe(RSVP_STATUS.WAITLISTED);
+  });
+
+  it('gives a waitlisted member a seat that is free', () => {
+    expect(resolveRSVPForCapacity(members, NIGHT, 'ben', RSVP_STATUS.GOING, 5)).toBe(RSVP_STATUS.GOING);
+  });
+
+  it('passes other statuses and unlimited events through', () => {
+    expect(resolveRSVPForCapacity(members, NIGHT, 'cy', RSVP_STATUS.MAYBE, 1)).toBe(RSVP_STATUS.MAYBE);
+    expect(resolveRSVPForCapacity(members, NIGHT, 'cy', RSVP_STATUS.GOING, null)).toBe(RSVP_STATUS.GOING);
+  });
+});
+
+describe('buildAttendanceStats', () => {
+  it('counts "going" RSVPs on past nights, most attended first', () => {
+    const members = [
+      member('ana', RSVP_STATUS.MAYBE),
+      { userId: 'ben', rsvps: { [NIGHT]: { status: RSVP_STATUS.GOING }, '2025-03-11': { status: RSVP_STATUS.GOING } } },
+    ];
+    expect(buildAttendanceStats(members, [{ id: NIGHT }, { id: '2025-03-11' }])).toEqual([
+      { userId: 'ben', attended: 2, total: 2, rate: 1 },
+      { userId: 'ana', attended: 0, total: 2, rate: 0 },
+    ]);
+  });
+});
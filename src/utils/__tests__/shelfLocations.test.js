@@ -0,0 +1,103 @@
+import {
+  SHELF_ORIENTATION,
+  answerWhereQuery,
+  describeShelfLocation,
+  formatShelfLocation,
+  getOrientationFromRotation,
+  getShelves,
+  getUsedLocations,
+  matchesCollectionSearch,
+  parseShelfLocation,
+  parseWhereQuery,
+} from '../shelfLocations';
+import { addScanPhoto, createScanSession, mergeIdentifiedGames, toScanCollectionRecord } from '../shelfScan';
+
+const collection = [
+  { id: '1', title: 'Brass: Birmingham', location: { shelf: 'Kallax 2', spot: 'row 3', position: 2, orientation: 'standing' } },
+  { id: '2', title: 'Azul', location: { shelf: 'kallax 2', spot: 'Row 3', position: 1, orientation: 'standing' } },
+  { id: '3', title: 'Brass: Lancashire', location: { shelf: 'Closet', spot: null, position: 1, orientation: 'stacked' } },
+  { id: '4', title: 'Root', location: { shelf: 'Kallax 10', spot: 'row 1' } },
+  { id: '5', title: 'Wingspan' },
+];
+
+describe('parseShelfLocation', () => {
+  it('splits a typed location into shelf and spot', () => {
+    expect(parseShelfLocation(' Kallax  2, row 3 ')).toEqual({ shelf: 'Kallax 2', spot: 'row 3' });
+    expect(parseShelfLocation('Kallax 2 / row 3 / left')).toEqual({ shelf: 'Kallax 2', spot: 'row 3, left' });
+    expect(parseShelfLocation('Closet')).toEqual({ shelf: 'Closet', spot: null });
+    expect(parseShelfLocation('  ')).toBeNull();
+  });
+});
+
+describe('describeShelfLocation', () => {
+  it('counts standing boxes from the left and stacked ones from the top', () => {
+    expect(describeShelfLocation(collection[0].location)).toBe('Kallax 2, row 3 (2nd from the left)');
+    expect(describeShelfLocation({ ...collection[2].location, position: 11 })).toBe('Closet (11th from the top)');
+    expect(describeShelfLocation(collection[3].location)).toBe('Kallax 10, row 1');
+    expect(describeShelfLocation(null)).toBe('');
+    expect(formatShelfLocation({ shelf: '' })).toBe('');
+  });
+});
+
+describe('getOrientationFromRotation', () => {
+  it('reads vertical spine text as standing boxes', () => {
+    expect(getOrientationFromRotation('90deg')).toBe(SHELF_ORIENTATION.STANDING);
+    expect(getOrientationFromRotation('-90deg')).toBe(SHELF_ORIENTATION.STANDING);
+    expect(getOrientationFromRotation('0deg')).toBe(SHELF_ORIENTATION.STACKED);
+    expect(getOrientationFromRotation(undefined)).toBeNull();
+  });
+});
+
+describe('getShelves', () => {
+  it('groups by shelf and spot, ignoring case, with games in position order', () => {
+    const shelves = getShelves(collection);
+    expect(shelves.map((shelf) => [shelf.shelf, shelf.gameCount])).toEqual([['Closet', 1], ['Kallax 2', 2], ['Kallax 10', 1]]);
+    expect(shelves[1].spots.map((spot) => spot.spot)).toEqual(['row 3']);
+    expect(shelves[1].spots[0].games.map((game) => game.title)).toEqual(['Azul', 'Brass: Birmingham']);
+  });
+
+  it('lists the locations in use', () => {
+    expect(getUsedLocations(collection)).toEqual(['Closet', 'Kallax 2, row 3', 'Kallax 10, row 1']);
+  });
+});
+
+describe('where is searches', () => {
+  it('recognizes location questions', () => {
+    expect(parseWhereQuery('Where is my Brass?')).toBe('Brass');
+    expect(parseWhereQuery("where's azul")).toBe('azul');
+    expect(parseWhereQuery('Brass')).toBeNull();
+  });
+
+  it('answers with every matching game and where it is', () => {
+    expect(answerWhereQuery(collection, 'where are my brass')).toEqual([
+      { game: collection[0], location: collection[0].location, description: 'Kallax 2, row 3 (2nd from the left)' },
+      { game: collection[2], location: collection[2].location, description: 'Closet (1st from the top)' },
+    ]);
+    expect(answerWhereQuery(collection, 'where is wingspan')[0]).toMatchObject({ location: null, description: '' });
+    expect(answerWhereQuery(collection, 'brass')).toBeNull();
+  });
+
+  it('matches searches against titles and locations', () => {
+    expect(collection.filter((game) => matchesCollectionSearch(game, 'row 3')).map((game) => game.id)).toEqual(['1', '2']);
+    expect(collection.filter((game) => matchesCollectionSearch(game, 'Where is Root?')).map((game) => game.id)).toEqual(['4']);
+  });
+});
+
+describe('locations from a shelf scan', () => {
+  it('places games by their section and their order across photos', () => {
+    let session = createScanSession();
+    session = addScanPhoto(session, { id: 'p1', section: 'Kallax 2, row 3' });
+    session = addScanPhoto(session, { id: 'p2', section: 'Kallax 2, row 3' });
+    session = mergeIdentifiedGames(session, 'p1', [
+      { title: 'Azul', styling: { rotation: '90deg' } },
+      { title: 'Root', styling: { rotation: '90deg' } },
+    ]);
+    session = mergeIdentifiedGames(session, 'p2', [{ title: 'Brass', shelfPosition: 1, styling: { rotation: '0deg' } }]);
+
+    expect(session.candidates.map((candidate) => toScanCollectionRecord(candidate).location)).toEqual([
+      { shelf: 'Kallax 2', spot: 'row 3', position: 1, orientation: SHELF_ORIENTATION.STANDING },
+      { shelf: 'Kallax 2', spot: 'row 3', position: 2, orientation: SHELF_ORIENTATION.STANDING },
+      { shelf: 'Kallax 2', spot: 'row 3', position: 3, orientation: SHELF_ORIENTATION.STACKED },
+    ]);
+  });
+});
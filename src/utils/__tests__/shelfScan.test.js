@@ -0,0 +1,142 @@
+import {
+  SCAN_MATCH_STATUS,
+  SCAN_PHOTO_STATUS,
+  addScanPhoto,
+  applyScanMatch,
+  createScanSession,
+  getScanReviewList,
+  getScanSummary,
+  mergeIdentifiedGames,
+  toScanCollectionRecord,
+  updateScanPhoto,
+} from '../shelfScan';
+
+// Two overlapping photos of the top shelf and one of the bottom
+const scanShelf = () => {
+  let session = createScanSession({ section: 'Top shelf' });
+  session = addScanPhoto(session, { id: 'p1', section: 'Top shelf' });
+  session = addScanPhoto(session, { id: 'p2', section: 'Top shelf' });
+  session = addScanPhoto(session, { id: 'p3', section: 'Bottom shelf' });
+
+  session = mergeIdentifiedGames(session, 'p1', [
+    { title: 'The Castles of Burgundy', confidence: 'medium', notes: 'faded spine' },
+    { title: 'Catan', confidence: 'high' },
+  ]);
+  session = mergeIdentifiedGames(session, 'p2', [
+    { title: 'Castles of Burgundy', confidence: 'high', boxDescription: 'yellow box' },
+    { title: 'Azul', confidence: 'low' },
+    { title: '   ' },
+  ]);
+  session = mergeIdentifiedGames(session, 'p3', [{ title: 'The Settlers of Catan', confidence: 'high' }]);
+  return ['p1', 'p2', 'p3'].reduce(
+    (current, photoId) => updateScanPhoto(current, photoId, { status: SCAN_PHOTO_STATUS.DONE }),
+    session,
+  );
+};
+
+const findCandidate = (session, title) => session.candidates.find((candidate) => candidate.titles.includes(title));
+
+describe('mergeIdentifiedGames', () => {
+  it('collapses a game seen in overlapping photos into one candidate', () => {
+    const session = scanShelf();
+    const burgundy = findCandidate(session, 'The Castles of Burgundy');
+
+    expect(session.candidates).toHaveLength(4);
+    expect(burgundy).toMatchObject({
+      // The more confident read wins; details from either photo are kept
+      title: 'Castles of Burgundy',
+      confidence: 'high',
+      titles: ['The Castles of Burgundy', 'Castles of Burgundy'],
+      photoIds: ['p1', 'p2'],
+      sections: ['Top shelf'],
+      notes: 'faded spine',
+      boxDescription: 'yellow box',
+    });
+  });
+
+  it('counts the games each photo showed and holds back low-confidence reads', () => {
+    const session = scanShelf();
+    expect(session.photos.map((photo) => photo.gameCount)).toEqual([2, 2, 1]);
+    expect(findCandidate(session, 'Azul').include).toBe(false);
+    expect(findCandidate(session, 'Catan').include).toBe(true);
+  });
+
+  it('ignores photos that are no longer in the session', () => {
+    const session = scanShelf();
+    expect(mergeIdentifiedGames(session, 'gone', [{ title: 'Root' }])).toBe(session);
+  });
+});
+
+describe('applyScanMatch', () => {
+  it('merges candidates that turn out to be the same BGG game', () => {
+    let session = scanShelf();
+    const catan = { id: 13, name: 'CATAN', yearPublished: 1995 };
+    session = applyScanMatch(session, findCandidate(session, 'Catan').id, catan);
+    session = applyScanMatch(session, findCandidate(session, 'The Settlers of Catan').id, catan);
+
+    expect(session.candidates).toHaveLength(3);
+    expect(findCandidate(session, 'Catan')).toMatchObject({
+      matchStatus: SCAN_MATCH_STATUS.MATCHED,
+      titles: ['Catan', 'The Settlers of Catan'],
+      sections: ['Top shelf', 'Bottom shelf'],
+      bggData: catan,
+    });
+  });
+
+  it('records games BGG doesn\'t know', () => {
+    let session = scanShelf();
+    session = applyScanMatch(session, findCandidate(session, 'Azul').id, null);
+    expect(findCandidate(session, 'Azul')).toMatchObject({ matchStatus: SCAN_MATCH_STATUS.NO_MATCH, bggData: null });
+  });
+});
+
+describe('getScanSummary', () => {
+  it('counts photos still being identified and failed ones', () => {
+    let session = scanShelf();
+    session = addScanPhoto(session, { id: 'p4', section: 'Bottom shelf' });
+    session = addScanPhoto(session, { id: 'p5', section: 'Bottom shelf' });
+    session = updateScanPhoto(session, 'p5', { status: SCAN_PHOTO_STATUS.ERROR, error: 'Blurry' });
+
+    expect(getScanSummary(session)).toEqual({
+      photoCount: 5,
+      pendingCount: 1,
+      failedCount: 1,
+      gameCount: 4,
+      sections: ['Top shelf', 'Bottom shelf'],
+    });
+  });
+});
+
+describe('getScanReviewList', () => {
+  it('groups by the section a game was first seen in and flags games already owned', () => {
+    let session = scanShelf();
+    session = applyScanMatch(session, findCandidate(session, 'Catan').id, { id: 13, name: 'CATAN' });
+
+    const review = getScanReviewList(session, { collection: [{ bggId: 13, title: 'CATAN' }, { title: 'azul' }] });
+    expect(review.map((group) => group.section)).toEqual(['Top shelf', 'Bottom shelf']);
+    expect(review[0].candidates.map((candidate) => [candidate.title, candidate.alreadyOwned])).toEqual([
+      ['Azul', true],
+      ['Castles of Burgundy', false],
+      ['Catan', true],
+    ]);
+  });
+});
+
+describe('toScanCollectionRecord', () => {
+  it('prefers the BGG match over the title read off the spine', () => {
+    const record = toScanCollectionRecord({
+      title: 'Catan',
+      confidence: 'high',
+      sections: ['Top shelf'],
+      bggData: { id: 13, name: 'CATAN', yearPublished: 1995, thumbnail: 't.jpg' },
+    });
+    expect(record).toMatchObject({
+      title: 'CATAN',
+      source: 'claude_shelf_scan',
+      claudeConfidence: 'high',
+      bggId: 13,
+      bggThumbnail: 't.jpg',
+      yearPublished: 1995,
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { SHELF_ORIENTATION } from '../shelfLocations';
+import { SPINE_FONT_SIZE, getSpineStyle, normalizeHexColor } from '../spineStyle';
+
+describe('normalizeHexColor', () => {
+  it('expands and prefixes hex colors', () => {
+    expect(normalizeHexColor('#1F4E79')).toBe('#1F4E79');
+    expect(normalizeHexColor('fa0')).toBe('#ffaa00');
+    expect(normalizeHexColor('red')).toBeNull();
+    expect(normalizeHexColor(undefined)).toBeNull();
+  });
+});
+
+describe('getSpineStyle', () => {
+  it('draws unstyled games the same way every time', () => {
+    const style = getSpineStyle({ title: 'Azul' });
+    expect(getSpineStyle({ title: 'Azul' })).toEqual(style);
+    expect(style).toMatchObject({ orientation: SHELF_ORIENTATION.STANDING, textRotation: 90, fontName: null });
+    expect(style.backgroundColor).toMatch(/^#[0-9A-F]{6}$/);
+    expect(style.textStyle).toMatchObject({ fontSize: SPINE_FONT_SIZE, fontWeight: '600', fontStyle: 'normal' });
+  });
+
+  it('uses the styling read off the spine', () => {
+    const style = getSpineStyle({
+      title: 'Brass',
+      styling: {
+        backgroundColor: '#F5E6C8',
+        fontFamily: ' Cinzel ',
+        fontWeight: 800,
+        fontStyle: 'oblique',
+        textTransform: 'uppercase',
+        letterSpacing: '0.1em',
+        textShadow: '1px 2px 3px #000, 0 0 4px red',
+      },
+    });
+    expect(style.backgroundColor).toBe('#F5E6C8');
+    expect(style.fontName).toBe('Cinzel');
+    expect(style.textStyle).toEqual({
+      color: '#000000',
+      fontSize: SPINE_FONT_SIZE,
+      fontWeight: '800',
+      fontStyle: 'italic',
+      textTransform: 'uppercase',
+      letterSpacing: 0.1 * SPINE_FONT_SIZE,
+      textShadowOffset: { width: 1, height: 2 },
+      textShadowRadius: 3,
+      textShadowColor: '#000000',
+    });
+  });
+
+  it('picks light text on dark spines and drops values it can\'t draw', () => {
+    const { textStyle } = getSpineStyle({
+      title: 'Root',
+      styling: { backgroundColor: '1F4E79', fontWeight: 'heavy', textTransform: 'small-caps', textShadow: 'none' },
+    });
+    expect(textStyle).toMatchObject({ color: '#FFFFFF', fontWeight: '600', textTransform: 'none' });
+    expect(textStyle).not.toHaveProperty('textShadowColor');
+  });
+
+  it('turns spine text to match the box', () => {
+    expect(getSpineStyle({ title: 'A', styling: { rotation: '-90deg' } }).textRotation).toBe(-90);
+    expect(getSpineStyle({ title: 'A', styling: { writingMode: 'vertical-lr' } }).textRotation).toBe(-90);
+    expect(getSpineStyle({ title: 'A', styling: { rotation: '0deg' } })).toMatchObject({
+      orientation: SHELF_ORIENTATION.STACKED,
+      textRotation: 0,
+    });
+    // Where the game was put away wins over how the photo showed it
+    expect(getSpineStyle({
+      title: 'A',
+      styling: { rotation: '0deg' },
+      location: { shelf: 'Kallax', orientation: SHELF_ORIENTATION.STANDING },
+    }).textRotation).toBe(90);
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  buildGamePool,
+  formatTablePlan,
+  getTableWarnings,
+  movePlayer,
+  planTables,
+  setTableLocked,
+  swapPlayers,
+} from '../tablePlanner';
+
+const attendeeIds = ['ana', 'ben', 'cy', 'dee', 'eli', 'fay'];
+
+const games = [
+  { bggId: 13, title: 'CATAN', minPlayers: 3, maxPlayers: 4, ownerIds: ['ana'] },
+  { bggId: 230802, title: 'Azul', minPlayers: 2, maxPlayers: 4, ownerIds: ['dee'] },
+  { bggId: 822, title: 'Carcassonne', ownerIds: ['zed'] },
+  { bggId: 68448, title: '7 Wonders', ownerIds: ['fay'] },
+];
+
+const collectionsByUser = {
+  ben: [{ bggId: 13, status: { wanttoplay: true } }],
+  cy: [{ bggId: 13, status: { wanttoplay: true } }],
+  zed: [{ bggId: 230802, status: { wanttoplay: true } }],
+};
+
+const pool = buildGamePool({
+  attendeeIds,
+  games,
+  collectionsByUser,
+  gameDetails: { bgg_68448: { minPlayers: 3, maxPlayers: 7 } },
+});
+
+const byKey = (key) => pool.find((game) => game.key === key);
+
+describe('buildGamePool', () => {
+  it('keeps only games an attendee owns', () => {
+    expect(pool.map((game) => game.title)).toEqual(['CATAN', 'Azul', '7 Wonders']);
+  });
+
+  it('collects wanttoplay flags from attendees only', () => {
+    expect(byKey('bgg_13').interestedUserIds).toEqual(['ben', 'cy']);
+    expect(byKey('bgg_230802').interestedUserIds).toEqual([]);
+  });
+
+  it('fills player counts from game details', () => {
+    expect(byKey('bgg_68448')).toMatchObject({ minPlayers: 3, maxPlayers: 7, playerCountKnown: true });
+  });
+});
+
+describe('planTables', () => {
+  const plan = planTables(attendeeIds, pool);
+  const seated = plan.tables.flatMap((table) => table.playerIds);
+
+  it('seats everyone once', () => {
+    expect(seated.sort()).toEqual([...attendeeIds].sort());
+    expect(plan.unassignedIds).toEqual([]);
+  });
+
+  it('seats owners at the games they bring and respects player counts', () => {
+    plan.tables.forEach((table) => {
+      expect(table.playerIds).toContain(table.broughtBy);
+      expect(getTableWarnings(table)).toEqual([]);
+    });
+  });
+
+  it('puts interested players at the game they want', () => {
+    const catan = plan.tables.find((table) => table.gameKey === 'bgg_13');
+    expect(catan.playerIds).toEqual(expect.arrayContaining(['ana', 'ben', 'cy']));
+  });
+
+  it('keeps locked tables and drops players who are no longer coming', () => {
+    const locked = { ...plan.tables[0], playerIds: ['ana', 'ben', 'gus'], locked: true };
+    const replanned = planTables(attendeeIds, pool, { lockedTables: [locked] });
+
+    expect(replanned.tables[0]).toMatchObject({ id: locked.id, playerIds: ['ana', 'ben'], locked: true });
+    expect(replanned.tables.slice(1).some((table) => table.gameKey === locked.gameKey)).toBe(false);
+  });
+});
+
+describe('manual edits', () => {
+  const tables = [
+    { id: 't1', playerIds: ['ana', 'ben'], locked: false },
+    { id: 't2', playerIds: ['cy'], locked: false },
+  ];
+
+  it('moves a player between tables', () => {
+    expect(movePlayer(tables, 'ben', 't2').map((table) => table.playerIds)).toEqual([['ana'], ['cy', 'ben']]);
+  });
+
+  it('swaps two players', () => {
+    expect(swapPlayers(tables, 'ben', 'cy').map((table) => table.playerIds)).toEqual([['ana', 'cy'], ['ben']]);
+  });
+
+  it('locks one table', () => {
+    expect(setTableLocked(tables, 't2', true).map((table) => table.locked)).toEqual([false, true]);
+  });
+});
+
+describe('getTableWarnings', () => {
+  it('flags short, crowded and unknown tables', () => {
+    expect(getTableWarnings({ playerIds: ['a'], minPlayers: 3, maxPlayers: 4, playerCountKnown: true }))
+      .toEqual(['Needs 2 more players']);
+    expect(getTableWarnings({ playerIds: ['a', 'b', 'c'], minPlayers: 1, maxPlayers: 2, playerCountKnown: false }))
+      .toEqual(['1 over the 2-player limit', 'Player count unknown']);
+  });
+});
+
+describe('formatTablePlan', () => {
+  it('writes one block per table and lists anyone left over', () => {
+    const names = { ana: 'Ana', ben: 'Ben', cy: 'Cy' };
+    expect(formatTablePlan({
+      tables: [{ title: 'Azul', broughtBy: 'ana', playerIds: ['ana', 'ben'] }],
+      unassignedIds: ['cy'],
+      getName: (userId) => names[userId],
+      heading: 'Table plan for Thu, Dec 4',
+    })).toBe('Table plan for Thu, Dec 4\n\nTable 1: Azul (brought by Ana)\nAna, Ben\n\nStill needs a table: Cy');
+  });
+});
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_CONFIG } from '../config/api';
+import { parseBGGPlaysXML } from './bggPlays';
 
 // ============================================================================
 // ARCHIVED: Barcode Scanning Feature
@@ -341,9 +342,9 @@ export const searchGameByBarcode = async (barcode) => {
 
 /**
  * Search for games by name
- * Priority: Firebase Firestore -> BGG API (if fallbackToBGG is true)
+ * Priority: on-device search index -> BGG API (if fallbackToBGG is true)
  * @param {string} query - Game name to search for
- * @param {boolean} fallbackToBGG - If true, fall back to BGG API when Firestore returns no results
+ * @param {boolean} fallbackToBGG - If true, fall back to BGG API when the local index has no results
  * @returns {Promise<Array>} Array of matching games
  */
 export const searchGamesByName = async (query, fallbackToBGG = false) => {
@@ -352,54 +353,37 @@ export const searchGamesByName = async (query, fallbackToBGG = false) => {
       console.log('[Game Search] Searching for:', query);
     }
 
-    // Try Firebase Firestore first (if available)
+    // The local index is instant and offline, so no timeout is needed
     try {
-      const { searchGamesByName: searchFirestore } = await import('../services/gameDatabase');
-      
-      // Add timeout wrapper in case Firestore hangs
-      // Reduced timeout from 6s to 4s for faster failure
-      const firestorePromise = searchFirestore(query, 50);
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Firestore search timeout')), 4000);
-      });
-      
-      const firestoreResults = await Promise.race([firestorePromise, timeoutPromise]);
-      
-      if (__DEV__) {
-        console.log('[Firestore] Query completed, results:', firestoreResults ? firestoreResults.length : 'null');
-      }
-      
-      if (firestoreResults && firestoreResults.length > 0) {
+      const { searchGamesByName: searchLocalIndex } = await import('../services/gameDatabase');
+      const localResults = await searchLocalIndex(query, 50);
+
+      if (localResults && localResults.length > 0) {
         if (__DEV__) {
-          console.log(`[Firestore] Found ${firestoreResults.length} games`);
+          console.log(`[Search Index] Found ${localResults.length} games`);
         }
-        // Format response
-        const formatted = firestoreResults.map(game => ({
+        // Format response; name is always the primary title, matchedName the alias that matched if any
+        return localResults.map(game => ({
           id: game.id,
           name: game.name,
+          matchedName: game.matchedName || game.name,
           yearPublished: game.yearPublished || '',
         }));
-        if (__DEV__) {
-          console.log('[Firestore] Returning formatted results:', formatted.length);
-        }
-        return formatted;
-      } else {
-        // Firestore returned empty array - try BGG API if fallback is enabled
-        if (__DEV__) {
-          console.log('[Firestore] No results found');
-        }
       }
-    } catch (firestoreError) {
       if (__DEV__) {
-        console.log('[Firestore] Not available or error, trying BGG API:', firestoreError.message);
+        console.log('[Search Index] No results found');
+      }
+    } catch (indexError) {
+      if (__DEV__) {
+        console.log('[Search Index] Error, trying BGG API:', indexError.message);
       }
       // Don't throw - fall through to BGG API if fallback is enabled
     }
 
-    // No results found in Firestore - try BGG API if fallback is enabled
+    // No results found locally - try BGG API if fallback is enabled
     if (fallbackToBGG) {
       if (__DEV__) {
-        console.log('[Game Search] No results in Firestore, trying BGG API...');
+        console.log('[Game Search] No results in the local index, trying BGG API...');
       }
       try {
         const { searchBGGAPI } = await import('../services/bggApi');
@@ -455,6 +439,7 @@ export const getGameDetails = async (gameId) => {
         gameData = {
           id: firestoreGame.id,
           name: firestoreGame.name,
+          alternateNames: firestoreGame.alternateNames || [],
           yearPublished: firestoreGame.yearPublished || '',
           rank: firestoreGame.rank || '',
           bayesAverage: firestoreGame.bayesAverage || '',
@@ -496,6 +481,7 @@ export const getGameDetails = async (gameId) => {
           if (!gameData.playingTime && bggData.playingTime) gameData.playingTime = bggData.playingTime;
           if (!gameData.minAge && bggData.minAge) gameData.minAge = bggData.minAge;
           if (!gameData.description && bggData.description) gameData.description = bggData.description;
+          if (!gameData.alternateNames?.length && bggData.alternateNames?.length) gameData.alternateNames = bggData.alternateNames;
           
           // Cache BGG data to Firestore for future use (non-blocking)
           try {
@@ -536,6 +522,7 @@ export const getGameDetails = async (gameId) => {
           gameData = {
             id: bggData.id,
             name: bggData.name,
+            alternateNames: bggData.alternateNames || [],
             yearPublished: bggData.yearPublished || '',
             rank: bggData.rank || '',
             bayesAverage: bggData.bayesAverage || '',
@@ -579,6 +566,18 @@ export const getGameDetails = async (gameId) => {
       return null;
     }
 
+    // Let name search find this game by its other titles from now on (saved, so it lasts past a restart)
+    if (gameData.alternateNames?.length) {
+      try {
+        const { rememberGameAliases } = await import('../services/gameSearchIndex');
+        rememberGameAliases(gameData.id, gameData.alternateNames);
+      } catch (aliasError) {
+        if (__DEV__) {
+          console.warn('[Game Details] Could not add alternate names to search:', aliasError);
+        }
+      }
+    }
+
     return gameData;
   } catch (error) {
     console.error('[Game Details] Error:', error);
@@ -897,5 +896,83 @@ export const fetchBGGCollection = async (username, options = {}) => {
   }
 };
 
+/**
+ * Fetch a user's logged plays from BoardGameGeek
+ * BGG returns 100 plays per page; pages are fetched until the total is reached.
+ * @param {string} username - BGG username
+ * @param {Object} options - Optional parameters
+ * @param {number} options.maxPages - Stop after this many pages (default: 50)
+ * @param {number} options.maxRetries - Retries per page while BGG is busy (default: 5)
+ * @param {number} options.retryDelay - Delay between retries in ms (default: 2000)
+ * @param {Function} options.onProgress - Called with { fetched, total } after each page
+ * @returns {Promise<Array>} Plays in the shape returned by parseBGGPlaysXML
+ */
+export const fetchBGGPlays = async (username, options = {}) => {
+  if (!username || !username.trim()) {
+    throw new Error('BGG username is required');
+  }
+
+  const {
+    maxPages = 50,
+    maxRetries = 5,
+    retryDelay = 2000,
+    onProgress,
+  } = options;
+
+  const token = getBGGToken();
+  const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
+  const plays = [];
+
+  try {
+    for (let page = 1; page <= maxPages; page++) {
+      const params = new URLSearchParams({ username: username.trim(), page: String(page) });
+      const url = `https://boardgamegeek.com/xmlapi2/plays?${params.toString()}`;
+
+      let xmlText = null;
+      for (let attempt = 0; attempt < maxRetries && xmlText === null; attempt++) {
+        const response = await fetch(url, { headers });
+
+        if (response.status === 200) {
+          xmlText = await response.text();
+        } else if (response.status === 202 || response.status === 429) {
+          // BGG is busy or rate limiting - wait and retry
+          await new Promise(resolve => setTimeout(resolve, retryDelay * (attempt + 1)));
+        } else if (response.status === 401) {
+          throw new Error(`Authentication failed (401). ${token ? 'Token may be invalid.' : 'Bearer token required. Make sure BGGbearerToken is set in your .env file.'}`);
+        } else {
+          throw new Error(`Failed to fetch plays: ${response.status} ${response.statusText}`);
+        }
+      }
+
+      if (xmlText === null) {
+        throw new Error('BGG is busy right now. Please try again in a few moments.');
+      }
+
+      // BGG answers unknown usernames with an HTML error message instead of <plays>
+      if (!/<plays\b/.test(xmlText) && !/<error/i.test(xmlText)) {
+        throw new Error(`Invalid username: "${username.trim()}". Please check the username and try again.`);
+      }
+
+      const result = parseBGGPlaysXML(xmlText);
+
+      plays.push(...result.plays);
+      onProgress?.({ fetched: plays.length, total: result.total });
+
+      if (!result.plays.length || plays.length >= result.total) {
+        break;
+      }
+    }
+
+    if (__DEV__) {
+      console.log(`[BGG Plays] Found ${plays.length} plays for`, username);
+    }
+
+    return plays;
+  } catch (error) {
+    console.error('[BGG Plays] Error:', error);
+    throw error;
+  }
+};
+
 // BGG API XML parsing utilities removed - BGG API is no longer used
 
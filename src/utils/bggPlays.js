@@ -0,0 +1,231 @@
+/**
+ * BoardGameGeek play XML
+ * Reads the XML returned by xmlapi2/plays (or a saved copy of it) and writes MeepleUp plays
+ * back out in the same shape.
+ *
+ * <plays username="..." total="..." page="1">
+ *   <play id="..." date="YYYY-MM-DD" quantity="1" length="60" incomplete="0" location="...">
+ *     <item name="..." objecttype="thing" objectid="13" />
+ *     <comments>...</comments>
+ *     <players><player username="..." name="..." score="10" win="1" /></players>
+ *   </play>
+ * </plays>
+ */
+
+import { getGameKey } from './eventCollection';
+
+// BGG uses 0000-00-00 for plays logged without a date
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const decodeXml = (value) =>
+  String(value || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+
+const encodeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const attributeRegex = /([\w:-]+)="([^"]*)"/g;
+  let match;
+  while ((match = attributeRegex.exec(tag)) !== null) {
+    attributes[match[1]] = decodeXml(match[2]);
+  }
+  return attributes;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse a BGG plays XML document
+ * @param {string} xmlText - Response from xmlapi2/plays, or an exported plays file
+ * @returns {Object} - { username, total, page, plays: [{ bggPlayId, date, quantity, length, incomplete, location, comments, item, players }] }
+ */
+export const parseBGGPlaysXML = (xmlText) => {
+  if (!xmlText || !xmlText.trim()) {
+    throw new Error('The plays file is empty.');
+  }
+
+  const errorMatch = xmlText.match(/<error[^>]*>[\s\S]*?<message>([^<]+)<\/message>/i);
+  if (errorMatch) {
+    throw new Error(decodeXml(errorMatch[1].trim()));
+  }
+
+  const rootMatch = xmlText.match(/<plays\b([^>]*)>/);
+  if (!rootMatch) {
+    throw new Error("This doesn't look like a BoardGameGeek plays file.");
+  }
+  const root = parseAttributes(rootMatch[1]);
+
+  const plays = [];
+  // Self-closing <play ... /> entries have no item and are skipped
+  const playRegex = /<play\b([^>]*[^/])>([\s\S]*?)<\/play>/g;
+  let match;
+
+  while ((match = playRegex.exec(xmlText)) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const playXml = match[2];
+
+    const itemMatch = playXml.match(/<item\b([^>]*)\/?>/);
+    const item = itemMatch ? parseAttributes(itemMatch[1]) : {};
+
+    const commentsMatch = playXml.match(/<comments>([\s\S]*?)<\/comments>/);
+
+    const players = [];
+    const playerRegex = /<player\b([^>]*)\/?>/g;
+    let playerMatch;
+    while ((playerMatch = playerRegex.exec(playXml)) !== null) {
+      const player = parseAttributes(playerMatch[1]);
+      players.push({
+        username: player.username || null,
+        bggUserId: player.userid && player.userid !== '0' ? player.userid : null,
+        name: player.name || player.username || '',
+        score: toNumber(player.score),
+        winner: player.win === '1',
+        isNew: player.new === '1',
+        color: player.color || null,
+        startPosition: player.startposition || null,
+      });
+    }
+
+    if (!item.objectid) continue;
+
+    plays.push({
+      // Plays exported from MeepleUp haven't been uploaded yet and carry id="0"
+      bggPlayId: attributes.id && attributes.id !== '0' ? attributes.id : null,
+      date: DATE_PATTERN.test(attributes.date || '') && attributes.date !== '0000-00-00' ? attributes.date : null,
+      quantity: Math.max(1, parseInt(attributes.quantity, 10) || 1),
+      length: toNumber(attributes.length) || null,
+      incomplete: attributes.incomplete === '1',
+      location: attributes.location || null,
+      comments: commentsMatch ? decodeXml(commentsMatch[1].trim()) : '',
+      item: {
+        bggId: item.objectid,
+        name: item.name || '',
+      },
+      players,
+    });
+  }
+
+  return {
+    username: root.username || null,
+    total: toNumber(root.total) ?? plays.length,
+    page: toNumber(root.page) || 1,
+    plays,
+  };
+};
+
+/**
+ * Convert a parsed BGG play into MeepleUp play fields
+ * The importing user is matched by BGG username; everyone else comes in as a guest.
+ * @param {Object} bggPlay - Play from parseBGGPlaysXML
+ * @param {Object} options
+ * @param {string} options.userId - Importing user's ID
+ * @param {string} [options.bggUsername] - Importing user's BGG username
+ * @returns {Object|null} - Play document fields, or null when the play has no date
+ */
+export const fromBGGPlay = (bggPlay, { userId, bggUsername }) => {
+  if (!bggPlay.date) return null;
+
+  const username = (bggUsername || '').toLowerCase();
+  let players = bggPlay.players.map((player) => ({
+    userId: username && player.username?.toLowerCase() === username ? userId : null,
+    name: player.name,
+    score: player.score,
+    winner: player.winner,
+  }));
+
+  // Solo logs and plays without a player list still count for the importer
+  if (!players.some((player) => player.userId === userId)) {
+    players = [{ userId, name: bggUsername || 'You', score: null, winner: false }, ...players];
+  }
+
+  const game = { bggId: bggPlay.item.bggId };
+  return {
+    gameKey: getGameKey(game),
+    gameId: `bgg_${bggPlay.item.bggId}`,
+    gameName: bggPlay.item.name || 'Untitled game',
+    gameImage: null,
+    gameBggId: String(bggPlay.item.bggId),
+    date: bggPlay.date,
+    groupId: null,
+    occurrenceId: null,
+    players,
+    playerIds: [userId],
+    winnerIds: players.some((player) => player.userId === userId && player.winner) ? [userId] : [],
+    durationMinutes: bggPlay.length,
+    notes: bggPlay.comments || '',
+    quantity: bggPlay.quantity,
+    incomplete: bggPlay.incomplete,
+    location: bggPlay.location,
+    loggedBy: userId,
+    source: 'bgg',
+    bggPlayId: bggPlay.bggPlayId,
+  };
+};
+
+/**
+ * Write MeepleUp plays as a BGG plays XML document
+ * Plays of games without a BGG ID are left out, since BGG can't match them.
+ * @param {Array<Object>} plays - Play documents
+ * @param {Object} [options]
+ * @param {string} [options.username] - BGG username for the root element
+ * @param {Function} [options.getName] - (userId) => display name for members
+ * @param {Function} [options.getUsername] - (userId) => BGG username for members, if known
+ * @returns {string}
+ */
+export const toBGGPlaysXML = (plays, { username = '', getName = () => null, getUsername = () => null } = {}) => {
+  const exportable = (plays || []).filter((play) => play.gameBggId);
+
+  const playElements = exportable.map((play) => {
+    const players = (play.players || []).map((player) => {
+      const attributes = {
+        username: (player.userId && getUsername(player.userId)) || '',
+        userid: '0',
+        name: (player.userId && getName(player.userId)) || player.name || '',
+        startposition: '',
+        color: '',
+        score: player.score ?? '',
+        new: '0',
+        rating: '0',
+        win: player.winner ? '1' : '0',
+      };
+      const attributeText = Object.entries(attributes)
+        .map(([key, value]) => `${key}="${encodeXml(value)}"`)
+        .join(' ');
+      return `      <player ${attributeText} />`;
+    });
+
+    return [
+      `  <play id="${encodeXml(play.bggPlayId || 0)}" date="${encodeXml(play.date)}" quantity="${encodeXml(play.quantity || 1)}" length="${encodeXml(play.durationMinutes || 0)}" incomplete="${play.incomplete ? 1 : 0}" nowinstats="0" location="${encodeXml(play.location || '')}">`,
+      `    <item name="${encodeXml(play.gameName)}" objecttype="thing" objectid="${encodeXml(play.gameBggId)}">`,
+      '      <subtypes><subtype value="boardgame" /></subtypes>',
+      '    </item>',
+      play.notes ? `    <comments>${encodeXml(play.notes)}</comments>` : null,
+      players.length ? ['    <players>', ...players, '    </players>'].join('\n') : null,
+      '  </play>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<plays username="${encodeXml(username)}" userid="0" total="${exportable.length}" page="1">`,
+    ...playElements,
+    '</plays>',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,110 @@
+/**
+ * Bring list helpers for MeepleUp events
+ * Owners commit to games per occurrence: gamingGroups/{groupId}/bringLists/{occurrenceId}.commitments
+ * Requests to bring a game live in gamingGroups/{groupId}/gameInterests.
+ */
+
+import { GAME_INTEREST_STATUS } from './constants';
+import { getGameKey } from './eventCollection';
+
+export const BRING_STATUS = {
+  BRINGING: 'bringing',
+  BROUGHT: 'brought',
+};
+
+/**
+ * Key for one owner's commitment to one game (safe to use as a Firestore field name)
+ * @param {string} gameKey - Game key from getGameKey
+ * @param {string} ownerId - Owner's user ID
+ * @returns {string}
+ */
+export const getCommitmentKey = (gameKey, ownerId) =>
+  `${gameKey}__${ownerId}`.replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * Snapshot of the game fields stored on commitments and requests
+ * @param {Object} game - Collection entry
+ * @returns {Object} - { gameKey, gameId, gameName, gameImage, gameBggId }
+ */
+export const getGameSummary = (game) => ({
+  gameKey: getGameKey(game),
+  gameId: game.id ? String(game.id) : null,
+  gameName: game.title || game.name || 'Untitled game',
+  gameImage: game.image || game.thumbnail || null,
+  gameBggId: game.bggId ? String(game.bggId) : null,
+});
+
+const isOpenRequest = (interest) =>
+  interest.status === GAME_INTEREST_STATUS.INTERESTED
+  || interest.status === GAME_INTEREST_STATUS.CONFIRMED;
+
+/**
+ * Combine the shared library with an occurrence's commitments and requests
+ * @param {Object} params
+ * @param {Array<Object>} params.games - Merged library (getEventCollection)
+ * @param {Array<Object>} params.commitments - Commitments for the occurrence
+ * @param {Array<Object>} params.interests - gameInterests for the occurrence
+ * @returns {Array<Object>} - [{ key, game, ownerIds, bringingIds, broughtIds, requests }] bringing first, then by title
+ */
+export const buildBringListView = ({ games, commitments = [], interests = [] }) => {
+  const entries = new Map();
+
+  (games || []).forEach((game) => {
+    const key = getGameKey(game);
+    if (!key || entries.has(key)) return;
+    entries.set(key, {
+      key,
+      game,
+      ownerIds: game.ownerIds || [],
+      bringingIds: [],
+      broughtIds: [],
+      requests: [],
+    });
+  });
+
+  commitments.forEach((commitment) => {
+    const entry = entries.get(commitment.gameKey);
+    if (!entry) return;
+    if (commitment.status === BRING_STATUS.BROUGHT) {
+      entry.broughtIds.push(commitment.ownerId);
+    } else {
+      entry.bringingIds.push(commitment.ownerId);
+    }
+  });
+
+  interests.forEach((interest) => {
+    const entry = entries.get(interest.gameKey);
+    if (entry) {
+      entry.requests.push(interest);
+    }
+  });
+
+  const isCommitted = (entry) => entry.bringingIds.length + entry.broughtIds.length > 0;
+  return Array.from(entries.values()).sort((a, b) =>
+    Number(isCommitted(b)) - Number(isCommitted(a))
+    || (a.game.title || '').localeCompare(b.game.title || ''),
+  );
+};
+
+/**
+ * The current user's most relevant request for a game
+ * Open requests win over declined or fulfilled ones.
+ * @param {Object} entry - Entry from buildBringListView
+ * @param {string} userId - Requester's user ID
+ * @returns {Object|null}
+ */
+export const getUserRequest = (entry, userId) => {
+  const requests = entry.requests.filter((request) => request.interestedUserId === userId);
+  return requests.find(isOpenRequest) || requests[0] || null;
+};
+
+/**
+ * Open requests an owner still has to answer for a game
+ * @param {Object} entry - Entry from buildBringListView
+ * @param {string} ownerId - Owner's user ID
+ * @returns {Array<Object>}
+ */
+export const getPendingRequestsForOwner = (entry, ownerId) =>
+  entry.requests.filter(
+    (request) => request.ownerId === ownerId && request.status === GAME_INTEREST_STATUS.INTERESTED,
+  );
@@ -0,0 +1,176 @@
+/**
+ * Collection sync helpers
+ * Collections live in userGames/{userId}/games/{gameId}. Writes go through an offline queue
+ * that is replayed when the app is back online.
+ *
+ * Conflicts between devices are resolved last-writer-wins on clientUpdatedAt. Removals are
+ * soft deletes (deleted: true) so an older queued add from another device can't bring a game back.
+ */
+
+import { db } from '../config/firebase';
+import firebase from '../config/firebase';
+
+export const QUEUE_OPERATIONS = {
+  ADD: 'add',
+  UPDATE: 'update',
+  REMOVE: 'remove',
+};
+
+// Outcomes of replaying one queued write
+export const WRITE_RESULTS = {
+  APPLIED: 'applied',
+  STALE: 'stale', // Another device wrote this game more recently
+};
+
+// Fields that only exist on the Firestore document
+const SYNC_FIELDS = ['userId', 'gameId', 'clientUpdatedAt', 'deleted', 'updatedAt'];
+
+/**
+ * Firestore document ID for a collection entry (IDs can't contain "/")
+ * @param {string} gameId - Local game ID, e.g. "bgg_13"
+ * @returns {string}
+ */
+export const toUserGameDocId = (gameId) => String(gameId).replace(/\//g, '_');
+
+const getGamesRef = (userId) => db.collection('userGames').doc(userId).collection('games');
+
+// Firestore rejects undefined values
+const stripUndefined = (data) =>
+  Object.keys(data).reduce((acc, key) => {
+    if (data[key] !== undefined) {
+      acc[key] = data[key];
+    }
+    return acc;
+  }, {});
+
+/**
+ * Convert a userGames document back into a collection entry
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object}
+ */
+export const fromUserGameDoc = (doc) => {
+  const data = doc.data();
+  const game = { ...data, id: data.id || doc.id };
+  SYNC_FIELDS.forEach((field) => {
+    delete game[field];
+  });
+  return game;
+};
+
+/**
+ * Load a user's collection from Firestore
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Collection entries (soft-deleted games left out)
+ */
+export const fetchUserCollection = async (userId) => {
+  const snapshot = await getGamesRef(userId).get();
+  return snapshot.docs
+    .filter((doc) => doc.data().deleted !== true)
+    .map(fromUserGameDoc);
+};
+
+/**
+ * Add a write to the queue, folding it into any pending write for the same game
+ * @param {Array} queue - Pending writes
+ * @param {Object} write - { operation, userId, gameId, data, clientUpdatedAt }
+ * @returns {Array} - New queue
+ */
+export const enqueueWrite = (queue, write) => {
+  const existing = queue.find(
+    (pending) => pending.userId === write.userId && pending.gameId === write.gameId,
+  );
+  if (!existing) {
+    return [...queue, write];
+  }
+
+  if (write.operation === QUEUE_OPERATIONS.UPDATE) {
+    // A removed game stays removed; only adding it again brings it back
+    if (existing.operation === QUEUE_OPERATIONS.REMOVE) {
+      return queue;
+    }
+
+    // An update to a pending add is still an add, just with newer data
+    const folded = {
+      ...existing,
+      data: { ...existing.data, ...write.data },
+      clientUpdatedAt: write.clientUpdatedAt,
+    };
+    return queue.map((pending) => (pending === existing ? folded : pending));
+  }
+
+  return queue.map((pending) => (pending === existing ? write : pending));
+};
+
+/**
+ * Apply pending writes on top of a server copy so offline changes stay visible
+ * @param {Array} serverGames - Collection from Firestore
+ * @param {Array} queue - Pending writes
+ * @param {string} userId - Whose collection this is
+ * @returns {Array}
+ */
+export const applyPendingWrites = (serverGames, queue, userId) =>
+  queue
+    .filter((write) => write.userId === userId)
+    .reduce((games, write) => {
+      const others = games.filter((game) => game.id !== write.gameId);
+      if (write.operation === QUEUE_OPERATIONS.REMOVE) {
+        return others;
+      }
+      const current = games.find((game) => game.id === write.gameId);
+      if (write.operation === QUEUE_OPERATIONS.UPDATE && !current) {
+        return games;
+      }
+      return [...others, { ...(current || {}), ...write.data, id: write.gameId }];
+    }, serverGames);
+
+/**
+ * Replay one queued write against Firestore
+ * @param {Object} write - Queued write
+ * @returns {Promise<string>} - A WRITE_RESULTS value
+ */
+export const replayWrite = async (write) => {
+  const docRef = getGamesRef(write.userId).doc(toUserGameDocId(write.gameId));
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const serverUpdatedAt = doc.exists ? doc.data().clientUpdatedAt || 0 : 0;
+    if (serverUpdatedAt > write.clientUpdatedAt) {
+      return WRITE_RESULTS.STALE;
+    }
+
+    if (write.operation === QUEUE_OPERATIONS.REMOVE) {
+      transaction.set(docRef, {
+        deleted: true,
+        clientUpdatedAt: write.clientUpdatedAt,
+        updatedAt: firebase.firestore.Timestamp.now(),
+      }, { merge: true });
+      return WRITE_RESULTS.APPLIED;
+    }
+
+    // Updates only apply to games that still exist on the server
+    if (write.operation === QUEUE_OPERATIONS.UPDATE && (!doc.exists || doc.data().deleted)) {
+      return WRITE_RESULTS.STALE;
+    }
+
+    const data = {
+      ...stripUndefined(write.data || {}),
+      id: write.gameId,
+      userId: write.userId,
+      gameId: write.data?.bggId ? String(write.data.bggId) : write.gameId,
+      deleted: false,
+      clientUpdatedAt: write.clientUpdatedAt,
+      updatedAt: firebase.firestore.Timestamp.now(),
+    };
+    transaction.set(docRef, data, { merge: write.operation === QUEUE_OPERATIONS.UPDATE });
+    return WRITE_RESULTS.APPLIED;
+  });
+};
+
+/**
+ * Whether a failed write is worth retrying later
+ * Permission and validation errors won't fix themselves on reconnect.
+ * @param {Error} error - Error from Firestore
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) =>
+  !['permission-denied', 'invalid-argument', 'not-found'].includes(error?.code);
@@ -14,6 +14,58 @@ export const EVENT_FREQUENCY = {
   MONTHLY: 'monthly',
 };
 
+export const RSVP_STATUS = {
+  GOING: 'going',
+  MAYBE: 'maybe',
+  NOT_GOING: 'not-going',
+  WAITLISTED: 'waitlisted', // Set by the app when a "going" RSVP exceeds capacity
+};
+
+// Lifecycle of a request for an owner to bring a game (gameInterests)
+export const GAME_INTEREST_STATUS = {
+  INTERESTED: 'interested',
+  CONFIRMED: 'confirmed', // Owner committed to bringing it
+  DECLINED: 'declined',
+  FULFILLED: 'fulfilled', // Owner brought it
+};
+
+// Tabs in EventHub; notifications deep-link to these
+export const EVENT_HUB_TABS = {
+  SCHEDULE: 'schedule',
+  GAMES: 'games',
+  LIBRARY: 'library',
+  DISCUSSION: 'discussion',
+  MEMBERS: 'members',
+};
+
+// Stored on users/{uid}/notifications docs (see utils/notifications)
+export const NOTIFICATION_TYPES = {
+  NEW_POST: 'new_post',
+  NEW_COMMENT: 'new_comment',
+  GAME_INTEREST: 'game_interest',
+  GROUP_INVITE: 'group_invite',
+  RSVP_UPDATE: 'rsvp_update',
+  MEEPLEUP_CHANGES: 'meepleup_changes',
+  NEW_PUBLIC_MEEPLEUP: 'new_public_meepleup',
+  WAITLIST_PROMOTED: 'waitlist_promoted',
+  BRING_CONFIRMED: 'bring_confirmed',
+};
+
+// Where a notification's push is (notification.pushStatus); scripts/send-push-notifications.js sends pending ones
+export const PUSH_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+// How often members get an email digest of their MeepleUps (notificationPreferences.emailDigest)
+export const DIGEST_FREQUENCY = {
+  OFF: 'off',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
 export const GAME_CATEGORIES = [
   'Strategy',
   'Party',
@@ -28,12 +80,18 @@ export const GAME_CATEGORIES = [
 ];
 
 export const MAX_JOIN_CODE_LENGTH = 6;
+// Farthest a member can ask to hear about new public MeepleUps (Notification Settings)
+export const MAX_NEARBY_MEEPLEUP_DISTANCE = 500;
 export const MIN_PASSWORD_LENGTH = 6;
 
 export const STORAGE_KEYS = {
   USER: 'meepleup_user',
   EVENTS: 'meepleup_events',
   COLLECTIONS: 'meepleup_collections',
+  COLLECTION_QUEUE: 'meepleup_collection_queue',
+  EVENT_PLAYS: 'meepleup_event_plays',
+  IDENTIFICATION_SESSIONS: 'meepleup_identification_sessions',
+  GAME_ALIASES: 'meepleup_game_aliases',
 };
 
 export const ROUTES = {
@@ -42,6 +100,7 @@ export const ROUTES = {
   EVENT_HUB: '/event/:eventId',
   COLLECTION: '/collection',
   PROFILE: '/profile',
+  NOTIFICATIONS: '/notifications',
   DISCOVERY: '/discover',
   CREATE_EVENT: '/create-event',
 };
@@ -0,0 +1,429 @@
+/**
+ * Email digest
+ * A daily or weekly summary for members who rarely open the app: unread notifications, upcoming game nights
+ * with RSVP counts, new discussion posts and requests for their games still waiting on an answer.
+ * buildDigest works on plain data so it runs anywhere; scripts/send-email-digests.js loads the data from
+ * Firestore and sends the rendered email through a mail transport (src/services/mail).
+ */
+
+import { DIGEST_FREQUENCY, EVENT_HUB_TABS, GAME_INTEREST_STATUS, NOTIFICATION_TYPES, RSVP_STATUS } from './constants';
+import { getEventOccurrences, OCCURRENCE_STATUS, parseScheduledDate } from './recurrence';
+import { getMemberRSVP, groupRSVPsByStatus, normalizeRSVPs } from './rsvp';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_DAYS = {
+  [DIGEST_FREQUENCY.DAILY]: 1,
+  [DIGEST_FREQUENCY.WEEKLY]: 7,
+};
+
+// How far ahead "upcoming" looks
+const UPCOMING_DAYS = {
+  [DIGEST_FREQUENCY.DAILY]: 7,
+  [DIGEST_FREQUENCY.WEEKLY]: 14,
+};
+
+// A run that starts a little early (cron drift) still counts as a full period
+const SEND_SLACK_MS = 60 * 60 * 1000;
+
+const MAX_NOTIFICATIONS = 10;
+const MAX_POSTS_PER_GROUP = 5;
+const POST_EXCERPT_LENGTH = 140;
+
+// Posts and game requests have their own sections, so their notifications aren't listed twice
+const NOTIFICATION_TYPES_IN_SECTIONS = [NOTIFICATION_TYPES.NEW_POST, NOTIFICATION_TYPES.GAME_INTEREST];
+
+// Firestore Timestamps (client or admin), Dates and ISO strings
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return parseScheduledDate(value);
+};
+
+const toISO = (value) => toDate(value)?.toISOString() || null;
+
+/**
+ * Digest frequency from notification preferences
+ * @param {Object} preferences
+ * @returns {string} - DIGEST_FREQUENCY value
+ */
+export const getDigestFrequency = (preferences) =>
+  (Object.values(DIGEST_FREQUENCY).includes(preferences?.emailDigest) ? preferences.emailDigest : DIGEST_FREQUENCY.OFF);
+
+/**
+ * Whether a user's digest should go out now
+ * @param {string} frequency - DIGEST_FREQUENCY value
+ * @param {Date|string|Object} [lastSentAt] - When the last digest went out
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isDigestDue = (frequency, lastSentAt, now = new Date()) => {
+  const days = PERIOD_DAYS[frequency];
+  if (!days) return false;
+  const lastSent = toDate(lastSentAt);
+  return !lastSent || now.getTime() - lastSent.getTime() >= days * DAY_MS - SEND_SLACK_MS;
+};
+
+/**
+ * Start of the period a digest covers: the last digest, or one period back for the first one
+ * @param {string} frequency - DIGEST_FREQUENCY value
+ * @param {Date|string|Object} [lastSentAt]
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getDigestPeriodStart = (frequency, lastSentAt, now = new Date()) =>
+  toDate(lastSentAt) || new Date(now.getTime() - (PERIOD_DAYS[frequency] || 1) * DAY_MS);
+
+const truncate = (text, maxLength) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1).trimEnd()}…` : value;
+};
+
+const buildUpcoming = (event, members, userId, { now, until }) => {
+  const occurrences = getEventOccurrences(event, { from: now, until, limit: 5 });
+  const normalizedMembers = (members || []).map((member) => ({
+    userId: member.userId,
+    rsvps: normalizeRSVPs(member, occurrences[0]?.id),
+  }));
+  const me = normalizedMembers.find((member) => member.userId === userId);
+
+  return occurrences
+    .filter((occurrence) => new Date(occurrence.scheduledFor) <= until)
+    .map((occurrence) => {
+      const rsvps = groupRSVPsByStatus(normalizedMembers, occurrence.id);
+      return {
+        occurrenceId: occurrence.id,
+        scheduledFor: occurrence.scheduledFor,
+        moved: occurrence.status === OCCURRENCE_STATUS.MOVED,
+        going: rsvps[RSVP_STATUS.GOING].length,
+        maybe: rsvps[RSVP_STATUS.MAYBE].length,
+        waitlisted: rsvps[RSVP_STATUS.WAITLISTED].length,
+        capacity: event.capacity || null,
+        myRsvp: getMemberRSVP(me, occurrence.id),
+      };
+    });
+};
+
+/**
+ * Gather what goes into one member's digest
+ * @param {Object} params
+ * @param {Object} params.user - { id, name, email, timeZone? }
+ * @param {string} params.frequency - DIGEST_FREQUENCY value
+ * @param {Date|string|Object} [params.lastSentAt] - When the last digest went out
+ * @param {Array<Object>} [params.notifications] - The user's unread notifications
+ * @param {Array<Object>} [params.groups] - The user's MeepleUps: [{ event, members, posts, gameInterests }];
+ *   event is { id, name, series, scheduledFor, capacity }, members are member docs (with rsvps), posts and
+ *   gameInterests are the subcollection docs
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object} - { user, frequency, periodStart, generatedAt, notifications, groups, counts, hasActivity };
+ *   hasActivity is false when nothing new happened (upcoming game nights alone don't warrant an email)
+ */
+export const buildDigest = ({
+  user,
+  frequency,
+  lastSentAt = null,
+  notifications = [],
+  groups = [],
+}, { now = new Date() } = {}) => {
+  const periodStart = getDigestPeriodStart(frequency, lastSentAt, now);
+  const until = new Date(now.getTime() + (UPCOMING_DAYS[frequency] || 7) * DAY_MS);
+
+  const unread = notifications
+    .filter((notification) => notification.read !== true
+      && !NOTIFICATION_TYPES_IN_SECTIONS.includes(notification.type))
+    .map((notification) => ({
+      id: notification.id,
+      type: notification.type,
+      groupId: notification.groupId || null,
+      groupName: notification.groupName || null,
+      message: notification.message,
+      createdAt: toISO(notification.createdAt),
+    }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  const digestGroups = groups
+    .filter(({ event }) => event?.id)
+    .map(({ event, members = [], posts = [], gameInterests = [] }) => {
+      const newPosts = posts
+        .filter((post) => !post.deleted && post.userId !== user.id)
+        .map((post) => ({ ...post, createdAt: toDate(post.createdAt) }))
+        .filter((post) => post.createdAt && post.createdAt > periodStart)
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      const pendingInterests = gameInterests
+        .filter((interest) => interest.ownerId === user.id && interest.status === GAME_INTEREST_STATUS.INTERESTED)
+        .map((interest) => ({
+          id: interest.id,
+          gameName: interest.gameName,
+          interestedUserName: interest.interestedUserName || 'Someone',
+          occurrenceId: interest.occurrenceId || null,
+          eventDate: toISO(interest.eventDate),
+        }));
+
+      return {
+        groupId: event.id,
+        groupName: event.name || 'Your MeepleUp',
+        upcoming: buildUpcoming(event, members, user.id, { now, until }),
+        posts: {
+          items: newPosts.slice(0, MAX_POSTS_PER_GROUP).map((post) => ({
+            id: post.id,
+            title: post.title || '',
+            excerpt: truncate(post.content, POST_EXCERPT_LENGTH),
+            authorName: post.userName || 'Someone',
+            createdAt: post.createdAt.toISOString(),
+          })),
+          total: newPosts.length,
+        },
+        gameInterests: pendingInterests,
+      };
+    })
+    .filter((group) => group.upcoming.length || group.posts.total || group.gameInterests.length);
+
+  const counts = {
+    notifications: unread.length,
+    posts: digestGroups.reduce((sum, group) => sum + group.posts.total, 0),
+    gameInterests: digestGroups.reduce((sum, group) => sum + group.gameInterests.length, 0),
+    upcoming: digestGroups.reduce((sum, group) => sum + group.upcoming.length, 0),
+  };
+
+  return {
+    user,
+    frequency,
+    periodStart: periodStart.toISOString(),
+    generatedAt: now.toISOString(),
+    notifications: { items: unread.slice(0, MAX_NOTIFICATIONS), total: unread.length },
+    groups: digestGroups,
+    counts,
+    hasActivity: counts.notifications + counts.posts + counts.gameInterests > 0,
+  };
+};
+
+const plural = (count, singular, pluralForm = `${singular}s`) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+const escapeHtml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatWhen = (isoDate, timeZone) => {
+  const options = {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  };
+  try {
+    return new Date(isoDate).toLocaleString('en-US', { ...options, timeZone: timeZone || undefined });
+  } catch (error) {
+    return new Date(isoDate).toLocaleString('en-US', options);
+  }
+};
+
+// Same deep links the web app's notification inbox uses
+const getEventLink = (appUrl, groupId, tab, postId) => {
+  const query = new URLSearchParams({ tab });
+  if (postId) query.set('post', postId);
+  return `${appUrl.replace(/\/$/, '')}/event/${groupId}?${query.toString()}`;
+};
+
+const describeRSVPCounts = (occurrence) => {
+  const parts = [
+    occurrence.capacity ? `${occurrence.going}/${occurrence.capacity} going` : `${occurrence.going} going`,
+  ];
+  if (occurrence.maybe) parts.push(`${occurrence.maybe} maybe`);
+  if (occurrence.waitlisted) parts.push(`${occurrence.waitlisted} waitlisted`);
+  return parts.join(', ');
+};
+
+const describeMyRSVP = (status) => {
+  switch (status) {
+    case RSVP_STATUS.GOING:
+      return "You're going";
+    case RSVP_STATUS.MAYBE:
+      return "You're a maybe";
+    case RSVP_STATUS.NOT_GOING:
+      return "You're not going";
+    case RSVP_STATUS.WAITLISTED:
+      return "You're on the waitlist";
+    default:
+      return "You haven't RSVP'd";
+  }
+};
+
+/**
+ * Subject line for a digest
+ * @param {Object} digest - From buildDigest
+ * @returns {string}
+ */
+export const getDigestSubject = (digest) => {
+  const parts = [];
+  if (digest.counts.posts) parts.push(plural(digest.counts.posts, 'new post'));
+  if (digest.counts.gameInterests) parts.push(plural(digest.counts.gameInterests, 'game request'));
+  if (digest.counts.notifications) parts.push(plural(digest.counts.notifications, 'notification'));
+  const label = digest.frequency === DIGEST_FREQUENCY.WEEKLY ? 'weekly' : 'daily';
+  return parts.length
+    ? `Your ${label} MeepleUp digest: ${parts.join(', ')}`
+    : `Your ${label} MeepleUp digest`;
+};
+
+/**
+ * Plain-text version of a digest email
+ * @param {Object} digest - From buildDigest
+ * @param {Object} options
+ * @param {string} options.appUrl - Web app URL links point to
+ * @returns {string}
+ */
+export const renderDigestText = (digest, { appUrl }) => {
+  const { timeZone } = digest.user;
+  const lines = [`Hi ${digest.user.name || 'there'},`, '', "Here's what's been happening in your MeepleUps.", ''];
+
+  if (digest.notifications.total) {
+    lines.push('NOTIFICATIONS', '');
+    digest.notifications.items.forEach((notification) => lines.push(`- ${notification.message}`));
+    if (digest.notifications.total > digest.notifications.items.length) {
+      lines.push(`- …and ${digest.notifications.total - digest.notifications.items.length} more`);
+    }
+    lines.push('');
+  }
+
+  digest.groups.forEach((group) => {
+    lines.push(group.groupName.toUpperCase(), '');
+
+    if (group.upcoming.length) {
+      lines.push('Coming up:');
+      group.upcoming.forEach((occurrence) => {
+        lines.push(`- ${formatWhen(occurrence.scheduledFor, timeZone)}${occurrence.moved ? ' (moved)' : ''}: `
+          + `${describeRSVPCounts(occurrence)}. ${describeMyRSVP(occurrence.myRsvp)}.`);
+      });
+      lines.push(`  RSVP: ${getEventLink(appUrl, group.groupId, EVENT_HUB_TABS.SCHEDULE)}`, '');
+    }
+
+    if (group.posts.total) {
+      lines.push(`New posts (${group.posts.total}):`);
+      group.posts.items.forEach((post) => {
+        lines.push(`- ${post.authorName}${post.title ? `: ${post.title}` : ''}`);
+        if (post.excerpt) lines.push(`  ${post.excerpt}`);
+        lines.push(`  ${getEventLink(appUrl, group.groupId, EVENT_HUB_TABS.DISCUSSION, post.id)}`);
+      });
+      if (group.posts.total > group.posts.items.length) {
+        lines.push(`- …and ${group.posts.total - group.posts.items.length} more`);
+      }
+      lines.push('');
+    }
+
+    if (group.gameInterests.length) {
+      lines.push('Waiting on you:');
+      group.gameInterests.forEach((interest) => {
+        lines.push(`- ${interest.interestedUserName} asked you to bring ${interest.gameName}`
+          + `${interest.eventDate ? ` on ${formatWhen(interest.eventDate, timeZone)}` : ''}`);
+      });
+      lines.push(`  Respond: ${getEventLink(appUrl, group.groupId, EVENT_HUB_TABS.GAMES)}`, '');
+    }
+  });
+
+  lines.push('--', 'You get this email because email digests are on in your MeepleUp notification settings.');
+  return lines.join('\n');
+};
+
+const htmlSection = (title, body) => `
+    <h2 style="font-size:16px;color:#333;margin:24px 0 8px;">${escapeHtml(title)}</h2>
+    ${body}`;
+
+const htmlList = (items) => `<ul style="padding-left:20px;margin:0;">${items.join('')}</ul>`;
+
+const htmlLink = (href, label) => `<a href="${escapeHtml(href)}" style="color:#d45d5d;">${escapeHtml(label)}</a>`;
+
+/**
+ * HTML version of a digest email
+ * Inline styles only, since most mail clients drop <style> blocks.
+ * @param {Object} digest - From buildDigest
+ * @param {Object} options
+ * @param {string} options.appUrl - Web app URL links point to
+ * @returns {string}
+ */
+export const renderDigestHtml = (digest, { appUrl }) => {
+  const { timeZone } = digest.user;
+  const sections = [];
+
+  if (digest.notifications.total) {
+    const items = digest.notifications.items.map((notification) =>
+      `<li style="margin-bottom:6px;">${escapeHtml(notification.message)}</li>`);
+    if (digest.notifications.total > digest.notifications.items.length) {
+      items.push(`<li style="color:#666;">…and ${digest.notifications.total - digest.notifications.items.length} more</li>`);
+    }
+    sections.push(htmlSection('Notifications', htmlList(items)));
+  }
+
+  digest.groups.forEach((group) => {
+    const parts = [];
+
+    if (group.upcoming.length) {
+      const items = group.upcoming.map((occurrence) => `
+        <li style="margin-bottom:6px;">
+          <strong>${escapeHtml(formatWhen(occurrence.scheduledFor, timeZone))}</strong>${occurrence.moved ? ' (moved)' : ''}<br>
+          <span style="color:#666;">${escapeHtml(describeRSVPCounts(occurrence))} · ${escapeHtml(describeMyRSVP(occurrence.myRsvp))}</span>
+        </li>`);
+      parts.push(`<p style="margin:8px 0 4px;font-weight:600;">Coming up</p>${htmlList(items)}
+        <p style="margin:4px 0 0;">${htmlLink(getEventLink(appUrl, group.groupId, EVENT_HUB_TABS.SCHEDULE), 'RSVP')}</p>`);
+    }
+
+    if (group.posts.total) {
+      const items = group.posts.items.map((post) => `
+        <li style="margin-bottom:8px;">
+          ${htmlLink(getEventLink(appUrl, group.groupId, EVENT_HUB_TABS.DISCUSSION, post.id), post.title || `Post by ${post.authorName}`)}
+          ${post.title ? `<span style="color:#666;"> by ${escapeHtml(post.authorName)}</span>` : ''}
+          ${post.excerpt ? `<br><span style="color:#666;">${escapeHtml(post.excerpt)}</span>` : ''}
+        </li>`);
+      if (group.posts.total > group.posts.items.length) {
+        items.push(`<li style="color:#666;">…and ${group.posts.total - group.posts.items.length} more</li>`);
+      }
+      parts.push(`<p style="margin:12px 0 4px;font-weight:600;">New posts (${group.posts.total})</p>${htmlList(items)}`);
+    }
+
+    if (group.gameInterests.length) {
+      const items = group.gameInterests.map((interest) => `
+        <li style="margin-bottom:6px;">
+          ${escapeHtml(interest.interestedUserName)} asked you to bring <strong>${escapeHtml(interest.gameName)}</strong>
+          ${interest.eventDate ? ` on ${escapeHtml(formatWhen(interest.eventDate, timeZone))}` : ''}
+        </li>`);
+      parts.push(`<p style="margin:12px 0 4px;font-weight:600;">Waiting on you</p>${htmlList(items)}
+        <p style="margin:4px 0 0;">${htmlLink(getEventLink(appUrl, group.groupId, EVENT_HUB_TABS.GAMES), 'Respond')}</p>`);
+    }
+
+    sections.push(htmlSection(group.groupName, parts.join('')));
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(getDigestSubject(digest))}</title></head>
+<body style="margin:0;padding:0;background:#f5f5f5;">
+  <div style="max-width:600px;margin:0 auto;padding:24px;background:#fff;font-family:Helvetica,Arial,sans-serif;font-size:14px;color:#333;line-height:1.5;">
+    <h1 style="font-size:20px;margin:0 0 8px;">Hi ${escapeHtml(digest.user.name || 'there')},</h1>
+    <p style="margin:0;color:#666;">Here's what's been happening in your MeepleUps.</p>
+    ${sections.join('')}
+    <p style="margin:32px 0 0;font-size:12px;color:#999;">
+      You get this email because email digests are on in your MeepleUp notification settings.
+    </p>
+  </div>
+</body>
+</html>`;
+};
+
+/**
+ * Render a digest as an email message
+ * @param {Object} digest - From buildDigest
+ * @param {Object} options
+ * @param {string} options.appUrl - Web app URL links point to
+ * @returns {Object} - { to, subject, html, text }
+ */
+export const renderDigestEmail = (digest, { appUrl }) => ({
+  to: digest.user.email,
+  subject: getDigestSubject(digest),
+  html: renderDigestHtml(digest, { appUrl }),
+  text: renderDigestText(digest, { appUrl }),
+});
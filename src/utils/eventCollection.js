@@ -0,0 +1,75 @@
+/**
+ * Merged event library
+ * Combines members' collections into one entry per title (keyed by bggId), keeping every copy.
+ */
+
+import { RSVP_STATUS } from './constants';
+
+/**
+ * Key used to match the same game across members' collections
+ * @param {Object} game - Collection entry
+ * @returns {string|null} - "bgg_{bggId}", or the entry ID for games without a BGG ID
+ */
+export const getGameKey = (game) => {
+  if (!game) return null;
+  if (game.bggId) return `bgg_${game.bggId}`;
+  return game.id ? String(game.id) : null;
+};
+
+/**
+ * Whether a copy is visible in a group
+ * Copies without visibleInGroups are visible everywhere.
+ * @param {Object} game - Collection entry
+ * @param {string} [groupId] - Gaming group ID
+ * @returns {boolean}
+ */
+export const isVisibleInGroup = (game, groupId) => {
+  if (!groupId || !Array.isArray(game?.visibleInGroups)) return true;
+  return game.visibleInGroups.includes(groupId);
+};
+
+/**
+ * Merge members' collections into one entry per title
+ * Each entry carries the first copy's game fields, so it can be used anywhere a game is expected.
+ * @param {Object} collectionsByUser - { userId: [games] }
+ * @param {Object} [options]
+ * @param {string} [options.groupId] - Drop copies not visible in this group
+ * @param {Object} [options.rsvpByUser] - { userId: rsvpStatus } for the game night; enables availableTonight
+ * @returns {Array<Object>} - [{ ...game, key, owners, ownerIds, copyCount, availableTonight }]
+ */
+export const mergeEventCollection = (collectionsByUser, { groupId, rsvpByUser } = {}) => {
+  const entries = new Map();
+
+  Object.entries(collectionsByUser || {}).forEach(([userId, userGames]) => {
+    (userGames || []).forEach((game) => {
+      const key = getGameKey(game);
+      // Wishlist and previously-owned entries aren't copies anyone can bring
+      if (!key || game?.status?.own === false || !isVisibleInGroup(game, groupId)) return;
+
+      if (!entries.has(key)) {
+        entries.set(key, { ...game, key, owners: [] });
+      }
+
+      const rsvpStatus = rsvpByUser ? rsvpByUser[userId] || null : undefined;
+      entries.get(key).owners.push({
+        userId,
+        gameId: game.id || null,
+        condition: game.tradingStatus?.condition || game.condition || null,
+        visibleInGroups: Array.isArray(game.visibleInGroups) ? game.visibleInGroups : null,
+        rsvpStatus: rsvpStatus === undefined ? null : rsvpStatus,
+      });
+    });
+  });
+
+  return Array.from(entries.values()).map((entry) => {
+    const ownerIds = [...new Set(entry.owners.map((owner) => owner.userId))];
+    return {
+      ...entry,
+      ownerIds,
+      copyCount: entry.owners.length,
+      availableTonight: rsvpByUser
+        ? entry.owners.some((owner) => owner.rsvpStatus === RSVP_STATUS.GOING)
+        : null,
+    };
+  });
+};
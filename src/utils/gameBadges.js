@@ -130,6 +130,22 @@ export function getGameBadges(game) {
   return badges;
 }
 
+/**
+ * Get the categories a game is ranked in, regardless of badge level
+ * @param {Object} game - Game object with category rank fields
+ * @returns {Array<string>} - Category keys from CATEGORIES
+ */
+export function getGameCategories(game) {
+  if (!game) {
+    return [];
+  }
+
+  return Object.keys(CATEGORIES).filter((categoryKey) => {
+    const rankNum = parseInt(game[CATEGORIES[categoryKey].field], 10);
+    return !isNaN(rankNum) && rankNum > 0;
+  });
+}
+
 /**
  * Get star rating display (0-5 stars) based on average rating
  * @param {string|number} average - Average rating (typically 0-10 scale)
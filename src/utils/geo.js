@@ -0,0 +1,178 @@
+/**
+ * Geography helpers: distances, geocoding and geohashes
+ * expo-location is loaded when geocoding is first used, so the rest also runs under Node (scripts/).
+ */
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} - Miles
+ */
+export const haversineMiles = (lat1, lon1, lat2, lon2) => {
+  const R = 3958.8; // Radius of the Earth in miles
+  const toRad = (value) => (value * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+/**
+ * Coordinates typed as text ("41.88, -87.63"), as "use current location" fills them in
+ * @param {string} text
+ * @returns {Object|null} - { lat, lng }
+ */
+export const parseCoordinateText = (text) => {
+  const match = String(text || '').match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+};
+
+// Geohashes stored on documents; 9 characters is a cell of about 5 x 5 m
+export const GEOHASH_PRECISION = 9;
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+/**
+ * Geohash of a point: nearby points share a prefix, so a range query on the hash finds them
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} [precision] - Characters (default: GEOHASH_PRECISION)
+ * @returns {string}
+ */
+export const encodeGeohash = (lat, lng, precision = GEOHASH_PRECISION) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLngBit = true;
+
+  while (hash.length < precision) {
+    const range = isLngBit ? lngRange : latRange;
+    const value = isLngBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    isLngBit = !isLngBit;
+
+    bitCount++;
+    if (bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Height and width, in degrees, of a geohash cell
+const getGeohashCellSize = (precision) => {
+  const lngBits = Math.ceil((precision * 5) / 2);
+  const latBits = precision * 5 - lngBits;
+  return { lat: 180 / 2 ** latBits, lng: 360 / 2 ** lngBits };
+};
+
+const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Geohash ranges that together cover a circle
+ * Picks the smallest cell at least as big as the radius, so the circle fits in that cell and its 8 neighbours.
+ * Query each range with orderBy(geohash).startAt(start).endAt(end), then drop results outside the radius:
+ * the cells cover a square, not a circle.
+ * @param {Object} center - { lat, lng }
+ * @param {number} radiusMiles
+ * @returns {Array<Array<string>>} - [[start, end], ...]
+ */
+export const getGeohashQueryBounds = (center, radiusMiles) => {
+  const latDelta = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+  // Longitude degrees shrink towards the poles; cap the stretch so it stays finite there
+  const cosLat = Math.max(Math.cos((center.lat * Math.PI) / 180), 0.01);
+  const lngDelta = latDelta / cosLat;
+
+  let precision = GEOHASH_PRECISION;
+  let cell = getGeohashCellSize(precision);
+  while (precision > 1 && (cell.lat < latDelta || cell.lng < lngDelta)) {
+    precision--;
+    cell = getGeohashCellSize(precision);
+  }
+
+  // Bigger than the largest cells: everything is in range
+  if (cell.lat < latDelta || cell.lng < lngDelta) {
+    return [['0', '~']];
+  }
+
+  const hashes = new Set();
+  [-1, 0, 1].forEach((latStep) => {
+    [-1, 0, 1].forEach((lngStep) => {
+      const lat = Math.min(Math.max(center.lat + latStep * cell.lat, -90), 90);
+      const lng = wrapLongitude(center.lng + lngStep * cell.lng);
+      hashes.add(encodeGeohash(lat, lng, precision));
+    });
+  });
+
+  // '~' sorts after every geohash character, so [hash, hash~] is every hash with that prefix
+  return Array.from(hashes).sort().map((hash) => [hash, `${hash}~`]);
+};
+
+/**
+ * Geocode free text (an address, city or postal code) with the device's geocoder
+ * @param {string} query
+ * @returns {Promise<Object|null>} - { lat, lng, label, postalCode }, or null when nothing was found
+ */
+export const geocodeQuery = async (query) => {
+  if (!query) {
+    return null;
+  }
+
+  try {
+    const Location = require('expo-location');
+    const results = await Location.geocodeAsync(query);
+    if (!results || results.length === 0) {
+      return null;
+    }
+
+    const [primary] = results;
+    const latitude = typeof primary.latitude === 'number' ? primary.latitude : null;
+    const longitude = typeof primary.longitude === 'number' ? primary.longitude : null;
+
+    if (latitude === null || longitude === null) {
+      return null;
+    }
+
+    const nameParts = [
+      primary.name,
+      primary.city,
+      primary.region || primary.subregion,
+      primary.isoCountryCode,
+    ].filter(Boolean);
+
+    return {
+      lat: latitude,
+      lng: longitude,
+      label: nameParts.length > 0 ? nameParts.join(', ') : query,
+      postalCode: primary.postalCode || (query.match(/^\d{5}$/) ? query : ''),
+    };
+  } catch (error) {
+    console.warn('[Geo] geocodeAsync failed', error?.message || error);
+    return null;
+  }
+};
@@ -3,6 +3,16 @@
  * Generates .ics files compatible with iCal, Google Calendar, and other calendar applications
  */
 
+import {
+  buildRRule,
+  generateOccurrences,
+  getOriginalOccurrenceDate,
+  getTimeZoneOffsetMinutes,
+  normalizeSeries,
+  OCCURRENCE_STATUS,
+  parseScheduledDate,
+} from './recurrence';
+
 /**
  * Escape text for iCal format
  * @param {string} text - Text to escape
@@ -43,6 +53,171 @@ const formatIcalDate = (dateString) => {
   return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
 };
 
+/**
+ * Format date as local wall-clock time (YYYYMMDDTHHmmss) in a time zone
+ * Falls back to the device's local time when no time zone is given
+ * @param {Date} date - Date to format
+ * @param {string} [timeZone] - IANA time zone (e.g. "America/Chicago")
+ * @returns {string} - Formatted iCal local date string
+ */
+const formatIcalLocalDate = (date, timeZone) => {
+  if (!date || isNaN(date.getTime())) return '';
+
+  if (timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+      }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+      }, {});
+      return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+    } catch (error) {
+      // Unknown time zone, fall through to device local time
+    }
+  }
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  const seconds = String(date.getSeconds()).padStart(2, '0');
+  return `${year}${month}${day}T${hours}${minutes}${seconds}`;
+};
+
+/**
+ * Build a date-time property line for a recurring series
+ * Recurring events use local time with TZID so BYDAY rules don't drift across UTC midnight
+ * @param {string} name - Property name (DTSTART, DTEND, EXDATE, RECURRENCE-ID)
+ * @param {Date} date - Date value
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string}
+ */
+const formatSeriesDateProperty = (name, date, timeZone) => {
+  const value = formatIcalLocalDate(date, timeZone);
+  return timeZone ? `${name};TZID=${timeZone}:${value}` : `${name}:${value}`;
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Years of offset changes written into a VTIMEZONE past the series' last date
+const VTIMEZONE_YEARS_AHEAD = 5;
+
+/**
+ * Format a UTC offset in minutes as "+HHMM"/"-HHMM"
+ * @param {number} minutes - Offset in minutes
+ * @returns {string}
+ */
+const formatUtcOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+  const remainder = String(Math.abs(minutes) % 60).padStart(2, '0');
+  return `${sign}${hours}${remainder}`;
+};
+
+/**
+ * Find the instants a time zone changes its UTC offset
+ * Scans day by day, then narrows each change down to the minute
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} start - Scan start
+ * @param {Date} end - Scan end
+ * @returns {Array<Object>} - [{ at, offsetFrom, offsetTo }], at in milliseconds
+ */
+const findOffsetTransitions = (timeZone, start, end) => {
+  const transitions = [];
+  let previousOffset = getTimeZoneOffsetMinutes(start, timeZone);
+
+  for (let time = start.getTime() + DAY_MS; time <= end.getTime(); time += DAY_MS) {
+    const offset = getTimeZoneOffsetMinutes(new Date(time), timeZone);
+    if (offset === previousOffset) continue;
+
+    let low = time - DAY_MS;
+    let high = time;
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getTimeZoneOffsetMinutes(new Date(middle), timeZone) === previousOffset) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    transitions.push({ at: high, offsetFrom: previousOffset, offsetTo: offset });
+    previousOffset = offset;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build the VTIMEZONE component a recurring series' TZID refers to
+ * Offset changes are listed as explicit onsets (DTSTART/RDATE) from the start
+ * of the series' first year, read from the device's time zone database.
+ * @param {Object} series - Normalized series with a timezone
+ * @returns {Array<string>} - iCal lines
+ */
+const buildVTimezone = (series) => {
+  const { timezone } = series;
+  const start = new Date(series.startsAt);
+  const end = series.until ? new Date(series.until) : new Date(Math.max(start.getTime(), Date.now()));
+  const scanStart = new Date(Date.UTC(start.getUTCFullYear(), 0, 1));
+  const scanEnd = new Date(Date.UTC(end.getUTCFullYear() + VTIMEZONE_YEARS_AHEAD, 0, 1));
+
+  const transitions = findOffsetTransitions(timezone, scanStart, scanEnd);
+  const initialOffset = transitions.length
+    ? transitions[0].offsetFrom
+    : getTimeZoneOffsetMinutes(scanStart, timezone);
+
+  // The scan starts on daylight time if the first change turns clocks back
+  const observances = [
+    {
+      at: scanStart.getTime(),
+      offsetFrom: initialOffset,
+      offsetTo: initialOffset,
+      daylight: transitions.length > 0 && transitions[0].offsetTo < initialOffset,
+    },
+    ...transitions.map((transition) => ({
+      ...transition,
+      daylight: transition.offsetTo > transition.offsetFrom,
+    })),
+  ];
+
+  // One STANDARD/DAYLIGHT component per kind of change, each onset in local time before the change
+  const components = new Map();
+  observances.forEach((observance) => {
+    const key = `${observance.daylight}|${observance.offsetFrom}|${observance.offsetTo}`;
+    if (!components.has(key)) {
+      components.set(key, { ...observance, onsets: [] });
+    }
+    const localOnset = new Date(observance.at + observance.offsetFrom * MINUTE_MS);
+    components.get(key).onsets.push(formatIcalDate(localOnset).slice(0, -1));
+  });
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  components.forEach((component) => {
+    const name = component.daylight ? 'DAYLIGHT' : 'STANDARD';
+    const [firstOnset, ...otherOnsets] = component.onsets;
+    lines.push(`BEGIN:${name}`);
+    lines.push(`DTSTART:${firstOnset}`);
+    otherOnsets.forEach((onset) => lines.push(`RDATE:${onset}`));
+    lines.push(`TZOFFSETFROM:${formatUtcOffset(component.offsetFrom)}`);
+    lines.push(`TZOFFSETTO:${formatUtcOffset(component.offsetTo)}`);
+    lines.push(`END:${name}`);
+  });
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+};
+
 /**
  * Generate a unique ID for the event
  * @param {string} eventId - Event ID
@@ -78,6 +253,12 @@ export const generateIcalEvent = (event, options = {}) => {
   lines.push('PRODID:-//MeepleUp//MeepleUp Calendar//EN');
   lines.push('CALSCALE:GREGORIAN');
   lines.push('METHOD:PUBLISH');
+
+  // Recurring series are written in their own time zone, which TZID refers to
+  const series = normalizeSeries(event.series);
+  if (series?.timezone) {
+    lines.push(...buildVTimezone(series));
+  }
   
   // Start event
   lines.push('BEGIN:VEVENT');
@@ -128,8 +309,40 @@ export const generateIcalEvent = (event, options = {}) => {
   }
   
   // Date/time
-  if (event.scheduledFor) {
-    const startDate = new Date(event.scheduledFor);
+  const movedOccurrences = [];
+  if (series) {
+    // Recurring series: DTSTART is the first occurrence, RRULE expands the rest
+    const [firstOccurrence] = generateOccurrences(series, {
+      from: series.startsAt,
+      limit: 1,
+      includeSkipped: true,
+    });
+
+    if (firstOccurrence) {
+      const startDate = new Date(firstOccurrence.originalDate);
+      const endDate = new Date(startDate);
+      endDate.setHours(endDate.getHours() + durationHours);
+      lines.push(formatSeriesDateProperty('DTSTART', startDate, series.timezone));
+      lines.push(formatSeriesDateProperty('DTEND', endDate, series.timezone));
+      lines.push(`RRULE:${buildRRule(series, formatIcalDate)}`);
+
+      // Skipped and moved nights are both excluded from the rule;
+      // moved ones are re-added below as overrides
+      Object.entries(series.exceptions).forEach(([occurrenceId, exception]) => {
+        const originalDate = getOriginalOccurrenceDate(series, occurrenceId);
+        if (!originalDate) return;
+
+        lines.push(formatSeriesDateProperty('EXDATE', originalDate, series.timezone));
+        const movedTo = exception?.status === OCCURRENCE_STATUS.MOVED
+          ? parseScheduledDate(exception.scheduledFor)
+          : null;
+        if (movedTo) {
+          movedOccurrences.push({ originalDate, scheduledFor: movedTo });
+        }
+      });
+    }
+  } else if (event.scheduledFor) {
+    const startDate = parseScheduledDate(event.scheduledFor) || new Date(NaN);
     
     if (!isNaN(startDate.getTime())) {
       const startDateTime = formatIcalDate(startDate);
@@ -177,6 +390,23 @@ export const generateIcalEvent = (event, options = {}) => {
   
   // End event
   lines.push('END:VEVENT');
+
+  // Moved occurrences become overrides of the series (same UID, RECURRENCE-ID)
+  movedOccurrences.forEach((occurrence) => {
+    const startDate = occurrence.scheduledFor;
+    const endDate = new Date(startDate);
+    endDate.setHours(endDate.getHours() + durationHours);
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${uid}`);
+    lines.push(`SUMMARY:${escapeIcalText(summary)}`);
+    lines.push(formatSeriesDateProperty('RECURRENCE-ID', occurrence.originalDate, series.timezone));
+    lines.push(`DTSTART:${formatIcalDate(startDate)}`);
+    lines.push(`DTEND:${formatIcalDate(endDate)}`);
+    lines.push(`DTSTAMP:${formatIcalDate(new Date())}`);
+    lines.push('STATUS:CONFIRMED');
+    lines.push('END:VEVENT');
+  });
   
   // End calendar component
   lines.push('END:VCALENDAR');
@@ -204,21 +434,36 @@ export const generateIcalCalendar = (events, options = {}) => {
   lines.push('CALSCALE:GREGORIAN');
   lines.push('METHOD:PUBLISH');
   
-  // Add each event
+  // Add each event; time zones are shared, so each VTIMEZONE is written once ahead of the events
+  const timeZones = new Map();
+  const eventLines = [];
   events.forEach(event => {
     if (!event) return;
     
-    const eventLines = generateIcalEvent(event, options).split('\r\n');
+    const icalLines = generateIcalEvent(event, options).split('\r\n');
+
+    const tzStartIdx = icalLines.indexOf('BEGIN:VTIMEZONE');
+    if (tzStartIdx !== -1) {
+      const tzLines = icalLines.slice(tzStartIdx, icalLines.indexOf('END:VTIMEZONE') + 1);
+      // Keep the widest range of offset changes when series share a zone
+      if ((timeZones.get(tzLines[1]) || []).length < tzLines.length) {
+        timeZones.set(tzLines[1], tzLines);
+      }
+    }
     
-    // Extract just the event portion (between BEGIN:VEVENT and END:VEVENT)
-    const startIdx = eventLines.indexOf('BEGIN:VEVENT');
-    const endIdx = eventLines.indexOf('END:VEVENT');
+    // Extract just the event portion (first BEGIN:VEVENT to last END:VEVENT,
+    // so recurring overrides come along)
+    const startIdx = icalLines.indexOf('BEGIN:VEVENT');
+    const endIdx = icalLines.lastIndexOf('END:VEVENT');
     
     if (startIdx !== -1 && endIdx !== -1) {
-      const eventContent = eventLines.slice(startIdx, endIdx + 1);
-      lines.push(...eventContent);
+      const eventContent = icalLines.slice(startIdx, endIdx + 1);
+      eventLines.push(...eventContent);
     }
   });
+
+  timeZones.forEach((tzLines) => lines.push(...tzLines));
+  lines.push(...eventLines);
   
   // End calendar component
   lines.push('END:VCALENDAR');
@@ -296,52 +541,13 @@ export const generateGoogleCalendarUrl = (event) => {
   // Format dates for Google Calendar (YYYYMMDDTHHmmss format - local time, no Z)
   // Google Calendar interprets this as local time unless Z is specified
   let dates = '';
-  if (event.scheduledFor) {
-    // Parse the date - handle both ISO strings and formatted strings
-    let startDate;
-    const scheduledForValue = event.scheduledFor;
-    
-    // Try parsing as-is first (works for ISO strings)
-    startDate = new Date(scheduledForValue);
-    
-    // If that doesn't work, try to parse formatted strings like "Sunday, December 21, 2025 at 5:16 PM"
-    if (isNaN(startDate.getTime())) {
-      const dateStr = String(scheduledForValue).trim();
-      
-      // Try to parse formats like "Sunday, December 21, 2025 at 5:16 PM"
-      // Remove day of week if present (e.g., "Sunday, ")
-      let cleaned = dateStr.replace(/^[A-Za-z]+,\s*/i, '');
-      
-      // Replace "at" with a space for better parsing
-      cleaned = cleaned.replace(/\s+at\s+/i, ' ');
-      
-      // Try parsing the cleaned string
-      startDate = new Date(cleaned);
-      
-      // If still invalid, try a more manual approach
-      if (isNaN(startDate.getTime())) {
-        // Try to extract date components manually
-        // Format: "December 21, 2025 5:16 PM"
-        const dateMatch = cleaned.match(/(\w+)\s+(\d+),\s+(\d+)\s+(\d+):(\d+)\s+(AM|PM)/i);
-        if (dateMatch) {
-          const [, monthName, day, year, hour, minute, ampm] = dateMatch;
-          const monthNames = ['january', 'february', 'march', 'april', 'may', 'june',
-                             'july', 'august', 'september', 'october', 'november', 'december'];
-          const monthIndex = monthNames.findIndex(m => m.startsWith(monthName.toLowerCase()));
-          
-          if (monthIndex !== -1) {
-            let hour24 = parseInt(hour, 10);
-            if (ampm.toUpperCase() === 'PM' && hour24 !== 12) {
-              hour24 += 12;
-            } else if (ampm.toUpperCase() === 'AM' && hour24 === 12) {
-              hour24 = 0;
-            }
-            
-            startDate = new Date(parseInt(year, 10), monthIndex, parseInt(day, 10), hour24, parseInt(minute, 10));
-          }
-        }
-      }
-    }
+  const series = normalizeSeries(event.series);
+  if (series || event.scheduledFor) {
+    // Recurring events start at the next upcoming occurrence; one-time events
+    // parse ISO strings and formatted strings like "Sunday, December 21, 2025 at 5:16 PM"
+    const nextOccurrence = series ? generateOccurrences(series, { limit: 1 })[0] : null;
+    const scheduledForValue = nextOccurrence ? nextOccurrence.scheduledFor : event.scheduledFor;
+    const startDate = parseScheduledDate(scheduledForValue) || new Date(NaN);
     
     // If still invalid, return URL without dates
     if (isNaN(startDate.getTime())) {
@@ -381,6 +587,11 @@ export const generateGoogleCalendarUrl = (event) => {
   if (dates) {
     params.append('dates', dates);
   }
+
+  // Recurrence rule for repeating game nights
+  if (series && dates) {
+    params.append('recur', `RRULE:${buildRRule(series, formatIcalDate)}`);
+  }
   
   // Location
   const location = event.exactLocation || event.generalLocation || '';
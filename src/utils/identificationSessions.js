@@ -0,0 +1,175 @@
+/**
+ * Saved photo identification sessions
+ * A session is everything ClaudeGameIdentifier knows about one photo: Claude's candidates, which BGG
+ * lookups are still outstanding, titles the user rejected and any half-finished correction. Sessions are
+ * kept in storage so a crash or a backgrounded app can pick up where it left off, and finished sessions
+ * stay around for review.
+ */
+
+import storage from './storage';
+import { STORAGE_KEYS } from './constants';
+
+export const IDENTIFICATION_SESSION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+};
+
+// Oldest sessions are dropped past this
+export const MAX_SAVED_SESSIONS = 20;
+
+const EMPTY_STATE = { activeSessionId: null, sessions: [] };
+
+// Storage writes are read-modify-write, so run them one at a time
+let writeChain = Promise.resolve();
+
+const readState = async () => {
+  try {
+    const stored = await storage.getItem(STORAGE_KEYS.IDENTIFICATION_SESSIONS);
+    if (!stored) return EMPTY_STATE;
+    const parsed = JSON.parse(stored);
+    return {
+      activeSessionId: parsed.activeSessionId || null,
+      sessions: Array.isArray(parsed.sessions) ? parsed.sessions : [],
+    };
+  } catch (error) {
+    console.error('Error loading identification sessions:', error);
+    return EMPTY_STATE;
+  }
+};
+
+const updateState = (updater) => {
+  writeChain = writeChain.then(async () => {
+    const nextState = updater(await readState());
+    try {
+      await storage.setItem(STORAGE_KEYS.IDENTIFICATION_SESSIONS, JSON.stringify(nextState));
+    } catch (error) {
+      console.error('Error saving identification sessions:', error);
+    }
+    return nextState;
+  });
+  return writeChain;
+};
+
+const isAwaitingLookup = (candidate) =>
+  candidate.status === 'pending'
+  && (candidate.bggStatus === 'idle' || candidate.bggStatus === 'loading')
+  && candidate.claudeConfidence !== 'low';
+
+/**
+ * Candidates whose BGG lookup hasn't finished, in the order they'll be looked up
+ * @param {Array<Object>} candidates
+ * @returns {Array<string>} - Candidate IDs
+ */
+export const getPendingLookupIds = (candidates = []) =>
+  candidates.filter(isAwaitingLookup).map((candidate) => candidate.id);
+
+/**
+ * Build the stored form of a session
+ * The photo is kept by URI only; base64 would blow through AsyncStorage limits.
+ * @param {Object} session
+ * @param {string} session.id - Session key
+ * @param {Object} [session.photo] - Captured photo ({ uri })
+ * @returns {Object}
+ */
+export const toStoredSession = ({
+  id,
+  startedAt,
+  status = IDENTIFICATION_SESSION_STATUS.ACTIVE,
+  photo = null,
+  comments = '',
+  candidates = [],
+  rejectedTitles = [],
+  correction = null,
+}) => ({
+  id,
+  startedAt: startedAt || new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+  status,
+  photoUri: photo?.uri || null,
+  comments,
+  candidates,
+  pendingLookupIds: getPendingLookupIds(candidates),
+  rejectedTitles,
+  correction,
+});
+
+/**
+ * Candidates ready to hand back to the identifier
+ * Lookups that were in flight when the app went away are reset to idle so they run again.
+ * @param {Object} session - Stored session
+ * @returns {Array<Object>}
+ */
+export const getResumableCandidates = (session) => {
+  const pending = new Set(session.pendingLookupIds || []);
+  return (session.candidates || []).map((candidate) =>
+    (pending.has(candidate.id) && candidate.bggStatus === 'loading'
+      ? { ...candidate, bggStatus: 'idle' }
+      : candidate));
+};
+
+/**
+ * One-line description of a session for the history list
+ * @param {Object} session - Stored session
+ * @returns {Object} - { gameCount, confirmedCount, pendingLookupCount, titles }
+ */
+export const getSessionSummary = (session) => {
+  const candidates = session.candidates || [];
+  return {
+    gameCount: candidates.length,
+    confirmedCount: candidates.filter((candidate) => candidate.status === 'confirmed').length,
+    pendingLookupCount: (session.pendingLookupIds || []).length,
+    titles: candidates.map((candidate) => candidate.bggData?.name || candidate.claudeTitle).filter(Boolean),
+  };
+};
+
+/**
+ * Load saved sessions, newest first
+ * @returns {Promise<{ activeSessionId: string|null, sessions: Array<Object> }>}
+ */
+export const loadIdentificationSessions = async () => {
+  await writeChain;
+  return readState();
+};
+
+/**
+ * Save (insert or replace) a session
+ * @param {Object} session - Stored session from toStoredSession
+ * @returns {Promise<Object>} - New stored state
+ */
+export const saveIdentificationSession = (session) =>
+  updateState((state) => {
+    const sessions = [session, ...state.sessions.filter((entry) => entry.id !== session.id)]
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+      .slice(0, MAX_SAVED_SESSIONS);
+    return {
+      activeSessionId: session.status === IDENTIFICATION_SESSION_STATUS.ACTIVE
+        ? session.id
+        : (state.activeSessionId === session.id ? null : state.activeSessionId),
+      sessions,
+    };
+  });
+
+/**
+ * Mark a session finished so it isn't resumed on the next launch; it stays in the history
+ * @param {string} sessionId
+ * @returns {Promise<Object>} - New stored state
+ */
+export const completeIdentificationSession = (sessionId) =>
+  updateState((state) => ({
+    activeSessionId: state.activeSessionId === sessionId ? null : state.activeSessionId,
+    sessions: state.sessions.map((entry) =>
+      (entry.id === sessionId
+        ? { ...entry, status: IDENTIFICATION_SESSION_STATUS.COMPLETED, updatedAt: new Date().toISOString() }
+        : entry)),
+  }));
+
+/**
+ * Remove a session from the history
+ * @param {string} sessionId
+ * @returns {Promise<Object>} - New stored state
+ */
+export const deleteIdentificationSession = (sessionId) =>
+  updateState((state) => ({
+    activeSessionId: state.activeSessionId === sessionId ? null : state.activeSessionId,
+    sessions: state.sessions.filter((entry) => entry.id !== sessionId),
+  }));
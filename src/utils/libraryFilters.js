@@ -0,0 +1,85 @@
+/**
+ * Shared library helpers for MeepleUp events
+ * Filters the merged event library for a game night.
+ */
+
+import { getGameCategories } from './gameBadges';
+
+// Play time buckets shown as filter chips (minutes)
+export const PLAY_TIME_FILTERS = [
+  { key: 'short', label: 'Up to 30 min', max: 30 },
+  { key: 'medium', label: 'Up to 1 hr', max: 60 },
+  { key: 'long', label: 'Up to 2 hr', max: 120 },
+  { key: 'epic', label: 'Over 2 hr', min: 121 },
+];
+
+const toNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Fill gaps in merged library entries and tag their categories
+ * Collection fields win; the games collection only fills what's missing (player counts, ranks).
+ * @param {Array<Object>} entries - Entries from getEventCollection
+ * @param {Object} [gameDetails] - { bggId: game } from the games collection
+ * @returns {Array<Object>} - Entries with categories, sorted by title
+ */
+export const withGameDetails = (entries, gameDetails = {}) =>
+  (entries || [])
+    .map((entry) => {
+      const details = entry.bggId ? gameDetails[String(entry.bggId)] || {} : {};
+      const merged = { ...entry };
+      Object.keys(details).forEach((field) => {
+        if (merged[field] === null || merged[field] === undefined || merged[field] === '') {
+          merged[field] = details[field];
+        }
+      });
+      return { ...merged, categories: getGameCategories(merged) };
+    })
+    .sort((a, b) => (a.title || a.name || '').localeCompare(b.title || b.name || ''));
+
+/**
+ * Whether a game plays at a given player count
+ * Games with unknown player counts are kept rather than hidden.
+ * @param {Object} game - Game with minPlayers/maxPlayers
+ * @param {number} playerCount - Number of players
+ * @returns {boolean}
+ */
+export const fitsPlayerCount = (game, playerCount) => {
+  const minPlayers = toNumber(game.minPlayers);
+  const maxPlayers = toNumber(game.maxPlayers);
+  if (minPlayers && playerCount < minPlayers) return false;
+  if (maxPlayers && playerCount > maxPlayers) return false;
+  return true;
+};
+
+/**
+ * Filter shared library entries
+ * @param {Array<Object>} entries - Entries from withGameDetails
+ * @param {Object} filters
+ * @param {number} [filters.playerCount] - Only games that play at this count
+ * @param {string} [filters.playTime] - Key from PLAY_TIME_FILTERS
+ * @param {string} [filters.category] - Key from CATEGORIES
+ * @param {string} [filters.ownerId] - Only games this member owns
+ * @returns {Array<Object>}
+ */
+export const filterLibrary = (entries, { playerCount, playTime, category, ownerId } = {}) => {
+  const timeFilter = PLAY_TIME_FILTERS.find((filter) => filter.key === playTime);
+
+  return (entries || []).filter((entry) => {
+    if (playerCount && !fitsPlayerCount(entry, playerCount)) return false;
+
+    if (timeFilter) {
+      const minutes = toNumber(entry.playingTime);
+      if (!minutes) return false;
+      if (timeFilter.max && minutes > timeFilter.max) return false;
+      if (timeFilter.min && minutes < timeFilter.min) return false;
+    }
+
+    if (category && !entry.categories.includes(category)) return false;
+    if (ownerId && !entry.ownerIds.includes(ownerId)) return false;
+
+    return true;
+  });
+};
@@ -5,7 +5,7 @@
  * These functions check user preferences before sending notifications.
  */
 
-import { notifyMeepleUpMembers, notifyGameOwner } from './notifications';
+import { notifyMeepleUpMembers, notifyGameOwner, createNotification } from './notifications';
 
 /**
  * Call this when a new post is created in a MeepleUp
@@ -15,8 +15,9 @@ import { notifyMeepleUpMembers, notifyGameOwner } from './notifications';
  * @param {string} userName - Name of user who created the post
  * @param {string} postTitle - Post title (optional)
  * @param {string} postContent - Post content preview
+ * @param {string} [groupName] - MeepleUp name
  */
-export const notifyNewPost = async (groupId, postId, userId, userName, postTitle, postContent) => {
+export const notifyNewPost = async (groupId, postId, userId, userName, postTitle, postContent, groupName) => {
   if (!groupId || !postId || !userId) {
     return;
   }
@@ -28,6 +29,7 @@ export const notifyNewPost = async (groupId, postId, userId, userName, postTitle
   await notifyMeepleUpMembers(groupId, userId, {
     type: 'new_post',
     postId: postId,
+    groupName: groupName,
     fromUserName: userName,
     message: message,
   });
@@ -87,6 +89,7 @@ export const notifyMeepleUpUpdate = async (groupId, updatedByUserId, updateType,
 
   await notifyMeepleUpMembers(groupId, updatedByUserId, {
     type: 'meepleup_changes',
+    groupName: groupName,
     message: message,
   });
 };
@@ -122,3 +125,56 @@ export const notifyGameInterest = async (
   );
 };
 
+/**
+ * Call this when a member moves off the waitlist into an open seat
+ * @param {string} groupId - MeepleUp/Group ID
+ * @param {string} groupName - MeepleUp name
+ * @param {string} userId - User ID who was promoted
+ * @param {string} occurrenceLabel - Human-readable date of the game night
+ */
+export const notifyWaitlistPromotion = async (groupId, groupName, userId, occurrenceLabel) => {
+  if (!groupId || !userId) {
+    return;
+  }
+
+  const when = occurrenceLabel ? ` on ${occurrenceLabel}` : '';
+
+  await createNotification(userId, {
+    type: 'waitlist_promoted',
+    groupId: groupId,
+    groupName: groupName,
+    message: `A seat opened up at "${groupName}"${when}. You're off the waitlist and going!`,
+  });
+};
+
+/**
+ * Call this when an owner commits to bringing a game members asked for
+ * @param {string} groupId - MeepleUp/Group ID
+ * @param {string} gameName - Game name
+ * @param {string} ownerName - Name of the owner bringing it
+ * @param {Array<string>} interestedUserIds - User IDs who asked for the game
+ * @param {string} occurrenceLabel - Human-readable date of the game night
+ */
+export const notifyBringConfirmed = async (
+  groupId,
+  gameName,
+  ownerName,
+  interestedUserIds,
+  occurrenceLabel
+) => {
+  if (!groupId || !interestedUserIds?.length) {
+    return;
+  }
+
+  const when = occurrenceLabel ? ` on ${occurrenceLabel}` : '';
+
+  await Promise.all(
+    [...new Set(interestedUserIds)].map((userId) =>
+      createNotification(userId, {
+        type: 'bring_confirmed',
+        groupId: groupId,
+        message: `${ownerName || 'The owner'} is bringing "${gameName}"${when}.`,
+      })
+    )
+  );
+};
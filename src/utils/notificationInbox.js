@@ -0,0 +1,100 @@
+/**
+ * Notification inbox helpers
+ * Turns users/{uid}/notifications docs into what the inbox shows: similar notifications from the same
+ * MeepleUp are folded into one row ("4 new posts in Tuesday Brewery Night"), and every row knows which
+ * EventHub tab (and post) it opens.
+ */
+
+import { EVENT_HUB_TABS, NOTIFICATION_TYPES } from './constants';
+
+// Newest notifications the inbox keeps live
+export const INBOX_NOTIFICATION_LIMIT = 100;
+
+const TAB_BY_TYPE = {
+  [NOTIFICATION_TYPES.NEW_POST]: EVENT_HUB_TABS.DISCUSSION,
+  [NOTIFICATION_TYPES.NEW_COMMENT]: EVENT_HUB_TABS.DISCUSSION,
+  [NOTIFICATION_TYPES.GAME_INTEREST]: EVENT_HUB_TABS.GAMES,
+  [NOTIFICATION_TYPES.BRING_CONFIRMED]: EVENT_HUB_TABS.GAMES,
+  [NOTIFICATION_TYPES.GROUP_INVITE]: EVENT_HUB_TABS.SCHEDULE,
+  [NOTIFICATION_TYPES.RSVP_UPDATE]: EVENT_HUB_TABS.SCHEDULE,
+  [NOTIFICATION_TYPES.MEEPLEUP_CHANGES]: EVENT_HUB_TABS.SCHEDULE,
+  [NOTIFICATION_TYPES.NEW_PUBLIC_MEEPLEUP]: EVENT_HUB_TABS.SCHEDULE,
+  [NOTIFICATION_TYPES.WAITLIST_PROMOTED]: EVENT_HUB_TABS.SCHEDULE,
+};
+
+// Types that fold together per MeepleUp, and how a folded row reads
+const GROUP_SUMMARIES = {
+  [NOTIFICATION_TYPES.NEW_POST]: (count, groupName) => `${count} new posts in ${groupName}`,
+  [NOTIFICATION_TYPES.NEW_COMMENT]: (count, groupName) => `${count} new comments in ${groupName}`,
+  [NOTIFICATION_TYPES.GAME_INTEREST]: (count, groupName) =>
+    `${count} requests for your games in ${groupName}`,
+  [NOTIFICATION_TYPES.MEEPLEUP_CHANGES]: (count, groupName) => `${count} updates to ${groupName}`,
+};
+
+/**
+ * Inbox form of a notification doc
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object}
+ */
+export const toInboxNotification = (doc) => {
+  const data = doc.data();
+  return {
+    ...data,
+    id: doc.id,
+    read: data.read === true,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt || null,
+  };
+};
+
+/**
+ * Where tapping a notification goes
+ * @param {Object} notification
+ * @returns {Object|null} - { eventId, tab, postId }, or null when it isn't about a MeepleUp
+ */
+export const getNotificationTarget = (notification) => {
+  if (!notification?.groupId) return null;
+  return {
+    eventId: notification.groupId,
+    tab: TAB_BY_TYPE[notification.type] || EVENT_HUB_TABS.SCHEDULE,
+    postId: notification.postId || null,
+  };
+};
+
+/**
+ * Fold notifications into inbox rows, newest first
+ * Unread and read notifications are never folded together, so a row is either all new or all seen.
+ * @param {Array<Object>} notifications - Inbox notifications, any order
+ * @param {Function} [getGroupName] - (groupId) => MeepleUp name, for notifications stored without one
+ * @returns {Array<Object>} - [{ key, type, groupId, groupName, notifications, count, read, latestAt, title, target }];
+ *   a folded row's target opens the newest notification's post
+ */
+export const groupNotifications = (notifications = [], getGroupName = () => null) => {
+  const sorted = [...notifications].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const groups = new Map();
+
+  sorted.forEach((notification) => {
+    const foldable = notification.groupId && GROUP_SUMMARIES[notification.type];
+    const key = foldable
+      ? `${notification.type}:${notification.groupId}:${notification.read ? 'read' : 'unread'}`
+      : notification.id;
+    if (!groups.has(key)) {
+      groups.set(key, { key, type: notification.type, groupId: notification.groupId || null, notifications: [] });
+    }
+    groups.get(key).notifications.push(notification);
+  });
+
+  return Array.from(groups.values()).map((group) => {
+    const [latest] = group.notifications;
+    const count = group.notifications.length;
+    const groupName = latest.groupName || (group.groupId && getGroupName(group.groupId)) || null;
+    return {
+      ...group,
+      groupName,
+      count,
+      read: latest.read,
+      latestAt: latest.createdAt,
+      title: count > 1 ? GROUP_SUMMARIES[group.type](count, groupName || 'a MeepleUp') : latest.message,
+      target: getNotificationTarget(latest),
+    };
+  });
+};
@@ -1,17 +1,22 @@
 import { db } from '../config/firebase';
 import firebase from '../config/firebase';
+import { getPlaceCoordinates } from './postalCodes';
+import { MAX_NEARBY_MEEPLEUP_DISTANCE, PUSH_STATUS } from './constants';
+import { findUsersWithinRadius } from '../services/eventDiscovery';
 
 /**
  * Notification types based on schema
- * 'new_post' | 'new_comment' | 'game_interest' | 'group_invite' | 'rsvp_update' | 'meepleup_changes' | 'new_public_meepleup'
+ * 'new_post' | 'new_comment' | 'game_interest' | 'group_invite' | 'rsvp_update' | 'meepleup_changes' | 'new_public_meepleup' | 'waitlist_promoted' | 'bring_confirmed'
  */
 
 /**
  * Create a notification for a user
+ * The push worker (scripts/send-push-notifications.js) pushes it to the recipient's devices.
  * @param {string} userId - User ID to notify
  * @param {object} notificationData - Notification data
  * @param {string} notificationData.type - Notification type
  * @param {string} [notificationData.groupId] - Gaming group/MeepleUp ID
+ * @param {string} [notificationData.groupName] - MeepleUp name, shown when the inbox groups notifications
  * @param {string} [notificationData.postId] - Post ID (for post/comment notifications)
  * @param {string} [notificationData.fromUserId] - User who triggered the notification
  * @param {string} [notificationData.fromUserName] - Name of user who triggered
@@ -32,11 +37,13 @@ export const createNotification = async (userId, notificationData) => {
       id: notificationId,
       type: notificationData.type,
       groupId: notificationData.groupId || null,
+      groupName: notificationData.groupName || null,
       postId: notificationData.postId || null,
       fromUserId: notificationData.fromUserId || null,
       fromUserName: notificationData.fromUserName || null,
       message: notificationData.message,
       read: false,
+      pushStatus: PUSH_STATUS.PENDING,
       createdAt: firebase.firestore.Timestamp.now(),
     };
 
@@ -141,11 +148,13 @@ export const notifyMeepleUpMembers = async (groupId, excludeUserId, notification
           id: notificationId,
           type: notificationData.type || 'meepleup_changes',
           groupId: groupId,
+          groupName: notificationData.groupName || null,
           postId: notificationData.postId || null,
           fromUserId: excludeUserId || null,
           fromUserName: notificationData.fromUserName || null,
           message: notificationData.message,
           read: false,
+          pushStatus: PUSH_STATUS.PENDING,
           createdAt: firebase.firestore.Timestamp.now(),
         };
 
@@ -164,51 +173,47 @@ export const notifyMeepleUpMembers = async (groupId, excludeUserId, notification
 };
 
 /**
- * Notify users about a new public MeepleUp near their zip code
+ * Notify users about a new public MeepleUp near their postal code
+ * Only users within the largest allowed distance are read, through their geohash (see eventDiscovery.js);
+ * distances are measured from their saved coordinates.
  * @param {string} groupId - New MeepleUp ID
  * @param {string} groupName - MeepleUp name
- * @param {string} groupZipcode - MeepleUp zipcode
+ * @param {Object|string} groupLocation - { postalCode, country, lat, lng } (any of them), or a US zip code
  * @param {string} organizerName - Organizer name
  * @param {number} organizerUserId - Organizer user ID (to exclude from notifications)
  */
 export const notifyNearbyUsersOfNewPublicMeepleUp = async (
   groupId,
   groupName,
-  groupZipcode,
+  groupLocation,
   organizerName,
   organizerUserId
 ) => {
-  if (!groupId || !groupZipcode || !db) {
+  const groupCoordinates = getPlaceCoordinates(groupLocation);
+  if (!groupId || !groupCoordinates || !db) {
+    if (groupId && !groupCoordinates) {
+      console.warn(`Cannot place MeepleUp ${groupId} for nearby notifications:`, groupLocation);
+    }
     return;
   }
 
   try {
-    // Get all users with zipcodes
-    const usersSnapshot = await db.collection('users').get();
+    // Users close enough for anyone's distance preference; each user's own preference is checked below
+    const nearbyUsers = await findUsersWithinRadius(groupCoordinates, MAX_NEARBY_MEEPLEUP_DISTANCE);
 
-    if (usersSnapshot.empty) {
+    if (nearbyUsers.length === 0) {
       return;
     }
 
     const batch = db.batch();
     let notificationCount = 0;
 
-    for (const userDoc of usersSnapshot.docs) {
-      const userId = userDoc.id;
-      
+    for (const { id: userId, data: userData, distance } of nearbyUsers) {
       // Skip the organizer
       if (userId === organizerUserId) {
         continue;
       }
 
-      const userData = userDoc.data();
-      const userZipcode = userData.zipcode;
-
-      // Skip if user doesn't have a zipcode
-      if (!userZipcode) {
-        continue;
-      }
-
       // Get user's notification preferences
       const preferences = userData.notificationPreferences || {
         newPublicMeepleups: true,
@@ -220,12 +225,9 @@ export const notifyNearbyUsersOfNewPublicMeepleUp = async (
         continue;
       }
 
-      // Calculate distance (simplified - using zipcode prefix matching for now)
-      // TODO: Implement proper distance calculation with geocoding API
-      const distance = calculateZipcodeDistance(userZipcode, groupZipcode);
       const maxDistance = preferences.nearbyMeepleupDistance || 25;
 
-      if (distance !== null && distance <= maxDistance) {
+      if (distance <= maxDistance) {
         const notificationsRef = db.collection('users').doc(userId).collection('notifications');
         const notificationId = notificationsRef.doc().id;
 
@@ -233,10 +235,12 @@ export const notifyNearbyUsersOfNewPublicMeepleUp = async (
           id: notificationId,
           type: 'new_public_meepleup',
           groupId: groupId,
+          groupName: groupName || null,
           fromUserId: organizerUserId || null,
           fromUserName: organizerName || null,
           message: `New public MeepleUp "${groupName}" created ${distance.toFixed(1)} miles away!`,
           read: false,
+          pushStatus: PUSH_STATUS.PENDING,
           createdAt: firebase.firestore.Timestamp.now(),
         };
 
@@ -304,43 +308,3 @@ export const notifyGameOwner = async (
   }
 };
 
-/**
- * Calculate distance between two zipcodes (simplified version)
- * This is a basic implementation. For production, use a proper geocoding API
- * to convert zipcodes to lat/lng and calculate actual distance.
- * 
- * @param {string} zipcode1 - First zipcode
- * @param {string} zipcode2 - Second zipcode
- * @returns {number|null} Distance in miles, or null if calculation fails
- */
-export const calculateZipcodeDistance = (zipcode1, zipcode2) => {
-  if (!zipcode1 || !zipcode2) {
-    return null;
-  }
-
-  // Extract first 5 digits of zipcode
-  const zip1 = zipcode1.replace(/[^0-9]/g, '').substring(0, 5);
-  const zip2 = zipcode2.replace(/[^0-9]/g, '').substring(0, 5);
-
-  if (!zip1 || !zip2 || zip1.length !== 5 || zip2.length !== 5) {
-    return null;
-  }
-
-  // Simplified distance calculation based on zipcode prefix
-  // This is a rough approximation. Real implementation would use geocoding
-  const zip1Num = parseInt(zip1, 10);
-  const zip2Num = parseInt(zip2, 10);
-  
-  // US zipcodes are roughly geographic - higher numbers generally further north/east
-  // This is a very rough approximation: ~70 miles per 1000 zipcode difference
-  const difference = Math.abs(zip1Num - zip2Num);
-  const estimatedDistance = (difference / 1000) * 70;
-
-  // For same zipcode area (first 3 digits), use a smaller estimate
-  if (zip1.substring(0, 3) === zip2.substring(0, 3)) {
-    return Math.max(estimatedDistance / 3, 0.5); // At least 0.5 miles
-  }
-
-  return estimatedDistance;
-};
-
@@ -0,0 +1,166 @@
+/**
+ * Play log helpers
+ * Plays live in plays/{playId}. playerIds lists every member who took part, so a play shows up
+ * in each participant's history, not just the logger's. Play counts are derived from these
+ * documents rather than written to each participant's collection.
+ */
+
+import { getGameKey } from './eventCollection';
+import { getGameSummary } from './bringList';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Today's date as a play date (local time)
+ * @param {Date} [date]
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export const getPlayDate = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const toScore = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const score = Number(value);
+  return Number.isFinite(score) ? score : null;
+};
+
+/**
+ * Clean up the player list from the form
+ * Members have a userId; guests only have a name.
+ * @param {Array<Object>} players - [{ userId?, name, score?, winner? }]
+ * @returns {Array<Object>} - [{ userId, name, score, winner }]
+ */
+export const normalizePlayers = (players) => {
+  const seen = new Set();
+  return (players || [])
+    .map((player) => ({
+      userId: player.userId || null,
+      name: String(player.name || '').trim(),
+      score: toScore(player.score),
+      winner: player.winner === true,
+    }))
+    .filter((player) => {
+      if (!player.userId && !player.name) return false;
+      const key = player.userId || `guest:${player.name.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Build a play document from the log form
+ * @param {Object} params
+ * @param {Object} params.game - Collection or library entry
+ * @param {string} params.date - "YYYY-MM-DD"
+ * @param {Array<Object>} params.players - Players (see normalizePlayers)
+ * @param {number|string} [params.durationMinutes] - How long the game took
+ * @param {string} [params.groupId] - Event the play happened at
+ * @param {string} [params.occurrenceId] - Game night the play happened at
+ * @param {string} [params.notes]
+ * @param {string} params.loggedBy - User logging the play
+ * @returns {Object} - Play document fields (without timestamps)
+ */
+export const buildPlayRecord = ({
+  game,
+  date,
+  players,
+  durationMinutes,
+  groupId = null,
+  occurrenceId = null,
+  notes = '',
+  loggedBy,
+}) => {
+  if (!game || !getGameKey(game)) {
+    throw new Error('Choose the game that was played.');
+  }
+  if (!DATE_PATTERN.test(date || '') || Number.isNaN(new Date(`${date}T00:00:00`).getTime())) {
+    throw new Error('Enter the play date as YYYY-MM-DD.');
+  }
+  if (!loggedBy) {
+    throw new Error('You must be signed in to log a play.');
+  }
+
+  const normalizedPlayers = normalizePlayers(players);
+  if (!normalizedPlayers.length) {
+    throw new Error('Add at least one player.');
+  }
+
+  const duration = durationMinutes === null || durationMinutes === undefined || String(durationMinutes).trim() === ''
+    ? null
+    : parseInt(durationMinutes, 10);
+  if (duration !== null && (!Number.isInteger(duration) || duration <= 0)) {
+    throw new Error('Duration must be a whole number of minutes.');
+  }
+
+  return {
+    ...getGameSummary(game),
+    date,
+    groupId,
+    occurrenceId,
+    players: normalizedPlayers,
+    playerIds: normalizedPlayers.filter((player) => player.userId).map((player) => player.userId),
+    winnerIds: normalizedPlayers
+      .filter((player) => player.winner && player.userId)
+      .map((player) => player.userId),
+    durationMinutes: duration,
+    notes: String(notes || '').trim(),
+    loggedBy,
+  };
+};
+
+/**
+ * Count the plays a member took part in, per game
+ * Plays imported from BGG are left out: the BGG collection import's numplays already counts them.
+ * @param {Array<Object>} plays - Play documents
+ * @param {string} userId - Member
+ * @returns {Object} - { gameKey: count }
+ */
+export const getPlayCountsByGame = (plays, userId) =>
+  (plays || []).reduce((counts, play) => {
+    if (play.source !== 'bgg' && (play.playerIds || []).includes(userId) && play.gameKey) {
+      counts[play.gameKey] = (counts[play.gameKey] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+/**
+ * Total plays of a collection entry: BGG's numplays plus plays logged in MeepleUp
+ * @param {Object} game - Collection entry
+ * @param {Object} playCounts - From getPlayCountsByGame
+ * @returns {number}
+ */
+export const getPlayCount = (game, playCounts) =>
+  (parseInt(game?.numplays, 10) || 0) + ((playCounts || {})[getGameKey(game)] || 0);
+
+/**
+ * Short description of a play's result
+ * @param {Object} play - Play document
+ * @param {Function} [getName] - (userId) => display name for members
+ * @returns {string} - e.g. "Won by Sam · Sam 42, Alex 37"
+ */
+export const describePlayResult = (play, getName = (id) => id) => {
+  const nameOf = (player) => (player.userId ? getName(player.userId) : player.name) || player.name;
+  const players = play.players || [];
+  const winners = players.filter((player) => player.winner).map(nameOf);
+  const scored = players.filter((player) => player.score !== null && player.score !== undefined);
+
+  const parts = [];
+  if (winners.length) {
+    parts.push(`Won by ${winners.join(' & ')}`);
+  }
+  if (scored.length) {
+    parts.push(
+      [...scored]
+        .sort((a, b) => b.score - a.score)
+        .map((player) => `${nameOf(player)} ${player.score}`)
+        .join(', '),
+    );
+  } else if (!winners.length) {
+    parts.push(players.map(nameOf).join(', '));
+  }
+  return parts.join(' · ');
+};
@@ -0,0 +1,205 @@
+/**
+ * Play statistics
+ * Personal and group numbers built from plays (plays/{playId}) and collections.
+ */
+
+import { getGameKey } from './eventCollection';
+import { getGameBadges } from './gameBadges';
+import { OCCURRENCE_STATUS, getPastOccurrences } from './recurrence';
+import { getMemberRSVP } from './rsvp';
+import { RSVP_STATUS } from './constants';
+
+// A BGG entry can stand for several plays of the same game
+const getQuantity = (play) => Math.max(1, parseInt(play.quantity, 10) || 1);
+
+/**
+ * Play counts per game
+ * @param {Array<Object>} plays - Play documents
+ * @returns {Array<Object>} - [{ gameKey, gameName, gameBggId, count }] most played first
+ */
+export const countPlaysByGame = (plays) => {
+  const counts = new Map();
+  (plays || []).forEach((play) => {
+    if (!play.gameKey) return;
+    if (!counts.has(play.gameKey)) {
+      counts.set(play.gameKey, {
+        gameKey: play.gameKey,
+        gameName: play.gameName,
+        gameBggId: play.gameBggId || null,
+        count: 0,
+      });
+    }
+    counts.get(play.gameKey).count += getQuantity(play);
+  });
+
+  return Array.from(counts.values()).sort(
+    (a, b) => b.count - a.count || (a.gameName || '').localeCompare(b.gameName || ''),
+  );
+};
+
+/**
+ * Play H-index: the largest h such that h different games were each played at least h times
+ * @param {Array<Object>} plays - Play documents
+ * @returns {number}
+ */
+export const getPlayHIndex = (plays) => {
+  const counts = countPlaysByGame(plays).map((entry) => entry.count);
+  let hIndex = 0;
+  while (hIndex < counts.length && counts[hIndex] >= hIndex + 1) {
+    hIndex += 1;
+  }
+  return hIndex;
+};
+
+/**
+ * Owned games that have never been played
+ * A game counts as played if it has a logged play or a play count from BGG.
+ * @param {Array<Object>} collection - The user's collection
+ * @param {Array<Object>} plays - The user's plays
+ * @returns {Object} - { unplayed: [games], total, share } with share between 0 and 1
+ */
+export const getUnplayedShare = (collection, plays) => {
+  const playedKeys = new Set((plays || []).map((play) => play.gameKey));
+  const owned = (collection || []).filter((game) => game?.status?.own !== false);
+  const unplayed = owned.filter(
+    (game) => !playedKeys.has(getGameKey(game)) && !(parseInt(game.numplays, 10) > 0),
+  );
+
+  return {
+    unplayed,
+    total: owned.length,
+    share: owned.length ? unplayed.length / owned.length : 0,
+  };
+};
+
+/**
+ * How the collection spreads across BGG categories
+ * Uses the category badges, so only games ranked in a category count towards it.
+ * @param {Array<Object>} collection - The user's collection
+ * @param {Object} [gameDetails] - { bggId: game } with category ranks from the games collection
+ * @returns {Array<Object>} - [{ category, name, color, count }] largest first, then unranked games
+ */
+export const getCategoryBreakdown = (collection, gameDetails = {}) => {
+  const categories = new Map();
+  let unranked = 0;
+
+  (collection || []).forEach((game) => {
+    const details = game.bggId ? gameDetails[String(game.bggId)] : null;
+    const badges = getGameBadges({ ...(details || {}), ...game });
+    if (!badges.length) {
+      unranked += 1;
+      return;
+    }
+    badges.forEach((badge) => {
+      if (!categories.has(badge.category)) {
+        categories.set(badge.category, { category: badge.category, name: badge.name, color: badge.color, count: 0 });
+      }
+      categories.get(badge.category).count += 1;
+    });
+  });
+
+  const breakdown = Array.from(categories.values()).sort((a, b) => b.count - a.count);
+  if (unranked) {
+    breakdown.push({ category: 'unranked', name: 'Unranked', color: '#999', count: unranked });
+  }
+  return breakdown;
+};
+
+/**
+ * Win rate per game for one player
+ * Only plays with a recorded winner count, so co-op nights logged without one don't drag the rate down.
+ * @param {Array<Object>} plays - Plays the user took part in
+ * @param {string} userId - Player
+ * @returns {Array<Object>} - [{ gameKey, gameName, wins, plays, rate }] most played first
+ */
+export const getWinRates = (plays, userId) => {
+  const rates = new Map();
+  (plays || []).forEach((play) => {
+    if (!(play.playerIds || []).includes(userId)) return;
+    if (!(play.players || []).some((player) => player.winner)) return;
+
+    if (!rates.has(play.gameKey)) {
+      rates.set(play.gameKey, { gameKey: play.gameKey, gameName: play.gameName, wins: 0, plays: 0 });
+    }
+    const entry = rates.get(play.gameKey);
+    entry.plays += getQuantity(play);
+    if ((play.winnerIds || []).includes(userId)) {
+      entry.wins += getQuantity(play);
+    }
+  });
+
+  return Array.from(rates.values())
+    .map((entry) => ({ ...entry, rate: entry.wins / entry.plays }))
+    .sort((a, b) => b.plays - a.plays || b.rate - a.rate);
+};
+
+/**
+ * People a player has faced most often
+ * Members are matched by user ID, guests by name.
+ * @param {Array<Object>} plays - Plays to look at (e.g. one group's plays)
+ * @param {string} userId - Player
+ * @returns {Array<Object>} - [{ userId, name, games, wins, losses }] most games first
+ */
+export const getFrequentOpponents = (plays, userId) => {
+  const opponents = new Map();
+  (plays || []).forEach((play) => {
+    if (!(play.playerIds || []).includes(userId)) return;
+    const won = (play.winnerIds || []).includes(userId);
+
+    (play.players || []).forEach((player) => {
+      if (player.userId === userId) return;
+      const key = player.userId || `guest:${(player.name || '').toLowerCase()}`;
+      if (!opponents.has(key)) {
+        opponents.set(key, { userId: player.userId || null, name: player.name, games: 0, wins: 0, losses: 0 });
+      }
+      const entry = opponents.get(key);
+      entry.games += getQuantity(play);
+      if (won && !player.winner) entry.wins += getQuantity(play);
+      if (player.winner && !won) entry.losses += getQuantity(play);
+    });
+  });
+
+  return Array.from(opponents.values()).sort((a, b) => b.games - a.games);
+};
+
+/**
+ * Game nights attended in a row across every event a user belongs to
+ * A "going" RSVP on a past occurrence counts as attending; skipped occurrences are ignored.
+ * @param {Array<Object>} events - Events with members and their rsvps
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Past occurrences to look at per event (default: 52)
+ * @returns {Object} - { current, longest, attended, total }
+ */
+export const getAttendanceStreak = (events, userId, { limit = 52 } = {}) => {
+  const nights = [];
+  (events || []).forEach((event) => {
+    const member = (event.members || []).find((entry) => entry.userId === userId);
+    if (!member) return;
+
+    getPastOccurrences(event, { limit })
+      .filter((occurrence) => occurrence.status !== OCCURRENCE_STATUS.SKIPPED)
+      .forEach((occurrence) => {
+        nights.push({
+          date: occurrence.scheduledFor,
+          attended: getMemberRSVP(member, occurrence.id) === RSVP_STATUS.GOING,
+        });
+      });
+  });
+
+  nights.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let current = 0;
+  let longest = 0;
+  nights.forEach((night) => {
+    current = night.attended ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+
+  return {
+    current,
+    longest,
+    attended: nights.filter((night) => night.attended).length,
+    total: nights.length,
+  };
+};
@@ -0,0 +1,177 @@
+/**
+ * Postal code centroids
+ * Turns a postal code (and country) into coordinates without a network call, so distances between members
+ * and MeepleUps are real miles instead of guesses. Only US ZIP codes and Canadian FSAs can be placed offline,
+ * from the zipcodes package. resolvePostalLocation falls back to the device geocoder for codes it doesn't know.
+ */
+
+import zipcodes from 'zipcodes';
+import { geocodeQuery, haversineMiles } from './geo';
+
+// Profiles saved before countries were recorded are all US
+export const DEFAULT_POSTAL_COUNTRY = 'US';
+
+// Countries the zipcodes package covers, and what its records call them
+const ZIPCODES_PACKAGE_COUNTRIES = { US: 'US', CA: 'Canada' };
+
+// Shortest prefix tried for hierarchical codes (Canadian FSA "M5V")
+const MIN_PREFIX_LENGTH = 3;
+const US_ZIP_LENGTH = 5;
+
+/**
+ * Postal code as looked up: upper case, no spaces or dashes
+ * @param {string} postalCode
+ * @returns {string}
+ */
+export const normalizePostalCode = (postalCode) =>
+  String(postalCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * ISO 3166-1 alpha-2 country code, or null
+ * @param {string} country
+ * @returns {string|null}
+ */
+export const normalizeCountryCode = (country) => {
+  const code = String(country || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+};
+
+// Keys to try, most specific first. The data has only FSAs for Canada, so "M5V 3L9" also tries "M5V", and
+// ZIP+4 tries the 5-digit ZIP.
+const getLookupKeys = (postalCode) => {
+  const raw = String(postalCode || '').trim().toUpperCase();
+  const full = normalizePostalCode(raw);
+  if (!full) return [];
+
+  const keys = [full];
+  const beforeSeparator = normalizePostalCode(raw.split(/[\s-]/)[0]);
+  if (beforeSeparator && beforeSeparator !== full) keys.push(beforeSeparator);
+
+  if (/^\d+$/.test(full)) {
+    if (full.length > US_ZIP_LENGTH) keys.push(full.slice(0, US_ZIP_LENGTH));
+  } else {
+    for (let length = beforeSeparator.length - 1; length >= MIN_PREFIX_LENGTH; length--) {
+      keys.push(beforeSeparator.slice(0, length));
+    }
+  }
+
+  return Array.from(new Set(keys));
+};
+
+const lookupInCountry = (keys, country) => {
+  if (!ZIPCODES_PACKAGE_COUNTRIES[country]) return null;
+
+  for (const key of keys) {
+    const record = zipcodes.lookup(key);
+    const lat = Number(record?.latitude);
+    const lng = Number(record?.longitude);
+    if (record && record.country === ZIPCODES_PACKAGE_COUNTRIES[country] && Number.isFinite(lat) && Number.isFinite(lng)) {
+      return { lat, lng, country, postalCode: key };
+    }
+  }
+  return null;
+};
+
+/**
+ * Countries whose postal codes can be placed offline (US and Canada)
+ * Offer only these when asking for a country; codes elsewhere can't be turned into distances.
+ * @returns {Array<string>} - ISO country codes, DEFAULT_POSTAL_COUNTRY first
+ */
+export const getSupportedPostalCountries = () => {
+  const others = Object.keys(ZIPCODES_PACKAGE_COUNTRIES).filter((code) => code !== DEFAULT_POSTAL_COUNTRY);
+  return [DEFAULT_POSTAL_COUNTRY, ...others.sort()];
+};
+
+/**
+ * Centroid of a postal code, offline
+ * Without a country, the code is tried as a US ZIP first (older profiles), then in the other supported countries;
+ * a code that exists in several of them is too ambiguous to place and returns null.
+ * @param {string} postalCode
+ * @param {string} [country] - ISO country code
+ * @returns {Object|null} - { lat, lng, country, postalCode }, postalCode being the key that matched
+ */
+export const lookupPostalCentroid = (postalCode, country) => {
+  const keys = getLookupKeys(postalCode);
+  if (keys.length === 0) return null;
+
+  const countryCode = normalizeCountryCode(country);
+  if (countryCode) {
+    return lookupInCountry(keys, countryCode);
+  }
+
+  const defaultMatch = lookupInCountry(keys, DEFAULT_POSTAL_COUNTRY);
+  if (defaultMatch) return defaultMatch;
+
+  const matches = getSupportedPostalCountries()
+    .filter((code) => code !== DEFAULT_POSTAL_COUNTRY)
+    .map((code) => lookupInCountry(keys, code))
+    .filter(Boolean);
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Centroid of a postal code found in free text, on its own or in one part of it ("Lincoln Park, 60614")
+ * Parts without digits are skipped so place names aren't mistaken for postal code prefixes.
+ * @param {string} text
+ * @param {string} [country] - ISO country code
+ * @returns {Object|null} - { lat, lng }
+ */
+export const findPostalCentroidInText = (text, country) => {
+  const value = String(text || '');
+  const parts = [value, ...value.split(',')].map((part) => part.trim()).filter((part) => /\d/.test(part));
+  for (const part of parts) {
+    const centroid = lookupPostalCentroid(part, country);
+    if (centroid) return { lat: centroid.lat, lng: centroid.lng };
+  }
+  return null;
+};
+
+/**
+ * Coordinates for a postal code, using the device geocoder when the offline data doesn't have it
+ * Use when saving a location (profile, MeepleUp); the result can be stored so later distance checks stay offline.
+ * @param {string} postalCode
+ * @param {string} [country] - ISO country code
+ * @returns {Promise<Object|null>} - { lat, lng }
+ */
+export const resolvePostalLocation = async (postalCode, country) => {
+  const centroid = lookupPostalCentroid(postalCode, country);
+  if (centroid) {
+    return { lat: centroid.lat, lng: centroid.lng };
+  }
+
+  const query = [String(postalCode || '').trim(), normalizeCountryCode(country)].filter(Boolean).join(', ');
+  if (!query) return null;
+  const geocoded = await geocodeQuery(query);
+  return geocoded ? { lat: geocoded.lat, lng: geocoded.lng } : null;
+};
+
+/**
+ * Coordinates of a place given as stored coordinates or a postal code
+ * @param {Object|string} place - { lat, lng } and/or { postalCode, country }, or a postal code
+ * @returns {Object|null} - { lat, lng }
+ */
+export const getPlaceCoordinates = (place) => {
+  if (!place) return null;
+  if (typeof place === 'string') {
+    const centroid = lookupPostalCentroid(place);
+    return centroid ? { lat: centroid.lat, lng: centroid.lng } : null;
+  }
+  if (Number.isFinite(place.lat) && Number.isFinite(place.lng)) {
+    return { lat: place.lat, lng: place.lng };
+  }
+  const centroid = lookupPostalCentroid(place.postalCode, place.country);
+  return centroid ? { lat: centroid.lat, lng: centroid.lng } : null;
+};
+
+/**
+ * Miles between two places
+ * @param {Object|string} placeA - See getPlaceCoordinates
+ * @param {Object|string} placeB
+ * @returns {number|null} - null when either place can't be located
+ */
+export const getDistanceMiles = (placeA, placeB) => {
+  const a = getPlaceCoordinates(placeA);
+  const b = getPlaceCoordinates(placeB);
+  if (!a || !b) return null;
+  return haversineMiles(a.lat, a.lng, b.lat, b.lng);
+};
@@ -0,0 +1,192 @@
+/**
+ * Push fan-out
+ * Turns notification records (the ones createNotification and the batch notifiers write to
+ * users/{uid}/notifications with pushStatus 'pending') into push messages for each of the recipient's
+ * registered devices, then hands them to the push transport (src/services/push). Runs on the server
+ * (scripts/send-push-notifications.js), the only place that can read other users' devices.
+ *
+ * A push is skipped when the recipient turned that kind of notification off, when it is inside their quiet
+ * hours in the device's own time zone, or when the notification is too old to be worth a push. Either way the
+ * notification is still in their inbox; only the push is dropped.
+ */
+
+import { sendPushMessages } from '../services/push';
+import { NOTIFICATION_TYPES, PUSH_STATUS } from './constants';
+import { getNotificationTarget } from './notificationInbox';
+
+// The preference that controls each type; types not listed get no push (they are still in the inbox)
+const PREFERENCE_BY_TYPE = {
+  [NOTIFICATION_TYPES.NEW_POST]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.NEW_COMMENT]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.MEEPLEUP_CHANGES]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.GROUP_INVITE]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.RSVP_UPDATE]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.WAITLIST_PROMOTED]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.BRING_CONFIRMED]: 'meepleupChanges',
+  [NOTIFICATION_TYPES.NEW_PUBLIC_MEEPLEUP]: 'newPublicMeepleups',
+  [NOTIFICATION_TYPES.GAME_INTEREST]: 'gameMarking',
+};
+
+export const DEFAULT_QUIET_HOURS_START = '22:00';
+export const DEFAULT_QUIET_HOURS_END = '08:00';
+
+// Notifications that reach the server later than this (written offline, say) stay in the inbox without a push
+export const MAX_PUSH_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Same default-on rule as isNotificationEnabled (utils/notifications), which can't be loaded on the server
+const isPushEnabled = (preferences, preferenceKey) => !preferences || preferences[preferenceKey] !== false;
+
+/**
+ * Minutes past midnight for an "HH:MM" time
+ * @param {string} value
+ * @returns {number|null} - null when the value isn't a valid 24-hour time
+ */
+export const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight at `now` in a time zone; UTC when the zone is missing or unknown
+const getLocalMinutes = (now, timeZone) => {
+  const format = (zone) => new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+
+  let parts;
+  try {
+    parts = format(timeZone || 'UTC');
+  } catch (error) {
+    parts = format('UTC');
+  }
+  const value = (type) => parseInt(parts.find((part) => part.type === type)?.value, 10) || 0;
+  return (value('hour') % 24) * 60 + value('minute');
+};
+
+/**
+ * Whether a time falls inside the user's quiet hours
+ * Windows that cross midnight (22:00 to 08:00) are handled; equal start and end means no quiet hours.
+ * @param {Object} preferences - Notification preferences ({ quietHoursEnabled, quietHoursStart, quietHoursEnd })
+ * @param {string} [timeZone] - IANA time zone of the device
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isWithinQuietHours = (preferences, timeZone, now = new Date()) => {
+  if (!preferences?.quietHoursEnabled) return false;
+
+  const start = parseTimeOfDay(preferences.quietHoursStart || DEFAULT_QUIET_HOURS_START);
+  const end = parseTimeOfDay(preferences.quietHoursEnd || DEFAULT_QUIET_HOURS_END);
+  if (start === null || end === null || start === end) return false;
+
+  const minutes = getLocalMinutes(now, timeZone);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Push messages for one notification, one per device that should get it
+ * @param {Object} notification - Notification record
+ * @param {Object} recipient - { notificationPreferences, pushTokens: { [deviceId]: { token, timeZone } } }
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Array<Object>} - [{ deviceId, message }]; empty when the preference is off, the type is unknown or no
+ *   device is out of quiet hours
+ */
+export const buildPushDeliveries = (notification, recipient, { now = new Date() } = {}) => {
+  if (!notification?.message || !recipient) return [];
+
+  const preferences = recipient.notificationPreferences || null;
+  const preferenceKey = PREFERENCE_BY_TYPE[notification.type];
+  if (!preferenceKey || !isPushEnabled(preferences, preferenceKey)) return [];
+
+  const data = {
+    notificationId: notification.id || null,
+    type: notification.type || null,
+    target: getNotificationTarget(notification),
+  };
+
+  return Object.entries(recipient.pushTokens || {})
+    .filter(([, device]) => device?.token && !isWithinQuietHours(preferences, device.timeZone, now))
+    .map(([deviceId, device]) => ({
+      deviceId,
+      message: {
+        to: device.token,
+        title: notification.groupName || 'MeepleUp',
+        body: notification.message,
+        sound: 'default',
+        data,
+      },
+    }));
+};
+
+const getCreatedAt = (notification) => {
+  const createdAt = notification?.createdAt;
+  const date = typeof createdAt?.toDate === 'function' ? createdAt.toDate() : new Date(createdAt);
+  return Number.isNaN(date?.getTime()) ? null : date;
+};
+
+/**
+ * Send the pushes for a batch of notifications
+ * Errors are logged and never thrown; a notification whose pushes all failed comes back as failed.
+ * @param {Array<Object>} entries - [{ userId, notification, recipient }], recipient as for buildPushDeliveries
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - Defaults to the configured push transport
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { statuses, staleDevices, sent, skipped, failed }: statuses holds a PUSH_STATUS
+ *   per entry, in order; staleDevices maps userId to the deviceIds Expo reported as no longer registered
+ */
+export const fanOutNotifications = async (entries, { transport, now = new Date() } = {}) => {
+  const statuses = (entries || []).map(() => PUSH_STATUS.SKIPPED);
+  const result = { statuses, staleDevices: new Map(), sent: 0, skipped: 0, failed: 0 };
+
+  const deliveries = [];
+  (entries || []).forEach(({ userId, notification, recipient }, entryIndex) => {
+    const createdAt = getCreatedAt(notification);
+    if (createdAt && now - createdAt > MAX_PUSH_AGE_MS) return;
+    buildPushDeliveries(notification, recipient, { now }).forEach((delivery) => {
+      deliveries.push({ ...delivery, userId, entryIndex });
+    });
+  });
+
+  if (deliveries.length > 0) {
+    try {
+      const tickets = await sendPushMessages(
+        deliveries.map((delivery) => delivery.message),
+        transport ? { transport } : undefined,
+      );
+
+      deliveries.forEach(({ userId, deviceId, entryIndex }, index) => {
+        const ticket = tickets[index];
+        if (ticket?.status === 'ok') {
+          statuses[entryIndex] = PUSH_STATUS.SENT;
+          return;
+        }
+        if (statuses[entryIndex] !== PUSH_STATUS.SENT) statuses[entryIndex] = PUSH_STATUS.FAILED;
+        // Drop tokens for devices that uninstalled the app
+        if (ticket?.details?.error === 'DeviceNotRegistered') {
+          if (!result.staleDevices.has(userId)) result.staleDevices.set(userId, []);
+          result.staleDevices.get(userId).push(deviceId);
+        }
+      });
+    } catch (error) {
+      console.error('Error sending push notifications:', error);
+      deliveries.forEach(({ entryIndex }) => {
+        statuses[entryIndex] = PUSH_STATUS.FAILED;
+      });
+    }
+  }
+
+  statuses.forEach((status) => {
+    if (status === PUSH_STATUS.SENT) result.sent++;
+    else if (status === PUSH_STATUS.FAILED) result.failed++;
+    else result.skipped++;
+  });
+  return result;
+};
@@ -0,0 +1,181 @@
+import { Platform } from 'react-native';
+import { db } from '../config/firebase';
+import firebase from '../config/firebase';
+import storage from './storage';
+
+/**
+ * Push token registration
+ * Each device the user signs in on registers its Expo push token:
+ * users/{uid}/pushTokens/{deviceId} = { token, platform, timeZone, updatedAt }
+ * Keyed by a per-install device ID so reinstalling or signing in again replaces the old token
+ * instead of piling up duplicates. The device's time zone is stored with the token so quiet hours
+ * are applied in the recipient's local time. Only the owner and the push worker
+ * (scripts/send-push-notifications.js) can read the subcollection.
+ */
+
+const DEVICE_ID_STORAGE_KEY = 'meepleup_push_device_id';
+
+const createDeviceId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * This install's device ID, created on first use
+ * @returns {Promise<string>}
+ */
+export const getPushDeviceId = async () => {
+  const stored = await storage.getItem(DEVICE_ID_STORAGE_KEY);
+  if (stored) {
+    return stored;
+  }
+  const deviceId = createDeviceId();
+  await storage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+  return deviceId;
+};
+
+/**
+ * The device's IANA time zone (e.g. "America/Chicago")
+ * @returns {string|null}
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ask for permission and get this device's Expo push token
+ * @returns {Promise<string|null>} Token, or null on web, simulators, or when permission is denied
+ */
+export const getExpoPushToken = async () => {
+  if (Platform.OS === 'web') {
+    return null;
+  }
+
+  try {
+    const Notifications = require('expo-notifications');
+    const Constants = require('expo-constants').default;
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'MeepleUp',
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+
+    const existing = await Notifications.getPermissionsAsync();
+    let status = existing.status;
+    if (status !== 'granted') {
+      const requested = await Notifications.requestPermissionsAsync();
+      status = requested.status;
+    }
+    if (status !== 'granted') {
+      return null;
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId || Constants.easConfig?.projectId;
+    const { data } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+    return data || null;
+  } catch (error) {
+    console.error('Error getting Expo push token:', error);
+    return null;
+  }
+};
+
+const getPushTokensRef = (userId) => db.collection('users').doc(userId).collection('pushTokens');
+
+/**
+ * Register this device's push token
+ * @param {string} userId
+ * @returns {Promise<string|null>} The registered token, or null when the device can't receive pushes
+ */
+export const registerPushToken = async (userId) => {
+  if (!userId || !db) {
+    return null;
+  }
+
+  const token = await getExpoPushToken();
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const deviceId = await getPushDeviceId();
+    await getPushTokensRef(userId).doc(deviceId).set({
+      token,
+      platform: Platform.OS,
+      timeZone: getDeviceTimeZone(),
+      updatedAt: firebase.firestore.Timestamp.now(),
+    });
+    // Tokens used to be kept on the profile, where any signed-in user could read them
+    await db.collection('users').doc(userId).set({
+      pushTokens: firebase.firestore.FieldValue.delete(),
+    }, { merge: true });
+    return token;
+  } catch (error) {
+    console.error('Error registering push token:', error);
+    return null;
+  }
+};
+
+/**
+ * Stop sending pushes to this device (call before signing out)
+ * @param {string} userId
+ */
+export const unregisterPushToken = async (userId) => {
+  if (!userId || !db) {
+    return;
+  }
+
+  try {
+    const deviceId = await storage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      return;
+    }
+    await getPushTokensRef(userId).doc(deviceId).delete();
+  } catch (error) {
+    console.error('Error unregistering push token:', error);
+  }
+};
+
+// Pushes already opened this session; the response that launched the app is reported again on every lookup
+const handledResponseIds = new Set();
+
+/**
+ * Listen for the user tapping a push, including the one that launched the app
+ * @param {Function} onOpen - Called with the push's data ({ notificationId, type, target }, see utils/pushFanout)
+ * @returns {Function} Unsubscribe
+ */
+export const addPushResponseListener = (onOpen) => {
+  if (Platform.OS === 'web') {
+    return () => {};
+  }
+
+  try {
+    const Notifications = require('expo-notifications');
+
+    const handleResponse = (response) => {
+      const responseId = response?.notification?.request?.identifier;
+      if (!response || (responseId && handledResponseIds.has(responseId))) return;
+      if (responseId) handledResponseIds.add(responseId);
+      onOpen(response.notification.request.content?.data || {});
+    };
+
+    let subscribed = true;
+    Notifications.getLastNotificationResponseAsync()
+      .then((response) => {
+        if (subscribed) handleResponse(response);
+      })
+      .catch((error) => console.error('Error reading the push that opened the app:', error));
+    const subscription = Notifications.addNotificationResponseReceivedListener(handleResponse);
+
+    return () => {
+      subscribed = false;
+      subscription.remove();
+    };
+  } catch (error) {
+    console.error('Error listening for opened push notifications:', error);
+    return () => {};
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * Play-next recommender
+ * Ranks the merged event library for one game night from local data only: cached collections
+ * (ownership, wanttoplay flags, numplays) and whatever plays are already loaded. No network calls.
+ */
+
+import { getGameKey } from './eventCollection';
+import { fitsPlayerCount } from './libraryFilters';
+
+// Weights for each signal; wanting to play counts most
+const SCORE = {
+  WANT: 3,
+  NOBODY_PLAYED: 4,
+  UNPLAYED_SHARE: 2,
+  SHELF_OF_SHAME: 2,
+};
+
+const isFlaggedToPlay = (game) => game?.status?.wanttoplay === true || game?.wantToPlay === true;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const joinNames = (names) => {
+  if (names.length <= 2) return names.join(' and ');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Rank games for a game night
+ * @param {Object} params
+ * @param {Array<Object>} params.games - Merged library (getEventCollection, ideally via withGameDetails)
+ * @param {Array<string>} params.attendeeIds - Members going tonight
+ * @param {Object} params.collectionsByUser - { userId: [games] } for wanttoplay flags and numplays
+ * @param {Array<Object>} [params.plays] - Plays already loaded (e.g. the group's plays)
+ * @param {Function} [params.getName] - (userId) => display name
+ * @param {number} [params.limit] - Number of picks (default: 5)
+ * @returns {Array<Object>} - [{ game, score, wantIds, playedIds, shelfOfShameIds, reasons, explanation }] best first
+ */
+export const recommendGames = ({
+  games,
+  attendeeIds,
+  collectionsByUser,
+  plays = [],
+  getName = (id) => id,
+  limit = 5,
+}) => {
+  const attendees = new Set(attendeeIds || []);
+  const headCount = attendees.size;
+  if (!headCount) return [];
+
+  // Who has played what: logged plays plus play counts on their own copies
+  const playedBy = new Map();
+  const markPlayed = (gameKey, userId) => {
+    if (!playedBy.has(gameKey)) playedBy.set(gameKey, new Set());
+    playedBy.get(gameKey).add(userId);
+  };
+  (plays || []).forEach((play) => {
+    (play.playerIds || []).forEach((userId) => markPlayed(play.gameKey, userId));
+  });
+
+  const wantedBy = new Map();
+  attendees.forEach((userId) => {
+    (collectionsByUser[userId] || []).forEach((game) => {
+      const key = getGameKey(game);
+      if (!key) return;
+      if (parseInt(game.numplays, 10) > 0) markPlayed(key, userId);
+      if (isFlaggedToPlay(game)) {
+        if (!wantedBy.has(key)) wantedBy.set(key, new Set());
+        wantedBy.get(key).add(userId);
+      }
+    });
+  });
+
+  return (games || [])
+    .filter((game) => game.ownerIds.some((ownerId) => attendees.has(ownerId)))
+    .filter((game) => fitsPlayerCount(game, headCount))
+    .map((game) => {
+      const key = game.key || getGameKey(game);
+      const wantIds = [...(wantedBy.get(key) || [])];
+      const playedIds = [...(playedBy.get(key) || [])].filter((userId) => attendees.has(userId));
+      const shelfOfShameIds = game.ownerIds.filter(
+        (ownerId) => attendees.has(ownerId) && !playedIds.includes(ownerId),
+      );
+
+      const reasons = [];
+      let score = 0;
+
+      if (wantIds.length) {
+        score += wantIds.length * SCORE.WANT;
+        reasons.push(`${wantIds.length} of tonight's ${headCount} players want to play this`);
+      }
+
+      if (!playedIds.length) {
+        score += SCORE.NOBODY_PLAYED;
+        reasons.push('nobody has played it yet');
+      } else {
+        const unplayedCount = headCount - playedIds.length;
+        score += (unplayedCount / headCount) * SCORE.UNPLAYED_SHARE;
+        if (unplayedCount > 0) {
+          reasons.push(`${unplayedCount} of ${headCount} haven't played it`);
+        }
+        if (shelfOfShameIds.length) {
+          score += SCORE.SHELF_OF_SHAME;
+          reasons.push(`still unplayed on ${joinNames(shelfOfShameIds.map(getName))}'s shelf`);
+        }
+      }
+
+      return {
+        game,
+        score,
+        wantIds,
+        playedIds,
+        shelfOfShameIds,
+        reasons,
+        explanation: capitalize(reasons.join('; ')),
+      };
+    })
+    .filter((pick) => pick.score > 0)
+    .sort((a, b) =>
+      b.score - a.score
+      || b.wantIds.length - a.wantIds.length
+      || (a.game.title || '').localeCompare(b.game.title || ''),
+    )
+    .slice(0, limit);
+};
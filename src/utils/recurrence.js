@@ -0,0 +1,623 @@
+/**
+ * Recurrence utilities for MeepleUp events
+ * A series describes a repeating game night (weekly, biweekly, monthly) and
+ * expands into dated occurrences, with per-occurrence exceptions for skipped
+ * or moved nights.
+ */
+
+import { EVENT_FREQUENCY } from './constants';
+
+export const OCCURRENCE_STATUS = {
+  SCHEDULED: 'scheduled',
+  SKIPPED: 'skipped',
+  MOVED: 'moved',
+};
+
+// RSVPs for events without a parseable date are kept under this occurrence ID
+export const UNSCHEDULED_OCCURRENCE_ID = 'unscheduled';
+
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety cap so a malformed series can never spin forever
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Parse a scheduledFor value into a Date
+ * Handles ISO strings as well as display strings such as
+ * "Sunday, December 21, 2025 at 5:16 PM"
+ * @param {string|Date} value - Value to parse
+ * @returns {Date|null} - Parsed date or null if it can't be parsed
+ */
+export const parseScheduledDate = (value) => {
+  if (!value) return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  let date = new Date(value);
+  if (!isNaN(date.getTime())) {
+    return date;
+  }
+
+  // Remove day of week if present (e.g., "Sunday, ") and replace "at" with a space
+  const cleaned = String(value)
+    .trim()
+    .replace(/^[A-Za-z]+,\s*/i, '')
+    .replace(/\s+at\s+/i, ' ');
+
+  date = new Date(cleaned);
+  if (!isNaN(date.getTime())) {
+    return date;
+  }
+
+  // Format: "December 21, 2025 5:16 PM"
+  const dateMatch = cleaned.match(/(\w+)\s+(\d+),\s+(\d+)\s+(\d+):(\d+)\s+(AM|PM)/i);
+  if (!dateMatch) {
+    return null;
+  }
+
+  const [, monthName, day, year, hour, minute, ampm] = dateMatch;
+  const monthNames = ['january', 'february', 'march', 'april', 'may', 'june',
+                     'july', 'august', 'september', 'october', 'november', 'december'];
+  const monthIndex = monthNames.findIndex(m => m.startsWith(monthName.toLowerCase()));
+  if (monthIndex === -1) {
+    return null;
+  }
+
+  let hour24 = parseInt(hour, 10);
+  if (ampm.toUpperCase() === 'PM' && hour24 !== 12) {
+    hour24 += 12;
+  } else if (ampm.toUpperCase() === 'AM' && hour24 === 12) {
+    hour24 = 0;
+  }
+
+  return new Date(parseInt(year, 10), monthIndex, parseInt(day, 10), hour24, parseInt(minute, 10));
+};
+
+// One formatter per time zone; building them is slow on device
+const zoneFormatters = {};
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters[timeZone]) {
+    zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    });
+  }
+  return zoneFormatters[timeZone];
+};
+
+/**
+ * Keep a time zone only if this device can expand dates in it
+ * @param {string} timeZone - IANA time zone (e.g. "America/Chicago")
+ * @returns {string|null}
+ */
+const normalizeTimeZone = (timeZone) => {
+  if (!timeZone) return null;
+  try {
+    getZoneFormatter(timeZone);
+    return timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * The result is a Date whose UTC fields hold the wall-clock time, so calendar
+ * math on it never depends on the device's own zone.
+ * @param {Date} date - Instant
+ * @param {string|null} timeZone - IANA time zone, or null for the device's zone
+ * @returns {Date}
+ */
+const toWallClock = (date, timeZone) => {
+  if (!timeZone) {
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+      date.getHours(), date.getMinutes(), date.getSeconds()));
+  }
+
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day,
+    parts.hour % 24, parts.minute, parts.second));
+};
+
+/**
+ * Instant of a wall-clock time (see toWallClock) in a time zone
+ * @param {Date} wall - Wall-clock time
+ * @param {string|null} timeZone - IANA time zone, or null for the device's zone
+ * @returns {Date}
+ */
+const fromWallClock = (wall, timeZone) => {
+  if (!timeZone) {
+    return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+      wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+  }
+
+  // Guess with the zone's offset at the wall time, then correct with the offset
+  // at the guess in case a DST change lies between them
+  const guess = wall.getTime() - (toWallClock(wall, timeZone) - wall);
+  const offset = toWallClock(new Date(guess), timeZone) - new Date(guess);
+  return new Date(wall.getTime() - offset);
+};
+
+/**
+ * UTC offset of a time zone at an instant, in minutes (e.g. -300 for Chicago in summer)
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (default: the device's)
+ * @returns {number}
+ */
+export const getTimeZoneOffsetMinutes = (date, timeZone = null) =>
+  Math.round((toWallClock(date, normalizeTimeZone(timeZone)) - date) / 60000);
+
+const formatWallDate = (wall) => {
+  const year = wall.getUTCFullYear();
+  const month = String(wall.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(wall.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const buildWallDate = (year, month, day, timeSource) =>
+  new Date(Date.UTC(year, month, day, timeSource.getUTCHours(), timeSource.getUTCMinutes()));
+
+const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Build a stable occurrence ID from its original (unmoved) date
+ * Uses the calendar date in the given time zone (the device's by default), e.g. "2025-10-21"
+ * @param {string|Date} date - Original occurrence date
+ * @param {string} [timeZone] - IANA time zone of the series
+ * @returns {string|null} - Occurrence ID
+ */
+export const getOccurrenceId = (date, timeZone = null) => {
+  const parsed = parseScheduledDate(date);
+  if (!parsed) return null;
+
+  return formatWallDate(toWallClock(parsed, normalizeTimeZone(timeZone)));
+};
+
+/**
+ * Rebuild the original date of an occurrence from its ID and the series start time
+ * @param {Object} series - Series definition
+ * @param {string} occurrenceId - Occurrence ID ("YYYY-MM-DD")
+ * @returns {Date|null}
+ */
+export const getOriginalOccurrenceDate = (series, occurrenceId) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(occurrenceId || '');
+  const start = parseScheduledDate(series?.startsAt?.toDate?.() || series?.startsAt);
+  if (!match || !start) return null;
+
+  const timeZone = normalizeTimeZone(series.timezone);
+  const [, year, month, day] = match;
+  const wall = buildWallDate(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10),
+    toWallClock(start, timeZone));
+  return fromWallClock(wall, timeZone);
+};
+
+/**
+ * Find the nth weekday of a month (weekPosition -1 means the last one)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} weekPosition - 1-4, or -1 for last
+ * @param {Date} timeSource - Wall-clock date to copy hours/minutes from
+ * @returns {Date|null} - Wall-clock date
+ */
+const getNthWeekdayOfMonth = (year, month, weekday, weekPosition, timeSource) => {
+  const daysInMonth = getDaysInMonth(year, month);
+
+  if (weekPosition === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month, daysInMonth)).getUTCDay();
+    const offset = (lastWeekday - weekday + 7) % 7;
+    return buildWallDate(year, month, daysInMonth - offset, timeSource);
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const offset = (weekday - firstWeekday + 7) % 7;
+  const dayOfMonth = 1 + offset + (weekPosition - 1) * 7;
+
+  // Fifth weekdays don't exist in every month
+  return dayOfMonth <= daysInMonth ? buildWallDate(year, month, dayOfMonth, timeSource) : null;
+};
+
+/**
+ * Normalize a stored series definition
+ * @param {Object} series - Raw series (from storage or Firestore)
+ * @returns {Object|null} - Normalized series or null if not recurring
+ */
+export const normalizeSeries = (series) => {
+  if (!series || !series.frequency || series.frequency === EVENT_FREQUENCY.ONE_TIME) {
+    return null;
+  }
+
+  const startsAt = parseScheduledDate(series.startsAt?.toDate?.() || series.startsAt);
+  if (!startsAt) {
+    return null;
+  }
+
+  const frequency = Object.values(EVENT_FREQUENCY).includes(series.frequency)
+    ? series.frequency
+    : EVENT_FREQUENCY.WEEKLY;
+
+  const until = parseScheduledDate(series.until?.toDate?.() || series.until);
+  const timezone = normalizeTimeZone(series.timezone);
+
+  return {
+    frequency,
+    interval: frequency === EVENT_FREQUENCY.BIWEEKLY ? 2 : 1,
+    weekday: Number.isInteger(series.weekday)
+      ? series.weekday
+      : toWallClock(startsAt, timezone).getUTCDay(),
+    weekPosition: frequency === EVENT_FREQUENCY.MONTHLY && series.weekPosition
+      ? series.weekPosition
+      : null,
+    startsAt: startsAt.toISOString(),
+    until: until ? until.toISOString() : null,
+    timezone,
+    exceptions: series.exceptions && typeof series.exceptions === 'object'
+      ? series.exceptions
+      : {},
+  };
+};
+
+/**
+ * Build a series definition from the DateTimePicker "recurring" value
+ * @param {Object} recurring - { enabled, pattern, weekday, interval, weekPosition, time }
+ * @param {string|Date} [fallbackStart] - Start date to use when recurring.time is missing
+ * @returns {Object|null} - Normalized series or null if not recurring
+ */
+export const buildSeriesFromRecurring = (recurring, fallbackStart) => {
+  if (!recurring?.enabled) {
+    return null;
+  }
+
+  let frequency = EVENT_FREQUENCY.WEEKLY;
+  if (recurring.pattern === 'monthly') {
+    frequency = EVENT_FREQUENCY.MONTHLY;
+  } else if (recurring.interval === 2) {
+    frequency = EVENT_FREQUENCY.BIWEEKLY;
+  }
+
+  let timezone = null;
+  try {
+    timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    timezone = null;
+  }
+
+  return normalizeSeries({
+    frequency,
+    weekday: recurring.weekday,
+    weekPosition: recurring.weekPosition,
+    startsAt: recurring.time || fallbackStart,
+    until: recurring.until || null,
+    timezone,
+    exceptions: {},
+  });
+};
+
+/**
+ * Find the first date on or after the series start that matches its pattern
+ * @param {Object} series - Normalized series
+ * @returns {Date} - Wall-clock date in the series time zone
+ */
+const getFirstOccurrenceDate = (series) => {
+  const start = toWallClock(new Date(series.startsAt), series.timezone);
+
+  if (series.frequency === EVENT_FREQUENCY.MONTHLY) {
+    if (!series.weekPosition) {
+      return start;
+    }
+    let year = start.getUTCFullYear();
+    let month = start.getUTCMonth();
+    for (let i = 0; i < 24; i++) {
+      const candidate = getNthWeekdayOfMonth(year, month, series.weekday, series.weekPosition, start);
+      if (candidate && candidate >= start) {
+        return candidate;
+      }
+      month += 1;
+      if (month > 11) {
+        month = 0;
+        year += 1;
+      }
+    }
+    return start;
+  }
+
+  const offset = (series.weekday - start.getUTCDay() + 7) % 7;
+  return buildWallDate(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + offset, start);
+};
+
+/**
+ * Step from one occurrence to the next by the series pattern
+ * Monthly-by-date series fall back to the last day of shorter months
+ * (the 31st becomes Feb 28), matching the BYSETPOS rule in buildRRule.
+ * @param {Object} series - Normalized series
+ * @param {Date} current - Current occurrence (wall-clock date)
+ * @param {Date} first - First occurrence (wall-clock date, used for the day and time)
+ * @returns {Date} - Wall-clock date
+ */
+const getNextOccurrenceDate = (series, current, first) => {
+  if (series.frequency === EVENT_FREQUENCY.MONTHLY) {
+    if (!series.weekPosition) {
+      const year = current.getUTCFullYear() + (current.getUTCMonth() === 11 ? 1 : 0);
+      const month = (current.getUTCMonth() + 1) % 12;
+      const day = Math.min(first.getUTCDate(), getDaysInMonth(year, month));
+      return buildWallDate(year, month, day, first);
+    }
+
+    let year = current.getUTCFullYear();
+    let month = current.getUTCMonth();
+    for (let i = 0; i < 12; i++) {
+      month += 1;
+      if (month > 11) {
+        month = 0;
+        year += 1;
+      }
+      const candidate = getNthWeekdayOfMonth(year, month, series.weekday, series.weekPosition, first);
+      if (candidate) {
+        return candidate;
+      }
+    }
+  }
+
+  // Step calendar days (not milliseconds) so the time of day survives DST changes
+  return buildWallDate(current.getUTCFullYear(), current.getUTCMonth(),
+    current.getUTCDate() + 7 * series.interval, first);
+};
+
+/**
+ * Expand a series into occurrences
+ * Dates are expanded in the series time zone, so every device sees the same
+ * nights and occurrence IDs wherever it is.
+ * @param {Object} series - Series definition (normalized or raw)
+ * @param {Object} options - Expansion options
+ * @param {string|Date} [options.from] - Only return occurrences that end after this date (default: now)
+ * @param {string|Date} [options.until] - Stop at this date
+ * @param {number} [options.limit] - Maximum number of occurrences (default: 10)
+ * @param {boolean} [options.includeSkipped] - Include skipped occurrences (default: false)
+ * @param {number} [options.durationHours] - Length of a game night used for "from" (default: 3)
+ * @returns {Array<Object>} - [{ id, originalDate, scheduledFor, status }]
+ */
+export const generateOccurrences = (series, options = {}) => {
+  const normalized = normalizeSeries(series);
+  if (!normalized) {
+    return [];
+  }
+
+  const {
+    limit = 10,
+    includeSkipped = false,
+    durationHours = 3,
+  } = options;
+
+  const from = parseScheduledDate(options.from) || new Date();
+  const optionUntil = parseScheduledDate(options.until);
+  const seriesUntil = normalized.until ? new Date(normalized.until) : null;
+  const until = optionUntil && seriesUntil
+    ? new Date(Math.min(optionUntil.getTime(), seriesUntil.getTime()))
+    : optionUntil || seriesUntil;
+
+  const durationMs = durationHours * 60 * 60 * 1000;
+  const first = getFirstOccurrenceDate(normalized);
+  const occurrences = [];
+  let current = first;
+
+  for (let i = 0; i < MAX_ITERATIONS && occurrences.length < limit; i++) {
+    const originalDate = fromWallClock(current, normalized.timezone);
+    if (until && originalDate > until) {
+      break;
+    }
+
+    const id = formatWallDate(current);
+    const exception = normalized.exceptions[id] || null;
+    const movedTo = exception?.status === OCCURRENCE_STATUS.MOVED
+      ? parseScheduledDate(exception.scheduledFor)
+      : null;
+    const status = exception?.status === OCCURRENCE_STATUS.SKIPPED
+      ? OCCURRENCE_STATUS.SKIPPED
+      : movedTo
+        ? OCCURRENCE_STATUS.MOVED
+        : OCCURRENCE_STATUS.SCHEDULED;
+    const scheduledFor = movedTo || originalDate;
+
+    const isPast = scheduledFor.getTime() + durationMs <= from.getTime();
+    if (!isPast && (includeSkipped || status !== OCCURRENCE_STATUS.SKIPPED)) {
+      occurrences.push({
+        id,
+        originalDate: originalDate.toISOString(),
+        scheduledFor: scheduledFor.toISOString(),
+        status,
+      });
+    }
+
+    current = getNextOccurrenceDate(normalized, current, first);
+  }
+
+  // Moved occurrences can land out of order
+  return occurrences.sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+};
+
+/**
+ * Get the occurrences for an event, recurring or not
+ * One-time events return a single occurrence built from scheduledFor, cut off by the same
+ * "from" (default: now), duration and "until" as a series.
+ * @param {Object} event - Event object
+ * @param {Object} options - Same options as generateOccurrences
+ * @returns {Array<Object>}
+ */
+export const getEventOccurrences = (event, options = {}) => {
+  if (!event) return [];
+
+  if (event.series) {
+    return generateOccurrences(event.series, options);
+  }
+
+  const date = parseScheduledDate(event.scheduledFor);
+  if (!date) {
+    return [];
+  }
+
+  const { durationHours = 3 } = options;
+  const from = parseScheduledDate(options.from) || new Date();
+  const until = parseScheduledDate(options.until);
+  if (date.getTime() + durationHours * 60 * 60 * 1000 <= from.getTime() || (until && date > until)) {
+    return [];
+  }
+
+  return [{
+    id: getOccurrenceId(date),
+    originalDate: date.toISOString(),
+    scheduledFor: date.toISOString(),
+    status: OCCURRENCE_STATUS.SCHEDULED,
+  }];
+};
+
+/**
+ * Get the next upcoming occurrence for an event
+ * @param {Object} event - Event object
+ * @param {Object} options - Same options as generateOccurrences
+ * @returns {Object|null}
+ */
+export const getNextOccurrence = (event, options = {}) =>
+  getEventOccurrences(event, { ...options, limit: 1 })[0] || null;
+
+/**
+ * Get the occurrence RSVPs and bring lists default to: the next one, or a finished one-time event's own date
+ * @param {Object} event - Event object
+ * @returns {Object|null}
+ */
+export const getCurrentOccurrence = (event) =>
+  getNextOccurrence(event)
+  || (event && !event.series ? getNextOccurrence(event, { from: event.scheduledFor }) : null);
+
+/**
+ * Get the most recent past occurrences for an event, oldest first
+ * @param {Object} event - Event object
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Number of occurrences to return (default: 10)
+ * @param {string|Date} [options.now] - Reference date (default: now)
+ * @returns {Array<Object>}
+ */
+export const getPastOccurrences = (event, options = {}) => {
+  const { limit = 10 } = options;
+  const now = parseScheduledDate(options.now) || new Date();
+  const start = event?.series
+    ? normalizeSeries(event.series)?.startsAt
+    : parseScheduledDate(event?.scheduledFor);
+
+  if (!start) {
+    return [];
+  }
+
+  return getEventOccurrences(event, { from: start, until: now, limit: MAX_ITERATIONS })
+    .filter((occurrence) => new Date(occurrence.scheduledFor) < now)
+    .slice(-limit);
+};
+
+/**
+ * Return a copy of a series with an exception applied to one occurrence
+ * @param {Object} series - Series definition
+ * @param {string} occurrenceId - Occurrence ID (original date key)
+ * @param {Object|null} exception - { status: 'skipped' } | { status: 'moved', scheduledFor } | null to restore
+ * @returns {Object}
+ */
+export const applySeriesException = (series, occurrenceId, exception) => {
+  const normalized = normalizeSeries(series);
+  if (!normalized || !occurrenceId) {
+    return normalized;
+  }
+
+  const exceptions = { ...normalized.exceptions };
+  if (exception) {
+    exceptions[occurrenceId] = exception;
+  } else {
+    delete exceptions[occurrenceId];
+  }
+
+  return { ...normalized, exceptions };
+};
+
+/**
+ * Build an RFC 5545 RRULE value for a series (without the "RRULE:" prefix)
+ * @param {Object} series - Series definition
+ * @param {Function} [formatUntil] - Formatter for the UNTIL date
+ * @returns {string}
+ */
+export const buildRRule = (series, formatUntil) => {
+  const normalized = normalizeSeries(series);
+  if (!normalized) {
+    return '';
+  }
+
+  const parts = [];
+  const weekday = ICAL_WEEKDAYS[normalized.weekday];
+
+  if (normalized.frequency === EVENT_FREQUENCY.MONTHLY) {
+    parts.push('FREQ=MONTHLY');
+    if (normalized.weekPosition) {
+      parts.push(`BYDAY=${normalized.weekPosition}${weekday}`);
+    } else {
+      // Past the 28th, take the latest of those days that exists each month,
+      // so short months fall back to their last day like generateOccurrences
+      const dayOfMonth = toWallClock(new Date(normalized.startsAt), normalized.timezone).getUTCDate();
+      if (dayOfMonth > 28) {
+        const days = Array.from({ length: dayOfMonth - 27 }, (_, i) => 28 + i);
+        parts.push(`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1');
+      }
+    }
+  } else {
+    parts.push('FREQ=WEEKLY');
+    if (normalized.interval > 1) {
+      parts.push(`INTERVAL=${normalized.interval}`);
+    }
+    parts.push(`BYDAY=${weekday}`);
+  }
+
+  if (normalized.until && formatUntil) {
+    parts.push(`UNTIL=${formatUntil(new Date(normalized.until))}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Describe a series for display, e.g. "Every other Tuesday"
+ * @param {Object} series - Series definition
+ * @returns {string}
+ */
+export const describeSeries = (series) => {
+  const normalized = normalizeSeries(series);
+  if (!normalized) {
+    return '';
+  }
+
+  const weekdayName = new Date(2024, 0, 7 + normalized.weekday)
+    .toLocaleDateString('en-US', { weekday: 'long' });
+
+  if (normalized.frequency === EVENT_FREQUENCY.MONTHLY) {
+    if (!normalized.weekPosition) {
+      const dayOfMonth = toWallClock(new Date(normalized.startsAt), normalized.timezone).getUTCDate();
+      return dayOfMonth > 28
+        ? `Monthly on day ${dayOfMonth} (or the last day of shorter months)`
+        : `Monthly on day ${dayOfMonth}`;
+    }
+    const positions = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+    return `Every ${positions[normalized.weekPosition] || ''} ${weekdayName} of the month`;
+  }
+
+  if (normalized.frequency === EVENT_FREQUENCY.BIWEEKLY) {
+    return `Every other ${weekdayName}`;
+  }
+
+  return `Every ${weekdayName}`;
+};
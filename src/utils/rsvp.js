@@ -0,0 +1,161 @@
+/**
+ * RSVP helpers for MeepleUp events
+ * RSVPs are stored per occurrence on each member: members[].rsvps[occurrenceId] = { status, updatedAt }
+ */
+
+import { RSVP_STATUS } from './constants';
+
+/**
+ * Normalize a member's RSVP map, folding in the legacy single rsvpStatus field
+ * @param {Object} memberData - Member data (local or from Firestore)
+ * @param {string} [legacyOccurrenceId] - Occurrence to attribute a legacy rsvpStatus to
+ * @returns {Object} - { [occurrenceId]: { status, updatedAt } }
+ */
+export const normalizeRSVPs = (memberData, legacyOccurrenceId) => {
+  const rsvps = {};
+  const raw = memberData?.rsvps && typeof memberData.rsvps === 'object' ? memberData.rsvps : {};
+
+  Object.entries(raw).forEach(([occurrenceId, entry]) => {
+    const status = typeof entry === 'string' ? entry : entry?.status;
+    if (!Object.values(RSVP_STATUS).includes(status)) return;
+
+    const updatedAt = entry?.updatedAt?.toDate?.()?.toISOString() || entry?.updatedAt || null;
+    const waitlistedAt = entry?.waitlistedAt?.toDate?.()?.toISOString() || entry?.waitlistedAt || null;
+    rsvps[occurrenceId] = waitlistedAt ? { status, updatedAt, waitlistedAt } : { status, updatedAt };
+  });
+
+  // Older member docs only have one rsvpStatus; treat it as the RSVP for the next occurrence
+  if (!Object.keys(rsvps).length && memberData?.rsvpStatus && legacyOccurrenceId) {
+    rsvps[legacyOccurrenceId] = {
+      status: memberData.rsvpStatus,
+      updatedAt: memberData.rsvpUpdatedAt?.toDate?.()?.toISOString() || memberData.rsvpUpdatedAt || null,
+    };
+  }
+
+  return rsvps;
+};
+
+/**
+ * Get a member's RSVP status for one occurrence
+ * @param {Object} member - Member with an rsvps map
+ * @param {string} occurrenceId - Occurrence ID
+ * @returns {string|null}
+ */
+export const getMemberRSVP = (member, occurrenceId) => {
+  if (!member || !occurrenceId) return null;
+  return member.rsvps?.[occurrenceId]?.status || null;
+};
+
+/**
+ * Get the ordered waitlist for one occurrence (first come, first served)
+ * @param {Array} members - Members with rsvps maps
+ * @param {string} occurrenceId - Occurrence ID
+ * @returns {Array<string>} - User IDs in waitlist order
+ */
+export const getWaitlist = (members, occurrenceId) =>
+  (members || [])
+    .filter((member) => getMemberRSVP(member, occurrenceId) === RSVP_STATUS.WAITLISTED)
+    .sort((a, b) => {
+      const aTime = new Date(a.rsvps[occurrenceId].waitlistedAt || a.rsvps[occurrenceId].updatedAt || 0);
+      const bTime = new Date(b.rsvps[occurrenceId].waitlistedAt || b.rsvps[occurrenceId].updatedAt || 0);
+      return aTime - bTime;
+    })
+    .map((member) => member.userId);
+
+/**
+ * Group members by their RSVP for one occurrence
+ * @param {Array} members - Members with rsvps maps
+ * @param {string} occurrenceId - Occurrence ID
+ * @returns {Object} - { going: [userId], maybe: [...], 'not-going': [...], waitlisted: [...], none: [...] }
+ */
+export const groupRSVPsByStatus = (members, occurrenceId) => {
+  const groups = {
+    [RSVP_STATUS.GOING]: [],
+    [RSVP_STATUS.MAYBE]: [],
+    [RSVP_STATUS.NOT_GOING]: [],
+    [RSVP_STATUS.WAITLISTED]: getWaitlist(members, occurrenceId),
+    none: [],
+  };
+
+  (members || []).forEach((member) => {
+    const status = getMemberRSVP(member, occurrenceId);
+    if (status === RSVP_STATUS.WAITLISTED) return;
+    groups[status || 'none'].push(member.userId);
+  });
+
+  return groups;
+};
+
+/**
+ * Decide what a requested RSVP becomes once capacity is taken into account
+ * "Going" turns into "waitlisted" when every seat is taken; people already
+ * going keep their seat, and waitlisted people get a free seat or keep their place in line.
+ * @param {Array} members - Members with rsvps maps
+ * @param {string} occurrenceId - Occurrence ID
+ * @param {string} userId - Member changing their RSVP
+ * @param {string} requestedStatus - Status the member asked for
+ * @param {number|null} capacity - Seats per occurrence (null = unlimited)
+ * @returns {string} - Status to store
+ */
+export const resolveRSVPForCapacity = (members, occurrenceId, userId, requestedStatus, capacity) => {
+  if (requestedStatus !== RSVP_STATUS.GOING || !capacity) {
+    return requestedStatus;
+  }
+
+  const member = (members || []).find((entry) => entry.userId === userId);
+  const currentStatus = getMemberRSVP(member, occurrenceId);
+  if (currentStatus === RSVP_STATUS.GOING) {
+    return currentStatus;
+  }
+
+  const goingCount = (members || []).filter(
+    (entry) => entry.userId !== userId && getMemberRSVP(entry, occurrenceId) === RSVP_STATUS.GOING,
+  ).length;
+
+  return goingCount >= capacity ? RSVP_STATUS.WAITLISTED : RSVP_STATUS.GOING;
+};
+
+/**
+ * Work out which waitlisted members move up into open seats
+ * @param {Array} members - Members with rsvps maps (after the latest change)
+ * @param {string} occurrenceId - Occurrence ID
+ * @param {number|null} capacity - Seats per occurrence (null = unlimited, everyone is promoted)
+ * @returns {Array<string>} - User IDs to promote, in waitlist order
+ */
+export const getWaitlistPromotions = (members, occurrenceId, capacity) => {
+  const waitlist = getWaitlist(members, occurrenceId);
+  if (!capacity) {
+    return waitlist;
+  }
+
+  const goingCount = (members || []).filter(
+    (member) => getMemberRSVP(member, occurrenceId) === RSVP_STATUS.GOING,
+  ).length;
+
+  return waitlist.slice(0, Math.max(0, capacity - goingCount));
+};
+
+/**
+ * Build attendance stats from past occurrences
+ * A "going" RSVP on a past occurrence counts as attending.
+ * @param {Array} members - Members with rsvps maps
+ * @param {Array} pastOccurrences - Occurrences to count (e.g. the last 10)
+ * @returns {Array<Object>} - [{ userId, attended, total, rate }] sorted by attended desc
+ */
+export const buildAttendanceStats = (members, pastOccurrences) => {
+  const total = (pastOccurrences || []).length;
+
+  return (members || [])
+    .map((member) => {
+      const attended = (pastOccurrences || []).filter(
+        (occurrence) => getMemberRSVP(member, occurrence.id) === RSVP_STATUS.GOING,
+      ).length;
+      return {
+        userId: member.userId,
+        attended,
+        total,
+        rate: total > 0 ? attended / total : 0,
+      };
+    })
+    .sort((a, b) => b.attended - a.attended);
+};
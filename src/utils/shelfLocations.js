@@ -0,0 +1,181 @@
+/**
+ * Shelf locations for physical collections
+ * A game's location is { shelf, spot, position, orientation } on the collection entry:
+ * - shelf: named shelf or unit ("Kallax 2")
+ * - spot: cube, row or section within it ("row 3"); optional
+ * - position: 1-based order on the spot, from a shelf scan; optional
+ * - orientation: 'standing' (spines side by side, counted from the left) or 'stacked' (counted from the top)
+ * Shelves aren't stored separately; they are the distinct locations used across the collection.
+ */
+
+export const SHELF_ORIENTATION = {
+  STANDING: 'standing',
+  STACKED: 'stacked',
+};
+
+const cleanPart = (value) => String(value || '').trim().replace(/\s+/g, ' ');
+
+// Case, accent and punctuation-insensitive text for matching search queries
+const toSearchText = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Parse a typed location ("Kallax 2, row 3" or "Kallax 2 / row 3")
+ * @param {string} text
+ * @returns {Object|null} - { shelf, spot } or null when empty
+ */
+export const parseShelfLocation = (text) => {
+  const [shelf, ...rest] = String(text || '').split(/\s*[,/]\s*/);
+  if (!cleanPart(shelf)) return null;
+  return {
+    shelf: cleanPart(shelf),
+    spot: cleanPart(rest.join(', ')) || null,
+  };
+};
+
+/**
+ * @param {Object|null} location
+ * @returns {string} - e.g. "Kallax 2, row 3"; empty when there is no location
+ */
+export const formatShelfLocation = (location) =>
+  (location?.shelf ? [location.shelf, location.spot].filter(Boolean).join(', ') : '');
+
+/**
+ * Which way the boxes sit, from the spine text rotation Claude reports in `styling.rotation`
+ * Vertical spine text means boxes standing side by side; horizontal text means a stack.
+ * @param {string} rotation - e.g. "90deg", "-90deg", "0deg"
+ * @returns {string|null}
+ */
+export const getOrientationFromRotation = (rotation) => {
+  const degrees = parseFloat(rotation);
+  if (Number.isNaN(degrees)) return null;
+  return Math.abs(degrees) % 180 === 90 ? SHELF_ORIENTATION.STANDING : SHELF_ORIENTATION.STACKED;
+};
+
+/**
+ * The location of a collection entry
+ * @param {Object} game - Collection entry
+ * @returns {Object|null}
+ */
+export const getGameLocation = (game) => (game?.location?.shelf ? game.location : null);
+
+const ordinal = (number) => {
+  const tens = number % 100;
+  if (tens >= 11 && tens <= 13) return `${number}th`;
+  return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+};
+
+/**
+ * Full description of where a game is
+ * @param {Object|null} location
+ * @returns {string} - e.g. "Kallax 2, row 3 (4th from the left)"
+ */
+export const describeShelfLocation = (location) => {
+  const place = formatShelfLocation(location);
+  if (!place) return '';
+  if (!location.position) return place;
+
+  const from = location.orientation === SHELF_ORIENTATION.STACKED ? 'top' : 'left';
+  return `${place} (${ordinal(location.position)} from the ${from})`;
+};
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const byPosition = (a, b) =>
+  (a.location.position || Infinity) - (b.location.position || Infinity)
+  || byName(a.game.title || '', b.game.title || '');
+
+/**
+ * Every shelf in a collection with its spots and games, in shelf order
+ * @param {Array<Object>} collection
+ * @returns {Array<Object>} - [{ shelf, gameCount, spots: [{ spot, games }] }]; games on a spot are in position order
+ */
+export const getShelves = (collection = []) => {
+  const shelves = new Map();
+
+  collection.forEach((game) => {
+    const location = getGameLocation(game);
+    if (!location) return;
+
+    const shelfKey = location.shelf.toLowerCase();
+    if (!shelves.has(shelfKey)) {
+      shelves.set(shelfKey, { shelf: location.shelf, spots: new Map() });
+    }
+    const { spots } = shelves.get(shelfKey);
+    const spotKey = (location.spot || '').toLowerCase();
+    if (!spots.has(spotKey)) {
+      spots.set(spotKey, { spot: location.spot || null, entries: [] });
+    }
+    spots.get(spotKey).entries.push({ game, location });
+  });
+
+  return Array.from(shelves.values())
+    .map(({ shelf, spots }) => {
+      const sortedSpots = Array.from(spots.values())
+        .sort((a, b) => byName(a.spot || '', b.spot || ''))
+        .map(({ spot, entries }) => ({ spot, games: entries.sort(byPosition).map((entry) => entry.game) }));
+      return {
+        shelf,
+        gameCount: sortedSpots.reduce((count, spot) => count + spot.games.length, 0),
+        spots: sortedSpots,
+      };
+    })
+    .sort((a, b) => byName(a.shelf, b.shelf));
+};
+
+/**
+ * Distinct locations already in use, for picking one instead of retyping it
+ * @param {Array<Object>} collection
+ * @returns {Array<string>} - Formatted locations
+ */
+export const getUsedLocations = (collection = []) =>
+  getShelves(collection).flatMap(({ shelf, spots }) =>
+    spots.map(({ spot }) => formatShelfLocation({ shelf, spot })));
+
+/**
+ * Pull the game out of a "where is Brass?" style question
+ * @param {string} query - Search box text
+ * @returns {string|null} - The game part, or null when the query isn't a location question
+ */
+export const parseWhereQuery = (query) => {
+  const match = String(query || '').trim().match(/^where(?:['’]s| is| are)\s+(?:my\s+)?(.+?)\??$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Does a collection entry match a search query (title or location)?
+ * @param {Object} game - Collection entry
+ * @param {string} query
+ * @returns {boolean}
+ */
+export const matchesCollectionSearch = (game, query) => {
+  const needle = toSearchText(parseWhereQuery(query) || query);
+  if (!needle) return true;
+  return toSearchText(game.title).includes(needle)
+    || toSearchText(formatShelfLocation(getGameLocation(game))).includes(needle);
+};
+
+/**
+ * Answer "where is X?" from the collection
+ * @param {Array<Object>} collection
+ * @param {string} query - Search box text
+ * @returns {Array<Object>|null} - [{ game, location, description }] for titles matching the question, or null when
+ *   the query isn't a location question
+ */
+export const answerWhereQuery = (collection, query) => {
+  const gameQuery = parseWhereQuery(query);
+  if (!gameQuery) return null;
+
+  const needle = toSearchText(gameQuery);
+  return collection
+    .filter((game) => toSearchText(game.title).includes(needle))
+    .map((game) => {
+      const location = getGameLocation(game);
+      return { game, location, description: describeShelfLocation(location) };
+    });
+};
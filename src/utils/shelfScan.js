@@ -0,0 +1,293 @@
+/**
+ * Shelf scanning sessions
+ * One session covers many photos of a shelf. Games seen in more than one photo (overlapping shots,
+ * the same box photographed twice) collapse into one candidate, matched first by normalized title
+ * and then by bggId once the BGG lookup comes back. Every candidate remembers the photos and shelf
+ * sections it was seen in, and the session ends with one review list. Where a game sat in the first photo
+ * it appeared in becomes its shelf location (see utils/shelfLocations).
+ */
+
+import { getGameKey } from './eventCollection';
+import { getOrientationFromRotation, parseShelfLocation } from './shelfLocations';
+import { normalizeTitle } from './text';
+
+export const SCAN_PHOTO_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  ERROR: 'error',
+};
+
+export const SCAN_MATCH_STATUS = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  MATCHED: 'matched',
+  NO_MATCH: 'no_match',
+};
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+const getConfidenceRank = (confidence) => CONFIDENCE_RANK[confidence] || 0;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Start an empty scanning session
+ * @param {Object} [options]
+ * @param {string} [options.section] - Shelf section for the first photos
+ * @returns {Object} - { id, startedAt, updatedAt, currentSection, photos, candidates }
+ */
+export const createScanSession = ({ section = '' } = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: `scan-${Date.now()}`,
+    startedAt: now,
+    updatedAt: now,
+    currentSection: section,
+    photos: [],
+    candidates: [],
+  };
+};
+
+const touch = (session, changes) => ({ ...session, ...changes, updatedAt: new Date().toISOString() });
+
+/**
+ * Record a captured photo before it has been identified
+ * @param {Object} session
+ * @param {Object} photo - { id, section }
+ * @returns {Object} - Updated session
+ */
+export const addScanPhoto = (session, { id, section }) =>
+  touch(session, {
+    photos: [
+      ...session.photos,
+      {
+        id,
+        section: section || '',
+        capturedAt: new Date().toISOString(),
+        status: SCAN_PHOTO_STATUS.QUEUED,
+        gameCount: 0,
+        comments: '',
+        error: null,
+      },
+    ],
+  });
+
+/**
+ * Update a photo's processing state
+ * @param {Object} session
+ * @param {string} photoId
+ * @param {Object} updates - e.g. { status, comments, error }
+ * @returns {Object} - Updated session
+ */
+export const updateScanPhoto = (session, photoId, updates) =>
+  touch(session, {
+    photos: session.photos.map((photo) => (photo.id === photoId ? { ...photo, ...updates } : photo)),
+  });
+
+const mergeCandidates = (target, source) => {
+  const keepSource = getConfidenceRank(source.confidence) > getConfidenceRank(target.confidence);
+  return {
+    ...target,
+    title: keepSource ? source.title : target.title,
+    confidence: keepSource ? source.confidence : target.confidence,
+    boxDescription: target.boxDescription || source.boxDescription,
+    additionalText: target.additionalText || source.additionalText,
+    notes: target.notes || source.notes,
+    styling: target.styling || source.styling,
+    titles: unique([...target.titles, ...source.titles]),
+    photoIds: unique([...target.photoIds, ...source.photoIds]),
+    sections: unique([...target.sections, ...source.sections]),
+    include: target.include || source.include,
+  };
+};
+
+/**
+ * Fold the games identified in one photo into the session
+ * @param {Object} session
+ * @param {string} photoId - Photo the games came from
+ * @param {Array<Object>} games - Games from identifyGamesFromImage
+ * @returns {Object} - Updated session; the photo's gameCount is set to how many games it showed
+ */
+export const mergeIdentifiedGames = (session, photoId, games) => {
+  const photo = session.photos.find((entry) => entry.id === photoId);
+  // The session was discarded while the photo was being identified
+  if (!photo) return session;
+  const section = photo.section || '';
+  const candidates = [...session.candidates];
+  let seen = 0;
+  // Earlier photos of the same section come before this one on the shelf; overlapping shots make this approximate
+  const positionOffset = session.photos
+    .slice(0, session.photos.indexOf(photo))
+    .filter((entry) => (entry.section || '') === section)
+    .reduce((total, entry) => total + (entry.gameCount || 0), 0);
+
+  (games || []).forEach((game, index) => {
+    const normalizedTitle = normalizeTitle(game.title);
+    if (!normalizedTitle) return;
+    seen += 1;
+
+    const incoming = {
+      id: `${photoId}-${index}`,
+      title: String(game.title).trim(),
+      normalizedTitle,
+      titles: [String(game.title).trim()],
+      confidence: game.confidence || 'unknown',
+      boxDescription: game.boxDescription || null,
+      additionalText: game.additionalText || null,
+      notes: game.notes || '',
+      photoIds: [photoId],
+      sections: unique([section]),
+      // Claude lists spines in shelf order, so fall back to the order of the reply
+      position: positionOffset + (Number(game.shelfPosition) || index + 1),
+      orientation: getOrientationFromRotation(game.styling?.rotation),
+      styling: game.styling && typeof game.styling === 'object' ? game.styling : null,
+      matchStatus: SCAN_MATCH_STATUS.IDLE,
+      bggData: null,
+      // Low-confidence reads need a look before they're added
+      include: game.confidence !== 'low',
+    };
+
+    const existingIndex = candidates.findIndex((candidate) =>
+      candidate.normalizedTitle === normalizedTitle
+      || candidate.titles.some((title) => normalizeTitle(title) === normalizedTitle)
+      || (candidate.bggData?.name && normalizeTitle(candidate.bggData.name) === normalizedTitle));
+
+    if (existingIndex === -1) {
+      candidates.push(incoming);
+    } else {
+      candidates[existingIndex] = mergeCandidates(candidates[existingIndex], incoming);
+    }
+  });
+
+  return touch(session, {
+    candidates,
+    photos: session.photos.map((entry) => (entry.id === photoId ? { ...entry, gameCount: seen } : entry)),
+  });
+};
+
+/**
+ * Record the BGG lookup for a candidate
+ * If another candidate already matched the same game (e.g. "Catan" and "The Settlers of Catan" read off two
+ * photos, both resolving to one bggId), the two are merged.
+ * @param {Object} session
+ * @param {string} candidateId
+ * @param {Object|null} bggData - { id, name, yearPublished, thumbnail, image }, or null for no match
+ * @returns {Object} - Updated session
+ */
+export const applyScanMatch = (session, candidateId, bggData) => {
+  const candidate = session.candidates.find((entry) => entry.id === candidateId);
+  if (!candidate) return session;
+
+  if (!bggData?.id) {
+    return updateScanCandidate(session, candidateId, { matchStatus: SCAN_MATCH_STATUS.NO_MATCH, bggData: null });
+  }
+
+  const matched = { ...candidate, matchStatus: SCAN_MATCH_STATUS.MATCHED, bggData };
+  const duplicate = session.candidates.find(
+    (entry) => entry.id !== candidateId && String(entry.bggData?.id) === String(bggData.id),
+  );
+
+  if (!duplicate) {
+    return touch(session, {
+      candidates: session.candidates.map((entry) => (entry.id === candidateId ? matched : entry)),
+    });
+  }
+
+  const merged = mergeCandidates(duplicate, matched);
+  return touch(session, {
+    candidates: session.candidates
+      .filter((entry) => entry.id !== candidateId)
+      .map((entry) => (entry.id === duplicate.id ? merged : entry)),
+  });
+};
+
+/**
+ * Update a candidate (e.g. { include } or { matchStatus })
+ * @param {Object} session
+ * @param {string} candidateId
+ * @param {Object} updates
+ * @returns {Object} - Updated session
+ */
+export const updateScanCandidate = (session, candidateId, updates) =>
+  touch(session, {
+    candidates: session.candidates.map((entry) => (entry.id === candidateId ? { ...entry, ...updates } : entry)),
+  });
+
+/**
+ * Progress numbers for the capture screen
+ * @param {Object} session
+ * @returns {Object} - { photoCount, pendingCount, failedCount, gameCount, sections }
+ */
+export const getScanSummary = (session) => ({
+  photoCount: session.photos.length,
+  pendingCount: session.photos.filter((photo) =>
+    photo.status === SCAN_PHOTO_STATUS.QUEUED || photo.status === SCAN_PHOTO_STATUS.PROCESSING).length,
+  failedCount: session.photos.filter((photo) => photo.status === SCAN_PHOTO_STATUS.ERROR).length,
+  gameCount: session.candidates.length,
+  sections: unique(session.photos.map((photo) => photo.section)),
+});
+
+/**
+ * The single review list at the end of a session, grouped by the section each game was first seen in
+ * @param {Object} session
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.collection] - Games already owned; matching candidates are flagged
+ * @returns {Array<Object>} - [{ section, candidates: [{ ...candidate, alreadyOwned }] }] in capture order
+ */
+export const getScanReviewList = (session, { collection = [] } = {}) => {
+  const ownedKeys = new Set(collection.map(getGameKey).filter(Boolean));
+  const ownedTitles = new Set(collection.map((game) => normalizeTitle(game.title || game.name)));
+
+  const groups = new Map();
+  session.candidates.forEach((candidate) => {
+    const section = candidate.sections[0] || '';
+    if (!groups.has(section)) groups.set(section, []);
+
+    const bggKey = candidate.bggData?.id ? getGameKey({ bggId: candidate.bggData.id }) : null;
+    groups.get(section).push({
+      ...candidate,
+      alreadyOwned: (bggKey && ownedKeys.has(bggKey)) || ownedTitles.has(candidate.normalizedTitle),
+    });
+  });
+
+  return Array.from(groups.entries()).map(([section, candidates]) => ({
+    section,
+    candidates: candidates.sort((a, b) => a.title.localeCompare(b.title)),
+  }));
+};
+
+const toScanLocation = (candidate) => {
+  const location = parseShelfLocation(candidate.sections[0]);
+  if (!location) return null;
+  return {
+    ...location,
+    position: candidate.position || null,
+    orientation: candidate.orientation || null,
+  };
+};
+
+/**
+ * Collection entry for a reviewed candidate
+ * @param {Object} candidate - Candidate from the session
+ * @returns {Object} - Game record for addGameToCollection
+ */
+export const toScanCollectionRecord = (candidate) => {
+  const now = new Date().toISOString();
+  return {
+    id: `claude-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    title: candidate.bggData?.name || candidate.title,
+    source: 'claude_shelf_scan',
+    claudeConfidence: candidate.confidence,
+    claudeNotes: candidate.notes || '',
+    additionalText: candidate.additionalText || null,
+    location: toScanLocation(candidate),
+    createdAt: now,
+    updatedAt: now,
+    bggId: candidate.bggData?.id || null,
+    bggThumbnail: candidate.bggData?.thumbnail || null,
+    bggImage: candidate.bggData?.image || null,
+    yearPublished: candidate.bggData?.yearPublished || null,
+    styling: candidate.styling || null,
+  };
+};
@@ -0,0 +1,115 @@
+/**
+ * Spine drawing styles for the collection's shelf view
+ * Turns the `styling` Claude reads off a box spine (see services/claudeVision) into React Native styles.
+ * Games without styling (BGG imports, manual adds) get a stable color picked from their title, so the
+ * shelf looks the same every time it is drawn.
+ */
+
+import { SHELF_ORIENTATION, getOrientationFromRotation } from './shelfLocations';
+
+const FALLBACK_SPINE_COLORS = [
+  '#7B2D26', '#1F4E79', '#2E6B3A', '#C58B2A', '#4B3869',
+  '#A23E48', '#2F5D62', '#5C4033', '#D9693B', '#3B3B58',
+];
+
+export const SPINE_FONT_SIZE = 13;
+
+// djb2; only needs to be stable
+const hashString = (text) => {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(index)) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * @param {string} color - "#RGB" or "#RRGGBB", with or without the #
+ * @returns {string|null} - "#RRGGBB", or null if it isn't a hex color
+ */
+export const normalizeHexColor = (color) => {
+  if (!color || typeof color !== 'string') return null;
+  const hex = color.replace('#', '').trim();
+  if (/^[0-9A-Fa-f]{6}$/.test(hex)) return `#${hex}`;
+  if (/^[0-9A-Fa-f]{3}$/.test(hex)) return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`;
+  return null;
+};
+
+const getContrastingTextColor = (backgroundColor) => {
+  const hex = backgroundColor.replace('#', '');
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+  const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+  return brightness > 128 ? '#000000' : '#FFFFFF';
+};
+
+// "0.05em" is relative to the font size; React Native only takes points
+const parseLetterSpacing = (value) => {
+  const amount = parseFloat(value);
+  if (Number.isNaN(amount)) return undefined;
+  return String(value).trim().endsWith('em') ? amount * SPINE_FONT_SIZE : amount;
+};
+
+// First shadow of a CSS text-shadow ("1px 1px 2px #000000")
+const parseTextShadow = (value) => {
+  if (!value || typeof value !== 'string' || value.trim() === 'none') return {};
+  const [x, y, blur, color] = value.split(',')[0].trim().split(/\s+/);
+  const shadowColor = normalizeHexColor(color) || (color && !/^[\d.-]/.test(color) ? color : null);
+  if (Number.isNaN(parseFloat(x)) || Number.isNaN(parseFloat(y)) || !shadowColor) return {};
+  return {
+    textShadowOffset: { width: parseFloat(x), height: parseFloat(y) },
+    textShadowRadius: parseFloat(blur) || 0,
+    textShadowColor: shadowColor,
+  };
+};
+
+const VALID_FONT_WEIGHTS = ['100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+/**
+ * How to draw a game's spine
+ * @param {Object} game - Collection entry (uses title, styling and location)
+ * @returns {Object} - { orientation, width, length, backgroundColor, backgroundColorSecondary, fontName,
+ *   textRotation, textStyle }
+ */
+export const getSpineStyle = (game) => {
+  const title = game.title || '';
+  const styling = game.styling && typeof game.styling === 'object' ? game.styling : {};
+  const hash = hashString(title);
+
+  const backgroundColor = normalizeHexColor(styling.backgroundColor)
+    || FALLBACK_SPINE_COLORS[hash % FALLBACK_SPINE_COLORS.length];
+  const orientation = game.location?.orientation
+    || getOrientationFromRotation(styling.rotation)
+    || SHELF_ORIENTATION.STANDING;
+
+  // Spine text runs along the box: bottom-to-top when Claude saw -90deg or vertical-lr, otherwise top-to-bottom
+  let textRotation = 0;
+  if (orientation === SHELF_ORIENTATION.STANDING) {
+    const rotation = parseFloat(styling.rotation);
+    textRotation = rotation === -90 || styling.writingMode === 'vertical-lr' ? -90 : 90;
+  }
+
+  const fontWeight = String(styling.fontWeight || '');
+  return {
+    orientation,
+    // Boxes aren't all the same size; vary them a little so the shelf doesn't look like a barcode
+    width: 28 + (hash % 5) * 4,
+    length: 150 + ((hash >>> 3) % 4) * 12,
+    backgroundColor,
+    backgroundColorSecondary: normalizeHexColor(styling.backgroundColorSecondary),
+    fontName: typeof styling.fontFamily === 'string' ? styling.fontFamily.trim() : null,
+    textRotation,
+    textStyle: {
+      color: normalizeHexColor(styling.color) || getContrastingTextColor(backgroundColor),
+      fontSize: SPINE_FONT_SIZE,
+      fontWeight: VALID_FONT_WEIGHTS.includes(fontWeight) ? fontWeight : '600',
+      fontStyle: styling.fontStyle === 'italic' || styling.fontStyle === 'oblique' ? 'italic' : 'normal',
+      textTransform: ['uppercase', 'lowercase', 'capitalize'].includes(styling.textTransform)
+        ? styling.textTransform
+        : 'none',
+      letterSpacing: parseLetterSpacing(styling.letterSpacing),
+      ...parseTextShadow(styling.textShadow),
+    },
+  };
+};
@@ -0,0 +1,280 @@
+/**
+ * Game night table planner
+ * Splits the attendees of one occurrence into tables, each playing a game someone is bringing.
+ */
+
+import { getGameKey } from './eventCollection';
+
+// Used when neither the collection entry nor the games collection knows the player count
+const DEFAULT_MIN_PLAYERS = 2;
+const DEFAULT_MAX_PLAYERS = 4;
+
+const toPlayerCount = (value) => {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count > 0 ? count : null;
+};
+
+const wantsToPlay = (game) => game?.status?.wanttoplay === true;
+
+/**
+ * Build the pool of games attendees are bringing
+ * @param {Object} params
+ * @param {Array<string>} params.attendeeIds - User IDs going to the occurrence
+ * @param {Array<Object>} params.games - Merged library of the attendees (getEventCollection)
+ * @param {Object} params.collectionsByUser - { userId: [games] } for wanttoplay flags
+ * @param {Object} [params.gameDetails] - { gameKey: { minPlayers, maxPlayers } } from the games collection
+ * @returns {Array<Object>} - [{ key, title, bggId, image, ownerIds, interestedUserIds, minPlayers, maxPlayers, playerCountKnown }]
+ */
+export const buildGamePool = ({ attendeeIds, games, collectionsByUser, gameDetails = {} }) => {
+  const attendees = new Set(attendeeIds || []);
+  const pool = new Map();
+
+  (games || []).forEach((game) => {
+    const key = getGameKey(game);
+    if (!key || pool.has(key)) return;
+
+    const details = gameDetails[key] || {};
+    const minPlayers = toPlayerCount(game.minPlayers) || toPlayerCount(details.minPlayers);
+    const maxPlayers = toPlayerCount(game.maxPlayers) || toPlayerCount(details.maxPlayers);
+
+    pool.set(key, {
+      key,
+      title: game.title || game.name || 'Untitled game',
+      bggId: game.bggId || null,
+      image: game.image || game.thumbnail || null,
+      ownerIds: (game.ownerIds || []).filter((userId) => attendees.has(userId)),
+      interestedUserIds: [],
+      minPlayers: minPlayers || DEFAULT_MIN_PLAYERS,
+      maxPlayers: Math.max(maxPlayers || DEFAULT_MAX_PLAYERS, minPlayers || 1),
+      playerCountKnown: Boolean(minPlayers && maxPlayers),
+    });
+  });
+
+  Object.entries(collectionsByUser || {}).forEach(([userId, userGames]) => {
+    if (!attendees.has(userId)) return;
+
+    (userGames || []).forEach((game) => {
+      const entry = pool.get(getGameKey(game));
+      if (!entry) return;
+
+      if (wantsToPlay(game) && !entry.interestedUserIds.includes(userId)) {
+        entry.interestedUserIds.push(userId);
+      }
+    });
+  });
+
+  // Only games an attendee actually owns can make it to the table
+  return Array.from(pool.values()).filter((entry) => entry.ownerIds.length > 0);
+};
+
+const createTable = (game) => ({
+  id: `table_${game.key}`,
+  gameKey: game.key,
+  title: game.title,
+  bggId: game.bggId,
+  minPlayers: game.minPlayers,
+  maxPlayers: game.maxPlayers,
+  playerCountKnown: game.playerCountKnown,
+  broughtBy: game.ownerIds[0] || null,
+  playerIds: [],
+  locked: false,
+});
+
+const hasRoom = (table) => table.playerIds.length < table.maxPlayers;
+
+const fillRatio = (table) => table.playerIds.length / table.maxPlayers;
+
+/**
+ * Propose tables for a game night
+ * Locked tables are kept exactly as they are; everyone else is re-seated.
+ * @param {Array<string>} attendeeIds - User IDs going to the occurrence
+ * @param {Array<Object>} pool - Games from buildGamePool
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.lockedTables] - Tables to keep
+ * @returns {Object} - { tables, unassignedIds }
+ */
+export const planTables = (attendeeIds, pool, { lockedTables = [] } = {}) => {
+  // Locked tables lose anyone who has since changed their RSVP
+  const locked = lockedTables.map((table) => ({
+    ...table,
+    playerIds: table.playerIds.filter((id) => (attendeeIds || []).includes(id)),
+    locked: true,
+  }));
+  const seatedIds = new Set(locked.flatMap((table) => table.playerIds));
+  const usedGames = new Set(locked.map((table) => table.gameKey));
+
+  const players = (attendeeIds || []).filter((id) => !seatedIds.has(id));
+  const interestOf = (game) => game.interestedUserIds.filter((id) => players.includes(id)).length;
+
+  // Most-wanted games first, then the ones that seat the most people
+  const candidates = (pool || [])
+    .filter((game) => !usedGames.has(game.key))
+    .sort((a, b) =>
+      interestOf(b) - interestOf(a)
+      || b.maxPlayers - a.maxPlayers
+      || a.title.localeCompare(b.title),
+    );
+
+  const tables = [];
+  let minSeats = 0;
+  let maxSeats = 0;
+  for (const game of candidates) {
+    if (maxSeats >= players.length) break;
+    if (minSeats + game.minPlayers > players.length) continue;
+
+    tables.push(createTable(game));
+    minSeats += game.minPlayers;
+    maxSeats += game.maxPlayers;
+  }
+
+  const unseated = new Set(players);
+  const seat = (table, userId) => {
+    table.playerIds.push(userId);
+    unseated.delete(userId);
+  };
+
+  // Whoever brings a game sits at it to teach
+  tables.forEach((table) => {
+    const game = candidates.find((entry) => entry.key === table.gameKey);
+    const owner = game.ownerIds.find((id) => unseated.has(id));
+    if (owner) {
+      table.broughtBy = owner;
+      seat(table, owner);
+    }
+  });
+
+  // Players with the fewest wanttoplay matches pick first
+  const interestedTables = (userId) => tables.filter((table) => {
+    const game = candidates.find((entry) => entry.key === table.gameKey);
+    return game.interestedUserIds.includes(userId);
+  });
+  players
+    .filter((userId) => unseated.has(userId))
+    .map((userId) => ({ userId, options: interestedTables(userId) }))
+    .filter(({ options }) => options.length > 0)
+    .sort((a, b) => a.options.length - b.options.length)
+    .forEach(({ userId, options }) => {
+      const open = options.filter(hasRoom).sort((a, b) => fillRatio(a) - fillRatio(b));
+      if (open.length) seat(open[0], userId);
+    });
+
+  // Bring short tables up to their minimum, then spread everyone else out
+  players.filter((userId) => unseated.has(userId)).forEach((userId) => {
+    const short = tables
+      .filter((table) => table.playerIds.length < table.minPlayers)
+      .sort((a, b) => (b.minPlayers - b.playerIds.length) - (a.minPlayers - a.playerIds.length));
+    const target = short[0]
+      || tables.filter(hasRoom).sort((a, b) => fillRatio(a) - fillRatio(b))[0];
+    if (target) seat(target, userId);
+  });
+
+  // A table that still can't start gives its players to tables with room
+  tables
+    .filter((table) => table.playerIds.length < table.minPlayers)
+    .forEach((table) => {
+      const others = tables.filter((other) => other !== table && other.playerIds.length > 0);
+      const room = others.reduce((sum, other) => sum + (other.maxPlayers - other.playerIds.length), 0);
+      if (room < table.playerIds.length) return;
+
+      table.playerIds.splice(0).forEach((userId) => {
+        const target = others.filter(hasRoom).sort((a, b) => fillRatio(a) - fillRatio(b))[0];
+        target.playerIds.push(userId);
+      });
+    });
+
+  return {
+    tables: [...locked, ...tables.filter((table) => table.playerIds.length > 0)],
+    unassignedIds: players.filter((userId) => unseated.has(userId)),
+  };
+};
+
+/**
+ * Move a player to another table (or off every table with a null tableId)
+ * @param {Array<Object>} tables - Current tables
+ * @param {string} userId - Player to move
+ * @param {string|null} tableId - Destination table
+ * @returns {Array<Object>} - Updated tables
+ */
+export const movePlayer = (tables, userId, tableId) =>
+  tables.map((table) => {
+    const playerIds = table.playerIds.filter((id) => id !== userId);
+    if (table.id === tableId) {
+      playerIds.push(userId);
+    }
+    return { ...table, playerIds };
+  });
+
+/**
+ * Swap two players' seats
+ * @param {Array<Object>} tables - Current tables
+ * @param {string} firstId - First player
+ * @param {string} secondId - Second player
+ * @returns {Array<Object>} - Updated tables
+ */
+export const swapPlayers = (tables, firstId, secondId) =>
+  tables.map((table) => ({
+    ...table,
+    playerIds: table.playerIds.map((id) => {
+      if (id === firstId) return secondId;
+      if (id === secondId) return firstId;
+      return id;
+    }),
+  }));
+
+/**
+ * Lock or unlock a table so re-planning leaves it alone
+ * @param {Array<Object>} tables - Current tables
+ * @param {string} tableId - Table to change
+ * @param {boolean} locked - New lock state
+ * @returns {Array<Object>} - Updated tables
+ */
+export const setTableLocked = (tables, tableId, locked) =>
+  tables.map((table) => (table.id === tableId ? { ...table, locked } : table));
+
+/**
+ * Describe problems with a table's player count
+ * @param {Object} table - Table to check
+ * @returns {Array<string>} - Human-readable warnings
+ */
+export const getTableWarnings = (table) => {
+  const warnings = [];
+  const count = table.playerIds.length;
+
+  if (count < table.minPlayers) {
+    warnings.push(`Needs ${table.minPlayers - count} more player${table.minPlayers - count === 1 ? '' : 's'}`);
+  }
+  if (count > table.maxPlayers) {
+    warnings.push(`${count - table.maxPlayers} over the ${table.maxPlayers}-player limit`);
+  }
+  if (!table.playerCountKnown) {
+    warnings.push('Player count unknown');
+  }
+  return warnings;
+};
+
+/**
+ * Format a table plan as a discussion post
+ * @param {Object} params
+ * @param {Array<Object>} params.tables - Final tables
+ * @param {Array<string>} [params.unassignedIds] - Players without a table
+ * @param {Function} params.getName - (userId) => display name
+ * @param {string} [params.heading] - First line, e.g. "Table plan for Thu, Dec 4"
+ * @returns {string}
+ */
+export const formatTablePlan = ({ tables, unassignedIds = [], getName, heading }) => {
+  const lines = [heading || 'Table plan'];
+
+  tables.forEach((table, index) => {
+    const bringer = table.broughtBy ? ` (brought by ${getName(table.broughtBy)})` : '';
+    lines.push('');
+    lines.push(`Table ${index + 1}: ${table.title}${bringer}`);
+    lines.push(table.playerIds.map(getName).join(', '));
+  });
+
+  if (unassignedIds.length) {
+    lines.push('');
+    lines.push(`Still needs a table: ${unassignedIds.map(getName).join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
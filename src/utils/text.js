@@ -0,0 +1,19 @@
+/**
+ * Text helpers shared by search and shelf scanning
+ */
+
+/**
+ * Title folded for comparing and searching game names
+ * Ignores case, accents, punctuation and a leading article ("The Castles of Burgundy" = "Castles of Burgundy").
+ * @param {string} title
+ * @returns {string}
+ */
+export const normalizeTitle = (title) =>
+  String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');